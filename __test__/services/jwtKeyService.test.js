@@ -0,0 +1,128 @@
+/**
+ * jwtKeyService.test.js
+ * @description :: test cases of the key store and of the key picked to verify a token.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT } = require('../../constants/authConstant');
+
+const { privateKey: rsaPrivateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const rsaPem = rsaPrivateKey.export({
+  type: 'pkcs8',
+  format: 'pem'
+});
+
+const KEYS = [
+  {
+    kid: 'legacy',
+    alg: 'HS256',
+    secret: 'old-secret',
+    legacy: true
+  },
+  {
+    kid: 'rsa-1',
+    alg: 'RS256',
+    privateKey: rsaPem
+  },
+  {
+    kid: 'hmac-1',
+    alg: 'HS256',
+    secret: 'new-secret'
+  }
+];
+
+// the key store is read from the environment once per process
+const loadService = (env) => {
+  const previous = { ...process.env };
+  Object.assign(process.env, env);
+  let service;
+  jest.isolateModules(() => {
+    service = require('../../services/jwtKeyService');
+    service.getKeyStore();
+  });
+  process.env = previous;
+  return service;
+};
+
+describe('jwtKeyService.loadKeyStore', () => {
+  const { loadKeyStore } = loadService({});
+
+  test('refuses the built-in secret in production', () => {
+    expect(() => loadKeyStore({ NODE_ENV: 'production' })).toThrow('JWT_KEYS or JWT_KEYS_FILE must be set in production');
+  });
+
+  test('signs with the built-in secret outside production', () => {
+    const { activeKey } = loadKeyStore({ NODE_ENV: 'development' });
+    expect(activeKey.kid).toBe('legacy');
+    expect(activeKey.signingKey).toBe(JWT.CLIENT_SECRET);
+  });
+
+  test('never signs with a configured legacy key', () => {
+    const env = { JWT_KEYS: JSON.stringify(KEYS) };
+    expect(loadKeyStore(env).activeKey.kid).toBe('rsa-1');
+    expect(() => loadKeyStore({
+      ...env,
+      JWT_ACTIVE_KID: 'legacy'
+    })).toThrow('JWT_ACTIVE_KID legacy is not a configured non legacy key');
+  });
+
+  test('rejects a key listed twice', () => {
+    expect(() => loadKeyStore({ JWT_KEYS: JSON.stringify([KEYS[2], KEYS[2]]) })).toThrow('JWT key hmac-1 is listed twice');
+  });
+});
+
+describe('jwtKeyService.getVerificationKey', () => {
+  const service = loadService({
+    JWT_KEYS: JSON.stringify(KEYS),
+    JWT_ACTIVE_KID: 'hmac-1'
+  });
+
+  test('picks the key named by the kid of the token', () => {
+    const token = service.signToken({ id: 'user-1' }, { expiresIn: 60 });
+    expect(service.getVerificationKey(token).kid).toBe('hmac-1');
+    expect(service.verifyToken(token).id).toBe('user-1');
+
+    const rsaToken = jwt.sign({ id: 'user-2' }, rsaPem, {
+      algorithm: 'RS256',
+      keyid: 'rsa-1'
+    });
+    expect(service.getVerificationKey(rsaToken).kid).toBe('rsa-1');
+  });
+
+  test('rejects an unknown kid', () => {
+    const token = jwt.sign({ id: 'user-1' }, 'new-secret', { keyid: 'retired' });
+    expect(() => service.getVerificationKey(token)).toThrow('Unknown signing key retired');
+  });
+
+  test('rejects a token whose algorithm is not the one of its key', () => {
+    // an HMAC token signed with the public key of an RSA key must not pass
+    const publicKey = crypto.createPublicKey(rsaPem).export({
+      type: 'spki',
+      format: 'pem'
+    });
+    const forged = [
+      Buffer.from(JSON.stringify({
+        alg: 'HS256',
+        typ: 'JWT',
+        kid: 'rsa-1'
+      })).toString('base64url'),
+      Buffer.from(JSON.stringify({ id: 'admin' })).toString('base64url')
+    ].join('.');
+    const signature = crypto.createHmac('sha256', publicKey).update(forged).digest('base64url');
+    expect(() => service.getVerificationKey(`${forged}.${signature}`)).toThrow('Token algorithm HS256 does not match key rsa-1');
+  });
+
+  test('verifies tokens without kid with the legacy key only', () => {
+    const legacyToken = jwt.sign({ id: 'user-3' }, 'old-secret');
+    expect(service.getVerificationKey(legacyToken).kid).toBe('legacy');
+    expect(service.verifyToken(legacyToken).id).toBe('user-3');
+
+    const rsaToken = jwt.sign({ id: 'user-3' }, rsaPem, { algorithm: 'RS256' });
+    expect(() => service.getVerificationKey(rsaToken)).toThrow('Token without kid');
+  });
+
+  test('rejects a malformed token', () => {
+    expect(() => service.getVerificationKey('not-a-token')).toThrow('Malformed token');
+  });
+});
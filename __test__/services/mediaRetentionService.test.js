@@ -0,0 +1,319 @@
+/**
+ * mediaRetentionService.test.js
+ * @description :: test cases of the media purge and of the legal hold protecting applications from it.
+ */
+
+jest.mock('../../model/workspace', () => ({ find: jest.fn() }));
+jest.mock('../../model/application', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../model/response', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../model/mediaProcessingStatus', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../model/job', () => ({ find: jest.fn() }));
+jest.mock('../../utils/dbService');
+jest.mock('../../services/storage');
+
+const Application = require('../../model/application');
+const Response = require('../../model/response');
+const MediaProcessingStatus = require('../../model/mediaProcessingStatus');
+const Job = require('../../model/job');
+const dbService = require('../../utils/dbService');
+const { getStorage } = require('../../services/storage');
+const mediaRetentionService = require('../../services/mediaRetentionService');
+const { REJECTED_STAGE } = require('../../constants/pipelineConstant');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// chainable stand-in of a mongoose query resolving to result
+const query = (result) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    lean: jest.fn().mockResolvedValue(result)
+  };
+  return chain;
+};
+
+const rejectedApplication = {
+  _id: 'application-1',
+  candidate: 'candidate-1',
+  job: 'job-1',
+  pipelineStage: REJECTED_STAGE,
+  stageHistory: [{
+    toStage: REJECTED_STAGE,
+    movedAt: new Date(Date.now() - 60 * DAY)
+  }],
+  preRequisiteQuestions: [{
+    questionType: 'upload',
+    answer: 'https://bucket.example.com/resumes/candidate-1/cv.pdf'
+  }]
+};
+
+describe('mediaRetentionService', () => {
+  let storage;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    storage = {
+      listObjects: jest.fn(async (prefix) => ({
+        objects: prefix === 'video-chunks/application-1/' ? [{
+          Key: 'video-chunks/application-1/q1/0.webm',
+          Size: 100
+        }, {
+          Key: 'video-chunks/application-1/q1/1.webm',
+          Size: 50
+        }] : [],
+        isTruncated: false
+      })),
+      getKeyFromUrl: jest.fn((url) => url.replace('https://bucket.example.com/', '')),
+      headObject: jest.fn().mockResolvedValue({ contentLength: 25 }),
+      deleteObject: jest.fn().mockResolvedValue({})
+    };
+    getStorage.mockReturnValue(storage);
+    dbService.findOne.mockResolvedValue({
+      mediaRetention: {
+        enabled: true,
+        rejectedAfterDays: 30
+      }
+    });
+    Job.find.mockReturnValue(query([{ _id: 'job-1' }]));
+    Application.find.mockReturnValue(query([rejectedApplication]));
+    Response.find.mockReturnValue(query([{ _id: 'response-1' }]));
+    MediaProcessingStatus.find.mockReturnValue(query([]));
+  });
+
+  describe('setLegalHold', () => {
+    test('holds an application of the workspace', async () => {
+      Application.findOneAndUpdate.mockResolvedValue({
+        _id: 'application-1',
+        legalHold: { active: true }
+      });
+
+      const result = await mediaRetentionService.setLegalHold({
+        applicationId: 'application-1',
+        workspaceId: 'workspace-1',
+        active: true,
+        reason: 'litigation',
+        userId: 'user-1'
+      });
+
+      expect(result.success).toBe(true);
+      expect(Job.find).toHaveBeenCalledWith({ workspace: 'workspace-1' });
+      expect(Application.findOneAndUpdate).toHaveBeenCalledWith({
+        _id: 'application-1',
+        job: { $in: ['job-1'] }
+      }, expect.objectContaining({
+        legalHold: expect.objectContaining({
+          active: true,
+          reason: 'litigation',
+          setBy: 'user-1'
+        })
+      }), { new: true });
+    });
+
+    test('drops the reason when the hold is released', async () => {
+      Application.findOneAndUpdate.mockResolvedValue({ _id: 'application-1' });
+
+      await mediaRetentionService.setLegalHold({
+        applicationId: 'application-1',
+        workspaceId: 'workspace-1',
+        active: false,
+        reason: 'litigation',
+        userId: 'user-1'
+      });
+
+      expect(Application.findOneAndUpdate.mock.calls[0][1].legalHold.reason).toBeUndefined();
+    });
+
+    test('does not find an application of another workspace', async () => {
+      Application.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await mediaRetentionService.setLegalHold({
+        applicationId: 'application-2',
+        workspaceId: 'workspace-1',
+        active: true,
+        userId: 'user-1'
+      });
+
+      expect(result).toEqual({
+        success: false,
+        code: 404,
+        message: 'Application not found'
+      });
+    });
+  });
+
+  describe('findExpiredApplications', () => {
+    test('leaves held and already purged applications out', async () => {
+      const expired = await mediaRetentionService.findExpiredApplications({
+        workspaceId: 'workspace-1',
+        settings: { rejectedAfterDays: 30 }
+      });
+
+      expect(expired).toHaveLength(1);
+      expect(expired[0].reason).toBe(mediaRetentionService.PURGE_REASONS.REJECTED);
+      expect(Application.find).toHaveBeenCalledWith(expect.objectContaining({
+        job: { $in: ['job-1'] },
+        'legalHold.active': { $ne: true },
+        mediaPurgedAt: null
+      }));
+    });
+
+    test('counts from the last rejection of a candidate moved back and rejected again', async () => {
+      Application.find.mockReturnValue(query([{
+        ...rejectedApplication,
+        stageHistory: [
+          ...rejectedApplication.stageHistory,
+          {
+            toStage: REJECTED_STAGE,
+            movedAt: new Date(Date.now() - 2 * DAY)
+          }
+        ]
+      }]));
+
+      const expired = await mediaRetentionService.findExpiredApplications({
+        workspaceId: 'workspace-1',
+        settings: { rejectedAfterDays: 30 }
+      });
+
+      expect(expired).toEqual([]);
+    });
+
+    test('finds the applications rejected in the stage of a custom pipeline', async () => {
+      dbService.findOne.mockResolvedValue({
+        pipelineStages: [
+          {
+            key: 'review',
+            order: 1,
+            isTerminal: false
+          },
+          {
+            key: 'hired',
+            order: 2,
+            isTerminal: true
+          },
+          {
+            key: 'declined',
+            order: 3,
+            reasons: ['Position filled'],
+            requireReason: true,
+            isTerminal: true
+          }
+        ]
+      });
+      Application.find.mockReturnValue(query([{
+        ...rejectedApplication,
+        pipelineStage: 'declined',
+        stageHistory: [{
+          toStage: 'declined',
+          movedAt: new Date(Date.now() - 60 * DAY)
+        }]
+      }]));
+
+      const expired = await mediaRetentionService.findExpiredApplications({
+        workspaceId: 'workspace-1',
+        settings: { rejectedAfterDays: 30 }
+      });
+
+      expect(expired).toHaveLength(1);
+      expect(expired[0].reason).toBe(mediaRetentionService.PURGE_REASONS.REJECTED);
+      expect(Application.find).toHaveBeenCalledWith(expect.objectContaining({
+        pipelineStage: { $in: ['declined'] },
+        stageHistory: {
+          $elemMatch: {
+            toStage: { $in: ['declined'] },
+            movedAt: { $lte: expect.any(Date) }
+          }
+        }
+      }));
+    });
+  });
+
+  describe('applyRetention', () => {
+    test('reports the media of expired applications without deleting it in a dry run', async () => {
+      const result = await mediaRetentionService.applyRetention({ workspaceId: 'workspace-1' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.totals).toEqual({
+        applications: 1,
+        objects: 4,
+        bytes: 200,
+        failed: 0
+      });
+      expect(storage.deleteObject).not.toHaveBeenCalled();
+      expect(Application.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('purges the media and clears the references to it', async () => {
+      const result = await mediaRetentionService.applyRetention({
+        workspaceId: 'workspace-1',
+        dryRun: false
+      });
+
+      expect(result.data.applications[0]).toMatchObject({
+        deleted: 4,
+        failed: []
+      });
+      expect(storage.deleteObject.mock.calls.map(([key]) => key).sort()).toEqual([
+        'interviews/application-1_interview.mp4',
+        'resumes/candidate-1/cv.pdf',
+        'video-chunks/application-1/q1/0.webm',
+        'video-chunks/application-1/q1/1.webm'
+      ]);
+      expect(Response.updateMany).toHaveBeenCalledWith({ _id: { $in: ['response-1'] } }, expect.objectContaining({ $unset: expect.any(Object) }));
+      expect(MediaProcessingStatus.updateMany).toHaveBeenCalledWith({ application: 'application-1' }, expect.any(Object));
+      expect(Application.updateOne).toHaveBeenCalledWith({ _id: 'application-1' }, expect.objectContaining({
+        $set: expect.objectContaining({
+          mediaPurgedAt: expect.any(Date),
+          mediaPurgeReason: mediaRetentionService.PURGE_REASONS.REJECTED
+        })
+      }), expect.any(Object));
+    });
+
+    test('keeps the references when a deletion fails so the next run retries', async () => {
+      storage.deleteObject.mockImplementation(async (key) => {
+        if (key === 'resumes/candidate-1/cv.pdf') {
+          throw new Error('AccessDenied');
+        }
+        return {};
+      });
+
+      const result = await mediaRetentionService.applyRetention({
+        workspaceId: 'workspace-1',
+        dryRun: false
+      });
+
+      expect(result.data.applications[0]).toMatchObject({
+        deleted: 3,
+        failed: [{
+          key: 'resumes/candidate-1/cv.pdf',
+          error: 'AccessDenied'
+        }]
+      });
+      expect(result.data.totals.failed).toBe(1);
+      expect(Response.updateMany).not.toHaveBeenCalled();
+      expect(MediaProcessingStatus.updateMany).not.toHaveBeenCalled();
+      expect(Application.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('does nothing while retention is disabled', async () => {
+      dbService.findOne.mockResolvedValue({ mediaRetention: { rejectedAfterDays: 30 } });
+
+      const result = await mediaRetentionService.applyRetention({
+        workspaceId: 'workspace-1',
+        dryRun: false
+      });
+
+      expect(result.data.applications).toEqual([]);
+      expect(Application.find).not.toHaveBeenCalled();
+    });
+  });
+});
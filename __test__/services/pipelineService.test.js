@@ -0,0 +1,157 @@
+/**
+ * pipelineService.test.js
+ * @description :: test cases of the stage moves of applications.
+ */
+
+jest.mock('../../model/workspace', () => ({}));
+jest.mock('../../model/application', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../model/job', () => ({ find: jest.fn() }));
+jest.mock('../../utils/dbService');
+
+const Application = require('../../model/application');
+const Job = require('../../model/job');
+const dbService = require('../../utils/dbService');
+const pipelineService = require('../../services/pipelineService');
+
+// chainable stand-in of a mongoose query resolving to result
+const query = (result) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    lean: jest.fn().mockResolvedValue(result)
+  };
+  return chain;
+};
+
+const move = (params) => pipelineService.moveApplicationsToStage({
+  userId: 'user-1',
+  workspaceId: 'workspace-1',
+  ...params
+});
+
+describe('pipelineService.moveApplicationsToStage', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    dbService.findOne.mockResolvedValue(null);
+    Job.find.mockReturnValue(query([{ _id: 'job-1' }]));
+  });
+
+  test('rejects a stage the pipeline does not have', async () => {
+    const result = await move({
+      applicationIds: ['application-1'],
+      toStage: 'archived'
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('INVALID_STAGE');
+    expect(Application.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('requires one of the stage reasons', async () => {
+    expect((await move({
+      applicationIds: ['application-1'],
+      toStage: 'rejected'
+    })).code).toBe('REASON_REQUIRED');
+    expect((await move({
+      applicationIds: ['application-1'],
+      toStage: 'rejected',
+      reason: 'Too far away'
+    })).code).toBe('INVALID_REASON');
+  });
+
+  test('sorts applications into moved, unchanged, not found and conflicts', async () => {
+    Application.find.mockReturnValue(query([
+      {
+        _id: 'application-1',
+        pipelineStage: 'screening'
+      },
+      {
+        _id: 'application-2',
+        pipelineStage: 'panel'
+      },
+      { _id: 'application-3' },
+      {
+        _id: 'application-4',
+        pipelineStage: 'screening'
+      }
+    ]));
+    // application-4 was moved by someone else between the read and the write
+    Application.updateOne.mockImplementation(async (filter) => ({ matchedCount: filter._id === 'application-4' ? 0 : 1 }));
+
+    const result = await move({
+      applicationIds: ['application-1', 'application-2', 'application-3', 'application-4', 'application-5'],
+      toStage: 'panel',
+      note: 'strong profile'
+    });
+
+    expect(result).toEqual({
+      success: true,
+      data: {
+        stage: 'panel',
+        moved: ['application-1', 'application-3'],
+        unchanged: ['application-2'],
+        notFound: ['application-5'],
+        conflicts: ['application-4']
+      }
+    });
+    expect(Application.find).toHaveBeenCalledWith(expect.objectContaining({ job: { $in: ['job-1'] } }));
+  });
+
+  test('guards each write on the stage it was read in and records the move', async () => {
+    Application.find.mockReturnValue(query([
+      {
+        _id: 'application-1',
+        pipelineStage: 'panel'
+      },
+      { _id: 'application-2' }
+    ]));
+    Application.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+    await move({
+      applicationIds: ['application-1', 'application-2'],
+      toStage: 'rejected',
+      reason: 'Position filled'
+    });
+
+    expect(Application.updateOne).toHaveBeenNthCalledWith(1, {
+      _id: 'application-1',
+      pipelineStage: 'panel'
+    }, {
+      $set: {
+        pipelineStage: 'rejected',
+        shortlisted: false,
+        updatedBy: 'user-1'
+      },
+      $push: {
+        stageHistory: expect.objectContaining({
+          fromStage: 'panel',
+          toStage: 'rejected',
+          reason: 'Position filled',
+          movedBy: 'user-1',
+          movedAt: expect.any(Date)
+        })
+      }
+    });
+    expect(Application.updateOne.mock.calls[1][0]).toEqual({
+      _id: 'application-2',
+      pipelineStage: null
+    });
+  });
+
+  test('mirrors the shortlisted stage on the legacy flag', async () => {
+    Application.find.mockReturnValue(query([{
+      _id: 'application-1',
+      pipelineStage: 'screening'
+    }]));
+    Application.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+    await move({
+      applicationIds: ['application-1'],
+      toStage: 'shortlisted'
+    });
+
+    expect(Application.updateOne.mock.calls[0][1].$set.shortlisted).toBe(true);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * sessionService.test.js
+ * @description :: test cases of refresh token rotation and reuse detection.
+ */
+
+jest.mock('../../model/user', () => ({}));
+jest.mock('../../utils/dbService');
+
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const dbService = require('../../utils/dbService');
+const userTokens = require('../../model/userTokens');
+const sessionService = require('../../services/sessionService');
+const {
+  USER_TYPES, SESSION_REVOKE_REASONS
+} = require('../../constants/authConstant');
+
+const refreshToken = 'refresh-token';
+const refreshTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+const buildSession = (fields = {}) => ({
+  _id: 'session-1',
+  userId: 'user-1',
+  family: 'family-1',
+  refreshTokenHash,
+  refreshTokenExpiredTime: dayjs().add(1, 'day').toISOString(),
+  isTokenExpired: false,
+  loginAt: new Date('2026-01-01T00:00:00Z'),
+  device: {
+    userAgent: 'jest',
+    name: 'laptop'
+  },
+  ...fields
+});
+
+const user = {
+  id: 'user-1',
+  email: 'user@example.com',
+  userType: USER_TYPES.Recruiter,
+  toJSON () {
+    return {
+      id: this.id,
+      email: this.email
+    };
+  }
+};
+
+describe('sessionService.refreshSession', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('rejects an unknown refresh token', async () => {
+    dbService.findOne.mockResolvedValueOnce(null);
+
+    const result = await sessionService.refreshSession(refreshToken);
+
+    expect(dbService.findOne).toHaveBeenCalledWith(userTokens, { refreshTokenHash });
+    expect(result).toEqual({
+      flag: true,
+      data: 'Invalid refresh token'
+    });
+  });
+
+  test('revokes the whole family when a rotated token is presented again', async () => {
+    dbService.findOne.mockResolvedValueOnce(buildSession({
+      rotatedAt: new Date(),
+      isTokenExpired: true
+    }));
+    dbService.updateMany.mockResolvedValueOnce(2);
+
+    const result = await sessionService.refreshSession(refreshToken);
+
+    expect(result.flag).toBe(true);
+    expect(result.data).toBe('Refresh token was already used, please login again');
+    expect(dbService.updateMany).toHaveBeenCalledWith(userTokens, {
+      userId: 'user-1',
+      family: 'family-1',
+      isTokenExpired: false
+    }, expect.objectContaining({
+      isTokenExpired: true,
+      revokedReason: SESSION_REVOKE_REASONS.REFRESH_TOKEN_REUSE
+    }));
+    expect(dbService.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects a revoked session', async () => {
+    dbService.findOne.mockResolvedValueOnce(buildSession({ isTokenExpired: true }));
+
+    const result = await sessionService.refreshSession(refreshToken);
+
+    expect(result).toEqual({
+      flag: true,
+      data: 'Session was revoked, please login again'
+    });
+    expect(dbService.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('rejects an expired refresh token', async () => {
+    dbService.findOne.mockResolvedValueOnce(buildSession({ refreshTokenExpiredTime: dayjs().subtract(1, 'minute').toISOString() }));
+
+    const result = await sessionService.refreshSession(refreshToken);
+
+    expect(result).toEqual({
+      flag: true,
+      data: 'Refresh token is expired, please login again'
+    });
+    expect(dbService.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('revokes the session of a user who lost access', async () => {
+    dbService.findOne
+      .mockResolvedValueOnce(buildSession())
+      .mockResolvedValueOnce(null);
+
+    const result = await sessionService.refreshSession(refreshToken);
+
+    expect(result).toEqual({
+      flag: true,
+      data: 'you are unable to access this platform'
+    });
+    expect(dbService.updateMany).toHaveBeenCalledWith(userTokens, expect.any(Object), expect.objectContaining({ revokedReason: SESSION_REVOKE_REASONS.REVOKED }));
+  });
+
+  test('rotates the refresh token into a new session of the same family', async () => {
+    const session = buildSession();
+    dbService.findOne
+      .mockResolvedValueOnce(session)
+      .mockResolvedValueOnce(user);
+    dbService.updateOne.mockResolvedValue(session);
+    dbService.create.mockImplementation(async (model, data) => ({
+      _id: 'session-2',
+      id: 'session-2',
+      ...data
+    }));
+
+    const result = await sessionService.refreshSession(refreshToken, { ipAddress: '10.0.0.1' });
+
+    expect(result.flag).toBe(false);
+    expect(result.data.sessionId).toBe('session-2');
+    expect(result.data.token).toEqual(expect.any(String));
+    expect(result.data.refreshToken).not.toBe(refreshToken);
+
+    expect(dbService.updateOne).toHaveBeenNthCalledWith(1, userTokens, {
+      _id: 'session-1',
+      rotatedAt: { $exists: false },
+      isTokenExpired: false
+    }, expect.objectContaining({
+      isTokenExpired: true,
+      revokedReason: SESSION_REVOKE_REASONS.ROTATED
+    }));
+    const created = dbService.create.mock.calls[0][1];
+    expect(created).toMatchObject({
+      userId: 'user-1',
+      family: 'family-1',
+      loginAt: session.loginAt,
+      ipAddress: '10.0.0.1',
+      device: {
+        userAgent: 'jest',
+        name: 'laptop'
+      }
+    });
+    expect(created.refreshTokenHash).toBe(crypto.createHash('sha256').update(result.data.refreshToken).digest('hex'));
+    expect(dbService.updateOne).toHaveBeenNthCalledWith(2, userTokens, { _id: 'session-1' }, { replacedBy: 'session-2' });
+  });
+
+  test('treats a token rotated by a concurrent request as reused', async () => {
+    const session = buildSession();
+    dbService.findOne
+      .mockResolvedValueOnce(session)
+      .mockResolvedValueOnce(user)
+      .mockResolvedValueOnce(buildSession({
+        rotatedAt: new Date(),
+        isTokenExpired: true
+      }));
+    dbService.updateOne.mockResolvedValueOnce(null);
+    dbService.updateMany.mockResolvedValueOnce(2);
+
+    const result = await sessionService.refreshSession(refreshToken);
+
+    expect(result.data).toBe('Refresh token was already used, please login again');
+    expect(dbService.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * localDriver.test.js
+ * @description :: test cases of the object keys accepted by the local storage driver.
+ */
+
+const os = require('os');
+const path = require('path');
+const LocalStorageDriver = require('../../../services/storage/localDriver');
+
+describe('LocalStorageDriver.resolveKey', () => {
+  const rootDir = path.join(os.tmpdir(), 'local-driver-test');
+  const driver = new LocalStorageDriver({
+    rootDir,
+    baseUrl: 'http://localhost:3000/'
+  });
+
+  test('keeps keys inside the storage root', () => {
+    expect(driver.resolveKey('interviews/app-1/video.webm')).toBe(path.join('interviews', 'app-1', 'video.webm'));
+    expect(driver.resolveKey('/interviews/app-1/video.webm')).toBe(path.join('interviews', 'app-1', 'video.webm'));
+    expect(driver.objectPath('interviews/app-1/video.webm')).toBe(path.join(rootDir, 'objects', 'interviews', 'app-1', 'video.webm'));
+    expect(driver.metaPath('interviews/app-1/video.webm')).toBe(path.join(rootDir, 'meta', 'interviews', 'app-1', 'video.webm.json'));
+  });
+
+  test.each([
+    ['../outside'],
+    ['interviews/../../outside'],
+    ['interviews/./video.webm'],
+    ['interviews//video.webm'],
+    ['interviews/video.webm/'],
+    ['interviews/video\0.webm'],
+    [''],
+    [undefined],
+  ])('rejects the key %p', (key) => {
+    expect(() => driver.resolveKey(key)).toThrow(expect.objectContaining({
+      code: 'InvalidKey',
+      statusCode: 400
+    }));
+  });
+
+  test('keeps encoded traversal sequences as plain names', () => {
+    expect(driver.objectPath('interviews/%2e%2e/video.webm')).toBe(path.join(rootDir, 'objects', 'interviews', '%2e%2e', 'video.webm'));
+  });
+
+  test('rejects upload ids that are not generated ones', () => {
+    expect(driver.uploadDir('0123456789abcdef0123456789abcdef')).toBe(path.join(rootDir, 'multipart', '0123456789abcdef0123456789abcdef'));
+    expect(() => driver.uploadDir('../../etc')).toThrow(expect.objectContaining({ code: 'NoSuchUpload' }));
+  });
+});
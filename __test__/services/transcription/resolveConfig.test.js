@@ -0,0 +1,56 @@
+/**
+ * resolveConfig.test.js
+ * @description :: test cases of the whisper.cpp models a workspace can pick.
+ */
+
+const path = require('path');
+const { resolveConfig } = require('../../../services/transcription');
+const transcriptionSchemaKey = require('../../../utils/validation/transcriptionValidation');
+const { TRANSCRIPTION_PROVIDERS } = require('../../../constants/transcriptionConstant');
+
+const env = {
+  TRANSCRIPTION_PROVIDER: TRANSCRIPTION_PROVIDERS.WHISPER_CPP,
+  WHISPER_CPP_MODEL: '/opt/whisper/ggml-base.en.bin',
+  WHISPER_CPP_MODELS_DIR: '/opt/whisper'
+};
+
+const modelOf = (model, environment = env) => resolveConfig({ model }, environment).model;
+
+describe('transcription resolveConfig whisper.cpp model', () => {
+  test('keeps the model of the environment when the workspace picks none', () => {
+    expect(modelOf(undefined)).toBe('/opt/whisper/ggml-base.en.bin');
+  });
+
+  test('reads a named model from the models directory', () => {
+    expect(modelOf('small.en')).toBe(path.join('/opt/whisper', 'ggml-small.en.bin'));
+    expect(modelOf('base', { TRANSCRIPTION_PROVIDER: TRANSCRIPTION_PROVIDERS.WHISPER_CPP })).toBe(path.join('models', 'ggml-base.bin'));
+  });
+
+  test('accepts a file name of the models directory once it is configured', () => {
+    expect(modelOf('ggml-custom-q5.bin')).toBe(path.join('/opt/whisper', 'ggml-custom-q5.bin'));
+    expect(() => modelOf('ggml-custom-q5.bin', { TRANSCRIPTION_PROVIDER: TRANSCRIPTION_PROVIDERS.WHISPER_CPP })).toThrow('Unknown whisper.cpp model');
+  });
+
+  test.each([
+    ['/etc/passwd'],
+    ['../secrets/ggml.bin'],
+    ['models\\ggml.bin'],
+    ['..']
+  ])('refuses the path %p', (model) => {
+    expect(() => modelOf(model)).toThrow('Unknown whisper.cpp model');
+  });
+});
+
+describe('transcription settings validation', () => {
+  test('refuses whisper.cpp models with path separators', () => {
+    const { error } = transcriptionSchemaKey.settingsKeys.validate({
+      provider: TRANSCRIPTION_PROVIDERS.WHISPER_CPP,
+      model: '/etc/passwd'
+    });
+    expect(error).toBeDefined();
+    expect(transcriptionSchemaKey.settingsKeys.validate({
+      provider: TRANSCRIPTION_PROVIDERS.WHISPER_CPP,
+      model: 'base.en'
+    }).error).toBeUndefined();
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * inspectUpload.test.js
+ * @description :: test cases of the size, content type and malware checks of uploads.
+ */
+
+jest.mock('../../../services/storage');
+
+const { getStorage } = require('../../../services/storage');
+const {
+  inspectUpload, setUploadScanner
+} = require('../../../services/upload');
+const {
+  UPLOAD_TYPES, UPLOAD_TYPE_RULES, UPLOAD_SCAN_STATUS
+} = require('../../../constants/uploadConstant');
+
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n1 0 obj\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]);
+const WEBM = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01]);
+const EXECUTABLE = Buffer.from('MZ\x90\x00\x03\x00\x00\x00', 'binary');
+
+describe('inspectUpload', () => {
+  const putObject = jest.fn();
+
+  beforeEach(() => {
+    putObject.mockReset().mockResolvedValue({});
+    getStorage.mockReturnValue({ putObject });
+    setUploadScanner(null);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects an unknown upload type', async () => {
+    const result = await inspectUpload({
+      uploadType: 'executable',
+      buffer: PDF
+    });
+    expect(result).toMatchObject({
+      success: false,
+      code: 400,
+      message: 'Unknown upload type executable'
+    });
+  });
+
+  test('rejects files over the size limit of their type before reading them', async () => {
+    const result = await inspectUpload({
+      uploadType: UPLOAD_TYPES.RESUME,
+      filePath: '/does/not/exist.pdf',
+      size: UPLOAD_TYPE_RULES[UPLOAD_TYPES.RESUME].maxSize + 1
+    });
+    expect(result.success).toBe(false);
+    expect(result.code).toBe(400);
+    expect(result.message).toMatch(/^File is larger than the \d+ MB allowed for resume uploads$/);
+  });
+
+  test('accepts a file at the size limit', async () => {
+    const result = await inspectUpload({
+      uploadType: UPLOAD_TYPES.RESUME,
+      buffer: PDF,
+      size: UPLOAD_TYPE_RULES[UPLOAD_TYPES.RESUME].maxSize
+    });
+    expect(result.success).toBe(true);
+  });
+
+  test('takes the content type from the bytes, not from the name or the declared type', async () => {
+    const result = await inspectUpload({
+      uploadType: UPLOAD_TYPES.RESUME,
+      buffer: PNG,
+      fileName: 'resume.pdf',
+      declaredType: 'application/pdf'
+    });
+    expect(result).toMatchObject({
+      success: false,
+      code: 400,
+      message: 'File content (image/png) is not allowed for resume uploads'
+    });
+  });
+
+  test('rejects content without a known signature', async () => {
+    const result = await inspectUpload({
+      uploadType: UPLOAD_TYPES.DOCUMENT,
+      buffer: EXECUTABLE,
+      fileName: 'report.pdf',
+      declaredType: 'application/pdf'
+    });
+    expect(result).toMatchObject({
+      success: false,
+      code: 400,
+      message: 'File content does not match any allowed file type'
+    });
+  });
+
+  test('uses the declared type to pick between formats sharing a container', async () => {
+    const result = await inspectUpload({
+      uploadType: UPLOAD_TYPES.MEDIA,
+      buffer: WEBM,
+      declaredType: 'audio/webm;codecs=opus'
+    });
+    expect(result).toEqual({
+      success: true,
+      mimeType: 'audio/webm',
+      scan: { status: UPLOAD_SCAN_STATUS.SKIPPED }
+    });
+  });
+
+  test('accepts bare video chunk slices', async () => {
+    const result = await inspectUpload({
+      uploadType: UPLOAD_TYPES.VIDEO_CHUNK,
+      buffer: Buffer.from([0x43, 0xb6, 0x75, 0x01, 0xff]),
+      declaredType: 'video/webm'
+    });
+    expect(result).toMatchObject({
+      success: true,
+      mimeType: 'video/webm'
+    });
+  });
+
+  test('returns the scan of a clean file', async () => {
+    const scan = jest.fn().mockResolvedValue({ status: UPLOAD_SCAN_STATUS.CLEAN });
+    setUploadScanner({ scan });
+    const result = await inspectUpload({
+      uploadType: UPLOAD_TYPES.RESUME,
+      buffer: PDF,
+      fileName: 'resume.pdf'
+    });
+    expect(scan).toHaveBeenCalledWith(PDF);
+    expect(result).toEqual({
+      success: true,
+      mimeType: 'application/pdf',
+      scan: { status: UPLOAD_SCAN_STATUS.CLEAN }
+    });
+  });
+
+  test('quarantines a flagged file', async () => {
+    setUploadScanner({
+      scan: jest.fn().mockResolvedValue({
+        status: UPLOAD_SCAN_STATUS.INFECTED,
+        signature: 'Eicar-Test-Signature'
+      })
+    });
+    const result = await inspectUpload({
+      uploadType: UPLOAD_TYPES.RESUME,
+      buffer: PDF,
+      key: 'resumes/user-1/resume.pdf'
+    });
+    expect(result).toMatchObject({
+      success: false,
+      code: 422,
+      quarantined: true
+    });
+    const [quarantineKey, body, options] = putObject.mock.calls[0];
+    expect(quarantineKey).not.toBe('resumes/user-1/resume.pdf');
+    expect(quarantineKey).toContain('resumes/user-1/resume.pdf');
+    expect(body).toBe(PDF);
+    expect(options).toMatchObject({
+      isPublic: false,
+      metadata: { 'scan-signature': 'Eicar-Test-Signature' }
+    });
+  });
+
+  test('rejects the upload when the scanner can not be reached', async () => {
+    setUploadScanner({ scan: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) });
+    const result = await inspectUpload({
+      uploadType: UPLOAD_TYPES.AVATAR,
+      buffer: PNG
+    });
+    expect(result).toMatchObject({
+      success: false,
+      code: 503
+    });
+  });
+});
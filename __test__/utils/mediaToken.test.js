@@ -0,0 +1,84 @@
+/**
+ * mediaToken.test.js
+ * @description :: test cases of the signed tokens of playback links.
+ */
+
+const {
+  createMediaToken, verifyMediaToken
+} = require('../../utils/mediaToken');
+
+describe('utils/mediaToken', () => {
+  const payload = {
+    key: 'interviews/app-1/question-1/playlist.m3u8',
+    scope: 'playback'
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('verifies a token it signed', () => {
+    const {
+      token, expiresAt
+    } = createMediaToken(payload, 60);
+    const verified = verifyMediaToken(token);
+    expect(verified).toMatchObject(payload);
+    expect(verified.exp * 1000).toBe(expiresAt.getTime());
+  });
+
+  test('refuses a token whose payload was changed', () => {
+    const { token } = createMediaToken(payload, 60);
+    const signature = token.split('.')[1];
+    const forgedPayload = Buffer.from(JSON.stringify({
+      ...payload,
+      key: 'interviews/app-2/question-1/playlist.m3u8',
+      exp: Math.floor(Date.now() / 1000) + 60
+    })).toString('base64url');
+    expect(verifyMediaToken(`${forgedPayload}.${signature}`)).toBeNull();
+  });
+
+  test('refuses a token whose signature was changed', () => {
+    const { token } = createMediaToken(payload, 60);
+    const [encodedPayload, signature] = token.split('.');
+    const flipped = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+    expect(verifyMediaToken(`${encodedPayload}.${flipped}`)).toBeNull();
+    expect(verifyMediaToken(`${encodedPayload}.${signature.slice(1)}`)).toBeNull();
+  });
+
+  test('refuses an expired token', () => {
+    const { token } = createMediaToken(payload, 60);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+    expect(verifyMediaToken(token)).toBeNull();
+  });
+
+  test('refuses malformed tokens', () => {
+    expect(verifyMediaToken(undefined)).toBeNull();
+    expect(verifyMediaToken('')).toBeNull();
+    expect(verifyMediaToken('only-payload')).toBeNull();
+  });
+
+  test('refuses tokens signed with another secret', () => {
+    const previous = { ...process.env };
+    process.env.MEDIA_URL_SECRET = 'first-secret';
+    const { token } = createMediaToken(payload, 60);
+    process.env.MEDIA_URL_SECRET = 'second-secret';
+    try {
+      expect(verifyMediaToken(token)).toBeNull();
+    } finally {
+      process.env = previous;
+    }
+  });
+
+  test('refuses to load in production without MEDIA_URL_SECRET', () => {
+    const previous = { ...process.env };
+    process.env.NODE_ENV = 'production';
+    delete process.env.MEDIA_URL_SECRET;
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../../utils/mediaToken')).toThrow('MEDIA_URL_SECRET must be set in production');
+      });
+    } finally {
+      process.env = previous;
+    }
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * totp.test.js
+ * @description :: test cases of the one-time passwords of authenticator apps and of the stored secret encryption.
+ */
+
+const totp = require('../../utils/totp');
+const { TOTP } = require('../../constants/authConstant');
+
+// RFC 6238 appendix B, SHA1 seed "12345678901234567890", codes truncated to 6 digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+];
+
+const stepOf = (seconds) => Math.floor(seconds / TOTP.PERIOD);
+
+describe('utils/totp base32', () => {
+  test('encodes and decodes a secret', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==').toString()).toBe('12345678901234567890');
+  });
+
+  test('rejects characters out of the alphabet', () => {
+    expect(() => totp.base32Decode('GEZD1')).toThrow('Invalid base32 character "1"');
+  });
+});
+
+describe('utils/totp.verifyCode', () => {
+  test.each(RFC_VECTORS)('matches the RFC 6238 code at %i', (seconds, code) => {
+    expect(totp.generateCode(RFC_SECRET, stepOf(seconds))).toBe(code);
+    expect(totp.verifyCode(RFC_SECRET, code, { time: seconds * 1000 })).toBe(stepOf(seconds));
+  });
+
+  test('accepts codes of the steps around the current one only', () => {
+    const time = 1234567890 * 1000;
+    const current = stepOf(1234567890);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, current - TOTP.WINDOW), { time })).toBe(current - TOTP.WINDOW);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, current + TOTP.WINDOW), { time })).toBe(current + TOTP.WINDOW);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, current - TOTP.WINDOW - 1), { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, current + TOTP.WINDOW + 1), { time })).toBeNull();
+  });
+
+  test('refuses a step that was already used', () => {
+    const time = 1234567890 * 1000;
+    const current = stepOf(1234567890);
+    const code = totp.generateCode(RFC_SECRET, current);
+    expect(totp.verifyCode(RFC_SECRET, code, {
+      time,
+      afterStep: current
+    })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, code, {
+      time,
+      afterStep: current - 1
+    })).toBe(current);
+  });
+
+  test('ignores spaces and refuses malformed codes', () => {
+    expect(totp.verifyCode(RFC_SECRET, '005 924', { time: 1234567890 * 1000 })).toBe(stepOf(1234567890));
+    expect(totp.verifyCode(RFC_SECRET, '05924', { time: 1234567890 * 1000 })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', { time: 1234567890 * 1000 })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, undefined, { time: 1234567890 * 1000 })).toBeNull();
+  });
+});
+
+describe('utils/totp secret encryption', () => {
+  test('decrypts what it encrypted', () => {
+    const secret = totp.generateSecret();
+    const encrypted = totp.encryptSecret(secret);
+    expect(encrypted).not.toContain(secret);
+    expect(totp.decryptSecret(encrypted)).toBe(secret);
+  });
+
+  test('refuses a tampered value', () => {
+    const [iv, tag, encrypted] = totp.encryptSecret(totp.generateSecret()).split('.');
+    const tampered = Buffer.from(encrypted, 'base64url');
+    tampered[0] ^= 1;
+    expect(() => totp.decryptSecret([iv, tag, tampered.toString('base64url')].join('.'))).toThrow();
+  });
+
+  test('refuses to load in production without TOTP_ENCRYPTION_KEY', () => {
+    const previous = { ...process.env };
+    process.env.NODE_ENV = 'production';
+    delete process.env.TOTP_ENCRYPTION_KEY;
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../../utils/totp')).toThrow('TOTP_ENCRYPTION_KEY must be set in production');
+      });
+    } finally {
+      process.env = previous;
+    }
+  });
+});
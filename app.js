@@ -23,7 +23,11 @@ const { clientPassportStrategy } = require('./config/clientPassportStrategy');
 const { googlePassportStrategy } = require('./config/googlePassportStrategy');
 const app = express();
 const httpServer = require('http').createServer(app);
-const corsOptions = { origin: process.env.ALLOW_ORIGIN, };
+const corsOptions = {
+  origin: process.env.ALLOW_ORIGIN,
+  // browsers read the ETag of each uploaded part to complete multipart uploads
+  exposedHeaders: ['ETag'],
+};
 app.use(cors(corsOptions));
 
 //template engine
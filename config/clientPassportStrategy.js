@@ -7,13 +7,23 @@
 const {
   Strategy, ExtractJwt 
 } = require('passport-jwt');
-const { JWT } = require('../constants/authConstant');
 const User = require('../model/user');
+const {
+  getVerificationKey, getAlgorithms
+} = require('../services/jwtKeyService');
 
 const clientPassportStrategy = (passport) => {
   const options = {};
   options.jwtFromRequest = ExtractJwt.fromAuthHeaderAsBearerToken();
-  options.secretOrKey = JWT.CLIENT_SECRET;
+  // the kid of the token picks one of the configured verification keys
+  options.secretOrKeyProvider = (request, rawJwtToken, done) => {
+    try {
+      done(null, getVerificationKey(rawJwtToken).verifyKey);
+    } catch (error) {
+      done(error);
+    }
+  };
+  options.algorithms = getAlgorithms();
   passport.use('client-rule',
     new Strategy(options, async (payload, done) => {
       try {
@@ -4,8 +4,60 @@
  */
 
 const JWT = {
+  // HS256 secret of the tokens signed before JWT_KEYS was configured, signs outside production only while no key is configured in JWT_KEYS
   CLIENT_SECRET: 'myjwtclientsecret',
-  EXPIRES_IN: 10000
+  EXPIRES_IN: 10000,
+  // lifetime of a refresh token in seconds, every refresh hands out a new one
+  REFRESH_EXPIRES_IN: 30 * 24 * 60 * 60
+};
+
+const JWT_ALGORITHMS = {
+  HS256: 'HS256',
+  RS256: 'RS256',
+  ES256: 'ES256',
+};
+
+// kid of the fallback key built from JWT.CLIENT_SECRET
+const JWT_LEGACY_KID = 'legacy';
+
+// seconds other services may cache the JWKS
+const JWKS_MAX_AGE = 10 * 60;
+
+// why a session (userTokens document) was closed
+const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  ROTATED: 'rotated',
+  REVOKED: 'revoked',
+  REVOKED_OTHERS: 'revoked_others',
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+};
+
+// lastUsedAt of a session is written at most once per this many seconds
+const SESSION_ACTIVITY_INTERVAL = 5 * 60;
+
+// second factors of a login, TOTP replaces the email code once an authenticator app is enrolled
+const TWO_FACTOR_METHODS = {
+  EMAIL: 'email',
+  TOTP: 'totp',
+  RECOVERY_CODE: 'recovery_code',
+};
+
+// RFC 6238 settings, the ones every authenticator app supports
+const TOTP = {
+  ISSUER: process.env.TOTP_ISSUER || 'Hyrefast',
+  DIGITS: 6,
+  PERIOD: 30,
+  // steps accepted before and after the current one, for clock drift
+  WINDOW: 1,
+  SECRET_BYTES: 20,
+  // minutes an enrollment waits for its confirmation code
+  ENROLLMENT_EXPIRES_IN: 15,
+};
+
+// single-use codes handed out when TOTP is confirmed, stored hashed
+const RECOVERY_CODES = {
+  COUNT: 10,
+  LENGTH: 10,
 };
 
 const USER_TYPES = {
@@ -38,6 +90,14 @@ const FORGOT_PASSWORD_WITH = {
 
 module.exports = {
   JWT,
+  JWT_ALGORITHMS,
+  JWT_LEGACY_KID,
+  JWKS_MAX_AGE,
+  SESSION_REVOKE_REASONS,
+  SESSION_ACTIVITY_INTERVAL,
+  TWO_FACTOR_METHODS,
+  TOTP,
+  RECOVERY_CODES,
   USER_TYPES,
   PLATFORM,
   MAX_LOGIN_RETRY_LIMIT,
@@ -0,0 +1,121 @@
+/**
+ * llmConstant.js
+ * @description :: LLM providers, tasks and the per-task generation defaults
+ */
+
+const LLM_PROVIDERS = {
+  OLLAMA: 'ollama',
+  OPENAI: 'openai',
+};
+
+const LLM_TASKS = {
+  RESPONSE_ANALYSIS: 'response_analysis',
+  OVERALL_ANALYSIS: 'overall_analysis',
+  JOB_DESCRIPTION: 'job_description',
+  INTERVIEW_QUESTIONS: 'interview_questions',
+  JOB_SCRAPING: 'job_scraping',
+  CHAT: 'chat',
+};
+
+const LLM_DEFAULTS = {
+  provider: LLM_PROVIDERS.OLLAMA,
+  baseUrl: 'https://ollama2.havenify.ai',
+  model: 'gemma3:latest',
+  timeout: 120000,
+  // retries after the first attempt of a call, 0 disables them
+  retries: 2,
+  retryDelay: 1000,
+};
+
+// ollama host and model a task used before they were configurable, kept when no LLM_* variable sets them
+const LLM_TASK_OLLAMA_DEFAULTS = {
+  [LLM_TASKS.CHAT]: { model: 'llama3.1:8b' },
+  [LLM_TASKS.JOB_DESCRIPTION]: { baseUrl: 'http://localhost:11434' },
+  [LLM_TASKS.INTERVIEW_QUESTIONS]: { baseUrl: 'http://localhost:11434' },
+  [LLM_TASKS.JOB_SCRAPING]: { baseUrl: 'http://localhost:11434' },
+};
+
+// ollama variables each task read before providers were configurable, chat only ever read AI_GENERATE_URL
+const LEGACY_OLLAMA_ENV = {
+  baseUrl: ['AI_GENERATE_URL', 'OLLAMA_HOST'],
+  model: ['OLLAMA_MODEL']
+};
+const LLM_TASK_LEGACY_ENV = {
+  [LLM_TASKS.RESPONSE_ANALYSIS]: LEGACY_OLLAMA_ENV,
+  [LLM_TASKS.OVERALL_ANALYSIS]: LEGACY_OLLAMA_ENV,
+  [LLM_TASKS.JOB_DESCRIPTION]: LEGACY_OLLAMA_ENV,
+  [LLM_TASKS.INTERVIEW_QUESTIONS]: LEGACY_OLLAMA_ENV,
+  [LLM_TASKS.JOB_SCRAPING]: LEGACY_OLLAMA_ENV,
+  [LLM_TASKS.CHAT]: {
+    baseUrl: ['AI_GENERATE_URL'],
+    model: []
+  },
+};
+
+/*
+ * generation options per task, each value can be overridden with
+ * LLM_<TASK>_MODEL, LLM_<TASK>_PROVIDER, LLM_<TASK>_BASE_URL, LLM_<TASK>_TIMEOUT_MS and LLM_<TASK>_RETRIES
+ */
+const LLM_TASK_DEFAULTS = {
+  [LLM_TASKS.RESPONSE_ANALYSIS]: {
+    temperature: 0.3,
+    maxTokens: 2500,
+    topP: 0.9,
+    repeatPenalty: 1.1,
+  },
+  [LLM_TASKS.OVERALL_ANALYSIS]: {
+    temperature: 0.3,
+    maxTokens: 3000,
+    topP: 0.9,
+    repeatPenalty: 1.1,
+  },
+  [LLM_TASKS.JOB_DESCRIPTION]: {
+    temperature: 0.7,
+    maxTokens: 1000,
+    topP: 0.9,
+    repeatPenalty: 1.1,
+  },
+  [LLM_TASKS.INTERVIEW_QUESTIONS]: {
+    temperature: 0.7,
+    maxTokens: 1500,
+    topP: 0.9,
+    repeatPenalty: 1.1,
+  },
+  [LLM_TASKS.JOB_SCRAPING]: {
+    temperature: 0.1,
+    maxTokens: 2000,
+    topP: 0.9,
+    repeatPenalty: 1.1,
+  },
+  [LLM_TASKS.CHAT]: {
+    temperature: 0.7,
+    maxTokens: 2000,
+  },
+};
+
+/*
+ * version of each prompt template, stored with every audited LLM call.
+ * Bump it whenever the wording or the expected output of the template changes.
+ */
+const PROMPT_TEMPLATE_VERSIONS = {
+  RESPONSE_ANALYSIS: 'response-analysis@4.0',
+  RUBRIC_ANALYSIS: 'rubric-analysis@5.0',
+  OVERALL_ANALYSIS: 'overall-analysis@1.0',
+};
+
+const AI_AUDIT_PARSE_STATUS = {
+  PARSED: 'parsed',
+  INVALID: 'invalid',
+  FAILED: 'failed',
+};
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_TASKS,
+  LLM_DEFAULTS,
+  LLM_TASK_OLLAMA_DEFAULTS,
+  LLM_TASK_LEGACY_ENV,
+  LLM_TASK_DEFAULTS,
+  PROMPT_TEMPLATE_VERSIONS,
+  AI_AUDIT_PARSE_STATUS,
+};
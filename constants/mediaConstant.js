@@ -0,0 +1,124 @@
+/**
+ * mediaConstant.js
+ * @description :: constants of interview media uploads and their processing
+ */
+
+const MEDIA_TYPES = {
+  VIDEO: 'video',
+  AUDIO: 'audio',
+};
+
+const MEDIA_PROCESSING_STATUS = {
+  UPLOADING: 'uploading',
+  UPLOADED: 'uploaded',
+  QUEUED: 'queued',
+  ASSEMBLING: 'assembling',
+  ASSEMBLED: 'assembled',
+  FAILED: 'failed',
+};
+
+// first bytes of a WebM (EBML) file, chunks without them are slices of one recording
+const WEBM_HEADER = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+
+// output of the server-side assembly of video chunks
+const VIDEO_ASSEMBLY = {
+  OUTPUT_FORMAT: 'mp4',
+  CONTENT_TYPE: 'video/mp4',
+  PRESET: process.env.FFMPEG_PRESET || 'veryfast',
+  CRF: parseInt(process.env.FFMPEG_CRF) || 23,
+  AUDIO_BITRATE: '128k',
+};
+
+// status of each post-processing stage of a recording
+const MEDIA_STAGE_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+// HLS renditions, the ones taller than the source video are skipped except the smallest
+const HLS_RENDITIONS = [
+  {
+    name: '360p',
+    height: 360,
+    videoBitrate: 800,
+    audioBitrate: 96
+  },
+  {
+    name: '540p',
+    height: 540,
+    videoBitrate: 1600,
+    audioBitrate: 128
+  },
+  {
+    name: '720p',
+    height: 720,
+    videoBitrate: 2800,
+    audioBitrate: 128
+  },
+];
+
+const HLS_SEGMENT_SECONDS = 6;
+
+const PLAYBACK_THUMBNAILS = {
+  POSTER_WIDTH: 640,
+  SPRITE_THUMB_WIDTH: 160,
+  SPRITE_COLUMNS: 10,
+  // one scrubbing thumbnail every SPRITE_MIN_INTERVAL seconds at most, and never more than SPRITE_MAX_THUMBS
+  SPRITE_MIN_INTERVAL: 2,
+  SPRITE_MAX_THUMBS: 100,
+};
+
+// lifetime in seconds of playback links (playlists, segments, poster and sprite)
+const PLAYBACK_URL_EXPIRY = parseInt(process.env.PLAYBACK_URL_EXPIRY) || 4 * 60 * 60;
+
+// audio handed to speech recognition: mono 16 kHz PCM
+const TRANSCRIPTION_AUDIO = {
+  SAMPLE_RATE: 16000,
+  CHANNELS: 1,
+  CODEC: 'pcm_s16le',
+  CONTENT_TYPE: 'audio/wav',
+};
+
+const MEDIA_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.jpg': 'image/jpeg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+};
+
+// uploads recorded server-side so abandoned ones can be cleaned up
+const UPLOAD_SESSION_TYPES = {
+  MULTIPART: 'multipart',
+  CHUNKED: 'chunked',
+  VIDEO_CHUNKS: 'video_chunks',
+};
+
+const UPLOAD_SESSION_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  ABORTED: 'aborted',
+  EXPIRED: 'expired',
+};
+
+// minutes without a new part or chunk after which an upload is considered abandoned
+const UPLOAD_SESSION_TTL_MINUTES = parseInt(process.env.UPLOAD_SESSION_TTL_MINUTES) || 120;
+
+module.exports = {
+  MEDIA_TYPES,
+  MEDIA_PROCESSING_STATUS,
+  MEDIA_STAGE_STATUS,
+  WEBM_HEADER,
+  VIDEO_ASSEMBLY,
+  HLS_RENDITIONS,
+  HLS_SEGMENT_SECONDS,
+  PLAYBACK_THUMBNAILS,
+  PLAYBACK_URL_EXPIRY,
+  TRANSCRIPTION_AUDIO,
+  MEDIA_CONTENT_TYPES,
+  UPLOAD_SESSION_TYPES,
+  UPLOAD_SESSION_STATUS,
+  UPLOAD_SESSION_TTL_MINUTES,
+};
@@ -0,0 +1,76 @@
+/**
+ * pipelineConstant.js
+ * @description :: default hiring pipeline used by workspaces that did not configure their own stages
+ */
+
+const DEFAULT_PIPELINE_STAGES = [
+  {
+    key: 'screening',
+    name: 'Screening',
+    order: 1,
+    reasons: [],
+    requireReason: false,
+    isTerminal: false
+  },
+  {
+    key: 'shortlisted',
+    name: 'Shortlisted',
+    order: 2,
+    reasons: [],
+    requireReason: false,
+    isTerminal: false
+  },
+  {
+    key: 'panel',
+    name: 'Panel Interview',
+    order: 3,
+    reasons: [],
+    requireReason: false,
+    isTerminal: false
+  },
+  {
+    key: 'offer',
+    name: 'Offer',
+    order: 4,
+    reasons: [],
+    requireReason: false,
+    isTerminal: false
+  },
+  {
+    key: 'hired',
+    name: 'Hired',
+    order: 5,
+    reasons: [],
+    requireReason: false,
+    isTerminal: true
+  },
+  {
+    key: 'rejected',
+    name: 'Rejected',
+    order: 6,
+    reasons: [
+      'Skills mismatch',
+      'Insufficient experience',
+      'Poor interview performance',
+      'Salary expectations',
+      'Candidate withdrew',
+      'Position filled',
+      'Other'
+    ],
+    requireReason: true,
+    isTerminal: true
+  }
+];
+
+// stages mirrored on the legacy `shortlisted` flag of applications
+const SHORTLISTED_STAGE = 'shortlisted';
+const REJECTED_STAGE = 'rejected';
+
+const MAX_BATCH_STAGE_MOVE = 500;
+
+module.exports = {
+  DEFAULT_PIPELINE_STAGES,
+  SHORTLISTED_STAGE,
+  REJECTED_STAGE,
+  MAX_BATCH_STAGE_MOVE,
+};
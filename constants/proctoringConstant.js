@@ -0,0 +1,98 @@
+/**
+ * proctoringConstant.js
+ * @description :: proctoring events reported by the interview client and the weights of the integrity summary
+ */
+
+const PROCTORING_EVENT_TYPES = {
+  TAB_BLUR: 'tab_blur',
+  WINDOW_BLUR: 'window_blur',
+  FULLSCREEN_EXIT: 'fullscreen_exit',
+  COPY: 'copy',
+  PASTE: 'paste',
+  MULTIPLE_FACES: 'multiple_faces',
+  NO_FACE: 'no_face',
+  NETWORK_DROP: 'network_drop',
+};
+
+/*
+ * points taken off the integrity score of 100 per event, up to maxPenalty per type.
+ * flagAfter is the count from which the type is listed in the flags of the summary.
+ * network drops are reported but cost nothing, they are rarely the candidate's doing
+ */
+const PROCTORING_EVENT_WEIGHTS = {
+  [PROCTORING_EVENT_TYPES.TAB_BLUR]: {
+    penalty: 5,
+    maxPenalty: 30,
+    flagAfter: 3
+  },
+  [PROCTORING_EVENT_TYPES.WINDOW_BLUR]: {
+    penalty: 4,
+    maxPenalty: 25,
+    flagAfter: 3
+  },
+  [PROCTORING_EVENT_TYPES.FULLSCREEN_EXIT]: {
+    penalty: 3,
+    maxPenalty: 15,
+    flagAfter: 3
+  },
+  [PROCTORING_EVENT_TYPES.COPY]: {
+    penalty: 3,
+    maxPenalty: 15,
+    flagAfter: 2
+  },
+  [PROCTORING_EVENT_TYPES.PASTE]: {
+    penalty: 8,
+    maxPenalty: 30,
+    flagAfter: 1
+  },
+  [PROCTORING_EVENT_TYPES.MULTIPLE_FACES]: {
+    penalty: 10,
+    maxPenalty: 40,
+    flagAfter: 1
+  },
+  [PROCTORING_EVENT_TYPES.NO_FACE]: {
+    penalty: 4,
+    maxPenalty: 25,
+    flagAfter: 3
+  },
+  [PROCTORING_EVENT_TYPES.NETWORK_DROP]: {
+    penalty: 0,
+    maxPenalty: 0,
+    flagAfter: 5
+  },
+};
+
+// events keeping the candidate away from the interview, their durations add up to the time away
+const AWAY_EVENT_TYPES = [
+  PROCTORING_EVENT_TYPES.TAB_BLUR,
+  PROCTORING_EVENT_TYPES.WINDOW_BLUR,
+  PROCTORING_EVENT_TYPES.NO_FACE,
+];
+
+const INTEGRITY_LEVELS = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+};
+
+const PROCTORING = {
+  VERSION: '1.0',
+  // lowest score of each level, below MEDIUM the level is LOW
+  HIGH_SCORE: 80,
+  MEDIUM_SCORE: 50,
+  // time away past this share of the answered time is flagged
+  AWAY_RATIO_FLAG: 0.1,
+  MAX_EVENTS_PER_BATCH: 100,
+  MAX_EVENTS_PER_APPLICATION: parseInt(process.env.PROCTORING_MAX_EVENTS) || 2000,
+  // events buffered by the client during a network drop may arrive after the interview completed
+  LATE_EVENTS_GRACE_MINUTES: parseInt(process.env.PROCTORING_LATE_EVENTS_GRACE_MINUTES) || 15,
+  MAX_LISTED_EVENTS: 500,
+};
+
+module.exports = {
+  PROCTORING_EVENT_TYPES,
+  PROCTORING_EVENT_WEIGHTS,
+  AWAY_EVENT_TYPES,
+  INTEGRITY_LEVELS,
+  PROCTORING,
+};
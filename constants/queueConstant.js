@@ -0,0 +1,81 @@
+/**
+ * queueConstant.js
+ * @description :: constants used by background queues and workers
+ */
+
+const RESPONSE_QUEUE_JOBS = {
+  ANALYZE_RESPONSE: 'analyze-response',
+  ANALYZE_APPLICATION: 'analyze-application',
+  SWEEP_ANALYSES: 'sweep-analyses',
+};
+
+const MEDIA_QUEUE_JOBS = {
+  ASSEMBLE_VIDEO: 'assemble-video',
+  GENERATE_PLAYBACK: 'generate-playback',
+  TRANSCRIBE_RECORDING: 'transcribe-recording',
+  PURGE_MEDIA: 'purge-media',
+  REAP_UPLOADS: 'reap-uploads',
+};
+
+const ANALYSIS_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+// overall_score.status saved by InterviewCompleted when the overall AI analysis failed
+const OVERALL_ANALYSIS_FAILED_STATUS = 'ai_overall_analysis_failed';
+
+// aiAnalysis.analysis_version of the word-count scores stored when a response analysis failed, before failures were retried
+const RESPONSE_FALLBACK_ANALYSIS_VERSION = '4.0-fallback';
+
+const RESPONSE_WORKER_CONCURRENCY = parseInt(process.env.RESPONSE_WORKER_CONCURRENCY) || 2;
+
+// transcoding is CPU bound, run one job per worker unless the host has cores to spare
+const MEDIA_WORKER_CONCURRENCY = parseInt(process.env.MEDIA_WORKER_CONCURRENCY) || 1;
+
+/*
+ * an application analysis job waits for the pending analyses of its responses
+ * by failing and being retried every WAIT_DELAY ms, up to ATTEMPTS times
+ */
+const APPLICATION_ANALYSIS_JOB = {
+  ATTEMPTS: 20,
+  WAIT_DELAY: 30 * 1000,
+};
+
+const ANALYSIS_SWEEP = {
+  CRON: process.env.ANALYSIS_SWEEP_CRON || '*/15 * * * *',
+  BATCH_SIZE: parseInt(process.env.ANALYSIS_SWEEP_BATCH_SIZE) || 50,
+  // responses and applications analysed this many times (every queue attempt counts) are left for a manual re-analysis
+  MAX_ATTEMPTS: parseInt(process.env.ANALYSIS_SWEEP_MAX_ATTEMPTS) || 10,
+};
+
+// purge of candidate media past the retention settings of their workspace
+const MEDIA_RETENTION_PURGE = {
+  CRON: process.env.MEDIA_RETENTION_CRON || '0 3 * * *',
+  // applications purged per workspace and run, the next run picks up the rest
+  BATCH_SIZE: parseInt(process.env.MEDIA_RETENTION_BATCH_SIZE) || 100,
+};
+
+// cleanup of abandoned multipart and chunked uploads
+const UPLOAD_REAPER = {
+  CRON: process.env.UPLOAD_REAPER_CRON || '*/30 * * * *',
+  BATCH_SIZE: parseInt(process.env.UPLOAD_REAPER_BATCH_SIZE) || 100,
+  // uploads whose cleanup failed this many times are left for a manual cleanup
+  MAX_ATTEMPTS: parseInt(process.env.UPLOAD_REAPER_MAX_ATTEMPTS) || 5,
+};
+
+module.exports = {
+  RESPONSE_QUEUE_JOBS,
+  MEDIA_QUEUE_JOBS,
+  ANALYSIS_STATUS,
+  OVERALL_ANALYSIS_FAILED_STATUS,
+  RESPONSE_FALLBACK_ANALYSIS_VERSION,
+  RESPONSE_WORKER_CONCURRENCY,
+  MEDIA_WORKER_CONCURRENCY,
+  APPLICATION_ANALYSIS_JOB,
+  ANALYSIS_SWEEP,
+  MEDIA_RETENTION_PURGE,
+  UPLOAD_REAPER,
+};
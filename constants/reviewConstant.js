@@ -0,0 +1,44 @@
+/**
+ * reviewConstant.js
+ * @description :: constants used by recruiter reviews of interview responses
+ */
+
+// criteria reviewers score when the question has no rubric of its own
+const DEFAULT_REVIEW_RUBRIC = [
+  {
+    key: 'relevance',
+    name: 'Relevance',
+    weight: 25
+  },
+  {
+    key: 'communication',
+    name: 'Communication',
+    weight: 25
+  },
+  {
+    key: 'depth',
+    name: 'Depth & Expertise',
+    weight: 30
+  },
+  {
+    key: 'problem_solving',
+    name: 'Problem Solving',
+    weight: 20
+  }
+];
+
+const REVIEW_RECOMMENDATION = {
+  STRONG_HIRE: 'strong_hire',
+  HIRE: 'hire',
+  MAYBE: 'maybe',
+  NO_HIRE: 'no_hire',
+};
+
+// two overall scores closer than this (on 0-100) count as agreeing
+const AGREEMENT_TOLERANCE = 10;
+
+module.exports = {
+  DEFAULT_REVIEW_RUBRIC,
+  REVIEW_RECOMMENDATION,
+  AGREEMENT_TOLERANCE,
+};
@@ -0,0 +1,43 @@
+/**
+ * rubricConstant.js
+ * @description :: constants of structured evaluation rubrics
+ */
+
+// every rubric criterion is scored on this level scale, by the AI and by reviewers
+const RUBRIC_SCORE_LEVELS = {
+  MIN: 1,
+  MAX: 5,
+};
+
+// rating labels of overall scores on 0-100, same bands the analysis prompt describes
+const RATING_BANDS = [
+  {
+    rating: 'Excellent',
+    min: 90
+  },
+  {
+    rating: 'Good',
+    min: 75
+  },
+  {
+    rating: 'Average',
+    min: 60
+  },
+  {
+    rating: 'Fair',
+    min: 45
+  },
+  {
+    rating: 'Poor',
+    min: 0
+  }
+];
+
+// times the model is asked again when its criterion scores do not match the rubric
+const RUBRIC_ANALYSIS_ATTEMPTS = 2;
+
+module.exports = {
+  RUBRIC_SCORE_LEVELS,
+  RATING_BANDS,
+  RUBRIC_ANALYSIS_ATTEMPTS,
+};
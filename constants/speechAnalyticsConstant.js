@@ -0,0 +1,38 @@
+/**
+ * speechAnalyticsConstant.js
+ * @description :: thresholds and word lists of the speech delivery analytics computed from transcripts
+ */
+
+const SPEECH_ANALYTICS = {
+  VERSION: '1.0',
+  // silence between two transcript segments counted as a long pause, in seconds
+  LONG_PAUSE_SECONDS: 3,
+  // long pauses listed per answer, the count covers all of them
+  MAX_LISTED_PAUSES: 20,
+  // answers using less of the time limit are reported as short
+  SHORT_ANSWER_RATIO: 0.25,
+};
+
+// hesitations and verbal fillers, phrases are matched as whole words
+const FILLER_WORDS = [
+  'um',
+  'umm',
+  'uh',
+  'uhh',
+  'uhm',
+  'er',
+  'erm',
+  'ah',
+  'hmm',
+  'you know',
+  'i mean',
+  'kind of',
+  'sort of',
+  'basically',
+  'literally',
+];
+
+module.exports = {
+  SPEECH_ANALYTICS,
+  FILLER_WORDS,
+};
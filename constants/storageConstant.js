@@ -0,0 +1,44 @@
+/**
+ * storageConstant.js
+ * @description :: object storage drivers and the settings of the local disk driver
+ */
+
+const STORAGE_DRIVERS = {
+  S3: 's3',
+  // any S3-compatible server reached through STORAGE_ENDPOINT (MinIO, Ceph, R2, ...)
+  MINIO: 'minio',
+  // files kept on disk, served through HMAC-signed links, for local development and offline tests
+  LOCAL: 'local',
+};
+
+const STORAGE_DEFAULTS = {
+  driver: STORAGE_DRIVERS.S3,
+  region: 'us-east-1',
+  urlExpiration: 3600,
+  localRoot: './storage',
+  localBaseUrl: 'http://localhost:3000',
+};
+
+// route serving the objects of the local driver, signed links are `${LOCAL_STORAGE_ROUTE}/:token/:fileName`
+const LOCAL_STORAGE_ROUTE = '/client/api/v1/storage';
+
+// scope of the media tokens signed by the local driver
+const LOCAL_STORAGE_TOKEN_SCOPE = 'storage';
+
+const LOCAL_STORAGE_OPERATIONS = {
+  GET: 'get',
+  PUT: 'put',
+  PART: 'part',
+};
+
+// folder of the uploads flagged by the malware scan, objects under it are never handed out through links
+const QUARANTINE_PREFIX = `${(process.env.STORAGE_QUARANTINE_PREFIX || 'quarantine').replace(/\/+$/, '')}/`;
+
+module.exports = {
+  STORAGE_DRIVERS,
+  STORAGE_DEFAULTS,
+  LOCAL_STORAGE_ROUTE,
+  LOCAL_STORAGE_TOKEN_SCOPE,
+  LOCAL_STORAGE_OPERATIONS,
+  QUARANTINE_PREFIX,
+};
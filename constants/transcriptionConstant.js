@@ -0,0 +1,60 @@
+/**
+ * transcriptionConstant.js
+ * @description :: constants used by the speech-to-text providers
+ */
+
+const TRANSCRIPTION_PROVIDERS = {
+  // the hosted whisper endpoint taking multipart `audio`, `language` and `translate` fields
+  WHISPER_HTTP: 'whisper_http',
+  // any server implementing the OpenAI /audio/transcriptions API
+  OPENAI: 'openai',
+  // a local whisper.cpp binary, for development and air-gapped installs
+  WHISPER_CPP: 'whisper_cpp',
+};
+
+const TRANSCRIPTION_DEFAULTS = {
+  provider: TRANSCRIPTION_PROVIDERS.WHISPER_HTTP,
+  language: 'en',
+  translate: true,
+  timeout: 120000,
+  retries: 3,
+  retryDelay: 1000,
+};
+
+const TRANSCRIPTION_PROVIDER_DEFAULTS = {
+  [TRANSCRIPTION_PROVIDERS.WHISPER_HTTP]: { baseUrl: 'https://ollama.havenify.ai/transcribe' },
+  [TRANSCRIPTION_PROVIDERS.OPENAI]: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'whisper-1'
+  },
+  [TRANSCRIPTION_PROVIDERS.WHISPER_CPP]: {
+    binary: 'whisper-cli',
+    model: './models/ggml-base.en.bin',
+    modelsDir: './models',
+    threads: 4
+  },
+};
+
+// whisper.cpp models a workspace can pick by name, read from ggml-<name>.bin in WHISPER_CPP_MODELS_DIR
+const WHISPER_CPP_MODELS = [
+  'tiny', 'tiny.en', 'base', 'base.en', 'small', 'small.en', 'medium', 'medium.en',
+  'large-v1', 'large-v2', 'large-v3', 'large-v3-turbo',
+];
+
+// label of segments when the provider does not tell speakers apart, interview recordings hold the candidate only
+const DEFAULT_TRANSCRIPT_SPEAKER = 'candidate';
+
+const TRANSCRIPT_SEARCH = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+  MAX_HITS_PER_RESPONSE: 5,
+};
+
+module.exports = {
+  TRANSCRIPTION_PROVIDERS,
+  TRANSCRIPTION_DEFAULTS,
+  TRANSCRIPTION_PROVIDER_DEFAULTS,
+  WHISPER_CPP_MODELS,
+  DEFAULT_TRANSCRIPT_SPEAKER,
+  TRANSCRIPT_SEARCH,
+};
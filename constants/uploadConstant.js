@@ -0,0 +1,133 @@
+/**
+ * uploadConstant.js
+ * @description :: content rules and malware scanning of uploaded files
+ */
+
+const MB = 1024 * 1024;
+
+const UPLOAD_TYPES = {
+  RESUME: 'resume',
+  AVATAR: 'avatar',
+  DOCUMENT: 'document',
+  MEDIA: 'media',
+  VIDEO_CHUNK: 'video_chunk',
+};
+
+const MIME_TYPES = {
+  PDF: 'application/pdf',
+  DOC: 'application/msword',
+  DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  XLS: 'application/vnd.ms-excel',
+  XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  RTF: 'application/rtf',
+  ZIP: 'application/zip',
+  PNG: 'image/png',
+  JPEG: 'image/jpeg',
+  GIF: 'image/gif',
+  WEBP: 'image/webp',
+  WEBM_VIDEO: 'video/webm',
+  WEBM_AUDIO: 'audio/webm',
+  MP4_VIDEO: 'video/mp4',
+  MP4_AUDIO: 'audio/mp4',
+  QUICKTIME: 'video/quicktime',
+  MPEG_AUDIO: 'audio/mpeg',
+  WAV: 'audio/wav',
+  OGG_AUDIO: 'audio/ogg',
+  OGG_VIDEO: 'video/ogg',
+};
+
+// content type of a file extension, picks between the formats sharing a container (zip, OLE, WebM, MP4)
+const EXTENSION_MIME_TYPES = {
+  pdf: MIME_TYPES.PDF,
+  doc: MIME_TYPES.DOC,
+  docx: MIME_TYPES.DOCX,
+  xls: MIME_TYPES.XLS,
+  xlsx: MIME_TYPES.XLSX,
+  rtf: MIME_TYPES.RTF,
+  zip: MIME_TYPES.ZIP,
+  png: MIME_TYPES.PNG,
+  jpg: MIME_TYPES.JPEG,
+  jpeg: MIME_TYPES.JPEG,
+  gif: MIME_TYPES.GIF,
+  webp: MIME_TYPES.WEBP,
+  webm: MIME_TYPES.WEBM_VIDEO,
+  mp4: MIME_TYPES.MP4_VIDEO,
+  m4a: MIME_TYPES.MP4_AUDIO,
+  mov: MIME_TYPES.QUICKTIME,
+  mp3: MIME_TYPES.MPEG_AUDIO,
+  wav: MIME_TYPES.WAV,
+  ogg: MIME_TYPES.OGG_AUDIO,
+};
+
+const IMAGE_MIME_TYPES = [MIME_TYPES.PNG, MIME_TYPES.JPEG, MIME_TYPES.GIF, MIME_TYPES.WEBP];
+
+const MEDIA_MIME_TYPES = [
+  MIME_TYPES.WEBM_VIDEO, MIME_TYPES.WEBM_AUDIO, MIME_TYPES.MP4_VIDEO, MIME_TYPES.MP4_AUDIO,
+  MIME_TYPES.QUICKTIME, MIME_TYPES.MPEG_AUDIO, MIME_TYPES.WAV, MIME_TYPES.OGG_AUDIO, MIME_TYPES.OGG_VIDEO
+];
+
+/*
+ * accepted content and size of each upload type, maxSize is in bytes.
+ * allowUnknown accepts content without a known signature (video chunks after the first one are bare slices),
+ * scan sends the file to the malware scanner, recordings are only sniffed
+ */
+const UPLOAD_TYPE_RULES = {
+  [UPLOAD_TYPES.RESUME]: {
+    maxSize: (parseInt(process.env.UPLOAD_MAX_RESUME_MB) || 10) * MB,
+    mimeTypes: [MIME_TYPES.PDF, MIME_TYPES.DOC, MIME_TYPES.DOCX, MIME_TYPES.RTF],
+    scan: true
+  },
+  [UPLOAD_TYPES.AVATAR]: {
+    maxSize: (parseInt(process.env.UPLOAD_MAX_AVATAR_MB) || 5) * MB,
+    mimeTypes: IMAGE_MIME_TYPES,
+    scan: true
+  },
+  [UPLOAD_TYPES.DOCUMENT]: {
+    maxSize: (parseInt(process.env.UPLOAD_MAX_DOCUMENT_MB) || 25) * MB,
+    mimeTypes: [...IMAGE_MIME_TYPES, MIME_TYPES.PDF, MIME_TYPES.DOC, MIME_TYPES.DOCX, MIME_TYPES.XLS, MIME_TYPES.XLSX],
+    scan: true
+  },
+  [UPLOAD_TYPES.MEDIA]: {
+    maxSize: (parseInt(process.env.UPLOAD_MAX_MEDIA_MB) || 500) * MB,
+    mimeTypes: MEDIA_MIME_TYPES,
+    scan: false
+  },
+  [UPLOAD_TYPES.VIDEO_CHUNK]: {
+    maxSize: (parseInt(process.env.UPLOAD_MAX_VIDEO_CHUNK_MB) || 50) * MB,
+    mimeTypes: [MIME_TYPES.WEBM_VIDEO, MIME_TYPES.WEBM_AUDIO, MIME_TYPES.MP4_VIDEO],
+    allowUnknown: true,
+    scan: false
+  },
+};
+
+const UPLOAD_SCANNERS = {
+  NONE: 'none',
+  // clamd reached over TCP (UPLOAD_SCAN_CLAMAV_HOST/PORT) or a unix socket (UPLOAD_SCAN_CLAMAV_SOCKET)
+  CLAMAV: 'clamav',
+};
+
+const UPLOAD_SCAN_STATUS = {
+  CLEAN: 'clean',
+  INFECTED: 'infected',
+  SKIPPED: 'skipped',
+};
+
+const UPLOAD_SCAN_DEFAULTS = {
+  scanner: UPLOAD_SCANNERS.NONE,
+  clamavHost: '127.0.0.1',
+  clamavPort: 3310,
+  timeout: 30000,
+  chunkSize: 64 * 1024,
+  // uploads are rejected when the scanner can not be reached unless failOpen is set
+  failOpen: false,
+};
+
+module.exports = {
+  UPLOAD_TYPES,
+  MIME_TYPES,
+  EXTENSION_MIME_TYPES,
+  UPLOAD_TYPE_RULES,
+  UPLOAD_SCANNERS,
+  UPLOAD_SCAN_STATUS,
+  UPLOAD_SCAN_DEFAULTS,
+};
@@ -0,0 +1,124 @@
+/**
+ * aiAuditController.js
+ * @description : exports action methods for the audit trail of AI analyses.
+ */
+
+const aiAuditSchemaKey = require('../../../utils/validation/aiAuditValidation');
+const validation = require('../../../utils/validateRequest');
+const ObjectId = require('mongodb').ObjectId;
+const aiAuditService = require('../../../services/aiAuditService');
+
+/**
+ * @description : list audited LLM calls of a response, newest first.
+ * @param {Object} req : request including id of response in params.
+ * @param {Object} res : response contains audit logs.
+ * @return {Object} : audit logs without prompts and raw outputs. {status, message, data}
+ */
+const getResponseAuditLogs = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.responseId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const auditLogs = await aiAuditService.getAuditLogs({
+      responseId: req.params.responseId,
+      workspaceId: req.workspaceId
+    });
+    if (!auditLogs) {
+      return res.recordNotFound({ message: 'Response not found' });
+    }
+    return res.success({ data: auditLogs });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : list audited LLM calls of an application, newest first.
+ * @param {Object} req : request including id of application in params.
+ * @param {Object} res : response contains audit logs.
+ * @return {Object} : audit logs without prompts and raw outputs. {status, message, data}
+ */
+const getApplicationAuditLogs = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.applicationId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const auditLogs = await aiAuditService.getAuditLogs({
+      applicationId: req.params.applicationId,
+      workspaceId: req.workspaceId
+    });
+    if (!auditLogs) {
+      return res.recordNotFound({ message: 'Application not found' });
+    }
+    return res.success({ data: auditLogs });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : get an audited LLM call with its rendered prompt and raw output.
+ * @param {Object} req : request including id of audit log in params.
+ * @param {Object} res : response contains the audit log.
+ * @return {Object} : audit log. {status, message, data}
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const auditLog = await aiAuditService.getAuditLog({
+      auditLogId: req.params.id,
+      workspaceId: req.workspaceId
+    });
+    if (!auditLog) {
+      return res.recordNotFound({ message: 'Audit log not found' });
+    }
+    return res.success({ data: auditLog });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : re-run the stored prompt of an audit log against another model and diff both results.
+ * The stored analysis is left untouched.
+ * @param {Object} req : request including id of audit log in params and {model} in body.
+ * @param {Object} res : response contains both results and their diff.
+ * @return {Object} : {original, rerun, diff}. {status, message, data}
+ */
+const rerunAuditLog = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      aiAuditSchemaKey.rerunKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const result = await aiAuditService.rerunAuditLog({
+      auditLogId: req.params.id,
+      model: req.body.model,
+      workspaceId: req.workspaceId,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      if (result.code === 404) {
+        return res.recordNotFound({ message: result.message });
+      }
+      return res.failure({ message: result.message });
+    }
+    return res.success({ data: result.data });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = {
+  getResponseAuditLogs,
+  getApplicationAuditLogs,
+  getAuditLog,
+  rerunAuditLog
+};
@@ -11,7 +11,10 @@ const dbService = require('../../../utils/dbService');
 const ObjectId = require('mongodb').ObjectId;
 const utils = require('../../../utils/common');
 const crypto = require('crypto');
-const axios = require('axios')
+const overallAnalysisService = require('../../../services/overallAnalysisService');
+const analysisRetryService = require('../../../services/analysisRetryService');
+const mediaPipelineService = require('../../../services/mediaPipelineService');
+const proctoringService = require('../../../services/proctoringService');
 // Use your existing AWS SES email service instead of nodemailer
 const { sendMail } = require('../../../services/email');
 
@@ -1074,7 +1077,7 @@ const InterviewCompleted = async (req, res) => {
     const application = await Application.findOne(applicationQuery);
 
     if (!application) {
-      return res.notFound({
+      return res.recordNotFound({
         message: "Application not found"
       });
     }
@@ -1087,20 +1090,8 @@ const InterviewCompleted = async (req, res) => {
 
     console.log(application,"application")
 
-    // Build query to find all responses for this interview
-    let responseQuery = {};
-  
-      responseQuery = { 
-        candidate: application.candidate._id, 
-        job: application.job._id,
-        isDeleted: false 
-    
-    }
-
     // Fetch all interview responses for this application
-    const responses = await Response.find(responseQuery)
-      .populate('question', 'title question_type evaluation_instructions timeLimit')
-      .sort({ questionNumber: 1 });
+    const responses = await overallAnalysisService.getApplicationResponses(application);
 
     if (!responses || responses.length === 0) {
       return res.badRequest({
@@ -1110,111 +1101,24 @@ const InterviewCompleted = async (req, res) => {
 
     console.log(`📊 Found ${responses.length} responses for analysis`);
 
-    // Prepare individual response data for AI analysis
-    const responseAnalysisData = responses.map(response => ({
-      questionNumber: response.questionNumber,
-      questionText: response.questionText || response.question?.title,
-      questionType: response.question?.question_type || 'general',
-      responseText: response.responseText,
-      transcriptionText: response.transcriptionText,
-      responseDuration: response.responseDuration,
-      individualAnalysis: response.aiAnalysis ? {
-        overallScore: response.aiAnalysis.overall_assessment?.score,
-        rating: response.aiAnalysis.overall_assessment?.rating,
-        reasoning: response.aiAnalysis.overall_assessment?.reasoning,
-        strengths: response.aiAnalysis.strengths || [],
-        improvements: response.aiAnalysis.areas_for_improvement || [],
-        redFlags: response.aiAnalysis.red_flags || [],
-        recommendation: response.aiAnalysis.recommendation,
-        detailedAnalysis: response.aiAnalysis.detailed_analysis || {},
-        keyInsights: response.aiAnalysis.key_insights
-      } : null,
-      evaluationCriteria: response.question?.evaluation_instructions
-    }));
-
-    // Candidate profile data
-    const candidateProfile = {
-      name: application.candidate.full_name || application.candidate.name,
-      email: application.candidate.email,
-      experience: application.candidate.experience,
-      skills: application.candidate.skills,
-      location: application.candidate.location
-    };
-
-    // Job profile data
-    const jobProfile = {
-      title: application.job.title,
-      description: application.job.description,
-      requirements: application.job.requirements,
-      location: application.job.location,
-      employmentType: application.job.employment_type,
-      company: application.job.workspace?.name,
-      industry: application.job.workspace?.industry
-    };
+    // the queued overall analysis waits for the response analyses still running
+    if (await analysisRetryService.countAnalysesInProgress(application)) {
+      const queued = await analysisRetryService.requeueApplicationAnalysis(application._id);
+      if (!queued.success) {
+        return res.badRequest({ message: queued.message });
+      }
+      return res.accepted({
+        message: 'Overall interview analysis queued until the response analyses are done',
+        data: await analysisRetryService.getAnalysisProgress(application._id)
+      });
+    }
 
     try {
       console.log('🤖 Generating overall interview analysis with AI...');
 
-      // Generate comprehensive analysis using AI (similar to your existing AI logic)
-      const overallAnalysis = await generateOverallAIAnalysis({
-        candidateProfile,
-        jobProfile,
-        responses: responseAnalysisData,
-        interviewMetadata: {
-          applicationId: application._id,
-          totalQuestions: responses.length,
-          interviewDate: application.createdAt,
-          interviewType: 'video_interview'
-        }
-      });
-
-      console.log('✅ AI overall analysis completed successfully');
-
-      // Calculate additional metrics
-      const individualScores = responses
-        .filter(r => r.aiAnalysis?.overall_assessment?.score)
-        .map(r => r.aiAnalysis.overall_assessment.score);
-
-      const additionalMetrics = {
-        averageScore: individualScores.length > 0 
-          ? Math.round(individualScores.reduce((a, b) => a + b, 0) / individualScores.length)
-          : null,
-        highestScore: individualScores.length > 0 ? Math.max(...individualScores) : null,
-        lowestScore: individualScores.length > 0 ? Math.min(...individualScores) : null,
-        totalRedFlags: responses.reduce((acc, r) => acc + (r.aiAnalysis?.red_flags?.length || 0), 0),
-        responseCompleteness: Math.round((responses.length / (responses.length || 1)) * 100),
-        averageResponseDuration: responses.length > 0
-          ? Math.round(responses.reduce((acc, r) => acc + (r.responseDuration || 0), 0) / responses.length)
-          : null,
-        questionsWithRedFlags: responses.filter(r => r.aiAnalysis?.red_flags?.length > 0).length,
-        strongRecommendations: responses.filter(r => 
-          r.aiAnalysis?.recommendation?.decision?.toLowerCase().includes('hire') && 
-          !r.aiAnalysis?.recommendation?.decision?.toLowerCase().includes('no')
-        ).length
-      };
-
-      // Combine overall analysis with additional metrics
-      const completeAnalysis = {
-        ...overallAnalysis,
-        ...additionalMetrics,
-        analyzedAt: new Date(),
-        version: '1.0',
-        analysisType: 'complete_interview'
-      };
-
-      // Update application with overall analysis using existing overall_score field
-      const updatedApplication = await Application.findByIdAndUpdate(
-        application._id,
-        {
-          $set: {
-            'overall_score': completeAnalysis, // Store in existing overall_score field
-            status: 'interview_completed', // Use existing enum value
-            currentQuestion: responses.length,
-            totalQuestions: responses.length
-          }
-        },
-        { new: true }
-      );
+      const {
+        candidateProfile, jobProfile, completeAnalysis
+      } = await overallAnalysisService.runOverallAnalysis(application, responses);
 
       console.log('💾 Overall analysis saved to application successfully');
 
@@ -1238,6 +1142,7 @@ const InterviewCompleted = async (req, res) => {
           interviewDate: application.createdAt
         },
         overallAnalysis: completeAnalysis,
+        speechAnalytics: completeAnalysis.speechAnalytics,
         individualResponseSummary: responses.map(r => ({
           questionNumber: r.questionNumber,
           questionText: r.questionText,
@@ -1261,36 +1166,8 @@ const InterviewCompleted = async (req, res) => {
     } catch (aiError) {
       console.error('❌ AI overall analysis failed:', aiError);
 
-      // Return basic analysis without AI if AI service fails
-      const individualScores = responses
-        .filter(r => r.aiAnalysis?.overall_assessment?.score)
-        .map(r => r.aiAnalysis.overall_assessment.score);
-
-      const basicAnalysis = {
-        averageScore: individualScores.length > 0 
-          ? Math.round(individualScores.reduce((a, b) => a + b, 0) / individualScores.length)
-          : null,
-        totalQuestions: responses.length,
-        completionRate: 100,
-        totalRedFlags: responses.reduce((acc, r) => acc + (r.aiAnalysis?.red_flags?.length || 0), 0),
-        status: 'ai_overall_analysis_failed',
-        error: 'AI overall analysis service unavailable - individual analyses available',
-        individualAnalysisAvailable: true,
-        analyzedAt: new Date(),
-        version: '1.0-fallback'
-      };
-
-      // Store basic analysis in overall_score field
-      await Application.findByIdAndUpdate(
-        application._id,
-        {
-          $set: {
-            'overall_score': basicAnalysis,
-            status: 'interview_completed', // Use existing enum value
-           
-          }
-        }
-      );
+      // the basic analysis is already stored, the analysis sweep retries it later
+      const basicAnalysis = aiError.basicAnalysis || overallAnalysisService.buildBasicAnalysis(responses);
 
       return res.success({
         message: "Basic overall analysis completed (AI overall analysis failed)",
@@ -1306,6 +1183,7 @@ const InterviewCompleted = async (req, res) => {
             title: application.job.title
           },
           basicAnalysis,
+          speechAnalytics: basicAnalysis.speechAnalytics,
           individualResponses: responses.map(r => ({
             questionNumber: r.questionNumber,
             questionText: r.questionText,
@@ -1325,244 +1203,6 @@ const InterviewCompleted = async (req, res) => {
   }
 };
 
-/**
- * Generate overall AI analysis for complete interview using axios only
- */
-async function generateOverallAIAnalysis({ candidateProfile, jobProfile, responses, interviewMetadata }) {
-  try {
-    const ollamaHost = process.env.AI_GENERATE_URL || process.env.OLLAMA_HOST || 'https://ollama2.havenify.ai';
-    const ollamaModel = process.env.OLLAMA_MODEL || 'gemma3:latest';
-    
-    // Ensure we have the correct API endpoint
-    let ollamaApiUrl;
-    if (!ollamaHost.includes('/api/generate')) {
-      ollamaApiUrl = `${ollamaHost}/api/generate`;
-    } else {
-      ollamaApiUrl = ollamaHost;
-    }
-
-    console.log('🤖 Using API URL for overall analysis:', ollamaApiUrl);
-
-    // Create comprehensive prompt for overall analysis
-    const overallPrompt = createOverallAnalysisPrompt({
-      candidateProfile,
-      jobProfile,
-      responses,
-      interviewMetadata
-    });
-
-    console.log('🤖 Calling AI service for overall interview analysis...');
-
-    // Use axios directly with retry logic
-    const maxRetries = 3;
-    let lastError;
-    let aiResponseText = '';
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Attempt ${attempt}/${maxRetries}: Calling Ollama API for overall analysis`);
-        
-        const response = await axios.post(ollamaApiUrl, {
-          model: ollamaModel,
-          prompt: overallPrompt,
-          stream: false,
-          options: {
-            temperature: 0.3,
-            num_predict: 3000,
-            top_p: 0.9,
-            repeat_penalty: 1.1,
-          }
-        }, {
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          timeout: 120000
-        });
-
-        aiResponseText = response.data.response || '';
-        
-        if (!aiResponseText) {
-          throw new Error('Empty response from Ollama');
-        }
-
-        console.log('✅ AI overall analysis API call successful');
-        break; // Success, exit retry loop
-        
-      } catch (error) {
-        console.error(`Attempt ${attempt} failed:`, error.message);
-        lastError = error;
-        
-        // Don't retry on certain errors
-        if (error.response?.status === 404) {
-          throw new Error(`Ollama service not found at ${ollamaApiUrl}. Please ensure Ollama is running and accessible.`);
-        }
-        
-        if (attempt < maxRetries) {
-          // Wait before retrying (exponential backoff)
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-    }
-
-    // If all retries failed
-    if (!aiResponseText && lastError) {
-      console.error('All AI overall analysis attempts failed:', lastError);
-      throw lastError;
-    }
-    
-    // Try to extract and parse JSON from AI response
-    let aiAnalysis;
-    try {
-      const jsonMatch = aiResponseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        aiAnalysis = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in AI response');
-      }
-    } catch (parseError) {
-      console.warn('⚠️ Failed to parse AI response, using fallback analysis');
-      aiAnalysis = generateFallbackOverallAnalysis(responses);
-    }
-
-    // Ensure proper structure
-    const finalAnalysis = standardizeOverallAnalysisStructure(aiAnalysis);
-
-    console.log('✅ AI overall analysis completed successfully');
-    return finalAnalysis;
-
-  } catch (error) {
-    console.error('❌ AI overall analysis failed:', error);
-    return generateFallbackOverallAnalysis(responses);
-  }
-}
-
-
-/**
- * Create comprehensive prompt for overall interview analysis
- */
-function createOverallAnalysisPrompt({ candidateProfile, jobProfile, responses, interviewMetadata }) {
-  return `You are an expert interview evaluator conducting a COMPREHENSIVE OVERALL ANALYSIS of a complete interview. You must be decisive and honest in your assessment - avoid neutral recommendations like "Consider" unless the candidate is truly borderline.
-
-CANDIDATE PROFILE:
-${JSON.stringify(candidateProfile, null, 2)}
-
-JOB PROFILE:
-${JSON.stringify(jobProfile, null, 2)}
-
-COMPLETE INTERVIEW RESPONSES WITH INDIVIDUAL ANALYSES:
-${JSON.stringify(responses, null, 2)}
-
-EVALUATION INSTRUCTIONS:
-- Base your analysis ONLY on the provided data
-- Be decisive in your recommendation - avoid "Consider" unless truly warranted
-- If responses are weak, incomplete, or show red flags, recommend "Pass" or "Strong Pass"
-- If responses are strong and demonstrate clear competency, recommend "Hire" or "Strong Hire"
-- Only use "Consider" if the candidate shows mixed results with both strong positives and concerning negatives
-
-Provide comprehensive analysis in this exact JSON format:
-{
-  "overall_score": <number 0-100 based on actual performance>,
-  "percentile": <number 0-100 realistic ranking>,
-  "overall_rating": "Exceptional|Strong|Satisfactory|Marginal|Unsatisfactory",
-  "comprehensive_reasoning": "Clear analysis based strictly on the interview data provided - no speculation or optimistic assumptions",
-  "strengths": ["Only list strengths clearly demonstrated in responses"],
-  "areas_for_improvement": ["List specific gaps or weaknesses observed"],
-  "key_insights": "Critical observations about candidate's actual demonstrated abilities",
-  "recommendation": {
-    "decision": "Strong Hire|Hire|Pass|Strong Pass",
-    "confidence": "Very High|High|Moderate|Low|Very Low",
-    "reasoning": "Be decisive - clearly state why you recommend hiring or passing based on the evidence. Avoid suggesting 'Consider' unless there are genuinely strong arguments on both sides."
-  },
-  "technical_competency": <number 0-100 based on demonstrated technical skills>,
-  "communication_skills": <number 0-100 based on response clarity and articulation>,
-  "cultural_fit": <number 0-100 based on values alignment shown in responses>,
-  "problem_solving": <number 0-100 based on demonstrated analytical thinking>,
-  "consistency_score": <number 0-100 based on quality consistency across responses>,
-  "red_flags": ["List any concerning responses, gaps, or negative indicators"],
-  "next_steps": ["Specific actionable recommendations based on your decision"]
-}
-
-CRITICAL GUIDELINES:
-- If individual question scores are mostly below 70, recommend "Pass" or "Strong Pass"
-- If responses show multiple red flags or concerning gaps, be honest about recommending against hiring
-- If responses are consistently strong (75+ scores) with clear competency demonstration, recommend "Hire"
-- Only recommend "Strong Hire" for exceptional candidates with 85+ consistent performance
-- Be realistic about percentile ranking - not everyone is above average
-- Focus on what the candidate actually demonstrated, not their potential
-
-Provide a clear, decisive recommendation that reflects the actual interview performance.`;
-}
-
-
-/**
- * Standardize overall analysis structure
- */
-function standardizeOverallAnalysisStructure(aiAnalysis) {
-  return {
-    overall_score: aiAnalysis.overall_score || 75,
-    percentile: aiAnalysis.percentile || 50,
-    overall_rating: aiAnalysis.overall_rating || 'Satisfactory',
-    comprehensive_reasoning: aiAnalysis.comprehensive_reasoning || 'Comprehensive analysis completed',
-    strengths: Array.isArray(aiAnalysis.strengths) ? aiAnalysis.strengths : ['Adequate performance demonstrated'],
-    areas_for_improvement: Array.isArray(aiAnalysis.areas_for_improvement) ? aiAnalysis.areas_for_improvement : ['Continue professional development'],
-    key_insights: aiAnalysis.key_insights || 'Analysis completed successfully',
-    recommendation: {
-      decision: aiAnalysis.recommendation?.decision || 'Consider',
-      confidence: aiAnalysis.recommendation?.confidence || 'Moderate',
-      reasoning: aiAnalysis.recommendation?.reasoning || 'Standard evaluation completed'
-    },
-    technical_competency: aiAnalysis.technical_competency || 75,
-    communication_skills: aiAnalysis.communication_skills || 75,
-    cultural_fit: aiAnalysis.cultural_fit || 75,
-    problem_solving: aiAnalysis.problem_solving || 75,
-    consistency_score: aiAnalysis.consistency_score || 75,
-    red_flags: Array.isArray(aiAnalysis.red_flags) ? aiAnalysis.red_flags : [],
-    next_steps: Array.isArray(aiAnalysis.next_steps) ? aiAnalysis.next_steps : ['Proceed with standard hiring process'],
-    analyzed_at: new Date().toISOString(),
-    analysis_version: '1.0-overall-comprehensive'
-  };
-}
-
-/**
- * Generate fallback overall analysis
- */
-function generateFallbackOverallAnalysis(responses) {
-  const scores = responses
-    .filter(r => r.individualAnalysis?.overallScore)
-    .map(r => r.individualAnalysis.overallScore);
-
-  const averageScore = scores.length > 0 
-    ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
-    : 70;
-
-  return {
-    overall_score: averageScore,
-    percentile: Math.max(averageScore - 20, 30),
-    overall_rating: averageScore >= 80 ? 'Strong' : averageScore >= 65 ? 'Satisfactory' : 'Marginal',
-    comprehensive_reasoning: `Fallback analysis: Average individual score of ${averageScore} across ${responses.length} responses.`,
-    strengths: ['Completed all interview questions', 'Provided responses to all queries'],
-    areas_for_improvement: ['Requires detailed manual review', 'Comprehensive analysis needed'],
-    key_insights: `Basic analysis only - ${responses.length} responses analyzed with average performance metrics`,
-    recommendation: {
-      decision: 'Consider',
-      confidence: 'Low',
-      reasoning: 'Limited analysis available - requires comprehensive human review'
-    },
-    technical_competency: averageScore,
-    communication_skills: averageScore,
-    cultural_fit: averageScore,
-    problem_solving: averageScore,
-    consistency_score: 75,
-    red_flags: [],
-    next_steps: ['Manual review of responses required'],
-    analyzed_at: new Date().toISOString(),
-    analysis_version: '1.0-fallback'
-  };
-}
-
 /**
  * @description : Get overall interview analysis (retrieve existing analysis)
  */
@@ -1584,7 +1224,7 @@ const getInterviewAnalysis = async (req, res) => {
     const application = await Application.findOne(query);
 
     if (!application) {
-      return res.notFound({
+      return res.recordNotFound({
         message: "Application not found"
       });
     }
@@ -1595,6 +1235,9 @@ const getInterviewAnalysis = async (req, res) => {
       });
     }
 
+    // recruiters get the integrity summary with the events received since the analysis
+    const integrity = token ? undefined : await proctoringService.getIntegritySummary(application);
+
     return res.success({
       message: "Interview analysis retrieved successfully",
       data: {
@@ -1602,6 +1245,7 @@ const getInterviewAnalysis = async (req, res) => {
         candidate: application.candidate,
         job: application.job,
         overallAnalysis: application.overall_score,
+        integrity,
         analysisVersion: application.overall_score.analysis_version,
         lastAnalyzed: application.overall_score.analyzed_at
       }
@@ -1616,9 +1260,90 @@ const getInterviewAnalysis = async (req, res) => {
   }
 };
 
+/**
+ * @description : re-queue the missing response analyses and the overall analysis of an interview.
+ * @param {Object} req : request including id of application in params.
+ * @param {Object} res : response contains what was queued.
+ * @return {Object} : queued analyses, progress is reported by the analysis status route. {status, message, data}
+ */
+const reanalyzeInterview = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.applicationId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    // re-runs cost LLM calls, only for applications of the workspace of the caller
+    if (!(await analysisRetryService.isWorkspaceApplication(req.params.applicationId, req.workspaceId))) {
+      return res.recordNotFound({ message: "Application not found" });
+    }
+    const result = await analysisRetryService.requeueApplicationAnalysis(req.params.applicationId);
+    if (!result.success) {
+      if (result.code === 404) {
+        return res.recordNotFound({ message: result.message });
+      }
+      return res.badRequest({ message: result.message });
+    }
+    return res.success({
+      message: "Interview analysis queued",
+      data: result.data
+    });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
 
+/**
+ * @description : progress of the response and overall analyses of an interview.
+ * @param {Object} req : request including id of application in params.
+ * @param {Object} res : response contains the analysis progress.
+ * @return {Object} : analysis status. {status, message, data}
+ */
+const getInterviewAnalysisStatus = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.applicationId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    if (!(await analysisRetryService.isWorkspaceApplication(req.params.applicationId, req.workspaceId))) {
+      return res.recordNotFound({ message: "Application not found" });
+    }
+    const progress = await analysisRetryService.getAnalysisProgress(req.params.applicationId);
+    if (!progress) {
+      return res.recordNotFound({ message: "Application not found" });
+    }
+    return res.success({
+      message: "Analysis status retrieved",
+      data: progress
+    });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
 
-
+/**
+ * @description : processing status of the recordings of an interview: upload, audio extraction, transcription, analysis and playback
+ * @param {Object} req : request including applicationId in params
+ * @param {Object} res : response contains the status of each recording
+ * @return {Object} : recordings in question order. {status, message, data}
+ */
+const getInterviewMediaStatus = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.applicationId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const recordings = await mediaPipelineService.getApplicationProcessing({
+      applicationId: req.params.applicationId,
+      workspaceId: req.workspaceId
+    });
+    if (!recordings) {
+      return res.recordNotFound({ message: "Application not found" });
+    }
+    return res.success({
+      message: "Media processing status retrieved",
+      data: { recordings }
+    });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
 
 module.exports = {
   addApplication,
@@ -1640,5 +1365,8 @@ module.exports = {
   resumePrivateInterview,
   resendPrivateInterviewLink,
   getInterviewAnalysis,
+  getInterviewAnalysisStatus,
+  getInterviewMediaStatus,
+  reanalyzeInterview,
   InterviewCompleted
 };
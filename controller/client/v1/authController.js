@@ -10,12 +10,14 @@ const PushNotification = require('../../../model/pushNotification');
 const role = require('../../../model/role');
 const userRole = require('../../../model/userRole');
 const dayjs = require('dayjs');
+const ObjectId = require('mongodb').ObjectId;
 const userSchemaKey = require('../../../utils/validation/userValidation');
 const validation = require('../../../utils/validateRequest');
 const authConstant = require('../../../constants/authConstant');
 const authService = require('../../../services/auth');
 const common = require('../../../utils/common');
-const jwt = require('jsonwebtoken');
+const sessionService = require('../../../services/sessionService');
+const twoFactorService = require('../../../services/twoFactorService');
 
 /**
  * @description : user registration 
@@ -103,7 +105,7 @@ const sendOtpForTwoFA = async (req, res) => {
     if (result.directLogin) {
       try {
         // Proceed with login directly
-        let loginResult = await authService.loginWithOTP(params.username, params.password, authConstant.PLATFORM.CLIENT, false);
+        let loginResult = await authService.loginWithOTP(params.username, params.password, authConstant.PLATFORM.CLIENT, false, sessionService.getClientInfo(req));
         if (loginResult.flag) {
           return res.status(400).json({ 
             success: false,
@@ -134,7 +136,8 @@ const sendOtpForTwoFA = async (req, res) => {
       status: 'SUCCESS',
       message: result.data || 'Please check your email for OTP',
       data: null,
-      twoFactorRequired: true
+      twoFactorRequired: true,
+      twoFactorMethod: result.twoFactorMethod
     });
   } catch (error) {
     console.error('sendOtpForTwoFA error:', error);
@@ -177,58 +180,41 @@ const loginWithTwoFA = async (req, res) => {
     where.isDeleted = false; 
     
     let user = await dbService.findOne(User, where);
-    if (!user || !user.loginOTP || !user.loginOTP.expireTime) {
+    if (!user) {
       return res.status(400).json({ 
         success: false,
         message: 'Invalid Code' 
       });
     }
-    
-    if (dayjs(new Date()).isAfter(dayjs(user.loginOTP.expireTime))) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Your OTP has expired' 
-      });
-    }
-    
-    if (user.loginOTP.code !== params.code) {
+
+    // code of the authenticator app when enrolled, else the emailed OTP; method: 'recovery_code' takes a recovery code
+    const verification = await twoFactorService.verifyLogin(user, {
+      password: params.password,
+      method: params.method,
+      code: params.code
+    });
+    if (verification.flag) {
       return res.status(400).json({ 
         success: false,
-        message: 'Invalid Code' 
+        message: verification.data 
       });
     }
 
-    // Generate JWT token directly
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      userType: user.userType,
-      platform: authConstant.PLATFORM.CLIENT
-    };
-
-    const access_token = jwt.sign(
-      tokenPayload, 
-      process.env.JWT_SECRET || 'your-secret-key', 
-      { expiresIn: '24h' }
-    );
-
-    // Store token in database
-    await dbService.create(userTokens, {
-      userId: user.id,
-      token: access_token,
-      tokenExpiredTime: dayjs().add(24, 'hour').toDate(),
-      isTokenExpired: false
-    });
-
-    // Clear OTP after successful login
-    await dbService.updateOne(User, user.id, { 
-      loginOTP: { code: null, expireTime: null } 
+    // same tokens as the password login, so the session can be refreshed and revoked
+    const {
+      session, token: access_token, refreshToken
+    } = await sessionService.createSession({
+      user: user.toJSON(),
+      client: sessionService.getClientInfo(req)
     });
 
     return res.status(200).json({ 
       success: true,
       data: {
         access_token: access_token,
+        refresh_token: refreshToken,
+        session_id: session.id,
+        two_factor_method: verification.data,
         user: {
           id: user.id,
           email: user.email,
@@ -363,8 +349,7 @@ const logout = async (req, res) => {
       token: (req.headers.authorization).replace('Bearer ', ''),
       userId: req.user.id
     });
-    let updatedDocument = { isTokenExpired: true };
-    await dbService.updateOne(userTokens, { _id: userToken.id }, updatedDocument);
+    await sessionService.endSession(userToken);
     let found = await dbService.findOne(PushNotification, { userId: req.user.id });
     if (found) {
       await dbService.updateOne(PushNotification, { _id: found.id }, { isActive: false });
@@ -375,6 +360,84 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * @description : exchange a refresh token for a new access token and refresh token
+ * @param {Object} req : request for refreshToken
+ * @param {Object} res : response for refreshToken
+ * @return {Object} : response for refreshToken {status, message, data}
+ */
+const refreshToken = async (req, res) => {
+  try {
+    if (!req.body.refreshToken || typeof req.body.refreshToken !== 'string') {
+      return res.badRequest({ message: 'Insufficient request parameters! refreshToken is required.' });
+    }
+    let result = await sessionService.refreshSession(req.body.refreshToken, sessionService.getClientInfo(req));
+    if (result.flag) {
+      return res.unAuthorized({ message: result.data });
+    }
+    return res.success({
+      data: result.data,
+      message: 'Token refreshed'
+    });
+  } catch (error) {
+    return res.internalServerError({ data: error.message });
+  }
+};
+
+/**
+ * @description : active sessions of the logged in user
+ * @param {Object} req : request for getSessions
+ * @param {Object} res : response for getSessions
+ * @return {Object} : response for getSessions {status, message, data}
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, (req.headers.authorization).replace('Bearer ', ''));
+    return res.success({ data: sessions });
+  } catch (error) {
+    return res.internalServerError({ data: error.message });
+  }
+};
+
+/**
+ * @description : revoke one session of the logged in user
+ * @param {Object} req : request for revokeSession
+ * @param {Object} res : response for revokeSession
+ * @return {Object} : response for revokeSession {status, message, data}
+ */
+const revokeSession = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    let result = await sessionService.revokeSession(req.user.id, req.params.id);
+    if (result.flag) {
+      return res.recordNotFound({ message: result.data });
+    }
+    return res.success({ message: result.data });
+  } catch (error) {
+    return res.internalServerError({ data: error.message });
+  }
+};
+
+/**
+ * @description : revoke every session of the logged in user except the current one
+ * @param {Object} req : request for revokeOtherSessions
+ * @param {Object} res : response for revokeOtherSessions
+ * @return {Object} : response for revokeOtherSessions {status, message, data}
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeOtherSessions(req.user.id, (req.headers.authorization).replace('Bearer ', ''));
+    return res.success({
+      data: { revoked },
+      message: 'Other sessions revoked'
+    });
+  } catch (error) {
+    return res.internalServerError({ data: error.message });
+  }
+};
+
 /**
  * @description : adding PlayerIDs to send push notification
  * @param {Object} req : request for addPlayerId
@@ -471,6 +534,10 @@ module.exports = {
   validateResetPasswordOtp,
   resetPassword,
   logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   addPlayerId,
   removePlayerId,
   getUserProfile
@@ -176,7 +176,7 @@ class CandidateVerificationController {
         });
       }
 
-      const status = candidateVerificationService.getCandidateVerificationStatus(email, applicationId);
+      const status = await candidateVerificationService.getCandidateVerificationStatus(email, applicationId);
 
       res.json({
         success: true,
@@ -195,7 +195,7 @@ class CandidateVerificationController {
   // Admin endpoint: Get verification statistics
   async getVerificationStats(req, res) {
     try {
-      const stats = candidateVerificationService.getVerificationStats();
+      const stats = await candidateVerificationService.getVerificationStats();
       
       res.json({
         success: true,
@@ -387,7 +387,7 @@ class CandidateVerificationController {
   // Get verification and token statistics
   async getStats(req, res) {
     try {
-      const stats = candidateVerificationService.getVerificationStats();
+      const stats = await candidateVerificationService.getVerificationStats();
       
       return res.json({
         success: true,
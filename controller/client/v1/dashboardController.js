@@ -0,0 +1,56 @@
+/**
+ * dashboardController.js
+ * @description : exports action methods for the recruiter dashboard.
+ */
+
+const dayjs = require('dayjs');
+const dashboardService = require('../../../services/dashboardService');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// zones Intl knows, MongoDB date operators throw on an unknown one
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @description : get dashboard metrics of the workspace of logged in user.
+ * @param {Object} req : request including optional query {workspaceId, from, to, days, timezone}.
+ * @param {Object} res : response contains dashboard metrics.
+ * @return {Object} : open jobs, applications by status, completed interviews, scores, time to completion and link usage. {status, message, data}
+ */
+const getDashboardOverview = async (req, res) => {
+  try {
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+
+    const days = parseInt(req.query.days) || DEFAULT_RANGE_DAYS;
+    const to = req.query.to ? dayjs(req.query.to) : dayjs();
+    const from = req.query.from ? dayjs(req.query.from) : to.subtract(days, 'day').startOf('day');
+    if (!from.isValid() || !to.isValid() || from.isAfter(to)) {
+      return res.validationError({ message: 'Invalid date range' });
+    }
+    const timezone = req.query.timezone || 'UTC';
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+      return res.badRequest({ message: `Invalid timezone ${timezone}` });
+    }
+
+    const dashboard = await dashboardService.getDashboardOverview(workspaceId, {
+      from: from.toDate(),
+      to: to.toDate(),
+      timezone
+    });
+    return res.success({ data: dashboard });
+  } catch (error) {
+    return res.internalServerError({ message: error.message });
+  }
+};
+
+module.exports = { getDashboardOverview, };
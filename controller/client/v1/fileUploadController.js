@@ -6,8 +6,9 @@
 const fs = require('fs');
 const path = require('path');
 const formidable = require('formidable');
-const AWS = require('aws-sdk');
-const AmazonS3URI = require('amazon-s3-uri');
+const { getStorage } = require('../../../services/storage');
+const { inspectUpload } = require('../../../services/upload');
+const { UPLOAD_TYPES } = require('../../../constants/uploadConstant');
 
 let allowedFileTypes = [
   'png',  'jpeg',
@@ -16,7 +17,8 @@ let allowedFileTypes = [
   'docx', 'msword',
   'xls',  'xlsx'
 ];
-let maxFileSize = 200; //In Megabyte
+// size limit and accepted content of each type are in UPLOAD_TYPE_RULES
+let allowedUploadTypes = [UPLOAD_TYPES.DOCUMENT, UPLOAD_TYPES.RESUME, UPLOAD_TYPES.AVATAR];
 
 /**
  * @description : uploads file using formidable.
@@ -113,40 +115,23 @@ const generatePreSignedURL = async (req, res) => {
   try {
     if (req.body && req.body.uri){
       let uri = req.body.uri;
-      let S3Config = {
-        AWS_S3_ACCESS_KEY_ID: process.env.AWS_S3_ACCESS_KEY_ID,
-        AWS_S3_SECRET_ACCESS_KEY: process.env.AWS_S3_SECRET_ACCESS_KEY,
-        AWS_S3_REGION: process.env.AWS_S3_REGION,
-        AWS_S3_BUCKET_NAME: process.env.AWS_S3_BUCKET_NAME,
-      };
-
-      const s3 = new AWS.S3({
-        region: S3Config.AWS_S3_REGION,
-        accessKeyId: S3Config.AWS_S3_ACCESS_KEY_ID,
-        secretAccessKey: S3Config.AWS_S3_SECRET_ACCESS_KEY
-      });
+      const storage = getStorage();
 
+      let key;
       try {
-        const {
-          region, bucket, key
-        } = AmazonS3URI(uri);
-
-        let options = {
-          Bucket: bucket,
-          //public-read
-          Key: key,
-          Expires: Number(process.env.AWS_URL_EXPIRATION) || 15 * 60 //in seconds,
-        };
-
-        await s3.getSignedUrl('getObject', options, (error, url) => {
-          if (error) {
-            return res.failure({ message: error });
-          } else {
-            return res.success({ data: url });
-          }
-        });
+        key = storage.getKeyFromUrl(uri);
+      } catch (error) {
+        key = null;
+      }
+      if (!key) {
+        return res.failure({ message: `${uri} is not a valid storage uri` });
+      }
+
+      try {
+        const url = await storage.getSignedUrl(key, { expiresIn: Number(process.env.AWS_URL_EXPIRATION) || 15 * 60 });
+        return res.success({ data: url });
       } catch (error) {
-        return res.failure({ message: `${uri} is not a valid S3 uri` });
+        return res.failure({ message: error.message });
       }
     } else {
       return res.badRequest({ message : 'Insufficient request parameters! uri is required.' });
@@ -176,12 +161,11 @@ const uploadFiles = async (file,fields,fileCount) => {
     };
   }
 
-  // Check File Size
-  const fileSize = ((file.size / 1024) / 1024);
-  if (maxFileSize < fileSize) {
+  const uploadType = (fields && fields.uploadType) || UPLOAD_TYPES.DOCUMENT;
+  if (!allowedUploadTypes.includes(uploadType)) {
     return {
       status: false,
-      message: `Allow file size upto ${maxFileSize} MB.`
+      message: 'Upload type not allowed.'
     };
   }
 
@@ -194,57 +178,53 @@ const uploadFiles = async (file,fields,fileCount) => {
     fileName = fields.fileName + '-' + fileCount + path.extname(file.originalFilename);
   }
 
+  // the extension is only a hint, the content decides the stored type
+  const inspection = await inspectUpload({
+    uploadType,
+    filePath: file.filepath,
+    size: file.size,
+    fileName: file.originalFilename,
+    declaredType: file.mimetype,
+    key: fileName
+  });
+  if (!inspection.success) {
+    return {
+      status: false,
+      message: inspection.message
+    };
+  }
+
   const response = await new Promise(async (resolve, reject) => {
-    resolve(await uploadToS3(file,fileName));
+    resolve(await uploadToS3(file,fileName,inspection.mimeType));
   });
 
   return response;
 
 };
 /**
- * @description : upload file to AWS s3
+ * @description : upload file to the configured storage
  * @param {Object} file : file to upload
  * @param {string} fileName : name of file
- * @return {Object} : response for file upload to AWS s3
+ * @param {string} contentType : content type sniffed from the file
+ * @return {Object} : response for file upload to storage
  */
-const uploadToS3 = async (file, fileName) => {
-  let S3Config = {
-    AWS_S3_ACCESS_KEY_ID: process.env.AWS_S3_ACCESS_KEY_ID,
-    AWS_S3_SECRET_ACCESS_KEY: process.env.AWS_S3_SECRET_ACCESS_KEY,
-    AWS_S3_REGION: process.env.AWS_S3_REGION,
-    AWS_S3_BUCKET_NAME: process.env.AWS_S3_BUCKET_NAME,
-  };
-
-  const s3 = new AWS.S3({
-    region: S3Config.AWS_S3_REGION,
-    accessKeyId: S3Config.AWS_S3_ACCESS_KEY_ID,
-    secretAccessKey: S3Config.AWS_S3_SECRET_ACCESS_KEY
-  });
-
-  let params = {
-    Bucket: S3Config.AWS_S3_BUCKET_NAME,
-    Body: fs.createReadStream(file.filepath),
-    Key: fileName,
-    ACL: 'public-read'
-  };
-
-  const response = await new Promise(async (resolve, reject) => {
-    s3.putObject(params, function (error, data) {
-      if (error) {
-        resolve({
-          status: false,
-          message: error.message
-        });
-      } else {
-        resolve({
-          status: true,
-          data: 'https://' + process.env.AWS_S3_BUCKET_NAME + '.s3.' + S3Config.AWS_S3_REGION + '.amazonaws.com/' + fileName
-        });
-      }
+const uploadToS3 = async (file, fileName, contentType) => {
+  const storage = getStorage();
+  try {
+    await storage.putObject(fileName, fs.createReadStream(file.filepath), {
+      contentType: contentType || file.mimetype,
+      isPublic: true
     });
-  });
-
-  return response;
+    return {
+      status: true,
+      data: storage.getPublicUrl(fileName)
+    };
+  } catch (error) {
+    return {
+      status: false,
+      message: error.message
+    };
+  }
 };
 module.exports = {
   upload,
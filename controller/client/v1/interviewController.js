@@ -3,7 +3,7 @@
  * @description :: exports action methods for interview management.
  */
 
-// const InterviewTemplate = require('../../../model/interviewTemplate');
+const InterviewTemplate = require('../../../model/interviewTemplate');
 const Application = require('../../../model/application'); // Interview Session
 const Response = require('../../../model/response'); // Interview Response  
 const Job = require('../../../model/job');
@@ -13,6 +13,9 @@ const deleteDependentService = require('../../../utils/deleteDependent');
 const dbService = require('../../../utils/dbService');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const validation = require('../../../utils/validateRequest');
+const interviewTemplateSchemaKey = require('../../../utils/validation/interviewTemplateValidation');
+const interviewTemplateService = require('../../../services/interviewTemplateService');
 
 /**
  * @description : create document of InterviewTemplate in mongodb collection.
@@ -23,10 +26,22 @@ const crypto = require('crypto');
 const addInterviewTemplate = async (req, res) => {
     try {
         let dataToCreate = { ...req.body || {} };
-        dataToCreate = utils.pickFromObject(dataToCreate, ['title', 'description', 'jobRole', 'questions', 'isPublic']);
+        let validateRequest = validation.validateParamsWithJoi(
+            dataToCreate,
+            interviewTemplateSchemaKey.schemaKeys);
+        if (!validateRequest.isValid) {
+            return res.validationError({ message: `Invalid values in parameters, ${validateRequest.message}` });
+        }
+        // templates belong to the workspace resolved by workspaceAccess
+        const workspaceId = req.workspaceId;
+        if (!workspaceId) {
+            return res.badRequest({ message: 'Workspace ID is required' });
+        }
+        dataToCreate = utils.pickFromObject(dataToCreate, ['title', 'description', 'jobRole', 'tags', 'questions', 'isPublic']);
+        dataToCreate.workspace = workspaceId;
         dataToCreate.addedBy = req.user.id;
 
-        let createdInterviewTemplate = await dbService.create(InterviewTemplate, dataToCreate);
+        let createdInterviewTemplate = await dbService.create(InterviewTemplate, new InterviewTemplate(dataToCreate));
         return res.success({ data: createdInterviewTemplate });
     } catch (error) {
         return res.internalServerError({ message: error.message });
@@ -42,16 +57,10 @@ const addInterviewTemplate = async (req, res) => {
 const findAllInterviewTemplate = async (req, res) => {
     try {
         let options = utils.paginationOptions(req.body);
-        let query = req.body.query || {};
-        query.isDeleted = false;
-
-        // Role-based access control
-        if (req.user.role !== 'admin') {
-            query.$or = [
-                { addedBy: req.user.id },
-                { isPublic: true }
-            ];
-        }
+        let query = {
+            ...req.body.query || {},
+            ...interviewTemplateService.accessibleTemplateQuery(req.workspaceId)
+        };
 
         let foundInterviewTemplates = await dbService.paginate(InterviewTemplate, query, options);
         return res.success({ data: foundInterviewTemplates });
@@ -475,7 +484,7 @@ const getSessionResponses = async (req, res) => {
 // Additional methods for soft delete, get single documents, etc.
 const getInterviewTemplate = async (req, res) => {
     try {
-        let query = { _id: req.params.id, isDeleted: false };
+        let query = { _id: req.params.id, ...interviewTemplateService.accessibleTemplateQuery(req.workspaceId) };
         let foundInterviewTemplate = await dbService.findOne(InterviewTemplate, query);
         if (!foundInterviewTemplate) {
             return res.recordNotFound();
@@ -489,13 +498,19 @@ const getInterviewTemplate = async (req, res) => {
 const updateInterviewTemplate = async (req, res) => {
     try {
         let dataToUpdate = { ...req.body };
-        let query = { _id: req.params.id, isDeleted: false };
-
-        // Only allow owner or admin to update
-        if (req.user.role !== 'admin') {
-            query.addedBy = req.user.id;
+        let validateRequest = validation.validateParamsWithJoi(
+            dataToUpdate,
+            interviewTemplateSchemaKey.updateSchemaKeys);
+        if (!validateRequest.isValid) {
+            return res.validationError({ message: `Invalid values in parameters, ${validateRequest.message}` });
         }
+        // Only the owning workspace can change a template
+        let query = { _id: req.params.id, isDeleted: false, workspace: req.workspaceId };
 
+        dataToUpdate = utils.pickFromObject(dataToUpdate, ['title', 'description', 'jobRole', 'tags', 'questions', 'isPublic', 'isActive']);
+        if (dataToUpdate.questions) {
+            dataToUpdate.questions = InterviewTemplate.orderQuestions(dataToUpdate.questions);
+        }
         dataToUpdate.updatedBy = req.user.id;
         let updatedInterviewTemplate = await dbService.updateOne(InterviewTemplate, query, dataToUpdate);
         if (!updatedInterviewTemplate) {
@@ -510,13 +525,21 @@ const updateInterviewTemplate = async (req, res) => {
 const partialUpdateInterviewTemplate = async (req, res) => {
     try {
         let dataToUpdate = { ...req.body };
+        let validateRequest = validation.validateParamsWithJoi(
+            dataToUpdate,
+            interviewTemplateSchemaKey.updateSchemaKeys);
+        if (!validateRequest.isValid) {
+            return res.validationError({ message: `Invalid values in parameters, ${validateRequest.message}` });
+        }
         delete dataToUpdate.addedBy;
-        dataToUpdate.updatedBy = req.user.id;
-        let query = { _id: req.params.id, isDeleted: false };
-
-        if (req.user.role !== 'admin') {
-            query.addedBy = req.user.id;
+        delete dataToUpdate.workspace;
+        delete dataToUpdate.workspaceId;
+        delete dataToUpdate.usageCount;
+        if (dataToUpdate.questions) {
+            dataToUpdate.questions = InterviewTemplate.orderQuestions(dataToUpdate.questions);
         }
+        dataToUpdate.updatedBy = req.user.id;
+        let query = { _id: req.params.id, isDeleted: false, workspace: req.workspaceId };
 
         let updatedInterviewTemplate = await dbService.updateOne(InterviewTemplate, query, dataToUpdate);
         if (!updatedInterviewTemplate) {
@@ -530,11 +553,7 @@ const partialUpdateInterviewTemplate = async (req, res) => {
 
 const softDeleteInterviewTemplate = async (req, res) => {
     try {
-        let query = { _id: req.params.id };
-
-        if (req.user.role !== 'admin') {
-            query.addedBy = req.user.id;
-        }
+        let query = { _id: req.params.id, workspace: req.workspaceId };
 
         const result = await dbService.updateOne(InterviewTemplate, query, {
             isDeleted: true,
@@ -551,11 +570,7 @@ const softDeleteInterviewTemplate = async (req, res) => {
 
 const deleteInterviewTemplate = async (req, res) => {
     try {
-        let query = { _id: req.params.id };
-
-        if (req.user.role !== 'admin') {
-            query.addedBy = req.user.id;
-        }
+        let query = { _id: req.params.id, workspace: req.workspaceId };
 
         const result = await dbService.deleteOne(InterviewTemplate, query);
         if (!result) {
@@ -567,6 +582,36 @@ const deleteInterviewTemplate = async (req, res) => {
     }
 };
 
+/**
+ * @description : create questions of a job from an interview template.
+ * @param {Object} req : request including id of template in params and {jobId, replace} in body.
+ * @param {Object} res : response contains the job with its questions.
+ * @return {Object} : updated Job. {status, message, data}
+ */
+const applyInterviewTemplateToJob = async (req, res) => {
+    try {
+        let validateRequest = validation.validateParamsWithJoi(
+            req.body || {},
+            interviewTemplateSchemaKey.applyToJobKeys);
+        if (!validateRequest.isValid) {
+            return res.validationError({ message: `Invalid values in parameters, ${validateRequest.message}` });
+        }
+        const updatedJob = await interviewTemplateService.applyTemplateToJob({
+            templateId: req.params.id,
+            jobId: req.body.jobId,
+            userId: req.user.id,
+            workspaceId: req.workspaceId,
+            replace: req.body.replace === true
+        });
+        if (!updatedJob) {
+            return res.recordNotFound({ message: 'Interview template or job not found' });
+        }
+        return res.success({ data: updatedJob });
+    } catch (error) {
+        return res.internalServerError({ message: error.message });
+    }
+};
+
 const softDeleteInterviewSession = async (req, res) => {
     try {
         let query = { _id: req.params.id };
@@ -737,6 +782,7 @@ module.exports = {
     partialUpdateInterviewTemplate,
     softDeleteInterviewTemplate,
     deleteInterviewTemplate,
+    applyInterviewTemplateToJob,
 
     addInterviewSession,
     findAllInterviewSession,
@@ -11,6 +11,8 @@ const dbService = require('../../../utils/dbService');
 const ObjectId = require('mongodb').ObjectId;
 const deleteDependentService = require('../../../utils/deleteDependent');
 const utils = require('../../../utils/common');
+const InterviewTemplate = require('../../../model/interviewTemplate');
+const interviewTemplateService = require('../../../services/interviewTemplateService');
 
 // Add the JobCreationService class directly in the controller file
 // Replace the JobCreationService class in your jobController.js
@@ -19,15 +21,31 @@ class JobCreationService {
     try {
       console.log('Received job data:', JSON.stringify(jobData, null, 2));
       
-      const questionIds = [];
+      let questionIds = [];
       
-      // Create questions first if they exist
-      if (jobData.questions && jobData.questions.length > 0) {
+      // Create questions first if they exist, otherwise copy them from the selected template
+      if (jobData.templateId && !(jobData.questions && jobData.questions.length > 0)) {
+        const template = await dbService.findOne(InterviewTemplate, {
+          _id: jobData.templateId,
+          ...interviewTemplateService.accessibleTemplateQuery(workspaceId)
+        });
+        if (!template) {
+          return {
+            success: false,
+            error: 'Interview template not found'
+          };
+        }
+        questionIds = await interviewTemplateService.createQuestionsFromTemplate(template, {
+          userId,
+          workspaceId
+        });
+      } else if (jobData.questions && jobData.questions.length > 0) {
         for (const questionData of jobData.questions) {
           const question = new Question({
             title: questionData.title,
             question_type: questionData.question_type || 'video',
             evaluation_instructions: questionData.evaluation_instructions,
+            rubric: questionData.rubric,
             timeLimit: questionData.timeLimit || 120,
             allowRetry: questionData.allowRetry || false,
             tags: questionData.tags || [],
@@ -0,0 +1,162 @@
+/**
+ * mediaRetentionController.js
+ * @description : exports action methods for the candidate media retention policy.
+ */
+
+const ObjectId = require('mongodb').ObjectId;
+const mediaRetentionService = require('../../../services/mediaRetentionService');
+const validation = require('../../../utils/validateRequest');
+const mediaRetentionSchemaKey = require('../../../utils/validation/mediaRetentionValidation');
+
+const sendServiceResult = (res, result) => {
+  if (result.success) {
+    return res.success({ data: result.data });
+  }
+  if (result.code === 404) {
+    return res.recordNotFound({ message: result.message });
+  }
+  return res.failure({ message: result.message });
+};
+
+/**
+ * @description : media retention settings of the workspace.
+ * @param {Object} req : request of logged in user.
+ * @param {Object} res : response contains the retention settings.
+ * @return {Object} : retention settings. {status, message, data}
+ */
+const getRetentionSettings = async (req, res) => {
+  try {
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const settings = await mediaRetentionService.getRetentionSettings(workspaceId);
+    if (!settings) {
+      return res.recordNotFound({ message: 'Workspace not found' });
+    }
+    return res.success({ data: settings });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : update the media retention settings of the workspace.
+ * @param {Object} req : request including {enabled, rejectedAfterDays, allAfterMonths} in body, null removes a period.
+ * @param {Object} res : response contains the updated settings.
+ * @return {Object} : retention settings. {status, message, data}
+ */
+const updateRetentionSettings = async (req, res) => {
+  try {
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      mediaRetentionSchemaKey.settingsKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const result = await mediaRetentionService.updateRetentionSettings({
+      workspaceId,
+      settings: req.body,
+      userId: req.user.id
+    });
+    return sendServiceResult(res, result);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : dry run of the retention policy, lists the applications and media the next purge deletes.
+ * @param {Object} req : request of logged in user.
+ * @param {Object} res : response contains the report.
+ * @return {Object} : retention report. {status, message, data}
+ */
+const getRetentionReport = async (req, res) => {
+  try {
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const result = await mediaRetentionService.applyRetention({
+      workspaceId,
+      dryRun: true
+    });
+    return sendServiceResult(res, result);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : purge the media past the retention settings of the workspace now instead of waiting for the scheduled run.
+ * @param {Object} req : request including dryRun in body.
+ * @param {Object} res : response contains the report of the purge.
+ * @return {Object} : retention report. {status, message, data}
+ */
+const purgeMedia = async (req, res) => {
+  try {
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      mediaRetentionSchemaKey.purgeKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const result = await mediaRetentionService.applyRetention({
+      workspaceId,
+      dryRun: req.body.dryRun === true
+    });
+    return sendServiceResult(res, result);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : put an application on legal hold or release it.
+ * @param {Object} req : request including id of application in params and {active, reason} in body.
+ * @param {Object} res : response contains the legal hold of the application.
+ * @return {Object} : legal hold. {status, message, data}
+ */
+const setLegalHold = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      mediaRetentionSchemaKey.legalHoldKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const result = await mediaRetentionService.setLegalHold({
+      applicationId: req.params.id,
+      workspaceId,
+      active: req.body.active,
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+    return sendServiceResult(res, result);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = {
+  getRetentionSettings,
+  updateRetentionSettings,
+  getRetentionReport,
+  purgeMedia,
+  setLegalHold
+};
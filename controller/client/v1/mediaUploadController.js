@@ -2,8 +2,10 @@
 const fs = require('fs');
 const path = require('path');
 const formidable = require('formidable');
-const AWS = require('aws-sdk');
 const multer = require('multer');
+const { getStorage } = require('../../../services/storage');
+const { inspectUpload } = require('../../../services/upload');
+const { UPLOAD_TYPES } = require('../../../constants/uploadConstant');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -57,7 +59,22 @@ const uploadMedia = async (req, res) => {
     const fileExtension = path.extname(req.file.originalname) || '.webm';
     const fileName = `interviews/${sessionId}/q${questionNumber}_${fileType}_${timestamp}_${randomString}${fileExtension}`;
 
-    const response = await uploadToS3Media(req.file, fileName);
+    const inspection = await inspectUpload({
+      uploadType: UPLOAD_TYPES.MEDIA,
+      buffer: req.file.buffer,
+      size: req.file.size,
+      fileName: req.file.originalname,
+      declaredType: req.file.mimetype,
+      key: fileName
+    });
+    if (!inspection.success) {
+      if (inspection.code === 400) {
+        return res.badRequest({ message: inspection.message });
+      }
+      return res.failure({ message: inspection.message });
+    }
+
+    const response = await uploadToS3Media(req.file, fileName, inspection.mimeType);
 
     if (!response.status) {
       throw new Error(response.message);
@@ -71,7 +88,7 @@ const uploadMedia = async (req, res) => {
         url: response.data,
         fileName: fileName,
         fileSize: req.file.size,
-        mimeType: req.file.mimetype,
+        mimeType: inspection.mimeType,
         sessionId: sessionId,
         questionNumber: parseInt(questionNumber),
         fileType: fileType,
@@ -90,54 +107,33 @@ const uploadMedia = async (req, res) => {
 };
 
 /**
- * @description : upload media file to AWS S3
+ * @description : upload media file to the configured storage
  * @param {Object} file : file buffer from multer
  * @param {string} fileName : name of file
- * @return {Object} : response for file upload to AWS S3
+ * @param {string} contentType : content type sniffed from the file
+ * @return {Object} : response for file upload to storage
  */
-const uploadToS3Media = async (file, fileName) => {
-  let S3Config = {
-    AWS_S3_ACCESS_KEY_ID: process.env.AWS_S3_ACCESS_KEY_ID,
-    AWS_S3_SECRET_ACCESS_KEY: process.env.AWS_S3_SECRET_ACCESS_KEY,
-    AWS_S3_REGION: process.env.AWS_S3_REGION,
-    AWS_S3_BUCKET_NAME: process.env.AWS_S3_BUCKET_NAME,
-  };
-
-  const s3 = new AWS.S3({
-    region: S3Config.AWS_S3_REGION,
-    accessKeyId: S3Config.AWS_S3_ACCESS_KEY_ID,
-    secretAccessKey: S3Config.AWS_S3_SECRET_ACCESS_KEY
-  });
-
-  let params = {
-    Bucket: S3Config.AWS_S3_BUCKET_NAME,
-    Body: file.buffer, // Use buffer instead of file stream
-    Key: fileName,
-    ContentType: file.mimetype,
-    ACL: 'public-read',
-    Metadata: {
-      'upload-type': 'interview-media',
-      'uploaded-at': new Date().toISOString()
-    }
-  };
-
-  const response = await new Promise(async (resolve, reject) => {
-    s3.putObject(params, function (error, data) {
-      if (error) {
-        resolve({
-          status: false,
-          message: error.message
-        });
-      } else {
-        resolve({
-          status: true,
-          data: `https://${S3Config.AWS_S3_BUCKET_NAME}.s3.${S3Config.AWS_S3_REGION}.amazonaws.com/${fileName}`
-        });
+const uploadToS3Media = async (file, fileName, contentType) => {
+  const storage = getStorage();
+  try {
+    await storage.putObject(fileName, file.buffer, {
+      contentType: contentType || file.mimetype,
+      isPublic: true,
+      metadata: {
+        'upload-type': 'interview-media',
+        'uploaded-at': new Date().toISOString()
       }
     });
-  });
-
-  return response;
+    return {
+      status: true,
+      data: storage.getPublicUrl(fileName)
+    };
+  } catch (error) {
+    return {
+      status: false,
+      message: error.message
+    };
+  }
 };
 
 module.exports = {
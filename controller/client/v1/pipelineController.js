@@ -0,0 +1,167 @@
+/**
+ * pipelineController.js
+ * @description : exports action methods for the hiring pipeline.
+ */
+
+const pipelineSchemaKey = require('../../../utils/validation/pipelineValidation');
+const validation = require('../../../utils/validateRequest');
+const ObjectId = require('mongodb').ObjectId;
+const pipelineService = require('../../../services/pipelineService');
+
+const sendServiceResult = (res, result) => {
+  if (result.success) {
+    return res.success({ data: result.data });
+  }
+  if (result.code === 'NOT_FOUND') {
+    return res.recordNotFound({ message: result.message });
+  }
+  return res.validationError({ message: result.message });
+};
+
+/**
+ * @description : get pipeline stages of the workspace.
+ * @param {Object} req : request of logged in user.
+ * @param {Object} res : response contains ordered stages.
+ * @return {Object} : pipeline stages. {status, message, data}
+ */
+const getPipelineStages = async (req, res) => {
+  try {
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const stages = await pipelineService.getPipelineStages(workspaceId);
+    return res.success({ data: stages });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : configure pipeline stages of the workspace.
+ * @param {Object} req : request including stages in body.
+ * @param {Object} res : response contains updated stages.
+ * @return {Object} : pipeline stages. {status, message, data}
+ */
+const updatePipelineStages = async (req, res) => {
+  try {
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      pipelineSchemaKey.stagesKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const result = await pipelineService.updatePipelineStages({
+      workspaceId,
+      stages: req.body.stages,
+      userId: req.user.id
+    });
+    return sendServiceResult(res, result);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : move an application to a pipeline stage.
+ * @param {Object} req : request including id of application in params and {stage, reason, note} in body.
+ * @param {Object} res : response contains moved application ids.
+ * @return {Object} : result of the move. {status, message, data}
+ */
+const moveApplicationStage = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      pipelineSchemaKey.moveStageKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const result = await pipelineService.moveApplicationsToStage({
+      applicationIds: [req.params.id],
+      toStage: req.body.stage,
+      reason: req.body.reason,
+      note: req.body.note,
+      userId: req.user.id,
+      workspaceId: req.workspaceId
+    });
+    if (result.success && result.data.notFound.length) {
+      return res.recordNotFound({ message: 'Application not found' });
+    }
+    if (result.success && result.data.conflicts.length) {
+      return res.failure({
+        message: 'Application was moved to another stage meanwhile, reload it and try again',
+        data: result.data
+      });
+    }
+    return sendServiceResult(res, result);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : move a batch of applications to a pipeline stage.
+ * @param {Object} req : request including {applicationIds, stage, reason, note} in body.
+ * @param {Object} res : response contains moved, unchanged, not found and conflicting application ids.
+ * @return {Object} : result of the move. {status, message, data}
+ */
+const moveApplicationsStage = async (req, res) => {
+  try {
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      pipelineSchemaKey.moveStageBatchKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const result = await pipelineService.moveApplicationsToStage({
+      applicationIds: [...new Set(req.body.applicationIds)],
+      toStage: req.body.stage,
+      reason: req.body.reason,
+      note: req.body.note,
+      userId: req.user.id,
+      workspaceId: req.workspaceId
+    });
+    return sendServiceResult(res, result);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : get stage history of an application.
+ * @param {Object} req : request including id of application in params.
+ * @param {Object} res : response contains current stage and history.
+ * @return {Object} : stage history. {status, message, data}
+ */
+const getApplicationStageHistory = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const history = await pipelineService.getStageHistory({
+      applicationId: req.params.id,
+      workspaceId: req.workspaceId
+    });
+    if (!history) {
+      return res.recordNotFound();
+    }
+    return res.success({ data: history });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = {
+  getPipelineStages,
+  updatePipelineStages,
+  moveApplicationStage,
+  moveApplicationsStage,
+  getApplicationStageHistory,
+};
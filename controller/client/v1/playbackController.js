@@ -0,0 +1,86 @@
+/**
+ * playbackController.js
+ * @description : exports action methods for the adaptive playback of interview recordings.
+ */
+
+const ObjectId = require('mongodb').ObjectId;
+const mediaPlaybackService = require('../../../services/mediaPlaybackService');
+const { MEDIA_CONTENT_TYPES } = require('../../../constants/mediaConstant');
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * @description : signed master playlist, poster and sprite of the recording of a response.
+ * @param {Object} req : request including id of response in params.
+ * @param {Object} res : response contains playback links, or the processing status while renditions are generated.
+ * @return {Object} : playback of the response. {status, message, data}
+ */
+const getResponsePlayback = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.responseId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const playback = await mediaPlaybackService.getResponsePlayback({
+      responseId: req.params.responseId,
+      workspaceId: req.workspaceId,
+      baseUrl: getBaseUrl(req)
+    });
+    if (!playback) {
+      return res.recordNotFound({ message: 'Response not found' });
+    }
+    return res.success({ data: playback });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : playback of every recorded response of an interview session.
+ * @param {Object} req : request including id of application in params.
+ * @param {Object} res : response contains playback of each response.
+ * @return {Object} : playback of the session. {status, message, data}
+ */
+const getSessionPlayback = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.sessionId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const playback = await mediaPlaybackService.getSessionPlayback({
+      sessionId: req.params.sessionId,
+      workspaceId: req.workspaceId,
+      baseUrl: getBaseUrl(req)
+    });
+    if (!playback) {
+      return res.recordNotFound({ message: 'Interview session not found' });
+    }
+    return res.success({ data: playback });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : HLS playlist of a playback link, authorised by the token of the link instead of a login.
+ * @param {Object} req : request including playback token and playlist name in params.
+ * @param {Object} res : playlist with signed segment links.
+ * @return {Object} : m3u8 playlist.
+ */
+const getHlsPlaylist = async (req, res) => {
+  try {
+    const result = await mediaPlaybackService.getHlsPlaylist(req.params.token, req.params.fileName);
+    if (!result.success) {
+      return result.code === 401 ? res.unAuthorized({ message: result.message }) : res.recordNotFound({ message: result.message });
+    }
+    res.set('Content-Type', MEDIA_CONTENT_TYPES['.m3u8']);
+    res.set('Cache-Control', 'private, no-store');
+    return res.send(result.data.body);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = {
+  getResponsePlayback,
+  getSessionPlayback,
+  getHlsPlaylist
+};
@@ -0,0 +1,86 @@
+/**
+ * proctoringController.js
+ * @description : exports action methods for the proctoring events of private interviews.
+ */
+
+const ObjectId = require('mongodb').ObjectId;
+const proctoringService = require('../../../services/proctoringService');
+const validation = require('../../../utils/validateRequest');
+const proctoringSchemaKey = require('../../../utils/validation/proctoringValidation');
+
+/**
+ * @description : store proctoring events reported by the client during a private interview.
+ * @param {Object} req : request including token in params and {events} in body,
+ * an event is {type, occurredAt, questionId, questionNumber, durationMs, clientEventId, details}.
+ * @param {Object} res : response contains the number of stored events.
+ * @return {Object} : {received, stored, duplicates, dropped}. {status, message, data}
+ */
+const recordProctoringEvents = async (req, res) => {
+  try {
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      proctoringSchemaKey.eventsKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const result = await proctoringService.recordProctoringEvents({
+      token: req.params.token,
+      events: req.body.events,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+    if (!result.success) {
+      if (result.code === 404) {
+        return res.recordNotFound({ message: result.message });
+      }
+      return res.badRequest({ message: result.message });
+    }
+    return res.success({
+      message: 'Proctoring events recorded',
+      data: result.data
+    });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : integrity summary and proctoring events of an application.
+ * @param {Object} req : request including id of application in params, optional type and questionNumber in query.
+ * @param {Object} res : response contains the integrity summary and the events.
+ * @return {Object} : {applicationId, integrity, events}. {status, message, data}
+ */
+const getApplicationProctoring = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    let validateRequest = validation.validateParamsWithJoi(
+      req.query,
+      proctoringSchemaKey.listKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const result = await proctoringService.getApplicationProctoring({
+      applicationId: req.params.id,
+      workspaceId,
+      type: req.query.type,
+      questionNumber: req.query.questionNumber !== undefined ? parseInt(req.query.questionNumber) : undefined
+    });
+    if (!result) {
+      return res.recordNotFound({ message: 'Application not found' });
+    }
+    return res.success({ data: result });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = {
+  recordProctoringEvents,
+  getApplicationProctoring
+};
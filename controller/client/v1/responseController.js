@@ -3,7 +3,6 @@
  * @description : exports action methods for response.
  */
 
-const axios = require('axios');
 const Response = require('../../../model/response');
 const responseSchemaKey = require('../../../utils/validation/responseValidation');
 const validation = require('../../../utils/validateRequest');
@@ -11,14 +10,23 @@ const dbService = require('../../../utils/dbService');
 const ObjectId = require('mongodb').ObjectId;
 const utils = require('../../../utils/common');
 const Application = require('../../../model/application');
-const Question = require('../../../model/question');
+const MediaProcessingStatus = require('../../../model/mediaProcessingStatus');
+const responseQueue = require('../../../queues/responseQueue');
+const mediaPipelineService = require('../../../services/mediaPipelineService');
+const reviewService = require('../../../services/reviewService');
+const {
+  RESPONSE_QUEUE_JOBS, ANALYSIS_STATUS 
+} = require('../../../constants/queueConstant');
+const {
+  MEDIA_TYPES, MEDIA_PROCESSING_STATUS
+} = require('../../../constants/mediaConstant');
    
 /**
- * Create interview response with AI analysis
+ * Create interview response and queue its AI analysis
  */
 const createInterviewResponse = async (req, res) => {
   try {
-    console.log('🎯 Creating interview response with AI analysis');
+    console.log('🎯 Creating interview response');
     
     const {
       applicationId,
@@ -41,42 +49,29 @@ const createInterviewResponse = async (req, res) => {
     }
 
     // Get application with populated references
-    const application = await dbService.findOne(Application, 
-      { _id: applicationId }, 
-      { 
-        populate: [
-          { path: 'job', select: 'title description requirements' },
-          { path: 'candidate', select: 'name email' }
-        ]
-      }
-    );
+    const application = await dbService.findOne(Application, { _id: applicationId });
 
     if (!application) {
       return res.recordNotFound({ message: 'Application not found' });
     }
 
-    // Get question details if questionId provided
-    let questionDetails = null;
-    if (questionId && ObjectId.isValid(questionId)) {
-      questionDetails = await dbService.findOne(Question, { _id: questionId });
-    }
-
-    console.log('📊 Generating AI analysis for response...', application);
+    const question = questionId && ObjectId.isValid(questionId) ? questionId : null;
 
-    // Generate AI analysis
-    const aiAnalysis = await generateAIAnalysis({
-      questionText,
-      responseText,
-      jobDetails: application.job,
-      questionDetails,
-      candidateInfo: application.candidate,
-      evaluationInstructions: evaluation_instructions
-    });
+    // a recording assembled before the answer was saved is linked here
+    let assembledVideo = null;
+    if (!responseVideoUrl && question) {
+      assembledVideo = await dbService.findOne(MediaProcessingStatus, {
+        application: applicationId,
+        question,
+        mediaType: MEDIA_TYPES.VIDEO,
+        status: MEDIA_PROCESSING_STATUS.ASSEMBLED
+      });
+    }
 
-    // Prepare response data
+    // Prepare response data, analysis is filled in later by the response worker
     const responseData = {
       job: application.job?._id,
-      question: questionId && ObjectId.isValid(questionId) ? questionId : null,
+      question,
       candidate: application.candidate?._id,
       sessionId: applicationId,
       questionNumber: parseInt(questionNumber),
@@ -84,9 +79,9 @@ const createInterviewResponse = async (req, res) => {
       responseText,
       transcriptionText: responseText,
       responseAudioUrl,
-      responseVideoUrl,
-      score: aiAnalysis.overallScore?.toString() || '75',
-      aiAnalysis: aiAnalysis,
+      responseVideoUrl: responseVideoUrl || assembledVideo?.videoKey,
+      responseDuration: parseFloat(responseDuration) || undefined,
+      analysisStatus: ANALYSIS_STATUS.PENDING,
       addedBy: application.candidate?._id || req.user?.id
     };
 
@@ -104,6 +99,10 @@ const createInterviewResponse = async (req, res) => {
     // Create response document
     const newResponse = new Response(responseData);
     const createdResponse = await dbService.create(Response, newResponse);
+    const responseId = (createdResponse._id || createdResponse.id).toString();
+    if (assembledVideo) {
+      await dbService.updateOne(MediaProcessingStatus, { _id: assembledVideo._id }, { response: responseId });
+    }
 
     const updateInterViewResponse = await dbService.updateOne(Application,{
       _id: applicationId,
@@ -111,14 +110,44 @@ const createInterviewResponse = async (req, res) => {
       currentQuestion: questionNumber + 1,
     })
 
+    // with an upload transcription running, the analysis is queued by the media worker once the transcript is ready
+    let transcription = {
+      transcriptionPending: false,
+      analysisQueued: false
+    };
+    try {
+      transcription = await mediaPipelineService.applyTranscriptionToNewResponse(createdResponse);
+    } catch (transcriptionError) {
+      console.error('❌ Failed to read the transcription of the recording:', transcriptionError);
+    }
+
+    let analysisStatus = ANALYSIS_STATUS.PENDING;
+    try {
+      if (!transcription.transcriptionPending && !transcription.analysisQueued) {
+        await responseQueue.add(RESPONSE_QUEUE_JOBS.ANALYZE_RESPONSE, {
+          responseId,
+          evaluationInstructions: evaluation_instructions
+        }, { jobId: `${RESPONSE_QUEUE_JOBS.ANALYZE_RESPONSE}:${responseId}` });
+      }
+    } catch (queueError) {
+      console.error('❌ Failed to queue AI analysis:', queueError);
+      analysisStatus = ANALYSIS_STATUS.FAILED;
+      await dbService.updateOne(Response, { _id: responseId }, {
+        analysisStatus,
+        analysisError: `Failed to queue analysis: ${queueError.message}`
+      });
+    }
+
     console.log('✅ Interview response created successfully');
 
     return res.success({
-      message: 'Interview response created with AI analysis',
+      message: transcription.transcriptionPending
+        ? 'Interview response saved, AI analysis starts once the recording is transcribed'
+        : 'Interview response saved, AI analysis queued',
       data: {
-        responseId: createdResponse._id || createdResponse.id,
-        aiAnalysis: aiAnalysis,
-        score: aiAnalysis.overallScore
+        responseId,
+        analysisStatus,
+        transcriptionPending: transcription.transcriptionPending
       }
     });
 
@@ -132,378 +161,59 @@ const createInterviewResponse = async (req, res) => {
 };
 
 /**
- * Generate AI analysis for interview response using axios only
+ * @description : get AI analysis status of an interview response of the workspace, polled by the frontend.
+ * @param {Object} req : request including id of response in request params.
+ * @param {Object} res : response contains analysis status, and the analysis once completed.
+ * @return {Object} : analysis status. {status, message, data}
  */
-async function generateAIAnalysis({ questionText, responseText, jobDetails, questionDetails, candidateInfo, evaluationInstructions }) {
+const getResponseAnalysisStatus = async (req, res) => {
   try {
-    const ollamaHost = process.env.AI_GENERATE_URL || process.env.OLLAMA_HOST || 'https://ollama2.havenify.ai';
-    const ollamaModel = process.env.OLLAMA_MODEL || 'gemma3:latest';
-    
-    // Ensure we have the correct API endpoint
-    let ollamaApiUrl;
-    if (!ollamaHost.includes('/api/generate')) {
-      ollamaApiUrl = `${ollamaHost}/api/generate`;
-    } else {
-      ollamaApiUrl = ollamaHost;
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
     }
-
-    console.log('🤖 Using API URL for analysis:', ollamaApiUrl);
-
-    // Let AI determine the analysis approach
-    const analysisPrompt = createIntelligentPrompt({
-      questionText,
-      responseText,
-      jobDetails,
-      questionDetails,
-      candidateInfo,
-      evaluationInstructions
+    const foundResponse = await reviewService.findWorkspaceResponse({
+      responseId: req.params.id,
+      workspaceId: req.workspaceId
     });
+    if (!foundResponse) {
+      return res.recordNotFound();
+    }
 
-    console.log('🤖 Calling AI service for analysis...');
-
-    // Use axios directly instead of Ollama client
-    const maxRetries = 3;
-    let lastError;
-    let aiResponseText = '';
+    const analysisStatus = foundResponse.analysisStatus ||
+      (foundResponse.aiAnalysis ? ANALYSIS_STATUS.COMPLETED : ANALYSIS_STATUS.PENDING);
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    let queueState = null;
+    if (analysisStatus === ANALYSIS_STATUS.PENDING || analysisStatus === ANALYSIS_STATUS.PROCESSING) {
       try {
-        console.log(`Attempt ${attempt}/${maxRetries}: Calling Ollama API for response analysis`);
-        
-        const response = await axios.post(ollamaApiUrl, {
-          model: ollamaModel,
-          prompt: analysisPrompt,
-          stream: false,
-          options: {
-            temperature: 0.3,
-            num_predict: 2500,
-            top_p: 0.9,
-            repeat_penalty: 1.1,
-          }
-        }, {
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          timeout: 120000
-        });
-
-        aiResponseText = response.data.response || '';
-        
-        if (!aiResponseText) {
-          throw new Error('Empty response from Ollama');
-        }
-
-        console.log('✅ AI analysis API call successful');
-        break; // Success, exit retry loop
-        
-      } catch (error) {
-        console.error(`Attempt ${attempt} failed:`, error.message);
-        lastError = error;
-        
-        // Don't retry on certain errors
-        if (error.response?.status === 404) {
-          throw new Error(`Ollama service not found at ${ollamaApiUrl}. Please ensure Ollama is running and accessible.`);
-        }
-        
-        if (attempt < maxRetries) {
-          // Wait before retrying (exponential backoff)
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
+        const job = await responseQueue.getJob(`${RESPONSE_QUEUE_JOBS.ANALYZE_RESPONSE}:${foundResponse._id}`);
+        if (job) {
+          queueState = {
+            state: await job.getState(),
+            attemptsMade: job.attemptsMade,
+            progress: job.progress()
+          };
         }
+      } catch (queueError) {
+        console.warn('⚠️ Unable to read analysis job state:', queueError.message);
       }
     }
 
-    // If all retries failed
-    if (!aiResponseText && lastError) {
-      console.error('All AI analysis attempts failed:', lastError);
-      throw lastError;
-    }
-    
-    // Try to extract and parse JSON from AI response
-    let aiAnalysis;
-    try {
-      const jsonMatch = aiResponseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        aiAnalysis = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in AI response');
+    return res.success({
+      message: 'Analysis status retrieved',
+      data: {
+        responseId: foundResponse._id,
+        analysisStatus,
+        queue: queueState,
+        score: analysisStatus === ANALYSIS_STATUS.COMPLETED ? foundResponse.score : null,
+        aiAnalysis: analysisStatus === ANALYSIS_STATUS.COMPLETED ? foundResponse.aiAnalysis : null,
+        analysisError: foundResponse.analysisError || null,
+        analyzedAt: foundResponse.analyzedAt || null
       }
-    } catch (parseError) {
-      console.warn('⚠️ Failed to parse AI response, using fallback analysis');
-      aiAnalysis = generateFallbackAnalysis(questionText, responseText, jobDetails);
-    }
-
-    // Ensure proper structure
-    const finalAnalysis = standardizeAnalysisStructure(aiAnalysis);
-
-    console.log('✅ AI analysis completed successfully');
-    return finalAnalysis;
-
+    });
   } catch (error) {
-    console.error('❌ AI analysis failed:', error);
-    return generateFallbackAnalysis(questionText, responseText, jobDetails);
-  }
-}
-
-/**
- * Create intelligent prompt that lets AI decide analysis approach
- */
-function createIntelligentPrompt({ questionText, responseText, jobDetails, questionDetails, candidateInfo, evaluationInstructions }) {
-  return `You are an expert interview evaluator with deep experience in talent assessment across all domains. You have the intelligence to automatically determine what type of question this is and what aspects should be prioritized in your evaluation.
-
-INTERVIEW CONTEXT:
-- Job Title: ${jobDetails?.title || 'Position not specified'}
-- Job Description: ${jobDetails?.description || 'Not provided'}
-- Job Requirements: ${jobDetails?.requirements?.join(', ') || 'Not specified'}
-- Candidate: ${candidateInfo?.name || 'Not specified'}
-
-INTERVIEW QUESTION:
-"${questionText}"
-
-CANDIDATE RESPONSE:
-"${responseText}"
-
-${evaluationInstructions ? `Evaluation Instructions: ${evaluationInstructions}` : ''}
-
-INSTRUCTIONS:
-1. **INTELLIGENTLY ANALYZE** the question type and determine what matters most:
-   - If it's technical: Focus on accuracy, problem-solving, knowledge depth, implementation quality
-   - If it's behavioral: Focus on situation clarity, actions taken, results achieved, learning demonstrated  
-   - If it's cultural/motivational: Focus on alignment, motivation, professionalism, career fit
-   - If it's general: Provide balanced assessment across relevant areas
-
-2. **ADAPTIVE EVALUATION**: Don't force irrelevant criteria. For example:
-   - For technical questions: De-emphasize communication style unless critically poor
-   - For behavioral questions: Focus on examples and outcomes, not technical details
-   - For cultural questions: Emphasize values alignment over technical skills
-
-3. **INTELLIGENT REASONING**: For each rating, provide specific, insightful reasoning that explains:
-   - What you observed in the response
-   - Why this leads to the given rating
-   - What could be improved and how
-
-RATING SCALE DEFINITIONS:
-- **Excellent** (90-100): Outstanding performance, exceeds expectations significantly
-- **Good** (75-89): Strong performance, meets expectations well with notable strengths  
-- **Average** (60-74): Adequate performance, meets basic expectations
-- **Fair** (45-59): Below expectations, shows some capability but with notable gaps
-- **Poor** (0-44): Well below expectations, significant deficiencies evident
-
-Provide your analysis in this exact JSON format:
-{
-  "overall_assessment": {
-    "rating": "Excellent|Good|Average|Fair|Poor",
-    "score": 85,
-    "reasoning": "Comprehensive summary explaining the overall rating with specific evidence from the response"
-  },
-  "question_analysis": {
-    "type": "Technical|Behavioral|Cultural|Situational|General|Mixed",
-    "primary_focus": "What this question is primarily testing for",
-    "secondary_aspects": "Other relevant evaluation aspects for this question"
-  },
-  "detailed_analysis": {
-    "criterion_1": {
-      "name": "Most relevant criterion for this question type",
-      "rating": "Excellent|Good|Average|Fair|Poor",
-      "score": 85,
-      "reasoning": "Detailed explanation with specific evidence from the response"
-    },
-    "criterion_2": {
-      "name": "Second most relevant criterion",
-      "rating": "Good|Average|Fair|Poor|Excellent", 
-      "score": 80,
-      "reasoning": "Specific reasoning with examples from the candidate's answer"
-    },
-    "criterion_3": {
-      "name": "Third relevant criterion",
-      "rating": "Average|Fair|Poor|Good|Excellent",
-      "score": 75,
-      "reasoning": "Clear justification for this rating"
-    },
-    "criterion_4": {
-      "name": "Fourth relevant criterion (if applicable)",
-      "rating": "Fair|Poor|Average|Good|Excellent",
-      "score": 70,
-      "reasoning": "Reasoning for this assessment"
-    }
-  },
-  "strengths": [
-    "Specific strength with clear evidence from the response",
-    "Another strength with detailed explanation of why it's notable"
-  ],
-  "areas_for_improvement": [
-    "Specific area for improvement with actionable advice",
-    "Another improvement area with constructive guidance"
-  ],
-  "red_flags": [
-    "Any concerning responses or significant gaps (empty array if none)"
-  ],
-  "key_insights": "Most important observations about the candidate's capabilities and potential",
-  "recommendation": {
-    "decision": "Strong Hire|Hire|Maybe|No Hire|Strong No Hire",
-    "reasoning": "Clear rationale for the hiring recommendation based on the comprehensive analysis",
-    "confidence_level": "High|Medium|Low"
-  },
-  "follow_up_questions": [
-    "Thoughtful follow-up question to explore strengths or address gaps",
-    "Another relevant probing question based on the response analysis"
-  ],
-  "interview_insights": {
-    "candidate_preparation": "Assessment of how well-prepared the candidate appears",
-    "communication_style": "Observations about communication effectiveness",
-    "engagement_level": "How engaged and enthusiastic the candidate seems"
-  }
-}
-
-**IMPORTANT**: 
-- Use your intelligence to determine what matters most for this specific question
-- Don't apply generic criteria - adapt your analysis to the question type
-- Be specific and evidence-based in all reasoning
-- Ensure numerical scores align with rating labels
-- Focus on what's truly relevant for evaluating this candidate's fit for the role`;
-}
-
-/**
- * Standardize analysis structure for consistent output
- */
-function standardizeAnalysisStructure(aiAnalysis) {
-  return {
-    overall_assessment: {
-      rating: aiAnalysis.overall_assessment?.rating || 'Average',
-      score: aiAnalysis.overall_assessment?.score || 75,
-      reasoning: aiAnalysis.overall_assessment?.reasoning || 'Standard evaluation completed'
-    },
-    question_analysis: {
-      type: aiAnalysis.question_analysis?.type || 'General',
-      primary_focus: aiAnalysis.question_analysis?.primary_focus || 'Overall competency assessment',
-      secondary_aspects: aiAnalysis.question_analysis?.secondary_aspects || 'Communication and professionalism'
-    },
-    detailed_analysis: aiAnalysis.detailed_analysis || {},
-    strengths: Array.isArray(aiAnalysis.strengths) ? aiAnalysis.strengths : ['Response provided'],
-    areas_for_improvement: Array.isArray(aiAnalysis.areas_for_improvement) ? aiAnalysis.areas_for_improvement : ['Could be more detailed'],
-    red_flags: Array.isArray(aiAnalysis.red_flags) ? aiAnalysis.red_flags : [],
-    key_insights: aiAnalysis.key_insights || 'Analysis completed successfully',
-    recommendation: {
-      decision: aiAnalysis.recommendation?.decision || 'Maybe',
-      reasoning: aiAnalysis.recommendation?.reasoning || 'Standard evaluation criteria applied',
-      confidence_level: aiAnalysis.recommendation?.confidence_level || 'Medium'
-    },
-    follow_up_questions: Array.isArray(aiAnalysis.follow_up_questions) ? aiAnalysis.follow_up_questions : [],
-    interview_insights: aiAnalysis.interview_insights || {
-      candidate_preparation: 'Standard preparation level observed',
-      communication_style: 'Standard communication approach',
-      engagement_level: 'Standard engagement level'
-    },
-    analyzed_at: new Date().toISOString(),
-    analysis_version: '4.0-ai-intelligent',
-    // Add overallScore for backward compatibility
-    overallScore: aiAnalysis.overall_assessment?.score || 75
-  };
-}
-
-/**
- * Generate fallback analysis when AI service fails
- */
-function generateFallbackAnalysis(questionText, responseText, jobDetails) {
-  const wordCount = responseText.trim().split(/\s+/).length;
-  
-  let rating = 'Fair';
-  let score = 60;
-  
-  if (wordCount > 150) {
-    rating = 'Good';
-    score = 80;
-  } else if (wordCount > 100) {
-    rating = 'Average';
-    score = 70;
-  } else if (wordCount < 30) {
-    rating = 'Poor';
-    score = 45;
+    return res.internalServerError({ message:error.message });
   }
-
-  return {
-    overall_assessment: {
-      rating: rating,
-      score: score,
-      reasoning: `Fallback analysis performed due to AI service limitations. Response length: ${wordCount} words. Rating based on response completeness and basic content indicators.`
-    },
-    question_analysis: {
-      type: 'Unknown',
-      primary_focus: 'Unable to determine with fallback analysis',
-      secondary_aspects: 'Basic response evaluation'
-    },
-    detailed_analysis: {
-      response_completeness: {
-        name: 'Response Completeness',
-        rating: rating,
-        score: score,
-        reasoning: `Response contains ${wordCount} words. ${rating} rating based on length and basic content assessment.`
-      },
-      basic_communication: {
-        name: 'Basic Communication',
-        rating: wordCount > 50 ? 'Average' : 'Fair',
-        score: wordCount > 50 ? 65 : 55,
-        reasoning: 'Basic communication assessment based on response structure and length.'
-      }
-    },
-    strengths: [
-      'Response provided within time limit',
-      wordCount > 50 ? 'Adequate response length' : 'Concise response'
-    ],
-    areas_for_improvement: [
-      'Detailed AI analysis not available - requires manual review',
-      wordCount < 50 ? 'Provide more comprehensive responses' : 'Continue with current response approach'
-    ],
-    red_flags: wordCount < 20 ? ['Extremely brief response'] : [],
-    key_insights: `Fallback analysis - AI service unavailable. Response word count: ${wordCount}. Requires detailed manual evaluation.`,
-    recommendation: {
-      decision: 'Maybe',
-      reasoning: 'Limited analysis available - requires additional human evaluation',
-      confidence_level: 'Low'
-    },
-    follow_up_questions: [
-      'Can you elaborate on your response?',
-      'What additional details would you like to share?'
-    ],
-    interview_insights: {
-      candidate_preparation: 'Cannot assess with current analysis limitations',
-      communication_style: 'Basic assessment only - detailed review needed',
-      engagement_level: 'Requires comprehensive evaluation'
-    },
-    analyzed_at: new Date().toISOString(),
-    analysis_version: '4.0-fallback',
-    // Add overallScore for backward compatibility
-    overallScore: score
-  };
-}
-
-/**
- * Calculate basic score based on response characteristics
- */
-function calculateBasicScore(responseText) {
-  const wordCount = responseText.trim().split(/\s+/).length;
-  let score = 50; // Base score
-  
-  // Length-based scoring
-  if (wordCount >= 150) score += 25;
-  else if (wordCount >= 100) score += 20;
-  else if (wordCount >= 50) score += 15;
-  else if (wordCount >= 25) score += 10;
-  
-  // Content quality indicators
-  if (responseText.toLowerCase().includes('experience')) score += 5;
-  if (responseText.toLowerCase().includes('example')) score += 5;
-  if (responseText.match(/\bbecause\b|\btherefore\b|\bso\b/i)) score += 5;
-  if (responseText.includes('?')) score -= 2; // Questions in answers might indicate uncertainty
-  
-  // Communication indicators
-  if (responseText.split(/[.!?]/).length > 3) score += 5; // Multiple sentences
-  if (responseText.includes(',')) score += 3; // Complex sentence structure
-  
-  return Math.min(Math.max(score, 40), 95);
-}
+};
 
 /**
  * @description : create document of Response in mongodb collection.
@@ -850,4 +560,5 @@ module.exports = {
   deleteManyResponse,
   softDeleteManyResponse,
   createInterviewResponse, 
+  getResponseAnalysisStatus,
 };
@@ -0,0 +1,278 @@
+/**
+ * reviewController.js
+ * @description : exports action methods for recruiter reviews of interview responses.
+ */
+
+const ResponseComment = require('../../../model/responseComment');
+const ResponseReview = require('../../../model/responseReview');
+const reviewSchemaKey = require('../../../utils/validation/reviewValidation');
+const validation = require('../../../utils/validateRequest');
+const dbService = require('../../../utils/dbService');
+const ObjectId = require('mongodb').ObjectId;
+const reviewService = require('../../../services/reviewService');
+
+/**
+ * @description : add a comment on a response.
+ * @param {Object} req : request including id of response in params and {text, videoTimestamp} in body.
+ * @param {Object} res : response of created comment.
+ * @return {Object} : created comment. {status, message, data}
+ */
+const addComment = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.responseId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      reviewSchemaKey.commentKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const response = await reviewService.findWorkspaceResponse({
+      responseId: req.params.responseId,
+      workspaceId: req.workspaceId
+    });
+    if (!response) {
+      return res.recordNotFound({ message: 'Response not found' });
+    }
+    const dataToCreate = new ResponseComment({
+      response: response._id,
+      application: response.sessionId,
+      reviewer: req.user.id,
+      text: req.body.text,
+      videoTimestamp: req.body.videoTimestamp,
+      addedBy: req.user.id
+    });
+    const createdComment = await dbService.create(ResponseComment, dataToCreate);
+    return res.success({ data: createdComment });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : list comments of a response, oldest first.
+ * @param {Object} req : request including id of response in params.
+ * @param {Object} res : response contains comments.
+ * @return {Object} : comments. {status, message, data}
+ */
+const getComments = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.responseId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const response = await reviewService.findWorkspaceResponse({
+      responseId: req.params.responseId,
+      workspaceId: req.workspaceId
+    });
+    if (!response) {
+      return res.recordNotFound({ message: 'Response not found' });
+    }
+    const comments = await ResponseComment.find({
+      response: response._id,
+      isDeleted: { $ne: true }
+    })
+      .populate('reviewer', 'name full_name email')
+      .sort({
+        videoTimestamp: 1,
+        createdAt: 1
+      });
+    return res.success({ data: comments });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : update own comment.
+ * @param {Object} req : request including id of comment in params and {text, videoTimestamp} in body.
+ * @param {Object} res : response of updated comment.
+ * @return {Object} : updated comment. {status, message, data}
+ */
+const updateComment = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      reviewSchemaKey.updateCommentKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const dataToUpdate = {
+      ...req.body.text !== undefined ? { text: req.body.text } : {},
+      ...req.body.videoTimestamp !== undefined ? { videoTimestamp: req.body.videoTimestamp } : {},
+      updatedBy: req.user.id
+    };
+    const updatedComment = await dbService.updateOne(ResponseComment, {
+      _id: req.params.id,
+      reviewer: req.user.id,
+      isDeleted: { $ne: true }
+    }, dataToUpdate);
+    if (!updatedComment) {
+      return res.recordNotFound();
+    }
+    return res.success({ data: updatedComment });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : soft delete own comment.
+ * @param {Object} req : request including id of comment in params.
+ * @param {Object} res : response of deleted comment.
+ * @return {Object} : deleted comment. {status, message, data}
+ */
+const deleteComment = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const deletedComment = await dbService.updateOne(ResponseComment, {
+      _id: req.params.id,
+      reviewer: req.user.id
+    }, {
+      isDeleted: true,
+      updatedBy: req.user.id
+    });
+    if (!deletedComment) {
+      return res.recordNotFound();
+    }
+    return res.success({ data: deletedComment });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : get rubric a response is scored on.
+ * @param {Object} req : request including id of response in params.
+ * @param {Object} res : response contains rubric criteria.
+ * @return {Object} : rubric. {status, message, data}
+ */
+const getRubric = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.responseId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const response = await reviewService.findWorkspaceResponse({
+      responseId: req.params.responseId,
+      workspaceId: req.workspaceId
+    });
+    if (!response) {
+      return res.recordNotFound({ message: 'Response not found' });
+    }
+    const rubric = await reviewService.getReviewRubric(response);
+    return res.success({ data: rubric });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : score a response on its rubric, one review per reviewer and response.
+ * @param {Object} req : request including id of response in params and {scores, recommendation, summary} in body.
+ * @param {Object} res : response of saved review.
+ * @return {Object} : review. {status, message, data}
+ */
+const scoreResponse = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.responseId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    let validateRequest = validation.validateParamsWithJoi(
+      req.body,
+      reviewSchemaKey.reviewKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const response = await reviewService.findWorkspaceResponse({
+      responseId: req.params.responseId,
+      workspaceId: req.workspaceId
+    });
+    if (!response) {
+      return res.recordNotFound({ message: 'Response not found' });
+    }
+    const result = await reviewService.upsertReview({
+      response,
+      reviewerId: req.user.id,
+      scores: req.body.scores,
+      recommendation: req.body.recommendation,
+      summary: req.body.summary
+    });
+    if (!result.success) {
+      return res.validationError({ message: result.message });
+    }
+    return res.success({ data: result.data });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : remove own review of a response.
+ * @param {Object} req : request including id of response in params.
+ * @param {Object} res : response of deleted review.
+ * @return {Object} : deleted review. {status, message, data}
+ */
+const deleteReview = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.responseId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const deletedReview = await dbService.updateOne(ResponseReview, {
+      response: req.params.responseId,
+      reviewer: req.user.id
+    }, {
+      isDeleted: true,
+      updatedBy: req.user.id
+    });
+    if (!deletedReview) {
+      return res.recordNotFound();
+    }
+    return res.success({ data: deletedReview });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : human and AI scores of an application side by side, with inter-rater agreement.
+ * @param {Object} req : request including id of application in params.
+ * @param {Object} res : response contains review summary.
+ * @return {Object} : review summary. {status, message, data}
+ */
+const getApplicationReviewSummary = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.applicationId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const summary = await reviewService.getApplicationReviewSummary({
+      applicationId: req.params.applicationId,
+      workspaceId
+    });
+    if (!summary) {
+      return res.recordNotFound({ message: 'Application not found' });
+    }
+    return res.success({ data: summary });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = {
+  addComment,
+  getComments,
+  updateComment,
+  deleteComment,
+  getRubric,
+  scoreResponse,
+  deleteReview,
+  getApplicationReviewSummary,
+};
@@ -1,11 +1,81 @@
 const S3Service = require('../../../services/s3Service');
 const VideoChunkService = require('../../../services/videoChunkService');
+const mediaPipelineService = require('../../../services/mediaPipelineService');
+const uploadSessionService = require('../../../services/uploadSessionService');
+const { inspectUpload } = require('../../../services/upload');
+const { UPLOAD_SESSION_TYPES, UPLOAD_SESSION_STATUS } = require('../../../constants/mediaConstant');
+const { UPLOAD_TYPES } = require('../../../constants/uploadConstant');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
+const ObjectId = require('mongodb').ObjectId;
 
 const s3Service = new S3Service();
 const videoChunkService = new VideoChunkService();
 
+// upload types accepted by the generic file upload endpoints
+const FILE_UPLOAD_TYPES = [UPLOAD_TYPES.DOCUMENT, UPLOAD_TYPES.RESUME, UPLOAD_TYPES.AVATAR];
+
+/**
+ * Check multer files against the content rules of their upload type before they are stored.
+ * Returns the first rejection, or the sniffed content type of each file.
+ */
+const inspectFiles = async (files, uploadType, keyOf) => {
+    const mimeTypes = [];
+    for (let index = 0; index < files.length; index++) {
+        const inspection = await inspectUpload({
+            uploadType,
+            buffer: files[index].buffer,
+            size: files[index].size,
+            fileName: files[index].originalname,
+            declaredType: files[index].mimetype,
+            key: keyOf(files[index], index)
+        });
+        if (!inspection.success) {
+            return inspection;
+        }
+        mimeTypes.push(inspection.mimeType);
+    }
+    return { success: true, mimeTypes };
+};
+
+const sendInspectionFailure = (res, inspection) => {
+    if (inspection.code === 400) {
+        return res.badRequest({ message: inspection.message });
+    }
+    return res.failure({ message: inspection.message });
+};
+
+/**
+ * Queue the transcription of a completed interview recording upload.
+ * Uploads without a session and question are not interview answers and are skipped.
+ */
+const queueUploadTranscription = async ({ sessionId, questionId, questionNumber, mediaType, source }) => {
+    if (!sessionId || !ObjectId.isValid(sessionId) || (!questionNumber && !questionId)) {
+        return null;
+    }
+    if (mediaType && !['video', 'audio'].includes(mediaType)) {
+        return null;
+    }
+    try {
+        const result = await mediaPipelineService.queueTranscription({
+            sessionId,
+            questionId: questionId && ObjectId.isValid(questionId) ? questionId : null,
+            questionNumber,
+            mediaType,
+            source
+        });
+        if (!result.success) {
+            console.warn('⚠️ Transcription not queued:', result.message);
+            return { queued: false, message: result.message };
+        }
+        return result.data;
+    } catch (error) {
+        // the upload itself succeeded, transcription can be retried from the recruiter side
+        console.error('❌ Failed to queue transcription:', error);
+        return { queued: false, message: error.message };
+    }
+};
+
 /**
  * Upload file to S3
  */
@@ -23,15 +93,35 @@ const uploadFile = async (req, res) => {
         const {
             folder = 'uploads',
             isPublic = true,
-            metadata = {}
+            metadata = {},
+            uploadType = UPLOAD_TYPES.DOCUMENT
         } = req.body;
 
+        if (!FILE_UPLOAD_TYPES.includes(uploadType)) {
+            return res.badRequest({ message: 'Upload type not allowed' });
+        }
+
+        const fileName = s3Service.generateFileName(req.file.originalname);
+        const inspection = await inspectUpload({
+            uploadType,
+            buffer: req.file.buffer,
+            size: req.file.size,
+            fileName: req.file.originalname,
+            declaredType: req.file.mimetype,
+            key: `${folder}/${fileName}`
+        });
+        if (!inspection.success) {
+            return sendInspectionFailure(res, inspection);
+        }
+
         const uploadResult = await s3Service.uploadFile(
             req.file,
             folder,
             {
                 public: isPublic,
-                metadata
+                metadata,
+                fileName,
+                contentType: inspection.mimeType
             }
         );
 
@@ -66,19 +156,39 @@ const uploadMultipleFiles = async (req, res) => {
         const {
             folder = 'uploads',
             isPublic = true,
-            metadata = {}
+            metadata = {},
+            uploadType = UPLOAD_TYPES.DOCUMENT
         } = req.body;
 
-        const uploadPromises = req.files.map(file =>
-            s3Service.uploadFile(
+        if (!FILE_UPLOAD_TYPES.includes(uploadType)) {
+            return res.badRequest({ message: 'Upload type not allowed' });
+        }
+
+        // rejected files are reported with the failed uploads
+        const uploadPromises = req.files.map(async file => {
+            const fileName = s3Service.generateFileName(file.originalname);
+            const inspection = await inspectUpload({
+                uploadType,
+                buffer: file.buffer,
+                size: file.size,
+                fileName: file.originalname,
+                declaredType: file.mimetype,
+                key: `${folder}/${fileName}`
+            });
+            if (!inspection.success) {
+                return { success: false, error: inspection.message, data: { name: file.originalname, error: inspection.message } };
+            }
+            return s3Service.uploadFile(
                 file,
                 folder,
                 {
                     public: isPublic,
-                    metadata
+                    metadata,
+                    fileName,
+                    contentType: inspection.mimeType
                 }
-            )
-        );
+            );
+        });
 
         const results = await Promise.all(uploadPromises);
         const successCount = results.filter(r => r.success).length;
@@ -133,6 +243,18 @@ const initiateMultipartUpload = async (req, res) => {
             return res.internalServerError({ message: result.error });
         }
 
+        await uploadSessionService.recordUploadStart({
+            type: UPLOAD_SESSION_TYPES.MULTIPART,
+            uploadId: result.data.uploadId,
+            key: result.data.key,
+            owner: req.user?.id,
+            sessionId: req.body.sessionId || metadata.sessionId,
+            questionId: req.body.questionId || metadata.questionId,
+            questionNumber: req.body.questionNumber || metadata.questionNumber,
+            mediaType: req.body.mediaType || metadata.mediaType,
+            fileName: filename
+        });
+
         return res.success({
             message: 'Multipart upload initiated successfully',
             data: result.data
@@ -179,6 +301,11 @@ const getPartUploadUrl = async (req, res) => {
             return res.internalServerError({ message: result.error });
         }
 
+        await uploadSessionService.recordUploadActivity({
+            type: UPLOAD_SESSION_TYPES.MULTIPART,
+            uploadId
+        });
+
         return res.success({
             message: 'Presigned URL generated successfully',
             data: result.data
@@ -201,7 +328,7 @@ const completeMultipartUpload = async (req, res) => {
             return res.badRequest({ message: errors.array() });
         }
 
-        const { uploadId, key, parts } = req.body;
+        const { uploadId, key, parts, sessionId, questionId, questionNumber, mediaType, contentType } = req.body;
 
         if (!uploadId || !key || !parts || !Array.isArray(parts)) {
             return res.badRequest({ 
@@ -230,9 +357,22 @@ const completeMultipartUpload = async (req, res) => {
             return res.internalServerError({ message: result.error });
         }
 
+        await uploadSessionService.recordUploadEnd({
+            type: UPLOAD_SESSION_TYPES.MULTIPART,
+            uploadId
+        }, UPLOAD_SESSION_STATUS.COMPLETED);
+
+        const transcription = await queueUploadTranscription({
+            sessionId,
+            questionId,
+            questionNumber,
+            mediaType,
+            source: { key: result.data.key || key, contentType }
+        });
+
         return res.success({
             message: 'Multipart upload completed successfully',
-            data: result.data
+            data: { ...result.data, transcription }
         });
     } catch (error) {
         console.error('❌ Complete multipart upload error:', error);
@@ -266,6 +406,11 @@ const abortMultipartUpload = async (req, res) => {
             return res.internalServerError({ message: result.error });
         }
 
+        await uploadSessionService.recordUploadEnd({
+            type: UPLOAD_SESSION_TYPES.MULTIPART,
+            uploadId
+        }, UPLOAD_SESSION_STATUS.ABORTED);
+
         return res.success({
             message: 'Multipart upload aborted successfully',
             data: result.data
@@ -393,6 +538,17 @@ const initChunkedUpload = async (req, res) => {
 
         const uploadId = crypto.randomUUID();
         const uploadKey = `interviews/${sessionId}/question-${questionNumber}/${mediaType || 'media'}/${uploadId}`;
+
+        await uploadSessionService.recordUploadStart({
+            type: UPLOAD_SESSION_TYPES.CHUNKED,
+            uploadId,
+            prefix: `${uploadKey}/`,
+            owner: req.user?.id,
+            sessionId,
+            questionNumber,
+            mediaType,
+            fileName
+        });
         
         return res.success({
             message: 'Chunked upload initialized',
@@ -430,12 +586,17 @@ const uploadChunk = async (req, res) => {
         }
         
         const chunkKey = `${uploadKey}/chunk-${chunkIndex.toString().padStart(4, '0')}`;
+
+        const inspection = await inspectFiles([chunkFile], UPLOAD_TYPES.VIDEO_CHUNK, () => chunkKey);
+        if (!inspection.success) {
+            return sendInspectionFailure(res, inspection);
+        }
         
         const result = await s3Service.uploadChunk(
             chunkFile.buffer,
             chunkKey,
             {
-                contentType: chunkFile.mimetype,
+                contentType: inspection.mimeTypes[0],
                 metadata: {
                     uploadId,
                     chunkIndex,
@@ -448,6 +609,13 @@ const uploadChunk = async (req, res) => {
         if (!result.success) {
             return res.internalServerError({ message: result.error });
         }
+
+        await uploadSessionService.recordUploadActivity({
+            type: UPLOAD_SESSION_TYPES.CHUNKED,
+            uploadId,
+            prefix: `${uploadKey}/`,
+            owner: req.user?.id
+        });
         
         return res.success({
             message: `Chunk ${chunkIndex} uploaded successfully`,
@@ -481,15 +649,21 @@ const uploadChunksBatch = async (req, res) => {
             });
         }
 
+        const chunkKeyOf = (file, index) => `${uploadKey}/chunk-${(parseInt(startIndex) + index).toString().padStart(4, '0')}`;
+        const inspection = await inspectFiles(req.files, UPLOAD_TYPES.VIDEO_CHUNK, chunkKeyOf);
+        if (!inspection.success) {
+            return sendInspectionFailure(res, inspection);
+        }
+
         const chunks = req.files.map((file, index) => {
             const chunkIndex = parseInt(startIndex) + index;
-            const chunkKey = `${uploadKey}/chunk-${chunkIndex.toString().padStart(4, '0')}`;
+            const chunkKey = chunkKeyOf(file, index);
             
             return {
                 buffer: file.buffer,
                 key: chunkKey,
                 options: {
-                    contentType: file.mimetype,
+                    contentType: inspection.mimeTypes[index],
                     metadata: {
                         uploadId,
                         chunkIndex,
@@ -500,6 +674,14 @@ const uploadChunksBatch = async (req, res) => {
         });
 
         const result = await s3Service.uploadChunksBatch(chunks, 3);
+
+        await uploadSessionService.recordUploadActivity({
+            type: UPLOAD_SESSION_TYPES.CHUNKED,
+            uploadId,
+            prefix: `${uploadKey}/`,
+            owner: req.user?.id,
+            parts: chunks.length
+        });
         
         if (!result.success) {
             return res.internalServerError({ message: result.error || 'Batch upload failed' });
@@ -530,6 +712,8 @@ const completeChunkedUpload = async (req, res) => {
             uploadKey, 
             sessionId, 
             questionNumber, 
+            questionId,
+            mediaType,
             fileType,
             totalChunks,
             fileName 
@@ -559,9 +743,22 @@ const completeChunkedUpload = async (req, res) => {
             return res.internalServerError({ message: result.error });
         }
 
+        await uploadSessionService.recordUploadEnd({
+            type: UPLOAD_SESSION_TYPES.CHUNKED,
+            prefix: `${uploadKey}/`
+        }, UPLOAD_SESSION_STATUS.COMPLETED);
+
+        const transcription = await queueUploadTranscription({
+            sessionId,
+            questionId,
+            questionNumber,
+            mediaType,
+            source: { chunkPrefix: `${uploadKey}/chunk-`, contentType: fileType }
+        });
+
         return res.success({
             message: 'Chunked upload completed successfully',
-            data: result.data
+            data: { ...result.data, transcription }
         });
     } catch (error) {
         console.error('Complete chunked upload error:', error);
@@ -587,6 +784,7 @@ const uploadVideoChunks = async (req, res) => {
             sessionId,
             questionId,
             totalChunks,
+            startIndex = 0,
             metadata = {}
         } = req.body;
 
@@ -595,6 +793,14 @@ const uploadVideoChunks = async (req, res) => {
                 message: 'Session ID and Question ID are required'
             });
         }
+        if (!ObjectId.isValid(sessionId) || !ObjectId.isValid(questionId)) {
+            return res.validationError({ message: 'invalid objectId.' });
+        }
+
+        const inspection = await inspectFiles(req.files, UPLOAD_TYPES.VIDEO_CHUNK, (file, index) => `video-chunks/${sessionId}/${questionId}/chunk-${(parseInt(startIndex) || 0) + index}`);
+        if (!inspection.success) {
+            return sendInspectionFailure(res, inspection);
+        }
 
         const result = await videoChunkService.uploadVideoChunks(
             req.files,
@@ -602,10 +808,20 @@ const uploadVideoChunks = async (req, res) => {
                 sessionId,
                 questionId,
                 totalChunks: parseInt(totalChunks),
+                startIndex: parseInt(startIndex) || 0,
                 metadata
             }
         );
 
+        await uploadSessionService.recordUploadActivity({
+            type: UPLOAD_SESSION_TYPES.VIDEO_CHUNKS,
+            prefix: uploadSessionService.videoChunksPrefix(sessionId, questionId),
+            owner: req.user?.id,
+            sessionId,
+            questionId,
+            parts: req.files.length
+        });
+
         if (!result.success) {
             return res.internalServerError({ message: result.error });
         }
@@ -621,7 +837,7 @@ const uploadVideoChunks = async (req, res) => {
 };
 
 /**
- * Merge video chunks
+ * Queue the assembly of the video chunks of a question into one MP4
  */
 const mergeVideoChunks = async (req, res) => {
     try {
@@ -641,6 +857,9 @@ const mergeVideoChunks = async (req, res) => {
                 message: 'Session ID and Question ID are required'
             });
         }
+        if (!ObjectId.isValid(sessionId) || !ObjectId.isValid(questionId)) {
+            return res.validationError({ message: 'invalid objectId.' });
+        }
 
         const result = await videoChunkService.mergeVideoChunks(
             sessionId,
@@ -649,12 +868,26 @@ const mergeVideoChunks = async (req, res) => {
         );
 
         if (!result.success) {
+            if (result.code === 404) {
+                return res.recordNotFound({ message: result.error });
+            }
+            if (result.code === 400) {
+                return res.badRequest({
+                    message: result.error,
+                    data: result.data
+                });
+            }
             return res.internalServerError({ message: result.error });
         }
 
+        await uploadSessionService.recordUploadEnd({
+            type: UPLOAD_SESSION_TYPES.VIDEO_CHUNKS,
+            prefix: uploadSessionService.videoChunksPrefix(sessionId, questionId)
+        }, UPLOAD_SESSION_STATUS.COMPLETED);
+
         return res.success({
-            message: 'Video chunks merged successfully',
-            data: result
+            message: result.data.queued ? 'Video merge queued' : 'Video merge already in progress',
+            data: result.data
         });
     } catch (error) {
         console.error('Video chunk merge error:', error);
@@ -674,6 +907,9 @@ const getVideoChunkStatus = async (req, res) => {
                 message: 'Session ID and Question ID are required'
             });
         }
+        if (!ObjectId.isValid(sessionId) || !ObjectId.isValid(questionId)) {
+            return res.validationError({ message: 'invalid objectId.' });
+        }
 
         const result = await videoChunkService.getChunkStatus(sessionId, questionId);
 
@@ -683,7 +919,7 @@ const getVideoChunkStatus = async (req, res) => {
 
         return res.success({
             message: 'Video chunk status retrieved',
-            data: result
+            data: result.data
         });
     } catch (error) {
         console.error('Video chunk status error:', error);
@@ -0,0 +1,126 @@
+/**
+ * storageController.js
+ * @description : exports action methods serving the objects of the local storage driver through signed links.
+ */
+
+const { Readable } = require('stream');
+const { getStorage } = require('../../../services/storage');
+const {
+  STORAGE_DRIVERS, LOCAL_STORAGE_OPERATIONS
+} = require('../../../constants/storageConstant');
+
+const getLocalStorage = () => {
+  const storage = getStorage();
+  return storage.name === STORAGE_DRIVERS.LOCAL ? storage : null;
+};
+
+/**
+ * @description : send a stored file, res.sendFile answers range requests so players can seek.
+ */
+const sendObject = async (res, storage, key, headers = {}) => {
+  let file;
+  try {
+    file = await storage.getObjectFile(key);
+  } catch (error) {
+    return res.recordNotFound({ message: 'Object not found' });
+  }
+  res.set({
+    'Content-Type': file.contentType,
+    'ETag': file.etag,
+    ...headers
+  });
+  return res.sendFile(file.filePath, { headers: { 'Cache-Control': 'private, max-age=60' } });
+};
+
+/**
+ * @description : body of an upload, JSON bodies were already read by the body parser.
+ */
+const getUploadBody = (req) => (req._body ? Readable.from([Buffer.from(JSON.stringify(req.body))]) : req);
+
+/**
+ * @description : read an object with a signed link of the local driver.
+ * @param {Object} req : request including the signed token in params.
+ * @param {Object} res : response streaming the object.
+ * @return {Object} : object content.
+ */
+const getSignedObject = async (req, res) => {
+  try {
+    const storage = getLocalStorage();
+    const payload = storage && storage.verifySignedToken(req.params.token, [LOCAL_STORAGE_OPERATIONS.GET]);
+    if (!payload) {
+      return res.unAuthorized({ message: 'Link is invalid or has expired' });
+    }
+    return await sendObject(res, storage, payload.key);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : upload an object or a multipart upload part with a signed link of the local driver,
+ * the ETag header of the response is the one expected when completing a multipart upload.
+ * @param {Object} req : request including the signed token in params and the content in body.
+ * @param {Object} res : empty response with the ETag header.
+ * @return {Object} : upload result.
+ */
+const putSignedObject = async (req, res) => {
+  try {
+    const storage = getLocalStorage();
+    const payload = storage && storage.verifySignedToken(req.params.token, [LOCAL_STORAGE_OPERATIONS.PUT, LOCAL_STORAGE_OPERATIONS.PART]);
+    if (!payload) {
+      return res.unAuthorized({ message: 'Link is invalid or has expired' });
+    }
+    let etag;
+    if (payload.op === LOCAL_STORAGE_OPERATIONS.PART) {
+      etag = await storage.writePart(payload.key, payload.uploadId, payload.partNumber, getUploadBody(req));
+    } else {
+      const result = await storage.putObject(payload.key, getUploadBody(req), { contentType: payload.contentType || req.headers['content-type'] });
+      etag = result.etag;
+    }
+    res.set('ETag', etag);
+    return res.status(200).end();
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.recordNotFound({ message: error.message });
+    }
+    if (error.statusCode === 400) {
+      return res.badRequest({ message: error.message });
+    }
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : read an object stored as public by the local driver.
+ * @param {Object} req : request including the object key in the path.
+ * @param {Object} res : response streaming the object.
+ * @return {Object} : object content.
+ */
+const getPublicObject = async (req, res) => {
+  try {
+    const storage = getLocalStorage();
+    if (!storage) {
+      return res.recordNotFound({ message: 'Object not found' });
+    }
+    const key = req.params[0];
+    let file;
+    try {
+      file = await storage.getObjectFile(key);
+    } catch (error) {
+      file = null;
+    }
+    // private objects are only reachable through signed links
+    if (!file || !file.isPublic) {
+      return res.recordNotFound({ message: 'Object not found' });
+    }
+    return await sendObject(res, storage, key);
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = {
+  getSignedObject,
+  putSignedObject,
+  getPublicObject
+};
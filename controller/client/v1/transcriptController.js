@@ -0,0 +1,66 @@
+/**
+ * transcriptController.js
+ * @description : exports action methods for the timestamped transcripts of interview responses.
+ */
+
+const ObjectId = require('mongodb').ObjectId;
+const transcriptService = require('../../../services/transcriptService');
+const validation = require('../../../utils/validateRequest');
+const transcriptSchemaKey = require('../../../utils/validation/transcriptValidation');
+
+/**
+ * @description : full-text search across the interview transcripts of the workspace.
+ * @param {Object} req : request including q, page and limit in query.
+ * @param {Object} res : response contains the matching responses with the timestamp of each hit.
+ * @return {Object} : search results. {status, message, data}
+ */
+const searchTranscripts = async (req, res) => {
+  try {
+    const validateRequest = validation.validateParamsWithJoi(req.query, transcriptSchemaKey.searchKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const result = await transcriptService.searchTranscripts({
+      workspaceId,
+      query: req.query.q.trim(),
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    return res.success({ data: result });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+/**
+ * @description : timestamped transcript of a response.
+ * @param {Object} req : request including id of response in params.
+ * @param {Object} res : response contains the transcript segments.
+ * @return {Object} : transcript of the response. {status, message, data}
+ */
+const getResponseTranscript = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.responseId)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    const transcript = await transcriptService.getResponseTranscript({
+      responseId: req.params.responseId,
+      workspaceId: req.workspaceId
+    });
+    if (!transcript) {
+      return res.recordNotFound({ message: 'Response not found' });
+    }
+    return res.success({ data: transcript });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = {
+  searchTranscripts,
+  getResponseTranscript
+};
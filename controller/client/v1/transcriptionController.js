@@ -1,10 +1,12 @@
 const TranscriptionService = require('../../../services/transcriptionService');
 const { validationResult } = require('express-validator');
+const validation = require('../../../utils/validateRequest');
+const transcriptionSchemaKey = require('../../../utils/validation/transcriptionValidation');
 
 const transcriptionService = new TranscriptionService();
 
 /**
- * Transcribe audio using Ollama
+ * Transcribe audio with the transcription provider of the interview workspace
  */
 const ollamaAudioTranscription = async (req, res) => {
     try {
@@ -43,9 +45,10 @@ const ollamaAudioTranscription = async (req, res) => {
 
         console.log('🎯 Processing transcription with buffer...');
 
-        const result = await transcriptionService.transcribeWithOllama(audioInput, {
-            language: context?.language || 'en',
-            model: context?.model || 'whisper'
+        const result = await transcriptionService.transcribe(audioInput, {
+            language: context?.language,
+            mimeType: req.file.mimetype,
+            workspaceId: await transcriptionService.getSessionWorkspaceId(context?.sessionId)
         });
 
         if (!result.success) {
@@ -100,7 +103,9 @@ const postInterviewTranscription = async (req, res) => {
             questionId,
             jobTitle: context?.jobTitle,
             question: context?.question,
-            language: context?.language || 'en'
+            language: context?.language,
+            mimeType: req.file ? req.file.mimetype : undefined,
+            workspaceId: req.user?.workspace
         };
 
         const result = await transcriptionService.processAudioTranscription(
@@ -230,10 +235,57 @@ const getTranscriptionStatus = async (req, res) => {
     }
 };
 
+/**
+ * Get the transcription provider settings of the workspace
+ */
+const getTranscriptionSettings = async (req, res) => {
+    try {
+        const workspaceId = req.workspaceId;
+        if (!workspaceId) {
+            return res.badRequest({ message: 'Workspace ID is required' });
+        }
+        const settings = await transcriptionService.describeWorkspaceSettings(workspaceId);
+        return res.success({ data: settings });
+    } catch (error) {
+        return res.internalServerError({ message: error.message });
+    }
+};
+
+/**
+ * Choose the transcription provider, model and language of the workspace
+ */
+const updateTranscriptionSettings = async (req, res) => {
+    try {
+        const validateRequest = validation.validateParamsWithJoi(req.body, transcriptionSchemaKey.settingsKeys);
+        if (!validateRequest.isValid) {
+            return res.validationError({ message: `Invalid values in parameters, ${validateRequest.message}` });
+        }
+        const workspaceId = req.workspaceId;
+        if (!workspaceId) {
+            return res.badRequest({ message: 'Workspace ID is required' });
+        }
+        const { provider, model, language, translate } = req.body;
+        const settings = await transcriptionService.updateWorkspaceSettings(workspaceId, {
+            provider: provider || undefined,
+            model: model || undefined,
+            language: language || undefined,
+            translate: typeof translate === 'boolean' ? translate : undefined
+        }, req.user.id);
+        if (!settings) {
+            return res.recordNotFound({ message: 'Workspace not found' });
+        }
+        return res.success({ data: settings });
+    } catch (error) {
+        return res.internalServerError({ message: error.message });
+    }
+};
+
 module.exports = {
     ollamaAudioTranscription,
     postInterviewTranscription,
     improveTranscription,
     batchTranscription,
-    getTranscriptionStatus
+    getTranscriptionStatus,
+    getTranscriptionSettings,
+    updateTranscriptionSettings
 };
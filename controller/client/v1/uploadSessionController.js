@@ -0,0 +1,46 @@
+/**
+ * uploadSessionController.js
+ * @description : exports action methods for the recorded multipart and chunked upload sessions.
+ */
+
+const ObjectId = require('mongodb').ObjectId;
+const uploadSessionService = require('../../../services/uploadSessionService');
+const validation = require('../../../utils/validateRequest');
+const uploadSessionSchemaKey = require('../../../utils/validation/uploadSessionValidation');
+
+/**
+ * @description : uploads of an application that never completed, abandoned ones are flagged as stalled.
+ * @param {Object} req : request including id of application in params and an optional status in query.
+ * @param {Object} res : response contains the upload sessions.
+ * @return {Object} : upload sessions. {status, message, data}
+ */
+const getStuckUploads = async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.validationError({ message : 'invalid objectId.' });
+    }
+    let validateRequest = validation.validateParamsWithJoi(
+      req.query,
+      uploadSessionSchemaKey.listKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const workspaceId = req.workspaceId;
+    if (!workspaceId) {
+      return res.badRequest({ message: 'Workspace ID is required' });
+    }
+    const result = await uploadSessionService.getStuckUploads({
+      applicationId: req.params.id,
+      workspaceId,
+      status: req.query.status
+    });
+    if (!result) {
+      return res.recordNotFound({ message: 'Application not found' });
+    }
+    return res.success({ data: result });
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = { getStuckUploads };
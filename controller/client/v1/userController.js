@@ -14,6 +14,7 @@ const role = require('../../../model/role');
 const userRole = require('../../../model/userRole');
 const deleteDependentService = require('../../../utils/deleteDependent');
 const utils = require('../../../utils/common');
+const twoFactorService = require('../../../services/twoFactorService');
 
 /**
  * @description : find all documents of User from collection based on query and options.
@@ -188,6 +189,9 @@ const updateProfile = async (req, res) => {
       return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
     }
     delete data.password;
+    // second factors change through their own endpoints, with a code
+    delete data.totp;
+    delete data.recoveryCodes;
     delete data.createdAt;
     delete data.updatedAt;
     if (data.id) delete data.id;
@@ -226,6 +230,8 @@ const updateUser = async (req,res) => {
     if (!validateRequest.isValid) {
       return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
     }
+    delete dataToUpdate.totp;
+    delete dataToUpdate.recoveryCodes;
     const query = { _id:req.params.id };
     let updatedUser = await dbService.updateOne(User,query,dataToUpdate);
     if (!updatedUser){
@@ -266,6 +272,13 @@ const toggle2FA = async (req, res) => {
       isActive: true
     };
 
+    if (!enabled) {
+      const user = await dbService.findOne(User, query);
+      if (user?.totp?.enabled) {
+        return res.badRequest({ message: 'Remove the authenticator app before turning off 2FA.' });
+      }
+    }
+
     const dataToUpdate = { twoFactorEnabled: enabled };
 
     let updatedUser = await dbService.updateOne(User, query, dataToUpdate, { new: true });
@@ -282,6 +295,133 @@ const toggle2FA = async (req, res) => {
   }
 };
 
+/**
+ * @description : enrolled second factors of the logged in user
+ * @param {Object} req : request of the logged in user.
+ * @param {Object} res : response contains the second factors.
+ * @return {Object} : {loginMethod, email, totp, recoveryCodesRemaining}. {status, message, data}
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await dbService.findOne(User, { _id: req.user.id });
+    if (!user) {
+      return res.recordNotFound();
+    }
+    return res.success({ data: twoFactorService.getTwoFactorStatus(user) });
+  } catch (error) {
+    return res.internalServerError({ message: error.message });
+  }
+};
+
+/**
+ * @description : start the enrollment of an authenticator app
+ * @param {Object} req : request of the logged in user.
+ * @param {Object} res : response contains the secret and the otpauth:// URI to show as a QR code.
+ * @return {Object} : {secret, otpauthUri, issuer, accountName, expireTime}. {status, message, data}
+ */
+const enrollTotp = async (req, res) => {
+  try {
+    const user = await dbService.findOne(User, { _id: req.user.id });
+    if (!user) {
+      return res.recordNotFound();
+    }
+    const result = await twoFactorService.startTotpEnrollment(user);
+    if (result.flag) {
+      return res.badRequest({ message: result.data });
+    }
+    return res.success({
+      message: 'Scan the QR code with your authenticator app and confirm with a code.',
+      data: result.data
+    });
+  } catch (error) {
+    return res.internalServerError({ message: error.message });
+  }
+};
+
+/**
+ * @description : confirm the enrollment of an authenticator app with a first code
+ * @param {Object} req : request including the code in request body.
+ * @param {Object} res : response contains the recovery codes, shown only once.
+ * @return {Object} : {recoveryCodes}. {status, message, data}
+ */
+const confirmTotp = async (req, res) => {
+  try {
+    const validateRequest = validation.validateParamsWithJoi(req.body, userSchemaKey.totpCodeKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const user = await dbService.findOne(User, { _id: req.user.id });
+    if (!user) {
+      return res.recordNotFound();
+    }
+    const result = await twoFactorService.confirmTotpEnrollment(user, req.body.code);
+    if (result.flag) {
+      return res.badRequest({ message: result.data });
+    }
+    return res.success({
+      message: 'Authenticator app enabled. Keep the recovery codes in a safe place, they are shown only once.',
+      data: result.data
+    });
+  } catch (error) {
+    return res.internalServerError({ message: error.message });
+  }
+};
+
+/**
+ * @description : remove the authenticator app of the logged in user
+ * @param {Object} req : request including a code of the app or a recovery code in request body.
+ * @param {Object} res : response of the removal.
+ * @return {Object} : {status, message, data}
+ */
+const disableTotp = async (req, res) => {
+  try {
+    const validateRequest = validation.validateParamsWithJoi(req.body, userSchemaKey.disableTotpKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const user = await dbService.findOne(User, { _id: req.user.id });
+    if (!user) {
+      return res.recordNotFound();
+    }
+    const result = await twoFactorService.disableTotp(user, req.body);
+    if (result.flag) {
+      return res.badRequest({ message: result.data });
+    }
+    return res.success({ message: result.data });
+  } catch (error) {
+    return res.internalServerError({ message: error.message });
+  }
+};
+
+/**
+ * @description : replace the recovery codes of the authenticator app
+ * @param {Object} req : request including a code of the app in request body.
+ * @param {Object} res : response contains the new recovery codes, shown only once.
+ * @return {Object} : {recoveryCodes}. {status, message, data}
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const validateRequest = validation.validateParamsWithJoi(req.body, userSchemaKey.totpCodeKeys);
+    if (!validateRequest.isValid) {
+      return res.validationError({ message : `Invalid values in parameters, ${validateRequest.message}` });
+    }
+    const user = await dbService.findOne(User, { _id: req.user.id });
+    if (!user) {
+      return res.recordNotFound();
+    }
+    const result = await twoFactorService.regenerateRecoveryCodes(user, req.body.code);
+    if (result.flag) {
+      return res.badRequest({ message: result.data });
+    }
+    return res.success({
+      message: 'New recovery codes generated, the previous ones no longer work.',
+      data: result.data
+    });
+  } catch (error) {
+    return res.internalServerError({ message: error.message });
+  }
+};
+
 module.exports = {
   findAllUser,
   addUser,
@@ -290,5 +430,10 @@ module.exports = {
   changePassword,
   updateProfile,
   updateUser,
-  toggle2FA    
+  toggle2FA,
+  getTwoFactorStatus,
+  enrollTotp,
+  confirmTotp,
+  disableTotp,
+  regenerateRecoveryCodes
 };
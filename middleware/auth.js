@@ -5,11 +5,31 @@
 
 const passport = require('passport');
 const {
-  LOGIN_ACCESS,PLATFORM 
+  LOGIN_ACCESS,PLATFORM,SESSION_ACTIVITY_INTERVAL
 } = require('../constants/authConstant');
 const userTokens = require('../model/userTokens');
 const dbService = require('../utils/dbService');
 
+/**
+ * @description : record when and from where a session was last used, at most once per SESSION_ACTIVITY_INTERVAL.
+ * @param {Object} userToken : userTokens document of the request.
+ * @param {string} ipAddress : address of the request.
+ */
+const touchSession = async (userToken, ipAddress) => {
+  const now = new Date();
+  if (userToken.lastUsedAt && now - userToken.lastUsedAt < SESSION_ACTIVITY_INTERVAL * 1000 && userToken.lastIpAddress === ipAddress) {
+    return;
+  }
+  try {
+    await dbService.updateOne(userTokens, { _id: userToken._id }, {
+      lastUsedAt: now,
+      lastIpAddress: ipAddress
+    });
+  } catch (error) {
+    console.error('⚠️ Failed to record session activity:', error.message);
+  }
+};
+
 /**
  * @description : returns callback that verifies required rights and access
  * @param {Object} req : request of route.
@@ -32,7 +52,10 @@ const verifyCallback = (req, resolve, reject, platform) => async (error, user, i
   if (!userToken){
     return reject('Token not found');
   }
-  if (userToken.isTokenExpired){
+  if (userToken.revokedAt){
+    return reject('Session was revoked');
+  }
+  if (userToken.isTokenExpired || (userToken.tokenExpiredTime && userToken.tokenExpiredTime < new Date())){
     return reject('Token is Expired');
   }
   if (user.userType) {
@@ -41,6 +64,7 @@ const verifyCallback = (req, resolve, reject, platform) => async (error, user, i
       return reject('Unauthorized user');
     }
   }
+  await touchSession(userToken, req.ip || req.connection?.remoteAddress);
   resolve();
 };
 
@@ -3,9 +3,8 @@
  * @description :: middleware that verifies JWT token of user
  */
 
-const jwt = require('jsonwebtoken');
 const { PLATFORM } = require('../constants/authConstant');
-const clientSecret = require('../constants/authConstant').JWT.CLIENT_SECRET;
+const { verifyToken } = require('../services/jwtKeyService');
 
 /**
  * @description : middleware for authenticate user with JWT token
@@ -17,17 +16,17 @@ const authenticateJWT = (platform) => async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (authHeader) {
     const token = authHeader.split(' ')[1];
-    let secret = '';
-    if (platform == PLATFORM.CLIENT){
-      secret = clientSecret;
+    if (platform != PLATFORM.CLIENT){
+      return res.unAuthorized();
     }
-    jwt.verify(token,secret, (error, user) => {
-      if (error) {
-        return res.unAuthorized();
-      }
-      req.user = user;
-      next();
-    });
+    let user;
+    try {
+      user = verifyToken(token);
+    } catch (error) {
+      return res.unAuthorized();
+    }
+    req.user = user;
+    next();
   } else {
     return res.unAuthorized();
   }
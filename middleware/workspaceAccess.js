@@ -0,0 +1,43 @@
+/**
+ * workspaceAccess.js
+ * @description :: middleware that resolves the workspace a request of a logged-in user works on
+ */
+
+const ObjectId = require('mongodb').ObjectId;
+const Workspace = require('../model/workspace');
+const dbService = require('../utils/dbService');
+
+/**
+ * @description : sets req.workspaceId to the workspace of the logged-in user.
+ * A workspaceId in the query or body picks another workspace, only one the user is a member of.
+ * @param {Object} req : request of route.
+ * @param {Object} res : response of route, 403 for a workspace the user is not a member of.
+ * @param {callback} next : executes the next middleware succeeding the current middleware.
+ */
+const workspaceAccess = async (req, res, next) => {
+  try {
+    const ownWorkspace = req.user?.workspace;
+    const requestedWorkspace = req.query?.workspaceId || req.body?.workspaceId;
+    if (!requestedWorkspace || (ownWorkspace && requestedWorkspace.toString() === ownWorkspace.toString())) {
+      req.workspaceId = ownWorkspace;
+      return next();
+    }
+    if (!ObjectId.isValid(requestedWorkspace)) {
+      return res.validationError({ message : 'invalid workspaceId.' });
+    }
+    const workspace = await dbService.findOne(Workspace, {
+      _id: requestedWorkspace,
+      members: req.user?.id,
+      isDeleted: { $ne: true }
+    });
+    if (!workspace) {
+      return res.forbidden({ message: 'You are not a member of this workspace' });
+    }
+    req.workspaceId = workspace._id;
+    return next();
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+};
+
+module.exports = workspaceAccess;
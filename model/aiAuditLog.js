@@ -0,0 +1,158 @@
+/**
+ * aiAuditLog.js
+ * @description :: model of a database collection aiAuditLog, one document per LLM call of the analysis paths
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+let idValidator = require('mongoose-id-validator');
+const {
+  LLM_TASKS, AI_AUDIT_PARSE_STATUS
+} = require('../constants/llmConstant');
+const myCustomLabels = {
+  totalDocs: 'itemCount',
+  docs: 'data',
+  limit: 'perPage',
+  page: 'currentPage',
+  nextPage: 'next',
+  prevPage: 'prev',
+  totalPages: 'pageCount',
+  pagingCounter: 'slNo',
+  meta: 'paginator',
+};
+mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
+const Schema = mongoose.Schema;
+const schema = new Schema(
+  {
+
+    task:{
+      type:String,
+      enum:Object.values(LLM_TASKS),
+      required:true
+    },
+
+    promptVersion:{ type:String },
+
+    prompt:{
+      type:String,
+      required:true
+    },
+
+    system:{ type:String },
+
+    provider:{ type:String },
+
+    model:{ type:String },
+
+    // generation options sent to the provider (temperature, maxTokens, ...)
+    parameters:{ type:Schema.Types.Mixed },
+
+    jsonMode:{ type:Boolean },
+
+    rawOutput:{ type:String },
+
+    parseStatus:{
+      type:String,
+      enum:Object.values(AI_AUDIT_PARSE_STATUS)
+    },
+
+    parsedResult:{ type:Schema.Types.Mixed },
+
+    parseError:{ type:String },
+
+    // set when the provider call itself failed
+    error:{ type:String },
+
+    latencyMs:{ type:Number },
+
+    attempts:{ type:Number },
+
+    usage:{
+      promptTokens:{ type:Number },
+      completionTokens:{ type:Number }
+    },
+
+    response:{
+      type:Schema.Types.ObjectId,
+      ref:'response'
+    },
+
+    application:{
+      type:Schema.Types.ObjectId,
+      ref:'application'
+    },
+
+    job:{
+      type:Schema.Types.ObjectId,
+      ref:'job'
+    },
+
+    // original call when this one is a re-run against another model
+    rerunOf:{
+      type:Schema.Types.ObjectId,
+      ref:'aiAuditLog'
+    },
+
+    isDeleted:{ type:Boolean },
+
+    isActive:{ type:Boolean },
+
+    createdAt:{ type:Date },
+
+    updatedAt:{ type:Date },
+
+    addedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    },
+
+    updatedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    }
+  }
+  ,{
+    timestamps: {
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt'
+    }
+  }
+);
+schema.index({
+  response: 1,
+  createdAt: -1
+});
+schema.index({
+  application: 1,
+  createdAt: -1
+});
+
+schema.pre('save', async function (next) {
+  this.isDeleted = false;
+  this.isActive = true;
+  next();
+});
+
+schema.pre('insertMany', async function (next, docs) {
+  if (docs && docs.length){
+    for (let index = 0; index < docs.length; index++) {
+      const element = docs[index];
+      element.isDeleted = false;
+      element.isActive = true;
+    }
+  }
+  next();
+});
+
+schema.method('toJSON', function () {
+  const {
+    _id, __v, ...object
+  } = this.toObject({ virtuals:true });
+  object.id = _id;
+
+  return object;
+});
+schema.plugin(mongoosePaginate);
+schema.plugin(idValidator);
+const aiAuditLog = mongoose.model('aiAuditLog',schema);
+module.exports = aiAuditLog;
@@ -78,6 +78,23 @@ const schema = new Schema(
     // Track original public invitation link
     interview_link_id: { type: String },
 
+    // Set once the candidate finished the interview
+    completedAt: { type: Date },
+
+    // Hiring pipeline stage, keys come from the workspace pipeline
+    pipelineStage: { type: String },
+
+    stageHistory: [
+      {
+        fromStage: { type: String },
+        toStage: { type: String },
+        reason: { type: String },
+        note: { type: String },
+        movedBy: { type: Schema.Types.ObjectId, ref: "user" },
+        movedAt: { type: Date, default: Date.now }
+      }
+    ],
+
     // Existing fields
     isDeleted: { type: Boolean, default: false },
     isActive: { type: Boolean, default: true },
@@ -107,6 +124,26 @@ const schema = new Schema(
     },
 
     overall_score: { type: Schema.Types.Mixed },
+
+    // Progress of the overall analysis, updated by InterviewCompleted and the analysis queue
+    overallAnalysisStatus: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"]
+    },
+    overallAnalysisError: { type: String },
+    overallAnalysisAttempts: { type: Number, default: 0 },
+
+    // media of applications on legal hold is never purged by the retention policy
+    legalHold: {
+      active: { type: Boolean, default: false },
+      reason: { type: String },
+      setBy: { type: Schema.Types.ObjectId, ref: "user" },
+      setAt: { type: Date }
+    },
+
+    // set once the retention policy deleted the recordings and uploaded files
+    mediaPurgedAt: { type: Date },
+    mediaPurgeReason: { type: String },
   },
   {
     timestamps: {
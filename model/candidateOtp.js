@@ -0,0 +1,55 @@
+/**
+ * candidateOtp.js
+ * @description :: model of a database collection candidateOtp, verification codes sent to candidates.
+ * Documents are removed by a TTL index once they expire.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const schema = new Schema(
+  {
+
+    key:{
+      type:String,
+      required:true,
+      unique:true
+    },
+
+    code:{ type:String },
+
+    email:{ type:String },
+
+    candidateName:{ type:String },
+
+    applicationId:{ type:String },
+
+    interviewLinkId:{ type:String },
+
+    attempts:{
+      type:Number,
+      default:0
+    },
+
+    maxAttempts:{
+      type:Number,
+      default:5
+    },
+
+    expiresAt:{ type:Date },
+
+    createdAt:{ type:Date }
+  }
+);
+
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+schema.method('toJSON', function () {
+  const {
+    _id, __v, ...object 
+  } = this.toObject({ virtuals:true });
+  object.id = _id;
+     
+  return object;
+});
+const candidateOtp = mongoose.model('candidateOtp',schema);
+module.exports = candidateOtp;
@@ -0,0 +1,184 @@
+/**
+ * interviewTemplate.js
+ * @description :: model of a database collection interviewTemplate, reusable ordered question sets of a workspace
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+let idValidator = require('mongoose-id-validator');
+const rubricSchema = require('./rubricSchema');
+
+const myCustomLabels = {
+  totalDocs: 'itemCount',
+  docs: 'data',
+  limit: 'perPage',
+  page: 'currentPage',
+  nextPage: 'next',
+  prevPage: 'prev',
+  totalPages: 'pageCount',
+  pagingCounter: 'slNo',
+  meta: 'paginator',
+};
+mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
+
+const Schema = mongoose.Schema;
+
+const templateQuestionSchema = new Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  question_type: {
+    type: String,
+    enum: ['video', 'audio', 'text', 'multiple_choice'],
+    default: 'video'
+  },
+
+  evaluation_instructions: {
+    type: String,
+    trim: true
+  },
+
+  rubric: { type: rubricSchema },
+
+  timeLimit: {
+    type: Number,
+    default: 120 // seconds
+  },
+
+  allowRetry: {
+    type: Boolean,
+    default: false
+  },
+
+  tags: [{
+    type: String,
+    enum: ['Introduction', 'Background', 'Technical', 'Problem Solving', 'Behavioral']
+  }],
+
+  order: {
+    type: Number,
+    default: 1
+  }
+});
+
+const schema = new Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    description: {
+      type: String,
+      trim: true
+    },
+
+    jobRole: {
+      type: String,
+      trim: true
+    },
+
+    tags: [{
+      type: String,
+      trim: true
+    }],
+
+    questions: [templateQuestionSchema],
+
+    // shared with every workspace when true, otherwise visible to its own workspace only
+    isPublic: {
+      type: Boolean,
+      default: false
+    },
+
+    usageCount: {
+      type: Number,
+      default: 0
+    },
+
+    lastUsedAt: { type: Date },
+
+    workspace: {
+      ref: 'workspace',
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+
+    isDeleted: { type: Boolean },
+
+    isActive: { type: Boolean },
+
+    createdAt: { type: Date },
+
+    updatedAt: { type: Date },
+
+    addedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'user'
+    },
+
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'user'
+    }
+  },
+  { 
+    timestamps: { 
+      createdAt: 'createdAt', 
+      updatedAt: 'updatedAt' 
+    } 
+  }
+);
+
+/**
+ * sorts questions by their order and renumbers them 1..n, so gaps and duplicates never reach a job
+ */
+schema.statics.orderQuestions = function (questions = []) {
+  return [...questions]
+    .map((question, index) => ({
+      question,
+      index
+    }))
+    .sort((a, b) => (a.question.order || 0) - (b.question.order || 0) || a.index - b.index)
+    .map(({ question }, index) => ({
+      ...(question.toObject ? question.toObject() : question),
+      order: index + 1
+    }));
+};
+
+schema.pre('save', async function (next) {
+  this.isDeleted = false;
+  this.isActive = true;
+  this.questions = this.constructor.orderQuestions(this.questions);
+  next();
+});
+
+schema.pre('insertMany', async function (next, docs) {
+  if (docs && docs.length) {
+    for (let index = 0; index < docs.length; index++) {
+      const element = docs[index];
+      element.isDeleted = false;
+      element.isActive = true;
+    }
+  }
+  next();
+});
+
+schema.method('toJSON', function () {
+  const {
+    _id, __v, ...object 
+  } = this.toObject({ virtuals: true });
+  object.id = _id;
+     
+  return object;
+});
+
+schema.plugin(mongoosePaginate);
+schema.plugin(idValidator);
+
+const interviewTemplate = mongoose.model('interviewTemplate', schema);
+module.exports = interviewTemplate;
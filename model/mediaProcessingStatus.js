@@ -0,0 +1,216 @@
+/**
+ * mediaProcessingStatus.js
+ * @description :: model of a database collection mediaProcessingStatus, processing state of the recording of one interview question
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+let idValidator = require('mongoose-id-validator');
+const {
+  MEDIA_TYPES, MEDIA_PROCESSING_STATUS, MEDIA_STAGE_STATUS
+} = require('../constants/mediaConstant');
+const myCustomLabels = {
+  totalDocs: 'itemCount',
+  docs: 'data',
+  limit: 'perPage',
+  page: 'currentPage',
+  nextPage: 'next',
+  prevPage: 'prev',
+  totalPages: 'pageCount',
+  pagingCounter: 'slNo',
+  meta: 'paginator',
+};
+mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
+const Schema = mongoose.Schema;
+
+const transcriptSegmentSchema = new Schema({
+  // seconds from the start of the recording
+  start:{ type:Number },
+
+  end:{ type:Number },
+
+  text:{ type:String },
+
+  speaker:{ type:String },
+
+  confidence:{ type:Number }
+},{ _id:false });
+
+// status of one step of the post-upload pipeline
+const stageSchema = new Schema({
+  status:{
+    type:String,
+    enum:Object.values(MEDIA_STAGE_STATUS)
+  },
+  error:{ type:String },
+  startedAt:{ type:Date },
+  completedAt:{ type:Date }
+}, { _id:false });
+
+const schema = new Schema(
+  {
+
+    // interview session the recording belongs to
+    application:{
+      type:Schema.Types.ObjectId,
+      ref:'application',
+      required:true
+    },
+
+    question:{
+      type:Schema.Types.ObjectId,
+      ref:'question'
+    },
+
+    // set once the recording is linked to the candidate answer
+    response:{
+      type:Schema.Types.ObjectId,
+      ref:'response'
+    },
+
+    mediaType:{
+      type:String,
+      enum:Object.values(MEDIA_TYPES),
+      default:MEDIA_TYPES.VIDEO
+    },
+
+    status:{
+      type:String,
+      enum:Object.values(MEDIA_PROCESSING_STATUS),
+      default:MEDIA_PROCESSING_STATUS.UPLOADING
+    },
+
+    totalChunks:{ type:Number },
+
+    receivedChunks:{
+      type:Number,
+      default:0
+    },
+
+    manifestKey:{ type:String },
+
+    videoKey:{ type:String },
+
+    videoUrl:{ type:String },
+
+    error:{ type:String },
+
+    assembledAt:{ type:Date },
+
+    questionNumber:{ type:Number },
+
+    // uploaded recording, a single object or the chunks stored under chunkPrefix
+    source:{
+      key:{ type:String },
+      chunkPrefix:{ type:String },
+      contentType:{ type:String }
+    },
+
+    // transcription pipeline started when an upload completes
+    stages:{
+      audioExtraction:{ type:stageSchema },
+      transcription:{ type:stageSchema },
+      analysis:{ type:stageSchema }
+    },
+
+    // kept here until the response of the question is saved
+    transcriptionText:{ type:String },
+
+    transcriptSegments:[transcriptSegmentSchema],
+
+    transcriptLanguage:{ type:String },
+
+    mediaDuration:{ type:Number },
+
+    // HLS renditions, poster and scrubbing sprite generated for playback
+    playback:{
+      status:{
+        type:String,
+        enum:Object.values(MEDIA_STAGE_STATUS)
+      },
+      sourceKey:{ type:String },
+      prefix:{ type:String },
+      masterPlaylistKey:{ type:String },
+      renditions:[{
+        _id:false,
+        name:{ type:String },
+        width:{ type:Number },
+        height:{ type:Number },
+        bandwidth:{ type:Number },
+        playlistKey:{ type:String }
+      }],
+      posterKey:{ type:String },
+      sprite:{
+        key:{ type:String },
+        interval:{ type:Number },
+        columns:{ type:Number },
+        rows:{ type:Number },
+        count:{ type:Number },
+        thumbWidth:{ type:Number },
+        thumbHeight:{ type:Number }
+      },
+      duration:{ type:Number },
+      error:{ type:String },
+      processedAt:{ type:Date }
+    },
+
+    isDeleted:{ type:Boolean },
+
+    isActive:{ type:Boolean },
+
+    createdAt:{ type:Date },
+
+    updatedAt:{ type:Date },
+
+    addedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    },
+
+    updatedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    }
+  }
+  ,{
+    timestamps: {
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt'
+    }
+  }
+);
+schema.index({
+  application: 1,
+  question: 1,
+  mediaType: 1
+}, { unique: true });
+
+schema.pre('save', async function (next) {
+  this.isDeleted = false;
+  this.isActive = true;
+  next();
+});
+
+schema.pre('insertMany', async function (next, docs) {
+  if (docs && docs.length){
+    for (let index = 0; index < docs.length; index++) {
+      const element = docs[index];
+      element.isDeleted = false;
+      element.isActive = true;
+    }
+  }
+  next();
+});
+
+schema.method('toJSON', function () {
+  const {
+    _id, __v, ...object
+  } = this.toObject({ virtuals:true });
+  object.id = _id;
+
+  return object;
+});
+schema.plugin(mongoosePaginate);
+schema.plugin(idValidator);
+const mediaProcessingStatus = mongoose.model('mediaProcessingStatus',schema);
+module.exports = mediaProcessingStatus;
@@ -0,0 +1,121 @@
+/**
+ * proctoringEvent.js
+ * @description :: model of a database collection proctoringEvent, one document per integrity signal
+ * reported by the interview client (focus lost, fullscreen exit, copy-paste, face detection, network drop)
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+let idValidator = require('mongoose-id-validator');
+const { PROCTORING_EVENT_TYPES } = require('../constants/proctoringConstant');
+const myCustomLabels = {
+  totalDocs: 'itemCount',
+  docs: 'data',
+  limit: 'perPage',
+  page: 'currentPage',
+  nextPage: 'next',
+  prevPage: 'prev',
+  totalPages: 'pageCount',
+  pagingCounter: 'slNo',
+  meta: 'paginator',
+};
+mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
+const Schema = mongoose.Schema;
+const schema = new Schema(
+  {
+
+    application:{
+      type:Schema.Types.ObjectId,
+      ref:'application',
+      required:true
+    },
+
+    // question on screen when the event happened, unset between questions
+    question:{
+      type:Schema.Types.ObjectId,
+      ref:'question'
+    },
+
+    questionNumber:{ type:Number },
+
+    type:{
+      type:String,
+      enum:Object.values(PROCTORING_EVENT_TYPES),
+      required:true
+    },
+
+    // client clock, the server time is kept in createdAt
+    occurredAt:{
+      type:Date,
+      required:true
+    },
+
+    // how long the focus, the face or the network was lost
+    durationMs:{ type:Number },
+
+    // id given by the client so a batch sent again is stored once
+    clientEventId:{ type:String },
+
+    // extra data of the client, e.g. the number of faces detected
+    details:{ type:Schema.Types.Mixed },
+
+    ipAddress:{ type:String },
+
+    userAgent:{ type:String },
+
+    isDeleted:{ type:Boolean },
+
+    isActive:{ type:Boolean },
+
+    createdAt:{ type:Date },
+
+    updatedAt:{ type:Date }
+  }
+  ,{
+    timestamps: {
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt'
+    }
+  }
+);
+schema.index({
+  application: 1,
+  occurredAt: 1
+});
+schema.index({
+  application: 1,
+  clientEventId: 1
+}, {
+  unique: true,
+  partialFilterExpression: { clientEventId: { $type: 'string' } }
+});
+
+schema.pre('save', async function (next) {
+  this.isDeleted = false;
+  this.isActive = true;
+  next();
+});
+
+schema.pre('insertMany', async function (next, docs) {
+  if (docs && docs.length){
+    for (let index = 0; index < docs.length; index++) {
+      const element = docs[index];
+      element.isDeleted = false;
+      element.isActive = true;
+    }
+  }
+  next();
+});
+
+schema.method('toJSON', function () {
+  const {
+    _id, __v, ...object
+  } = this.toObject({ virtuals:true });
+  object.id = _id;
+
+  return object;
+});
+schema.plugin(mongoosePaginate);
+schema.plugin(idValidator);
+const proctoringEvent = mongoose.model('proctoringEvent',schema);
+module.exports = proctoringEvent;
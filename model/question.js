@@ -6,6 +6,7 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
 let idValidator = require('mongoose-id-validator');
+const rubricSchema = require('./rubricSchema');
 
 const myCustomLabels = {
   totalDocs: 'itemCount',
@@ -40,6 +41,9 @@ const schema = new Schema(
       trim: true
     },
 
+    // structured rubric, when set the AI scores every criterion and the overall score is computed from the weights
+    rubric: { type: rubricSchema },
+
     // Additional fields for better functionality
     timeLimit: {
       type: Number,
@@ -19,6 +19,20 @@ const myCustomLabels = {
 };
 mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
 const Schema = mongoose.Schema;
+
+const transcriptSegmentSchema = new Schema({
+  // seconds from the start of the recording
+  start:{ type:Number },
+
+  end:{ type:Number },
+
+  text:{ type:String },
+
+  speaker:{ type:String },
+
+  confidence:{ type:Number }
+},{ _id:false });
+
 const schema = new Schema(
   {
 
@@ -59,6 +73,9 @@ const schema = new Schema(
 
     aiAnalysis:{ type:Schema.Types.Mixed },
 
+    // delivery metrics computed from the transcript: speaking rate, filler words, long pauses, answer length
+    speechAnalytics:{ type:Schema.Types.Mixed },
+
     sessionId:{
       ref:'application',
       type:Schema.Types.ObjectId
@@ -74,7 +91,32 @@ const schema = new Schema(
 
     responseVideoUrl:{ type:String },
 
-    transcriptionText:{ type:String }
+    // answer duration in seconds reported by the browser
+    responseDuration:{ type:Number },
+
+    // duration in seconds of the uploaded recording
+    mediaDuration:{ type:Number },
+
+    transcriptionText:{ type:String },
+
+    // timestamped transcript, lets the player seek to what was said
+    transcriptSegments:[transcriptSegmentSchema],
+
+    transcriptLanguage:{ type:String },
+
+    analysisStatus:{
+      type:String,
+      enum:['pending','processing','completed','failed']
+    },
+
+    analysisError:{ type:String },
+
+    analysisAttempts:{
+      type:Number,
+      default:0
+    },
+
+    analyzedAt:{ type:Date }
   }
   ,{ 
     timestamps: { 
@@ -83,6 +125,11 @@ const schema = new Schema(
     } 
   }
 );
+schema.index({
+  transcriptionText: 'text',
+  'transcriptSegments.text': 'text'
+}, { name: 'transcript_text' });
+
 schema.pre('save', async function (next) {
   this.isDeleted = false;
   this.isActive = true;
@@ -0,0 +1,112 @@
+/**
+ * responseComment.js
+ * @description :: model of a database collection responseComment, recruiter comments on interview responses
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+let idValidator = require('mongoose-id-validator');
+const myCustomLabels = {
+  totalDocs: 'itemCount',
+  docs: 'data',
+  limit: 'perPage',
+  page: 'currentPage',
+  nextPage: 'next',
+  prevPage: 'prev',
+  totalPages: 'pageCount',
+  pagingCounter: 'slNo',
+  meta: 'paginator',
+};
+mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
+const Schema = mongoose.Schema;
+const schema = new Schema(
+  {
+
+    response:{
+      type:Schema.Types.ObjectId,
+      ref:'response',
+      required:true
+    },
+
+    application:{
+      type:Schema.Types.ObjectId,
+      ref:'application'
+    },
+
+    reviewer:{
+      type:Schema.Types.ObjectId,
+      ref:'user',
+      required:true
+    },
+
+    text:{
+      type:String,
+      required:true,
+      trim:true
+    },
+
+    // position in the response recording the comment refers to, in seconds
+    videoTimestamp:{
+      type:Number,
+      min:0
+    },
+
+    isDeleted:{ type:Boolean },
+
+    isActive:{ type:Boolean },
+
+    createdAt:{ type:Date },
+
+    updatedAt:{ type:Date },
+
+    addedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    },
+
+    updatedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    }
+  }
+  ,{ 
+    timestamps: { 
+      createdAt: 'createdAt', 
+      updatedAt: 'updatedAt' 
+    } 
+  }
+);
+schema.index({
+  response: 1,
+  createdAt: 1
+});
+
+schema.pre('save', async function (next) {
+  this.isDeleted = false;
+  this.isActive = true;
+  next();
+});
+
+schema.pre('insertMany', async function (next, docs) {
+  if (docs && docs.length){
+    for (let index = 0; index < docs.length; index++) {
+      const element = docs[index];
+      element.isDeleted = false;
+      element.isActive = true;
+    }
+  }
+  next();
+});
+
+schema.method('toJSON', function () {
+  const {
+    _id, __v, ...object 
+  } = this.toObject({ virtuals:true });
+  object.id = _id;
+     
+  return object;
+});
+schema.plugin(mongoosePaginate);
+schema.plugin(idValidator);
+const responseComment = mongoose.model('responseComment',schema);
+module.exports = responseComment;
\ No newline at end of file
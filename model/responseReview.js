@@ -0,0 +1,118 @@
+/**
+ * responseReview.js
+ * @description :: model of a database collection responseReview, rubric score of a response given by one reviewer
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+let idValidator = require('mongoose-id-validator');
+const myCustomLabels = {
+  totalDocs: 'itemCount',
+  docs: 'data',
+  limit: 'perPage',
+  page: 'currentPage',
+  nextPage: 'next',
+  prevPage: 'prev',
+  totalPages: 'pageCount',
+  pagingCounter: 'slNo',
+  meta: 'paginator',
+};
+mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
+const Schema = mongoose.Schema;
+const schema = new Schema(
+  {
+
+    response:{
+      type:Schema.Types.ObjectId,
+      ref:'response',
+      required:true
+    },
+
+    application:{
+      type:Schema.Types.ObjectId,
+      ref:'application'
+    },
+
+    reviewer:{
+      type:Schema.Types.ObjectId,
+      ref:'user',
+      required:true
+    },
+
+    scores:[{
+      _id:false,
+      criterion:{ type:String },
+      score:{ type:Number },
+      weight:{ type:Number }
+    }],
+
+    // weighted rubric score on 0-100, comparable to the AI score
+    overallScore:{ type:Number },
+
+    recommendation:{
+      type:String,
+      enum:['strong_hire','hire','maybe','no_hire']
+    },
+
+    summary:{ type:String },
+
+    isDeleted:{ type:Boolean },
+
+    isActive:{ type:Boolean },
+
+    createdAt:{ type:Date },
+
+    updatedAt:{ type:Date },
+
+    addedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    },
+
+    updatedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    }
+  }
+  ,{ 
+    timestamps: { 
+      createdAt: 'createdAt', 
+      updatedAt: 'updatedAt' 
+    } 
+  }
+);
+schema.index({
+  response: 1,
+  reviewer: 1
+}, { unique: true });
+schema.index({ application: 1 });
+
+schema.pre('save', async function (next) {
+  this.isDeleted = false;
+  this.isActive = true;
+  next();
+});
+
+schema.pre('insertMany', async function (next, docs) {
+  if (docs && docs.length){
+    for (let index = 0; index < docs.length; index++) {
+      const element = docs[index];
+      element.isDeleted = false;
+      element.isActive = true;
+    }
+  }
+  next();
+});
+
+schema.method('toJSON', function () {
+  const {
+    _id, __v, ...object 
+  } = this.toObject({ virtuals:true });
+  object.id = _id;
+     
+  return object;
+});
+schema.plugin(mongoosePaginate);
+schema.plugin(idValidator);
+const responseReview = mongoose.model('responseReview',schema);
+module.exports = responseReview;
\ No newline at end of file
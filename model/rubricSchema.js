@@ -0,0 +1,58 @@
+/**
+ * rubricSchema.js
+ * @description :: embedded schema of a structured evaluation rubric, used by question and interviewTemplate
+ */
+
+const mongoose = require('mongoose');
+const { RUBRIC_SCORE_LEVELS } = require('../constants/rubricConstant');
+const Schema = mongoose.Schema;
+
+const levelSchema = new Schema({
+  score: {
+    type: Number,
+    required: true,
+    min: RUBRIC_SCORE_LEVELS.MIN,
+    max: RUBRIC_SCORE_LEVELS.MAX
+  },
+
+  label: {
+    type: String,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const criterionSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    trim: true
+  },
+
+  weight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  levels: [levelSchema]
+}, { _id: false });
+
+const rubricSchema = new Schema({ criteria: [criterionSchema] }, { _id: false });
+
+module.exports = rubricSchema;
@@ -0,0 +1,171 @@
+/**
+ * uploadSession.js
+ * @description :: model of a database collection uploadSession, one document per multipart or chunked upload
+ * so uploads abandoned by the candidate can be aborted and their objects deleted
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+let idValidator = require('mongoose-id-validator');
+const {
+  UPLOAD_SESSION_TYPES, UPLOAD_SESSION_STATUS
+} = require('../constants/mediaConstant');
+const myCustomLabels = {
+  totalDocs: 'itemCount',
+  docs: 'data',
+  limit: 'perPage',
+  page: 'currentPage',
+  nextPage: 'next',
+  prevPage: 'prev',
+  totalPages: 'pageCount',
+  pagingCounter: 'slNo',
+  meta: 'paginator',
+};
+mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
+const Schema = mongoose.Schema;
+const schema = new Schema(
+  {
+
+    type:{
+      type:String,
+      enum:Object.values(UPLOAD_SESSION_TYPES),
+      required:true
+    },
+
+    status:{
+      type:String,
+      enum:Object.values(UPLOAD_SESSION_STATUS),
+      default:UPLOAD_SESSION_STATUS.ACTIVE
+    },
+
+    // storage multipart upload id, or the id handed out by init-chunked-upload
+    uploadId:{ type:String },
+
+    // object key of a multipart upload
+    key:{ type:String },
+
+    // folder holding the chunks of a chunked upload
+    prefix:{ type:String },
+
+    owner:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    },
+
+    // interview session the upload belongs to, unset for uploads outside of an interview
+    application:{
+      type:Schema.Types.ObjectId,
+      ref:'application'
+    },
+
+    question:{
+      type:Schema.Types.ObjectId,
+      ref:'question'
+    },
+
+    questionNumber:{ type:Number },
+
+    mediaType:{ type:String },
+
+    fileName:{ type:String },
+
+    // parts or chunks received so far
+    receivedParts:{
+      type:Number,
+      default:0
+    },
+
+    startedAt:{ type:Date },
+
+    lastActivityAt:{ type:Date },
+
+    // pushed back on every part or chunk, the reaper cleans the upload up once it is passed
+    expiresAt:{ type:Date },
+
+    completedAt:{ type:Date },
+
+    abortedAt:{ type:Date },
+
+    reapedAt:{ type:Date },
+
+    // objects deleted when the upload was reaped
+    deletedObjects:{ type:Number },
+
+    reapAttempts:{
+      type:Number,
+      default:0
+    },
+
+    reapError:{ type:String },
+
+    isDeleted:{ type:Boolean },
+
+    isActive:{ type:Boolean },
+
+    createdAt:{ type:Date },
+
+    updatedAt:{ type:Date },
+
+    addedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    },
+
+    updatedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    }
+  }
+  ,{
+    timestamps: {
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt'
+    }
+  }
+);
+schema.index({
+  status: 1,
+  expiresAt: 1
+});
+schema.index({
+  application: 1,
+  startedAt: -1
+});
+schema.index({
+  type: 1,
+  uploadId: 1
+});
+schema.index({
+  type: 1,
+  prefix: 1
+});
+
+schema.pre('save', async function (next) {
+  this.isDeleted = false;
+  this.isActive = true;
+  next();
+});
+
+schema.pre('insertMany', async function (next, docs) {
+  if (docs && docs.length){
+    for (let index = 0; index < docs.length; index++) {
+      const element = docs[index];
+      element.isDeleted = false;
+      element.isActive = true;
+    }
+  }
+  next();
+});
+
+schema.method('toJSON', function () {
+  const {
+    _id, __v, ...object
+  } = this.toObject({ virtuals:true });
+  object.id = _id;
+
+  return object;
+});
+schema.plugin(mongoosePaginate);
+schema.plugin(idValidator);
+const uploadSession = mongoose.model('uploadSession',schema);
+module.exports = uploadSession;
@@ -69,6 +69,33 @@ const schema = new Schema(
       default: false,
     },
 
+    // email OTP on login, see toggle2FA
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+
+    // authenticator app, the secret is stored encrypted (utils/totp)
+    totp: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: { type: String },
+      confirmedAt: { type: Date },
+      pendingSecret: { type: String },
+      pendingExpireTime: { type: Date },
+      // last time step accepted, a code can not be used twice
+      lastUsedStep: { type: Number },
+    },
+
+    recoveryCodes: [
+      {
+        hash: { type: String },
+        usedAt: { type: Date },
+      },
+    ],
+
     loginOTP: {
       code: String,
       expireTime: Date,
@@ -123,6 +150,13 @@ schema.method("toJSON", function () {
   const { _id, __v, ...object } = this.toObject({ virtuals: true });
   object.id = _id;
   delete object.password;
+  delete object.recoveryCodes;
+  if (object.totp) {
+    object.totp = {
+      enabled: object.totp.enabled,
+      confirmedAt: object.totp.confirmedAt,
+    };
+  }
 
   return object;
 });
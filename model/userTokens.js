@@ -6,6 +6,7 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
 let idValidator = require('mongoose-id-validator');
+const { SESSION_REVOKE_REASONS } = require('../constants/authConstant');
 const myCustomLabels = {
   totalDocs: 'itemCount',
   docs: 'data',
@@ -36,6 +37,43 @@ const schema = new Schema(
       default:false
     },
 
+    // sha256 of the refresh token, the token itself is only handed to the client
+    refreshTokenHash:{ type:String },
+
+    refreshTokenExpiredTime:{ type:Date },
+
+    // tokens rotated from the same login share a family, reuse of a rotated refresh token revokes all of them
+    family:{ type:String },
+
+    // login that opened the session, kept through the rotations
+    loginAt:{ type:Date },
+
+    rotatedAt:{ type:Date },
+
+    replacedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'userTokens'
+    },
+
+    revokedAt:{ type:Date },
+
+    revokedReason:{
+      type:String,
+      enum:Object.values(SESSION_REVOKE_REASONS)
+    },
+
+    device:{
+      userAgent:{ type:String },
+      name:{ type:String }
+    },
+
+    // address of the login, lastIpAddress follows the requests made with the token
+    ipAddress:{ type:String },
+
+    lastIpAddress:{ type:String },
+
+    lastUsedAt:{ type:Date },
+
     isActive:{ type:Boolean },
 
     addedBy:{
@@ -61,6 +99,16 @@ const schema = new Schema(
     } 
   }
 );
+schema.index({
+  token: 1,
+  userId: 1
+});
+schema.index({ refreshTokenHash: 1 });
+schema.index({
+  userId: 1,
+  family: 1
+});
+
 schema.pre('save', async function (next) {
   this.isDeleted = false;
   this.isActive = true;
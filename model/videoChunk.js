@@ -0,0 +1,115 @@
+/**
+ * videoChunk.js
+ * @description :: model of a database collection videoChunk, one uploaded chunk of an interview recording
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+let idValidator = require('mongoose-id-validator');
+const myCustomLabels = {
+  totalDocs: 'itemCount',
+  docs: 'data',
+  limit: 'perPage',
+  page: 'currentPage',
+  nextPage: 'next',
+  prevPage: 'prev',
+  totalPages: 'pageCount',
+  pagingCounter: 'slNo',
+  meta: 'paginator',
+};
+mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
+const Schema = mongoose.Schema;
+const schema = new Schema(
+  {
+
+    // interview session the chunk was recorded in
+    application:{
+      type:Schema.Types.ObjectId,
+      ref:'application',
+      required:true
+    },
+
+    question:{
+      type:Schema.Types.ObjectId,
+      ref:'question'
+    },
+
+    chunkIndex:{
+      type:Number,
+      required:true,
+      min:0
+    },
+
+    totalChunks:{ type:Number },
+
+    key:{
+      type:String,
+      required:true
+    },
+
+    size:{ type:Number },
+
+    contentType:{ type:String },
+
+    uploadedAt:{ type:Date },
+
+    isDeleted:{ type:Boolean },
+
+    isActive:{ type:Boolean },
+
+    createdAt:{ type:Date },
+
+    updatedAt:{ type:Date },
+
+    addedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    },
+
+    updatedBy:{
+      type:Schema.Types.ObjectId,
+      ref:'user'
+    }
+  }
+  ,{
+    timestamps: {
+      createdAt: 'createdAt',
+      updatedAt: 'updatedAt'
+    }
+  }
+);
+schema.index({
+  application: 1,
+  question: 1,
+  chunkIndex: 1
+}, { unique: true });
+
+schema.pre('save', async function (next) {
+  this.isDeleted = false;
+  this.isActive = true;
+  next();
+});
+
+schema.pre('insertMany', async function (next, docs) {
+  if (docs && docs.length){
+    for (let index = 0; index < docs.length; index++) {
+      const element = docs[index];
+      element.isDeleted = false;
+      element.isActive = true;
+    }
+  }
+  next();
+});
+
+schema.method('toJSON', function () {
+  const {
+    _id, __v, ...object
+  } = this.toObject({ virtuals:true });
+  object.id = _id;
+
+  return object;
+});
+schema.plugin(mongoosePaginate);
+schema.plugin(idValidator);
+const videoChunk = mongoose.model('videoChunk',schema);
+module.exports = videoChunk;
@@ -6,6 +6,7 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
 let idValidator = require('mongoose-id-validator');
+const { TRANSCRIPTION_PROVIDERS } = require('../constants/transcriptionConstant');
 const myCustomLabels = {
   totalDocs: 'itemCount',
   docs: 'data',
@@ -19,6 +20,36 @@ const myCustomLabels = {
 };
 mongoosePaginate.paginate.options = { customLabels: myCustomLabels };
 const Schema = mongoose.Schema;
+
+const pipelineStageSchema = new Schema({
+  key:{
+    type:String,
+    required:true,
+    trim:true,
+    lowercase:true
+  },
+
+  name:{
+    type:String,
+    required:true,
+    trim:true
+  },
+
+  order:{ type:Number },
+
+  reasons:[{ type:String }],
+
+  requireReason:{
+    type:Boolean,
+    default:false
+  },
+
+  isTerminal:{
+    type:Boolean,
+    default:false
+  }
+},{ _id:false });
+
 const schema = new Schema(
   {
 
@@ -58,6 +89,43 @@ const schema = new Schema(
     admin:{
       ref:'user',
       type:Schema.Types.ObjectId
+    },
+
+    // hiring pipeline of the workspace, empty means the default stages are used
+    pipelineStages:[pipelineStageSchema],
+
+    // speech-to-text used for interview recordings, unset fields fall back to the environment
+    transcription:{
+      provider:{
+        type:String,
+        enum:Object.values(TRANSCRIPTION_PROVIDERS)
+      },
+
+      model:{ type:String },
+
+      language:{ type:String },
+
+      translate:{ type:Boolean }
+    },
+
+    // lifetime of candidate media (recordings and uploaded files), unset periods keep media forever
+    mediaRetention:{
+      enabled:{
+        type:Boolean,
+        default:false
+      },
+
+      // days after the application was moved to the rejected stage, or a terminal stage asking for a reason
+      rejectedAfterDays:{
+        type:Number,
+        min:1
+      },
+
+      // months after the interview was completed, or the application created when it never was
+      allAfterMonths:{
+        type:Number,
+        min:1
+      }
     }
   }
   ,{ 
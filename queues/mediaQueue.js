@@ -0,0 +1,27 @@
+const Queue = require('bull');
+const { redisConfig } = require('../config/redis');
+
+// Queue of the interview media jobs (video assembly, HLS playback, transcription), consumed by queues/mediaWorker.js
+const mediaQueue = new Queue('media processing', {
+  redis: redisConfig,
+
+  settings: {
+    stalledInterval: 5 * 60 * 1000,  // Check for stalled jobs every 5 minutes
+    maxStalledCount: 2,               // Max times a job can be stalled
+    lockDuration: 15 * 60 * 1000,     // Transcoding holds the lock for long stretches
+    lockRenewTime: 5 * 60 * 1000      // Renew lock every 5 minutes
+  },
+
+  defaultJobOptions: {
+    removeOnComplete: 50,
+    removeOnFail: 50,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 10000
+    },
+    timeout: 30 * 60 * 1000  // 30 minutes, long recordings take a while to transcode
+  }
+});
+
+module.exports = mediaQueue;
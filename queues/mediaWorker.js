@@ -0,0 +1,135 @@
+/**
+ * mediaWorker.js
+ * @description :: background worker consuming the media processing queue (video assembly, HLS playback, transcription)
+ * and running the scheduled media retention purge and upload reaper.
+ * Run it with `npm run worker:media` on hosts with ffmpeg installed, FFMPEG_PATH points to a custom binary.
+ */
+
+const dotenv = require('dotenv');
+dotenv.config({ path:'.env' });
+global.__basedir = require('path').join(__dirname, '..');
+require('../config/db');
+
+const mediaQueue = require('./mediaQueue');
+const VideoChunkService = require('../services/videoChunkService');
+const mediaPlaybackService = require('../services/mediaPlaybackService');
+const mediaPipelineService = require('../services/mediaPipelineService');
+const mediaRetentionService = require('../services/mediaRetentionService');
+const uploadSessionService = require('../services/uploadSessionService');
+const {
+  MEDIA_QUEUE_JOBS, MEDIA_WORKER_CONCURRENCY, MEDIA_RETENTION_PURGE, UPLOAD_REAPER
+} = require('../constants/queueConstant');
+
+const videoChunkService = new VideoChunkService();
+
+mediaQueue.process(MEDIA_QUEUE_JOBS.ASSEMBLE_VIDEO, MEDIA_WORKER_CONCURRENCY, async (job) => {
+  const {
+    sessionId, questionId
+  } = job.data;
+  console.log(`🎬 Assembling video of session ${sessionId} question ${questionId} (attempt ${job.attemptsMade + 1})`);
+  await job.progress(10);
+  const result = await videoChunkService.assembleVideoChunks(sessionId, questionId);
+  if (!result.success) {
+    if (result.retryable === false) {
+      // missing chunks have to be uploaded again before a new merge request
+      job.discard();
+    }
+    throw new Error(result.error);
+  }
+  await job.progress(90);
+  await mediaPlaybackService.queuePlayback(sessionId, questionId);
+  await job.progress(100);
+  return result.data;
+});
+
+mediaQueue.process(MEDIA_QUEUE_JOBS.GENERATE_PLAYBACK, MEDIA_WORKER_CONCURRENCY, async (job) => {
+  const {
+    sessionId, questionId
+  } = job.data;
+  console.log(`📺 Generating playback of session ${sessionId} question ${questionId} (attempt ${job.attemptsMade + 1})`);
+  await job.progress(10);
+  const result = await mediaPlaybackService.generatePlayback(sessionId, questionId);
+  if (!result.success) {
+    if (result.retryable === false) {
+      job.discard();
+    }
+    throw new Error(result.error);
+  }
+  await job.progress(100);
+  return result.data;
+});
+
+mediaQueue.process(MEDIA_QUEUE_JOBS.TRANSCRIBE_RECORDING, MEDIA_WORKER_CONCURRENCY, async (job) => {
+  console.log(`📝 Transcribing recording of session ${job.data.sessionId} question ${job.data.questionId} (attempt ${job.attemptsMade + 1})`);
+  await job.progress(10);
+  const result = await mediaPipelineService.transcribeRecording(job.data);
+  if (!result.success) {
+    if (result.retryable === false) {
+      job.discard();
+    }
+    throw new Error(result.error);
+  }
+  await job.progress(100);
+  return result.data;
+});
+
+mediaQueue.process(MEDIA_QUEUE_JOBS.PURGE_MEDIA, async () => {
+  const result = await mediaRetentionService.purgeExpiredMedia();
+  console.log(`🗑️ Media retention purge: ${result.applications} applications, ${result.objects} objects in ${result.workspaces} workspaces (${result.failed} failed deletions)`);
+  return result;
+});
+
+mediaQueue.process(MEDIA_QUEUE_JOBS.REAP_UPLOADS, async () => {
+  const result = await uploadSessionService.reapExpiredUploads();
+  console.log(`🧹 Upload reaper cleaned ${result.reaped} of ${result.found} abandoned uploads (${result.kept} kept, ${result.failed} failed)`);
+  return result;
+});
+
+/**
+ * schedule a repeatable maintenance job, replacing schedules left by an older cron setting
+ */
+const scheduleRepeatableJob = async (name, cron) => {
+  const repeatableJobs = await mediaQueue.getRepeatableJobs();
+  for (const repeatableJob of repeatableJobs) {
+    if (repeatableJob.name === name && repeatableJob.cron !== cron) {
+      await mediaQueue.removeRepeatableByKey(repeatableJob.key);
+    }
+  }
+  await mediaQueue.add(name, {}, {
+    repeat: { cron },
+    attempts: 1,
+    removeOnComplete: true,
+    removeOnFail: true
+  });
+};
+
+scheduleRepeatableJob(MEDIA_QUEUE_JOBS.PURGE_MEDIA, MEDIA_RETENTION_PURGE.CRON).catch((error) => {
+  console.error('❌ Failed to schedule the media retention purge:', error.message);
+});
+
+scheduleRepeatableJob(MEDIA_QUEUE_JOBS.REAP_UPLOADS, UPLOAD_REAPER.CRON).catch((error) => {
+  console.error('❌ Failed to schedule the upload reaper:', error.message);
+});
+
+mediaQueue.on('completed', (job) => {
+  console.log(`✅ Job ${job.id} completed`);
+});
+
+mediaQueue.on('failed', (job, error) => {
+  console.error(`❌ Job ${job.id} failed:`, error.message);
+});
+
+mediaQueue.on('error', (error) => {
+  console.error('❌ Media queue error:', error.message);
+});
+
+const shutdown = async () => {
+  console.log('🛑 Shutting down media worker');
+  await mediaQueue.close();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+console.log(`🚀 Media worker started (concurrency ${MEDIA_WORKER_CONCURRENCY})`);
@@ -1,30 +1,5 @@
 const Queue = require('bull');
-
-// Enhanced Redis connection config with proper timeouts
-const redisConfig = {
-    host: process.env.REDIS_HOST || 'localhost',
-    port: process.env.REDIS_PORT || 6379,
-    password: process.env.REDIS_PASSWORD || undefined,
-    
-    // INCREASED CONNECTION TIMEOUTS
-    connectTimeout: 30000,        // 30 seconds (default is 10s)
-    commandTimeout: 20000,        // 20 seconds for commands
-    lazyConnect: true,            // Connect only when needed
-    maxRetriesPerRequest: 3,      // Retry failed requests
-    retryDelayOnFailover: 100,    // Delay between retries
-    
-    // CONNECTION POOL SETTINGS
-    family: 4,                    // Use IPv4
-    keepAlive: true,              // Keep connections alive
-    maxRetriesPerRequest: 5,      // More retries
-    
-    // RECONNECTION SETTINGS
-    enableOfflineQueue: false,    // Don't queue commands when offline
-    reconnectOnError: (err) => {
-        const targetError = 'READONLY';
-        return err.message.includes(targetError);
-    }
-};
+const { redisConfig } = require('../config/redis');
 
 // Create the response processing queue with enhanced settings
 const responseQueue = new Queue('response processing', {
@@ -56,3 +31,5 @@ const responseQueue = new Queue('response processing', {
         priority: 0
     }
 });
+
+module.exports = responseQueue;
@@ -0,0 +1,116 @@
+/**
+ * responseWorker.js
+ * @description :: background worker consuming the response processing queue.
+ * Run it next to the API with `npm run worker`, any number of instances can share the queue.
+ */
+
+const dotenv = require('dotenv');
+dotenv.config({ path:'.env' });
+global.__basedir = require('path').join(__dirname, '..');
+require('../config/db');
+
+const responseQueue = require('./responseQueue');
+const responseAnalysisService = require('../services/responseAnalysisService');
+const analysisRetryService = require('../services/analysisRetryService');
+const {
+  RESPONSE_QUEUE_JOBS, RESPONSE_WORKER_CONCURRENCY, ANALYSIS_SWEEP
+} = require('../constants/queueConstant');
+
+responseQueue.process(RESPONSE_QUEUE_JOBS.ANALYZE_RESPONSE, RESPONSE_WORKER_CONCURRENCY, async (job) => {
+  const {
+    responseId, evaluationInstructions
+  } = job.data;
+  console.log(`🤖 Analyzing response ${responseId} (attempt ${job.attemptsMade + 1})`);
+  await job.progress(10);
+  const result = await responseAnalysisService.analyzeResponse(responseId, { evaluationInstructions });
+  await job.progress(100);
+  return {
+    responseId,
+    score: result.score
+  };
+});
+
+responseQueue.process(RESPONSE_QUEUE_JOBS.ANALYZE_APPLICATION, RESPONSE_WORKER_CONCURRENCY, async (job) => {
+  const { applicationId } = job.data;
+  const result = await analysisRetryService.analyzeApplication(applicationId);
+  if (result.waitingFor) {
+    // retried after APPLICATION_ANALYSIS_JOB.WAIT_DELAY until the response analyses are done
+    throw new Error(`Waiting for ${result.waitingFor} response analyses of application ${applicationId}`);
+  }
+  if (!result.success) {
+    // the failure is stored on the application, the analysis sweep picks it up again later
+    job.discard();
+    throw new Error(result.message);
+  }
+  console.log(`✅ Overall analysis of application ${applicationId} completed`);
+  return {
+    applicationId,
+    score: result.score
+  };
+});
+
+responseQueue.process(RESPONSE_QUEUE_JOBS.SWEEP_ANALYSES, async () => {
+  const result = await analysisRetryService.sweepFailedAnalyses();
+  console.log(`🔁 Analysis sweep re-queued ${result.requeued} of ${result.found} applications`);
+  return result;
+});
+
+/**
+ * schedule the analysis sweep, replacing schedules left by an older ANALYSIS_SWEEP_CRON
+ */
+const scheduleAnalysisSweep = async () => {
+  const repeatableJobs = await responseQueue.getRepeatableJobs();
+  for (const repeatableJob of repeatableJobs) {
+    if (repeatableJob.name === RESPONSE_QUEUE_JOBS.SWEEP_ANALYSES && repeatableJob.cron !== ANALYSIS_SWEEP.CRON) {
+      await responseQueue.removeRepeatableByKey(repeatableJob.key);
+    }
+  }
+  await responseQueue.add(RESPONSE_QUEUE_JOBS.SWEEP_ANALYSES, {}, {
+    repeat: { cron: ANALYSIS_SWEEP.CRON },
+    attempts: 1,
+    removeOnComplete: true,
+    removeOnFail: true
+  });
+};
+
+scheduleAnalysisSweep().catch((error) => {
+  console.error('❌ Failed to schedule the analysis sweep:', error.message);
+});
+
+responseQueue.on('completed', (job) => {
+  console.log(`✅ Job ${job.id} completed`);
+});
+
+responseQueue.on('failed', async (job, error) => {
+  console.error(`❌ Job ${job.id} failed:`, error.message);
+  const maxAttempts = job.opts.attempts || 1;
+  if (job.name === RESPONSE_QUEUE_JOBS.ANALYZE_RESPONSE && job.attemptsMade >= maxAttempts) {
+    try {
+      await responseAnalysisService.markAnalysisFailed(job.data.responseId, error.message);
+    } catch (markError) {
+      console.error('❌ Failed to mark response analysis as failed:', markError.message);
+    }
+  }
+  if (job.name === RESPONSE_QUEUE_JOBS.ANALYZE_APPLICATION && job.attemptsMade >= maxAttempts) {
+    try {
+      await analysisRetryService.markApplicationAnalysisFailed(job.data.applicationId, error.message);
+    } catch (markError) {
+      console.error('❌ Failed to mark overall analysis as failed:', markError.message);
+    }
+  }
+});
+
+responseQueue.on('error', (error) => {
+  console.error('❌ Response queue error:', error.message);
+});
+
+const shutdown = async () => {
+  console.log('🛑 Shutting down response worker');
+  await responseQueue.close();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+console.log(`🚀 Response worker started (concurrency ${RESPONSE_WORKER_CONCURRENCY})`);
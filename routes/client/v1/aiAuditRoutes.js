@@ -0,0 +1,19 @@
+/**
+ * aiAuditRoutes.js
+ * @description :: routes of the AI analysis audit trail
+ */
+
+const express = require('express');
+const router = express.Router();
+const aiAuditController = require('../../../controller/client/v1/aiAuditController');
+const { PLATFORM } = require('../../../constants/authConstant'); 
+const auth = require('../../../middleware/auth');
+const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
+
+router.route('/client/api/v1/ai-audit/response/:responseId').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,aiAuditController.getResponseAuditLogs);
+router.route('/client/api/v1/ai-audit/application/:applicationId').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,aiAuditController.getApplicationAuditLogs);
+router.route('/client/api/v1/ai-audit/:id').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,aiAuditController.getAuditLog);
+router.route('/client/api/v1/ai-audit/rerun/:id').post(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,aiAuditController.rerunAuditLog);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const applicationController = require("../../../controller/client/v1/application
 const { PLATFORM } = require("../../../constants/authConstant");
 const auth = require("../../../middleware/auth");
 const checkRolePermission = require("../../../middleware/checkRolePermission");
+const workspaceAccess = require("../../../middleware/workspaceAccess");
 
 // Existing routes
 router
@@ -162,34 +163,45 @@ router
  * @description : Get interview analysis status (check if analysis is completed)
  * @param {String} applicationId : application ID in URL params
  * @param {Object} res : response with analysis status
- * @return {Object} : analysis completion status
+ * @return {Object} : progress of the response analyses and the overall analysis
  */
 router
   .route("/client/api/v1/interview/analysis-status/:applicationId")
   .get(
     auth(PLATFORM.CLIENT),
     checkRolePermission,
-    (req, res) => {
-      const { applicationId } = req.params;
-      Application.findById(applicationId)
-        .then(app => {
-          if (!app) {
-            return res.notFound({ message: "Application not found" });
-          }
-          return res.success({
-            message: "Analysis status retrieved",
-            data: {
-              applicationId: app._id,
-              hasAnalysis: !!(app.overall_score && Object.keys(app.overall_score).length > 0),
-              status: app.status,
-              currentQuestion: app.currentQuestion,
-              totalQuestions: app.totalQuestions,
-              lastUpdated: app.updatedAt
-            }
-          });
-        })
-        .catch(error => res.internalServerError({ message: error.message }));
-    }
+    workspaceAccess,
+    applicationController.getInterviewAnalysisStatus
+  );
+
+/**
+ * @description : Get the processing status of the interview recordings
+ * @param {String} applicationId : application ID in URL params
+ * @param {Object} res : response with the status of each recording
+ * @return {Object} : upload, audio extraction, transcription, analysis and playback stages per question
+ */
+router
+  .route("/client/api/v1/interview/media-status/:applicationId")
+  .get(
+    auth(PLATFORM.CLIENT),
+    checkRolePermission,
+    workspaceAccess,
+    applicationController.getInterviewMediaStatus
+  );
+
+/**
+ * @description : Re-queue failed or missing analyses of an interview
+ * @param {String} applicationId : application ID in URL params
+ * @param {Object} res : response with the queued analyses
+ * @return {Object} : queued analyses, progress is reported by analysis-status
+ */
+router
+  .route("/client/api/v1/interview/reanalyze/:applicationId")
+  .post(
+    auth(PLATFORM.CLIENT),
+    checkRolePermission,
+    workspaceAccess,
+    applicationController.reanalyzeInterview
   );
 
 module.exports = router;
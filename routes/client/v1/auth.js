@@ -17,6 +17,10 @@ router.route('/forgot-password').post(authController.forgotPassword);
 router.route('/validate-otp').post(authController.validateResetPasswordOtp);
 router.route('/reset-password').put(authController.resetPassword);
 router.route('/logout').post(auth(PLATFORM.CLIENT), authController.logout);
+router.route('/refresh-token').post(authController.refreshToken);
+router.route('/sessions').get(auth(PLATFORM.CLIENT), authController.getSessions);
+router.route('/sessions/revoke-others').post(auth(PLATFORM.CLIENT), authController.revokeOtherSessions);
+router.route('/sessions/:id').delete(auth(PLATFORM.CLIENT), authController.revokeSession);
 router.route('/push-notification/addPlayerId').post(authController.addPlayerId);
 router.route('/push-notification/removePlayerId').post(authController.removePlayerId);
 router.route('/profile/:userId').get(auth(PLATFORM.CLIENT), authController.getUserProfile);
@@ -0,0 +1,16 @@
+/**
+ * dashboardRoutes.js
+ * @description :: recruiter dashboard API routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const dashboardController = require('../../../controller/client/v1/dashboardController');
+const { PLATFORM } = require('../../../constants/authConstant'); 
+const auth = require('../../../middleware/auth');
+const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
+
+router.route('/client/api/v1/dashboard/overview').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,dashboardController.getDashboardOverview);
+
+module.exports = router;
@@ -23,6 +23,16 @@ router.use(require('./projectRouteRoutes'));
 router.use(require('./routeRoleRoutes'));
 router.use(require('./userRoleRoutes'));
 router.use(require('./uploadRoutes'));
+router.use(require('./dashboardRoutes'));
+router.use(require('./pipelineRoutes'));
+router.use(require('./reviewRoutes'));
+router.use(require('./aiAuditRoutes'));
+router.use(require('./playbackRoutes'));
+router.use(require('./transcriptRoutes'));
+router.use(require('./storageRoutes'));
+router.use(require('./mediaRetentionRoutes'));
+router.use(require('./uploadSessionRoutes'));
+router.use(require('./proctoringRoutes'));
 router.use('/client/api/job-scraping',require('./jobScrapingRoutes'));
 router.use('/client/api/job-description',require('./jobDescriptionRoutes'))
 router.use('/client/api/interview-questions',require('./interviewQuestionsRoutes'));
@@ -9,15 +9,17 @@ const interviewController = require('../../../controller/client/v1/interviewCont
 const { PLATFORM } = require('../../../constants/authConstant');
 const auth = require('../../../middleware/auth');
 const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
 
 // Interview Template routes
-router.route('/template/create').post(auth(PLATFORM.CLIENT), checkRolePermission, interviewController.addInterviewTemplate);
-router.route('/template/list').post(auth(PLATFORM.CLIENT), checkRolePermission, interviewController.findAllInterviewTemplate);
-router.route('/template/:id').get(auth(PLATFORM.CLIENT), checkRolePermission, interviewController.getInterviewTemplate);
-router.route('/template/update/:id').put(auth(PLATFORM.CLIENT), checkRolePermission, interviewController.updateInterviewTemplate);
-router.route('/template/partial-update/:id').put(auth(PLATFORM.CLIENT), checkRolePermission, interviewController.partialUpdateInterviewTemplate);
-router.route('/template/softDelete/:id').put(auth(PLATFORM.CLIENT), checkRolePermission, interviewController.softDeleteInterviewTemplate);
-router.route('/template/delete/:id').delete(auth(PLATFORM.CLIENT), checkRolePermission, interviewController.deleteInterviewTemplate);
+router.route('/template/create').post(auth(PLATFORM.CLIENT), checkRolePermission, workspaceAccess, interviewController.addInterviewTemplate);
+router.route('/template/list').post(auth(PLATFORM.CLIENT), checkRolePermission, workspaceAccess, interviewController.findAllInterviewTemplate);
+router.route('/template/:id').get(auth(PLATFORM.CLIENT), checkRolePermission, workspaceAccess, interviewController.getInterviewTemplate);
+router.route('/template/update/:id').put(auth(PLATFORM.CLIENT), checkRolePermission, workspaceAccess, interviewController.updateInterviewTemplate);
+router.route('/template/partial-update/:id').put(auth(PLATFORM.CLIENT), checkRolePermission, workspaceAccess, interviewController.partialUpdateInterviewTemplate);
+router.route('/template/softDelete/:id').put(auth(PLATFORM.CLIENT), checkRolePermission, workspaceAccess, interviewController.softDeleteInterviewTemplate);
+router.route('/template/delete/:id').delete(auth(PLATFORM.CLIENT), checkRolePermission, workspaceAccess, interviewController.deleteInterviewTemplate);
+router.route('/template/apply/:id').post(auth(PLATFORM.CLIENT), checkRolePermission, workspaceAccess, interviewController.applyInterviewTemplateToJob);
 
 // Interview Session routes
 router.route('/session/create').post(auth(PLATFORM.CLIENT), checkRolePermission, interviewController.addInterviewSession);
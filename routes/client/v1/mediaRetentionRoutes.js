@@ -0,0 +1,20 @@
+/**
+ * mediaRetentionRoutes.js
+ * @description :: routes of the candidate media retention policy
+ */
+
+const express = require('express');
+const router = express.Router();
+const mediaRetentionController = require('../../../controller/client/v1/mediaRetentionController');
+const { PLATFORM } = require('../../../constants/authConstant');
+const auth = require('../../../middleware/auth');
+const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
+
+router.route('/client/api/v1/retention/settings').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,mediaRetentionController.getRetentionSettings);
+router.route('/client/api/v1/retention/settings').put(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,mediaRetentionController.updateRetentionSettings);
+router.route('/client/api/v1/retention/report').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,mediaRetentionController.getRetentionReport);
+router.route('/client/api/v1/retention/purge').post(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,mediaRetentionController.purgeMedia);
+router.route('/client/api/v1/retention/legalHold/:id').put(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,mediaRetentionController.setLegalHold);
+
+module.exports = router;
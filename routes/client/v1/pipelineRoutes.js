@@ -0,0 +1,20 @@
+/**
+ * pipelineRoutes.js
+ * @description :: hiring pipeline API routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const pipelineController = require('../../../controller/client/v1/pipelineController');
+const { PLATFORM } = require('../../../constants/authConstant'); 
+const auth = require('../../../middleware/auth');
+const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
+
+router.route('/client/api/v1/pipeline/stages').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,pipelineController.getPipelineStages);
+router.route('/client/api/v1/pipeline/stages').put(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,pipelineController.updatePipelineStages);
+router.route('/client/api/v1/pipeline/move/:id').put(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,pipelineController.moveApplicationStage);
+router.route('/client/api/v1/pipeline/moveMany').put(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,pipelineController.moveApplicationsStage);
+router.route('/client/api/v1/pipeline/history/:id').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,pipelineController.getApplicationStageHistory);
+
+module.exports = router;
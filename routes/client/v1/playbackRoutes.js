@@ -0,0 +1,19 @@
+/**
+ * playbackRoutes.js
+ * @description :: routes of the adaptive playback of interview recordings
+ */
+
+const express = require('express');
+const router = express.Router();
+const playbackController = require('../../../controller/client/v1/playbackController');
+const { PLATFORM } = require('../../../constants/authConstant');
+const auth = require('../../../middleware/auth');
+const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
+
+router.route('/client/api/v1/playback/response/:responseId').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,playbackController.getResponsePlayback);
+router.route('/client/api/v1/playback/session/:sessionId').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,playbackController.getSessionPlayback);
+// requested by video players, the token in the link replaces the login
+router.route('/client/api/v1/playback/hls/:token/:fileName').get(playbackController.getHlsPlaylist);
+
+module.exports = router;
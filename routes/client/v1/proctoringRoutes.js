@@ -0,0 +1,18 @@
+/**
+ * proctoringRoutes.js
+ * @description :: routes of the proctoring events of private interviews
+ */
+
+const express = require('express');
+const router = express.Router();
+const proctoringController = require('../../../controller/client/v1/proctoringController');
+const { PLATFORM } = require('../../../constants/authConstant');
+const auth = require('../../../middleware/auth');
+const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
+
+// sent by the interview client, the private interview token identifies the application
+router.route('/client/api/v1/application/private-interview/:token/proctoring-events').post(proctoringController.recordProctoringEvents);
+router.route('/client/api/v1/proctoring/application/:id').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,proctoringController.getApplicationProctoring);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const responseController = require('../../../controller/client/v1/responseContro
 const { PLATFORM } =  require('../../../constants/authConstant'); 
 const auth = require('../../../middleware/auth');
 const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
 
 router.route('/client/api/v1/response/create').post(auth(PLATFORM.CLIENT),checkRolePermission,responseController.addResponse);
 router.route('/client/api/v1/response/list').post(auth(PLATFORM.CLIENT),checkRolePermission,responseController.findAllResponse);
@@ -28,4 +29,11 @@ router.post('/client/api/v1/response/interview-response',
   responseController.createInterviewResponse
 );
 
+router.get('/client/api/v1/response/analysis-status/:id',
+  auth(PLATFORM.CLIENT),
+  checkRolePermission,
+  workspaceAccess,
+  responseController.getResponseAnalysisStatus
+);
+
 module.exports = router;
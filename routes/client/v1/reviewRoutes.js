@@ -0,0 +1,23 @@
+/**
+ * reviewRoutes.js
+ * @description :: routes of recruiter comments and rubric scores on responses
+ */
+
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../../../controller/client/v1/reviewController');
+const { PLATFORM } = require('../../../constants/authConstant'); 
+const auth = require('../../../middleware/auth');
+const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
+
+router.route('/client/api/v1/review/comment/:responseId').post(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,reviewController.addComment);
+router.route('/client/api/v1/review/comments/:responseId').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,reviewController.getComments);
+router.route('/client/api/v1/review/comment/update/:id').put(auth(PLATFORM.CLIENT),checkRolePermission,reviewController.updateComment);
+router.route('/client/api/v1/review/comment/delete/:id').put(auth(PLATFORM.CLIENT),checkRolePermission,reviewController.deleteComment);
+router.route('/client/api/v1/review/rubric/:responseId').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,reviewController.getRubric);
+router.route('/client/api/v1/review/score/:responseId').put(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,reviewController.scoreResponse);
+router.route('/client/api/v1/review/score/delete/:responseId').put(auth(PLATFORM.CLIENT),checkRolePermission,reviewController.deleteReview);
+router.route('/client/api/v1/review/application/:applicationId').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,reviewController.getApplicationReviewSummary);
+
+module.exports = router;
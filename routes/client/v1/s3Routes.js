@@ -158,10 +158,10 @@ router.post('/upload-chunks-batch',
 );
 
 /**
- * @description : merge video chunks
- * @param {Object} req : request for video chunk merge
- * @param {Object} res : response with merge result
- * @return {Object} : video merge result
+ * @description : queue the assembly of the video chunks of a question into one MP4
+ * @param {Object} req : request with sessionId and questionId
+ * @param {Object} res : response with the queued job
+ * @return {Object} : queued job, progress is reported by /video-status
  */
 router.post('/video-merge',
     auth(PLATFORM.CLIENT),
@@ -0,0 +1,15 @@
+/**
+ * storageRoutes.js
+ * @description :: routes serving the objects of the local storage driver, access is granted by the signed token in the link
+ */
+
+const express = require('express');
+const router = express.Router();
+const storageController = require('../../../controller/client/v1/storageController');
+const { LOCAL_STORAGE_ROUTE } = require('../../../constants/storageConstant');
+
+router.route(`${LOCAL_STORAGE_ROUTE}/public/*`).get(storageController.getPublicObject);
+router.route(`${LOCAL_STORAGE_ROUTE}/:token/:fileName?`).get(storageController.getSignedObject)
+  .put(storageController.putSignedObject);
+
+module.exports = router;
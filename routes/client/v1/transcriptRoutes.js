@@ -0,0 +1,17 @@
+/**
+ * transcriptRoutes.js
+ * @description :: routes of the timestamped transcripts of interview responses
+ */
+
+const express = require('express');
+const router = express.Router();
+const transcriptController = require('../../../controller/client/v1/transcriptController');
+const { PLATFORM } = require('../../../constants/authConstant');
+const auth = require('../../../middleware/auth');
+const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
+
+router.route('/client/api/v1/transcript/search').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,transcriptController.searchTranscripts);
+router.route('/client/api/v1/transcript/response/:responseId').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,transcriptController.getResponseTranscript);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const transcriptionController = require('../../../controller/client/v1/transcrip
 const { PLATFORM } = require('../../../constants/authConstant');
 const auth = require('../../../middleware/auth');
 const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
 const { validateRegisterParams } = require('../../../utils/validation/userValidation');
 const { validateRequest } = require('../../../utils/validateRequest');
 const multer = require('multer');
@@ -30,7 +31,7 @@ const upload = multer({
 });
 
 /**
- * @description : transcribe audio using Ollama
+ * @description : transcribe audio with the provider of the workspace
  * @param {Object} req : request for transcription
  * @param {Object} res : response for transcription
  * @return {Object} : transcription result
@@ -87,4 +88,30 @@ router.get('/status/:sessionId/:questionId',
     transcriptionController.getTranscriptionStatus
 );
 
+/**
+ * @description : get the transcription provider settings of the workspace
+ * @param {Object} req : request for transcription settings
+ * @param {Object} res : response with saved and effective settings
+ * @return {Object} : transcription settings
+ */
+router.get('/settings',
+    auth(PLATFORM.CLIENT),
+    checkRolePermission,
+    workspaceAccess,
+    transcriptionController.getTranscriptionSettings
+);
+
+/**
+ * @description : choose the transcription provider, model and language of the workspace
+ * @param {Object} req : request with provider, model, language and translate
+ * @param {Object} res : response with saved and effective settings
+ * @return {Object} : transcription settings
+ */
+router.put('/settings',
+    auth(PLATFORM.CLIENT),
+    checkRolePermission,
+    workspaceAccess,
+    transcriptionController.updateTranscriptionSettings
+);
+
 module.exports = router;
@@ -0,0 +1,16 @@
+/**
+ * uploadSessionRoutes.js
+ * @description :: routes of the recorded multipart and chunked upload sessions
+ */
+
+const express = require('express');
+const router = express.Router();
+const uploadSessionController = require('../../../controller/client/v1/uploadSessionController');
+const { PLATFORM } = require('../../../constants/authConstant');
+const auth = require('../../../middleware/auth');
+const checkRolePermission = require('../../../middleware/checkRolePermission');
+const workspaceAccess = require('../../../middleware/workspaceAccess');
+
+router.route('/client/api/v1/uploadSession/application/:id').get(auth(PLATFORM.CLIENT),checkRolePermission,workspaceAccess,uploadSessionController.getStuckUploads);
+
+module.exports = router;
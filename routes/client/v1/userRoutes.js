@@ -14,5 +14,10 @@ router.route('/client/api/v1/user/list').post(auth(PLATFORM.CLIENT),userControll
 router.route('/client/api/v1/user/change-password').put(auth(PLATFORM.CLIENT),userController.changePassword);
 router.route('/client/api/v1/user/update-profile').put(auth(PLATFORM.CLIENT),userController.updateProfile);
 router.route('/client/api/v1/user/toggle-2fa').put(auth(PLATFORM.CLIENT),userController.toggle2FA);
+router.route('/client/api/v1/user/2fa').get(auth(PLATFORM.CLIENT),userController.getTwoFactorStatus);
+router.route('/client/api/v1/user/2fa/totp/enroll').post(auth(PLATFORM.CLIENT),userController.enrollTotp);
+router.route('/client/api/v1/user/2fa/totp/confirm').post(auth(PLATFORM.CLIENT),userController.confirmTotp);
+router.route('/client/api/v1/user/2fa/totp/disable').post(auth(PLATFORM.CLIENT),userController.disableTotp);
+router.route('/client/api/v1/user/2fa/recovery-codes').post(auth(PLATFORM.CLIENT),userController.regenerateRecoveryCodes);
 
 module.exports = router;
@@ -8,6 +8,7 @@ const router = express.Router();
 const passport = require('passport');
 
 const { socialLogin } = require('../services/auth');
+const { getClientInfo } = require('../services/sessionService');
 
 router.get('/auth/google/error', (req, res) => {
   res.loginFailed({ message:'Login Failed' });
@@ -26,7 +27,7 @@ router.get('/auth/google/callback',
       }
       if (user){
         try {
-          let result = await socialLogin(user.email, req.session.platform);
+          let result = await socialLogin(user.email, req.session.platform, getClientInfo(req));
           if (result.flag) {
             return res.failure({ message: result.data });
           }
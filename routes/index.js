@@ -22,5 +22,6 @@ const rateLimiter = rateLimit({
 
 router.use(rateLimiter,require('./client/v1/index'));  
 router.use(require('./googleLoginRoutes'));
+router.use(require('./jwksRoutes'));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * jwksRoutes.js
+ * @description :: public keys verifying the login tokens, for the other services
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getJwks } = require('../services/jwtKeyService');
+const { JWKS_MAX_AGE } = require('../constants/authConstant');
+
+// plain JWK Set as expected by JWT libraries, not wrapped in the response format of the APIs
+router.get('/.well-known/jwks.json', (req, res) => {
+  try {
+    res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE}`);
+    return res.status(200).json(getJwks());
+  } catch (error) {
+    return res.internalServerError({ message:error.message });
+  }
+});
+
+module.exports = router;
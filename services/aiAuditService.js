@@ -0,0 +1,388 @@
+/**
+ * aiAuditService.js
+ * @description :: audit trail of the LLM calls behind response and application analyses, and re-runs of them against another model
+ */
+
+const AiAuditLog = require('../model/aiAuditLog');
+const Application = require('../model/application');
+const Job = require('../model/job');
+const Response = require('../model/response');
+const Question = require('../model/question');
+const dbService = require('../utils/dbService');
+const { llmClient } = require('./llm');
+const reviewService = require('./reviewService');
+const {
+  AI_AUDIT_PARSE_STATUS, LLM_TASKS, PROMPT_TEMPLATE_VERSIONS
+} = require('../constants/llmConstant');
+const {
+  getRubricCriteria, scoreRubric
+} = require('../utils/rubric');
+const { scoreAnalysis } = require('../utils/responseAnalysis');
+
+// fields left out of audit log lists, they are returned by getAuditLog
+const LIST_EXCLUDED_FIELDS = '-prompt -system -rawOutput';
+
+// paths holding the overall score in response and application analyses
+const SCORE_PATHS = ['overall_assessment.score', 'overall_score'];
+
+/**
+ * @description : store an audit log without ever failing the analysis that produced it.
+ * @param {Object} data : aiAuditLog fields.
+ * @return {Object|null} : created audit log.
+ */
+const saveAuditLog = async (data) => {
+  try {
+    return await dbService.create(AiAuditLog, data);
+  } catch (error) {
+    console.error('⚠️ Failed to store AI audit log:', error.message);
+    return null;
+  }
+};
+
+/**
+ * @description : call the LLM for a task, parse its JSON answer and store the call with its result.
+ * Provider errors are recorded then rethrown, parse and validation errors are returned in parseError.
+ * @param {Object} params : {task, promptVersion, prompt, system, model, options, expect, validate, context}
+ * validate(data) returns a rejection message or nothing, context holds {response, application, job, rerunOf, addedBy}.
+ * @return {Object} : {result, data, parseStatus, parseError, auditLog}
+ */
+const generateJsonWithAudit = async ({
+  task, promptVersion, prompt, system, model, options, expect = 'object', validate, context = {}
+}) => {
+  const jsonMode = expect !== 'array';
+  const record = {
+    task,
+    promptVersion,
+    prompt,
+    system,
+    jsonMode,
+    response: context.response,
+    application: context.application,
+    job: context.job,
+    rerunOf: context.rerunOf,
+    addedBy: context.addedBy
+  };
+
+  let result;
+  try {
+    result = await llmClient.generate({
+      task,
+      prompt,
+      system,
+      model,
+      options,
+      json: jsonMode
+    });
+  } catch (error) {
+    const config = llmClient.getTaskConfig(task);
+    await saveAuditLog({
+      ...record,
+      provider: config.provider,
+      model: model || config.model,
+      parameters: {
+        ...config.options,
+        ...options
+      },
+      error: error.message,
+      latencyMs: error.latencyMs,
+      attempts: error.attempts
+    });
+    throw error;
+  }
+
+  let data;
+  let parseError;
+  let parseStatus = AI_AUDIT_PARSE_STATUS.PARSED;
+  try {
+    data = llmClient.parseJson(result.text, expect);
+    const rejection = validate ? validate(data) : null;
+    if (rejection) {
+      parseStatus = AI_AUDIT_PARSE_STATUS.INVALID;
+      parseError = rejection;
+    }
+  } catch (error) {
+    parseStatus = AI_AUDIT_PARSE_STATUS.FAILED;
+    parseError = error.message;
+  }
+
+  const auditLog = await saveAuditLog({
+    ...record,
+    provider: result.provider,
+    model: result.model,
+    parameters: result.options,
+    rawOutput: result.text,
+    parseStatus,
+    parsedResult: data,
+    parseError,
+    latencyMs: result.latencyMs,
+    attempts: result.attempts,
+    usage: result.usage
+  });
+
+  return {
+    result,
+    data: parseStatus === AI_AUDIT_PARSE_STATUS.PARSED ? data : undefined,
+    parseStatus,
+    parseError,
+    auditLog
+  };
+};
+
+/**
+ * @description : flatten a parsed result into leaf paths, arrays of plain values are kept whole.
+ */
+const flattenResult = (value, prefix = '', leaves = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach((key) => flattenResult(value[key], prefix ? `${prefix}.${key}` : key, leaves));
+  } else if (Array.isArray(value) && value.some((item) => item && typeof item === 'object')) {
+    value.forEach((item, index) => flattenResult(item, `${prefix}[${index}]`, leaves));
+  } else {
+    leaves[prefix] = value;
+  }
+  return leaves;
+};
+
+/**
+ * @description : compare two parsed analysis results path by path.
+ * @param {Object} before : parsed result of the original call.
+ * @param {Object} after : parsed result of the re-run.
+ * @return {Object} : {score, changed, added, removed, unchangedCount}
+ */
+const diffResults = (before, after) => {
+  const beforeLeaves = flattenResult(before || {});
+  const afterLeaves = flattenResult(after || {});
+  const diff = {
+    changed: [],
+    added: [],
+    removed: [],
+    unchangedCount: 0
+  };
+
+  Object.keys(beforeLeaves).forEach((path) => {
+    if (!(path in afterLeaves)) {
+      diff.removed.push({
+        path,
+        before: beforeLeaves[path]
+      });
+      return;
+    }
+    const previous = beforeLeaves[path];
+    const next = afterLeaves[path];
+    if (JSON.stringify(previous) === JSON.stringify(next)) {
+      diff.unchangedCount++;
+      return;
+    }
+    const change = {
+      path,
+      before: previous,
+      after: next
+    };
+    if (typeof previous === 'number' && typeof next === 'number') {
+      change.delta = next - previous;
+    }
+    diff.changed.push(change);
+  });
+  Object.keys(afterLeaves)
+    .filter((path) => !(path in beforeLeaves))
+    .forEach((path) => diff.added.push({
+      path,
+      after: afterLeaves[path]
+    }));
+
+  const scorePath = SCORE_PATHS.find((path) => path in beforeLeaves || path in afterLeaves);
+  if (scorePath) {
+    const scoreBefore = beforeLeaves[scorePath];
+    const scoreAfter = afterLeaves[scorePath];
+    diff.score = {
+      path: scorePath,
+      before: scoreBefore,
+      after: scoreAfter,
+      delta: typeof scoreBefore === 'number' && typeof scoreAfter === 'number' ? scoreAfter - scoreBefore : null
+    };
+  }
+  return diff;
+};
+
+/**
+ * @description : check a job belongs to the workspace.
+ */
+const isWorkspaceJob = async (jobId, workspaceId) => {
+  if (!jobId || !workspaceId) {
+    return false;
+  }
+  const job = await dbService.findOne(Job, {
+    _id: jobId,
+    workspace: workspaceId
+  });
+  return Boolean(job);
+};
+
+/**
+ * @description : find an audit log of the workspace.
+ * @param {Object} params : {auditLogId, workspaceId}
+ * @return {Object|null} : audit log.
+ */
+const getAuditLog = async ({
+  auditLogId, workspaceId
+}) => {
+  const auditLog = await dbService.findOne(AiAuditLog, {
+    _id: auditLogId,
+    isDeleted: { $ne: true }
+  });
+  if (!auditLog || !await isWorkspaceJob(auditLog.job, workspaceId)) {
+    return null;
+  }
+  return auditLog;
+};
+
+/**
+ * @description : list audit logs of a response or an application, newest first, without prompts and raw outputs.
+ * @param {Object} params : {responseId | applicationId, workspaceId}
+ * @return {Array|null} : audit logs, null when the response or application is not in the workspace.
+ */
+const getAuditLogs = async ({
+  responseId, applicationId, workspaceId
+}) => {
+  const query = { isDeleted: { $ne: true } };
+  if (responseId) {
+    const response = await reviewService.findWorkspaceResponse({
+      responseId,
+      workspaceId
+    });
+    if (!response) {
+      return null;
+    }
+    query.response = response._id;
+  } else {
+    const application = await dbService.findOne(Application, { _id: applicationId });
+    if (!application || !await isWorkspaceJob(application.job?._id || application.job, workspaceId)) {
+      return null;
+    }
+    query.application = application._id;
+  }
+  return AiAuditLog.find(query)
+    .select(LIST_EXCLUDED_FIELDS)
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * @description : rubric of the question behind a rubric analysis, null for any other call.
+ */
+const getAuditedRubric = async (auditLog) => {
+  if (auditLog.promptVersion !== PROMPT_TEMPLATE_VERSIONS.RUBRIC_ANALYSIS || !auditLog.response) {
+    return null;
+  }
+  const response = await dbService.findOne(Response, { _id: auditLog.response });
+  const question = response?.question ? await dbService.findOne(Question, { _id: response.question }) : null;
+  return getRubricCriteria(question);
+};
+
+/**
+ * @description : analysis a parsed result would be stored as, response analyses are standardized and scored
+ * like responseAnalysisService does, other tasks are compared as parsed.
+ */
+const toComparableResult = (task, parsedResult, rubricCriteria) => {
+  if (task !== LLM_TASKS.RESPONSE_ANALYSIS) {
+    return parsedResult;
+  }
+  const analysis = scoreAnalysis(parsedResult, rubricCriteria);
+  if (analysis) {
+    // set when the analysis is built, it would differ on every re-run
+    delete analysis.analyzed_at;
+  }
+  return analysis;
+};
+
+const summarizeAuditLog = (auditLog) => ({
+  id: auditLog._id,
+  task: auditLog.task,
+  promptVersion: auditLog.promptVersion,
+  provider: auditLog.provider,
+  model: auditLog.model,
+  parseStatus: auditLog.parseStatus,
+  parseError: auditLog.parseError,
+  latencyMs: auditLog.latencyMs,
+  parsedResult: auditLog.parsedResult,
+  createdAt: auditLog.createdAt
+});
+
+/**
+ * @description : run the stored prompt of an audit log against another model and diff the two results.
+ * Response analyses are diffed as they would be stored, with the rubric score computed from the criterion scores.
+ * The re-run is audited too but never replaces the stored analysis.
+ * @param {Object} params : {auditLogId, model, workspaceId, userId}
+ * @return {Object} : {success, data: {original, rerun, diff}} or {success:false, code, message}
+ */
+const rerunAuditLog = async ({
+  auditLogId, model, workspaceId, userId
+}) => {
+  const original = await getAuditLog({
+    auditLogId,
+    workspaceId
+  });
+  if (!original) {
+    return {
+      success: false,
+      code: 404,
+      message: 'Audit log not found'
+    };
+  }
+
+  const rubricCriteria = await getAuditedRubric(original);
+  let rerun;
+  try {
+    rerun = await generateJsonWithAudit({
+      task: original.task,
+      promptVersion: original.promptVersion,
+      prompt: original.prompt,
+      system: original.system,
+      model,
+      options: original.parameters,
+      expect: Array.isArray(original.parsedResult) ? 'array' : 'object',
+      validate: rubricCriteria ? (data) => {
+        const result = scoreRubric(rubricCriteria, data.criteria_scores);
+        return result.isValid ? null : result.message;
+      } : undefined,
+      context: {
+        response: original.response,
+        application: original.application,
+        job: original.job,
+        rerunOf: original._id,
+        addedBy: userId
+      }
+    });
+  } catch (error) {
+    return {
+      success: false,
+      code: 502,
+      message: `Re-run failed: ${error.message}`
+    };
+  }
+
+  const rerunSummary = rerun.auditLog ? summarizeAuditLog(rerun.auditLog) : {
+    model: rerun.result.model,
+    parseStatus: rerun.parseStatus,
+    parseError: rerun.parseError,
+    latencyMs: rerun.result.latencyMs,
+    parsedResult: rerun.data
+  };
+  return {
+    success: true,
+    data: {
+      original: summarizeAuditLog(original),
+      rerun: rerunSummary,
+      diff: diffResults(
+        toComparableResult(original.task, original.parsedResult, rubricCriteria),
+        toComparableResult(original.task, rerunSummary.parsedResult, rubricCriteria)
+      )
+    }
+  };
+};
+
+module.exports = {
+  generateJsonWithAudit,
+  diffResults,
+  getAuditLog,
+  getAuditLogs,
+  rerunAuditLog
+};
@@ -1,8 +1,9 @@
-const axios = require('axios');
+const { llmClient } = require('./llm');
+const { LLM_TASKS } = require('../constants/llmConstant');
 
 class AIChatService {
     constructor() {
-        this.aiGenerateUrl = process.env.AI_GENERATE_URL || 'https://ollama2.havenify.ai/api/generate';
+        this.llmTask = LLM_TASKS.CHAT;
     }
 
     /**
@@ -34,23 +35,23 @@ class AIChatService {
         }
       `;
 
-            const response_ai = await axios.post(this.aiGenerateUrl, {
-                model: 'llama3.1:8b',
+            const response_ai = await llmClient.generate({
+                task: this.llmTask,
                 prompt: prompt,
-                stream: false,
+                json: true,
                 options: {
                     temperature: 0.7,
-                    top_p: 0.9,
-                    max_tokens: 1500
+                    topP: 0.9,
+                    maxTokens: 1500
                 }
             });
 
-            const analysisText = response_ai.data.response || response_ai.data.text;
+            const analysisText = response_ai.text;
             let analysis;
 
             try {
                 // Try to parse as JSON
-                analysis = JSON.parse(analysisText);
+                analysis = llmClient.parseJson(analysisText);
             } catch (parseError) {
                 // If JSON parsing fails, extract key information
                 analysis = this.extractAnalysisFromText(analysisText);
@@ -61,7 +62,7 @@ class AIChatService {
                 analysis: analysis,
                 rawResponse: analysisText,
                 metadata: {
-                    model: 'llama3.1:8b',
+                    model: response_ai.model,
                     processedAt: new Date().toISOString()
                 }
             };
@@ -104,25 +105,24 @@ class AIChatService {
         Format as a professional job posting.
       `;
 
-            const response = await axios.post(this.aiGenerateUrl, {
-                model: 'llama3.1:8b',
+            const response = await llmClient.generate({
+                task: this.llmTask,
                 prompt: prompt,
-                stream: false,
                 options: {
                     temperature: 0.8,
-                    top_p: 0.9,
-                    max_tokens: 2000
+                    topP: 0.9,
+                    maxTokens: 2000
                 }
             });
 
-            const jobDescription = response.data.response || response.data.text;
+            const jobDescription = response.text;
 
             return {
                 success: true,
                 jobDescription: jobDescription.trim(),
                 metadata: {
                     generatedAt: new Date().toISOString(),
-                    model: 'llama3.1:8b'
+                    model: response.model
                 }
             };
         } catch (error) {
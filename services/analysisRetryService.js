@@ -0,0 +1,338 @@
+/**
+ * analysisRetryService.js
+ * @description :: re-queues failed or missing AI analyses of interviews and reports their progress
+ */
+
+const Application = require('../model/application');
+const Response = require('../model/response');
+const Job = require('../model/job');
+const dbService = require('../utils/dbService');
+const responseQueue = require('../queues/responseQueue');
+const overallAnalysisService = require('./overallAnalysisService');
+const {
+  enqueueOnce, getJobState
+} = require('../utils/queueUtils');
+const {
+  RESPONSE_QUEUE_JOBS, ANALYSIS_STATUS, OVERALL_ANALYSIS_FAILED_STATUS, RESPONSE_FALLBACK_ANALYSIS_VERSION, APPLICATION_ANALYSIS_JOB, ANALYSIS_SWEEP
+} = require('../constants/queueConstant');
+
+const responseJobId = (responseId) => `${RESPONSE_QUEUE_JOBS.ANALYZE_RESPONSE}:${responseId}`;
+
+const applicationJobId = (applicationId) => `${RESPONSE_QUEUE_JOBS.ANALYZE_APPLICATION}:${applicationId}`;
+
+// responses without a usable AI analysis: none yet, or a fallback score stored by an older version
+const unanalysedResponseQuery = {
+  $or: [
+    { aiAnalysis: null },
+    { 'aiAnalysis.analysis_version': RESPONSE_FALLBACK_ANALYSIS_VERSION }
+  ]
+};
+
+const applicationResponsesQuery = (application) => ({
+  candidate: application.candidate._id,
+  job: application.job._id,
+  isDeleted: false
+});
+
+/**
+ * @description : count the responses of an application whose AI analysis is still pending or processing.
+ * @param {Object} application : application document with candidate and job.
+ * @return {number} : responses the overall analysis has to wait for.
+ */
+const countAnalysesInProgress = (application) => Response.countDocuments({
+  ...applicationResponsesQuery(application),
+  ...unanalysedResponseQuery,
+  analysisStatus: { $in: [ANALYSIS_STATUS.PENDING, ANALYSIS_STATUS.PROCESSING] }
+});
+
+/**
+ * @description : whether an application was made to a job of a workspace.
+ * @param {string} applicationId : id of the application.
+ * @param {string} workspaceId : id of the workspace.
+ * @return {boolean} : false for applications of other workspaces and unknown ones.
+ */
+const isWorkspaceApplication = async (applicationId, workspaceId) => {
+  if (!workspaceId) {
+    return false;
+  }
+  const application = await dbService.findOne(Application, {
+    _id: applicationId,
+    isDeleted: false
+  });
+  const jobId = application && (application.job?._id || application.job);
+  if (!jobId) {
+    return false;
+  }
+  const job = await dbService.findOne(Job, {
+    _id: jobId,
+    workspace: workspaceId
+  });
+  return Boolean(job);
+};
+
+/**
+ * @description : queue the missing response analyses of an application, then its overall analysis.
+ * The overall analysis job waits until the queued response analyses are done.
+ * @param {string} applicationId : id of the application.
+ * @return {Object} : {success, data} or {success:false, code, message}
+ */
+const requeueApplicationAnalysis = async (applicationId) => {
+  const application = await dbService.findOne(Application, {
+    _id: applicationId,
+    isDeleted: false
+  });
+  if (!application || !application.candidate || !application.job) {
+    return {
+      success: false,
+      code: 404,
+      message: 'Application not found'
+    };
+  }
+
+  const responses = await Response.find({
+    ...applicationResponsesQuery(application),
+    ...unanalysedResponseQuery
+  }).select('_id');
+  const totalResponses = await Response.countDocuments(applicationResponsesQuery(application));
+  if (!totalResponses) {
+    return {
+      success: false,
+      code: 400,
+      message: 'No interview responses found for analysis'
+    };
+  }
+
+  const queuedResponseIds = [];
+  for (const response of responses) {
+    const queued = await enqueueOnce(responseQueue, RESPONSE_QUEUE_JOBS.ANALYZE_RESPONSE, { responseId: response._id }, responseJobId(response._id));
+    if (queued) {
+      queuedResponseIds.push(response._id);
+    }
+  }
+  if (queuedResponseIds.length) {
+    await dbService.updateMany(Response, { _id: { $in: queuedResponseIds } }, {
+      analysisStatus: ANALYSIS_STATUS.PENDING,
+      analysisError: null
+    });
+  }
+
+  const applicationQueued = await enqueueOnce(responseQueue, RESPONSE_QUEUE_JOBS.ANALYZE_APPLICATION, { applicationId: application._id }, applicationJobId(application._id), {
+    attempts: APPLICATION_ANALYSIS_JOB.ATTEMPTS,
+    backoff: {
+      type: 'fixed',
+      delay: APPLICATION_ANALYSIS_JOB.WAIT_DELAY
+    }
+  });
+  if (applicationQueued) {
+    await dbService.updateOne(Application, { _id: application._id }, {
+      overallAnalysisStatus: ANALYSIS_STATUS.PENDING,
+      overallAnalysisError: null
+    });
+  }
+
+  return {
+    success: true,
+    data: {
+      applicationId: application._id,
+      queuedResponses: queuedResponseIds.length,
+      alreadyQueuedResponses: responses.length - queuedResponseIds.length,
+      overallAnalysisQueued: applicationQueued
+    }
+  };
+};
+
+/**
+ * @description : run the overall analysis of an application once none of its responses is still being analysed.
+ * @param {string} applicationId : id of the application.
+ * @return {Object} : {success, waitingFor} when responses are pending, {success, score} when done,
+ * {success:false, message} when the AI analysis failed (a basic analysis is stored then).
+ */
+const analyzeApplication = async (applicationId) => {
+  const application = await dbService.findOne(Application, {
+    _id: applicationId,
+    isDeleted: false
+  });
+  if (!application) {
+    return {
+      success: false,
+      message: `Application ${applicationId} not found`
+    };
+  }
+
+  const waitingFor = await countAnalysesInProgress(application);
+  if (waitingFor) {
+    return {
+      success: true,
+      waitingFor
+    };
+  }
+
+  try {
+    const { completeAnalysis } = await overallAnalysisService.runOverallAnalysis(application);
+    return {
+      success: true,
+      score: completeAnalysis.overall_score
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * @description : mark the overall analysis of an application as failed once the queue gives up on it.
+ */
+const markApplicationAnalysisFailed = async (applicationId, errorMessage) => {
+  return dbService.updateOne(Application, { _id: applicationId }, {
+    overallAnalysisStatus: ANALYSIS_STATUS.FAILED,
+    overallAnalysisError: errorMessage
+  });
+};
+
+/**
+ * @description : find applications whose overall analysis fell back to the basic analysis,
+ * or with responses missing their AI analysis or holding a fallback score, and re-queue them.
+ * Records already retried ANALYSIS_SWEEP.MAX_ATTEMPTS times are skipped.
+ * @return {Object} : {found, requeued}
+ */
+const sweepFailedAnalyses = async () => {
+  const failedApplications = await Application.find({
+    isDeleted: false,
+    'overall_score.status': OVERALL_ANALYSIS_FAILED_STATUS,
+    overallAnalysisStatus: { $nin: [ANALYSIS_STATUS.PENDING, ANALYSIS_STATUS.PROCESSING] },
+    overallAnalysisAttempts: { $not: { $gte: ANALYSIS_SWEEP.MAX_ATTEMPTS } }
+  })
+    .select('_id')
+    .limit(ANALYSIS_SWEEP.BATCH_SIZE)
+    .lean();
+
+  const unanalysedSessions = await Response.aggregate([
+    {
+      $match: {
+        isDeleted: false,
+        sessionId: { $ne: null },
+        ...unanalysedResponseQuery,
+        analysisStatus: { $nin: [ANALYSIS_STATUS.PENDING, ANALYSIS_STATUS.PROCESSING] },
+        analysisAttempts: { $not: { $gte: ANALYSIS_SWEEP.MAX_ATTEMPTS } }
+      }
+    },
+    { $group: { _id: '$sessionId' } },
+    { $limit: ANALYSIS_SWEEP.BATCH_SIZE }
+  ]);
+  // responses of interviews still in progress are analysed when they are submitted
+  const completedApplications = await Application.find({
+    _id: { $in: unanalysedSessions.map((session) => session._id) },
+    status: 'interview_completed',
+    isDeleted: false
+  })
+    .select('_id')
+    .lean();
+
+  const applicationIds = [...new Set([...failedApplications, ...completedApplications].map((application) => application._id.toString()))];
+  let requeued = 0;
+  for (const applicationId of applicationIds) {
+    try {
+      const result = await requeueApplicationAnalysis(applicationId);
+      if (result.success) {
+        requeued++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to re-queue analysis of application ${applicationId}:`, error.message);
+    }
+  }
+  return {
+    found: applicationIds.length,
+    requeued
+  };
+};
+
+/**
+ * @description : progress of the response and overall analyses of an application.
+ * @param {string} applicationId : id of the application.
+ * @return {Object|null} : analysis progress, null when the application does not exist.
+ */
+const getAnalysisProgress = async (applicationId) => {
+  const application = await dbService.findOne(Application, {
+    _id: applicationId,
+    isDeleted: false
+  });
+  if (!application) {
+    return null;
+  }
+
+  const responses = {
+    total: 0,
+    analyzed: 0,
+    pending: 0,
+    processing: 0,
+    failed: 0,
+    missing: 0
+  };
+  if (application.candidate && application.job) {
+    const counts = await Response.aggregate([
+      { $match: applicationResponsesQuery(application) },
+      {
+        $group: {
+          _id: '$analysisStatus',
+          count: { $sum: 1 },
+          analyzed: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  { $ifNull: ['$aiAnalysis', false] },
+                  { $ne: ['$aiAnalysis.analysis_version', RESPONSE_FALLBACK_ANALYSIS_VERSION] }
+                ]
+              }, 1, 0]
+            }
+          }
+        }
+      }
+    ]);
+    counts.forEach((group) => {
+      responses.total += group.count;
+      responses.analyzed += group.analyzed;
+      if (group._id && responses[group._id] !== undefined && group._id !== ANALYSIS_STATUS.COMPLETED) {
+        responses[group._id] += group.count - group.analyzed;
+      }
+    });
+    responses.missing = responses.total - responses.analyzed;
+  }
+
+  const overallScore = application.overall_score || {};
+  const hasAnalysis = Object.keys(overallScore).length > 0;
+  const isFallback = overallScore.status === OVERALL_ANALYSIS_FAILED_STATUS;
+  let overallStatus = application.overallAnalysisStatus;
+  if (!overallStatus && hasAnalysis) {
+    overallStatus = isFallback ? ANALYSIS_STATUS.FAILED : ANALYSIS_STATUS.COMPLETED;
+  }
+
+  return {
+    applicationId: application._id,
+    hasAnalysis,
+    status: application.status,
+    currentQuestion: application.currentQuestion,
+    totalQuestions: application.totalQuestions,
+    lastUpdated: application.updatedAt,
+    overallAnalysis: {
+      status: overallStatus || null,
+      isFallback,
+      error: application.overallAnalysisError || (isFallback ? overallScore.error : null),
+      attempts: application.overallAnalysisAttempts || 0,
+      analyzedAt: overallScore.analyzedAt || null,
+      queue: await getJobState(responseQueue, applicationJobId(application._id))
+    },
+    responses
+  };
+};
+
+module.exports = {
+  countAnalysesInProgress,
+  isWorkspaceApplication,
+  requeueApplicationAnalysis,
+  analyzeApplication,
+  markApplicationAnalysisFailed,
+  sweepFailedAnalyses,
+  getAnalysisProgress
+};
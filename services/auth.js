@@ -5,12 +5,12 @@
 
 const User = require('../model/user');
 const dbService = require('../utils/dbService');
-const userTokens = require('../model/userTokens');
+const { createSession } = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
 const {
-  JWT, LOGIN_ACCESS,
-  PLATFORM, MAX_LOGIN_RETRY_LIMIT, LOGIN_REACTIVE_TIME, DEFAULT_SEND_LOGIN_OTP, SEND_LOGIN_OTP, FORGOT_PASSWORD_WITH
+  LOGIN_ACCESS,
+  PLATFORM, MAX_LOGIN_RETRY_LIMIT, LOGIN_REACTIVE_TIME, DEFAULT_SEND_LOGIN_OTP, SEND_LOGIN_OTP, FORGOT_PASSWORD_WITH, TWO_FACTOR_METHODS
 } = require('../constants/authConstant');
-const jwt = require('jsonwebtoken');
 const common = require('../utils/common');
 const dayjs = require('dayjs');
 const bcrypt = require('bcrypt');
@@ -22,19 +22,6 @@ const smsService = require('./sms');
 const ejs = require('ejs');
 const uuid = require('uuid').v4;
 
-/**
- * @description : generate JWT token for authentication.
- * @param {Object} user : user who wants to login.
- * @param {string} secret : secret for JWT.
- * @return {string}  : returns JWT token.
- */
-const generateToken = async (user, secret) => {
-  return jwt.sign({
-    id: user.id,
-    'email': user.email
-  }, secret, { expiresIn: JWT.EXPIRES_IN * 60 });
-};
-
 /**
  * @description : send SMS containing OTP.
  * @param {Object} user : user document
@@ -76,9 +63,10 @@ const sendSMSForLoginOtp = async (user) => {
  * @param {string} password : password of user.
  * @param {string} platform : platform.
  * @param {boolean} roleAccess: a flag to request user`s role access
+ * @param {Object} client : {ipAddress, userAgent, deviceName} recorded on the session.
  * @return {Object} : returns authentication status. {flag, data}
  */
-const loginUser = async (username, password, platform, roleAccess) => {
+const loginUser = async (username, password, platform, roleAccess, client) => {
   try {
     let where = { 'email': username };
     where.isActive = true; where.isDeleted = false; let user = await dbService.findOne(User, where);
@@ -145,7 +133,7 @@ const loginUser = async (username, password, platform, roleAccess) => {
         }
       }
       const userData = user.toJSON();
-      let token;
+      let session;
       if (!user.userType) {
         return {
           flag: true,
@@ -159,7 +147,10 @@ const loginUser = async (username, password, platform, roleAccess) => {
             data: 'you are unable to access this platform'
           };
         }
-        token = await generateToken(userData, JWT.CLIENT_SECRET);
+        session = await createSession({
+          user: userData,
+          client
+        });
       }
       if (user.loginRetryLimit) {
         await dbService.updateOne(User, { _id: user.id }, {
@@ -167,15 +158,11 @@ const loginUser = async (username, password, platform, roleAccess) => {
           loginReactiveTime: ''
         });
       }
-      let expire = dayjs().add(JWT.EXPIRES_IN, 'second').toISOString();
-      await dbService.create(userTokens, {
-        userId: user.id,
-        token: token,
-        tokenExpiredTime: expire
-      });
       let userToReturn = {
         ...userData,
-        token
+        token: session?.token,
+        refreshToken: session?.refreshToken,
+        sessionId: session?.session.id
       };
       if (roleAccess) {
         userToReturn.roleAccess = await common.getRoleAccessData(user.id);
@@ -433,7 +420,8 @@ const sendLoginOTP = async (username, password) => {
     }
 
     // Check if 2FA is enabled for this user
-    if (!user.twoFactorEnabled) {
+    const twoFactorMethod = twoFactorService.getLoginMethod(user);
+    if (!twoFactorMethod) {
       // 2FA is disabled, proceed with direct login
       return {
         flag: false,
@@ -443,6 +431,16 @@ const sendLoginOTP = async (username, password) => {
       };
     }
 
+    // the authenticator app gives the code, nothing to send
+    if (twoFactorMethod === TWO_FACTOR_METHODS.TOTP) {
+      return {
+        flag: false,
+        data: 'Please enter the code from your authenticator app',
+        twoFactorRequired: true,
+        twoFactorMethod
+      };
+    }
+
     // 2FA is enabled, send OTP
     let res;
     if (DEFAULT_SEND_LOGIN_OTP === SEND_LOGIN_OTP.EMAIL) {
@@ -461,7 +459,8 @@ const sendLoginOTP = async (username, password) => {
     return {
       flag: false,
       data: 'Please check your email for OTP',
-      twoFactorRequired: true
+      twoFactorRequired: true,
+      twoFactorMethod
     };
   } catch (error) {
     throw new Error(error.message);
@@ -474,11 +473,12 @@ const sendLoginOTP = async (username, password) => {
  * @param {string} password : password of user.
  * @param {string} platform : platform.
  * @param {roleAccess} : a flag to request user`s role access
+ * @param {Object} client : {ipAddress, userAgent, deviceName} recorded on the session.
  * @return {Object}  : returns authentication status. {flag, data}
  */
-const loginWithOTP = async (username, password, platform, roleAccess) => {
+const loginWithOTP = async (username, password, platform, roleAccess, client) => {
   try {
-    let result = await loginUser(username, password, platform, roleAccess);
+    let result = await loginUser(username, password, platform, roleAccess, client);
     if (!result.flag) {
       const where = {
         _id: result.data.id,
@@ -498,9 +498,10 @@ const loginWithOTP = async (username, password, platform, roleAccess) => {
  * @description :  Social Login.
  * @param {string} email : email of user.
  * @param {platform} platform : platform that user wants to access.
+ * @param {Object} client : {ipAddress, userAgent, deviceName} recorded on the session.
  * @return {boolean}  : returns status whether SMS is sent or not.
  */
-const socialLogin = async (email, platform) => {
+const socialLogin = async (email, platform, client) => {
   try {
     const user = await dbService.findOne(User, { email });
     if (user && user.email) {
@@ -517,7 +518,7 @@ const socialLogin = async (email, platform) => {
           data: 'Please login through Platform'
         };
       }
-      if (!PLATFORM[platform.toUpperCase()] || !JWT[`${platform.toUpperCase()}_SECRET`]) {
+      if (!PLATFORM[platform.toUpperCase()]) {
         return {
           flag: true,
           data: 'Platform not exists'
@@ -529,16 +530,15 @@ const socialLogin = async (email, platform) => {
           data: 'you are unable to access this platform'
         };
       }
-      let token = await generateToken(userData, JWT[`${platform.toUpperCase()}_SECRET`]);
-      let expire = dayjs().add(JWT.EXPIRES_IN, 'second').toISOString();
-      await dbService.create(userTokens, {
-        userId: user.id,
-        token: token,
-        tokenExpiredTime: expire
+      const session = await createSession({
+        user: userData,
+        client
       });
       const userToReturn = {
         ...userData,
-        token
+        token: session.token,
+        refreshToken: session.refreshToken,
+        sessionId: session.session.id
       };
       return {
         flag: false,
@@ -1,11 +1,14 @@
 // Your existing AWS SES service
 const { sendMail } = require("./email");
+const { createOtpStore } = require("./otpStore");
 
 class CandidateVerificationService {
-  constructor() {
-    this.candidateOtpStore = new Map();
+  constructor(otpStore = createOtpStore()) {
+    // Shared storage so codes survive restarts and work across API instances
+    this.candidateOtpStore = otpStore;
     // Cleanup expired OTPs every minute
     this.cleanupInterval = setInterval(() => this.cleanupExpiredOtps(), 60000);
+    this.cleanupInterval.unref();
   }
 
   generateVerificationCode() {
@@ -107,7 +110,7 @@ class CandidateVerificationService {
       console.log("Verification Code Testing :", verificationCode);
 
       // Store OTP with candidate context
-      this.candidateOtpStore.set(verificationKey, {
+      await this.candidateOtpStore.set(verificationKey, {
         code: verificationCode,
         expiresAt,
         email,
@@ -156,7 +159,7 @@ class CandidateVerificationService {
   async verifyCandidateEmail({ email, verificationCode, applicationId }) {
     try {
       const verificationKey = `${applicationId}_${email}`;
-      const storedData = this.candidateOtpStore.get(verificationKey);
+      const storedData = await this.candidateOtpStore.get(verificationKey);
 
       if (!storedData) {
         return {
@@ -168,7 +171,7 @@ class CandidateVerificationService {
 
       // Check if expired
       if (Date.now() > storedData.expiresAt) {
-        this.candidateOtpStore.delete(verificationKey);
+        await this.candidateOtpStore.delete(verificationKey);
         return {
           success: false,
           message: 'Verification code has expired. Please request a new one.',
@@ -178,7 +181,7 @@ class CandidateVerificationService {
 
       // Check max attempts
       if (storedData.attempts >= storedData.maxAttempts) {
-        this.candidateOtpStore.delete(verificationKey);
+        await this.candidateOtpStore.delete(verificationKey);
         return {
           success: false,
           message: 'Maximum verification attempts exceeded. Please request a new code.',
@@ -189,7 +192,7 @@ class CandidateVerificationService {
       // Verify the code
       if (storedData.code === verificationCode.toString()) {
         // Successful verification - remove from store
-        this.candidateOtpStore.delete(verificationKey);
+        await this.candidateOtpStore.delete(verificationKey);
         
         return {
           success: true,
@@ -202,11 +205,11 @@ class CandidateVerificationService {
           }
         };
       } else {
-        // Increment failed attempts
-        storedData.attempts += 1;
-        this.candidateOtpStore.set(verificationKey, storedData);
+        // Increment failed attempts atomically, other instances may be verifying the same code
+        const updatedData = await this.candidateOtpStore.incrementAttempts(verificationKey);
+        const attempts = updatedData ? updatedData.attempts : storedData.attempts + 1;
         
-        const remainingAttempts = storedData.maxAttempts - storedData.attempts;
+        const remainingAttempts = Math.max(storedData.maxAttempts - attempts, 0);
         
         return {
           success: false,
@@ -233,7 +236,7 @@ class CandidateVerificationService {
   }) {
     try {
       const verificationKey = `${applicationId}_${email}`;
-      const existingData = this.candidateOtpStore.get(verificationKey);
+      const existingData = await this.candidateOtpStore.get(verificationKey);
 
       // Rate limiting: allow resend only after 1 minute
       if (existingData && (Date.now() - existingData.createdAt) < 60000) {
@@ -245,7 +248,7 @@ class CandidateVerificationService {
       }
 
       // Clear existing verification and send new one
-      this.candidateOtpStore.delete(verificationKey);
+      await this.candidateOtpStore.delete(verificationKey);
       
       return await this.sendCandidateVerificationEmail({
         email,
@@ -263,16 +266,16 @@ class CandidateVerificationService {
   }
 
   // Get candidate verification status
-  getCandidateVerificationStatus(email, applicationId) {
+  async getCandidateVerificationStatus(email, applicationId) {
     const verificationKey = `${applicationId}_${email}`;
-    const storedData = this.candidateOtpStore.get(verificationKey);
+    const storedData = await this.candidateOtpStore.get(verificationKey);
 
     if (!storedData) {
       return { status: 'not_found' };
     }
 
     if (Date.now() > storedData.expiresAt) {
-      this.candidateOtpStore.delete(verificationKey);
+      await this.candidateOtpStore.delete(verificationKey);
       return { status: 'expired' };
     }
 
@@ -284,39 +287,22 @@ class CandidateVerificationService {
     };
   }
 
-  // Clean up expired verification codes - This method was missing!
-  cleanupExpiredOtps() {
-    const now = Date.now();
-    let cleanedCount = 0;
+  // Clean up expired verification codes
+  async cleanupExpiredOtps() {
+    try {
+      const cleanedCount = await this.candidateOtpStore.cleanupExpired();
 
-    for (const [key, data] of this.candidateOtpStore.entries()) {
-      if (data.expiresAt < now) {
-        this.candidateOtpStore.delete(key);
-        cleanedCount++;
+      if (cleanedCount > 0) {
+        console.log(`Cleaned up ${cleanedCount} expired candidate verification codes`);
       }
-    }
-
-    if (cleanedCount > 0) {
-      console.log(`Cleaned up ${cleanedCount} expired candidate verification codes`);
+    } catch (error) {
+      console.error('Error cleaning up expired verification codes:', error.message);
     }
   }
 
-  // Get verification statistics
-  getVerificationStats() {
-    const total = this.candidateOtpStore.size;
-    const now = Date.now();
-    let active = 0;
-    let expired = 0;
-
-    for (const [key, data] of this.candidateOtpStore.entries()) {
-      if (data.expiresAt > now) {
-        active++;
-      } else {
-        expired++;
-      }
-    }
-
-    return { total, active, expired };
+  // Get verification statistics, counted from the shared store so every instance reports the same numbers
+  async getVerificationStats() {
+    return this.candidateOtpStore.stats();
   }
 
   // Stop cleanup interval (for graceful shutdown)
@@ -353,14 +339,14 @@ class CandidateVerificationService {
   }
 
   // Get all pending verifications (for debugging)
-  getPendingVerifications() {
+  async getPendingVerifications() {
     const pending = [];
     const now = Date.now();
 
-    for (const [key, data] of this.candidateOtpStore.entries()) {
+    for (const data of await this.candidateOtpStore.list()) {
       if (data.expiresAt > now) {
         pending.push({
-          key,
+          key: data.key,
           email: data.email,
           candidateName: data.candidateName,
           applicationId: data.applicationId,
@@ -375,9 +361,8 @@ class CandidateVerificationService {
   }
 
   // Force cleanup all verifications (for testing/admin purposes)
-  clearAllVerifications() {
-    const count = this.candidateOtpStore.size;
-    this.candidateOtpStore.clear();
+  async clearAllVerifications() {
+    const count = await this.candidateOtpStore.clear();
     console.log(`Cleared ${count} verification codes`);
     return { cleared: count };
   }
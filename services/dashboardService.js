@@ -0,0 +1,389 @@
+/**
+ * dashboardService.js
+ * @description :: workspace scoped aggregations backing the recruiter dashboard
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../model/job');
+const Application = require('../model/application');
+const Response = require('../model/response');
+
+const COMPLETED_STATUS = 'interview_completed';
+
+// applications completed before completedAt existed fall back to the analysis time, then to updatedAt
+const COMPLETION_DATE = {
+  $ifNull: [
+    '$completedAt',
+    {
+      $ifNull: [
+        {
+          $convert: {
+            input: '$overall_score.analyzedAt',
+            to: 'date',
+            onError: null,
+            onNull: null
+          }
+        },
+        '$updatedAt'
+      ]
+    }
+  ]
+};
+
+// overall_score is either a number (legacy) or the analysis object written by InterviewCompleted
+const OVERALL_SCORE = {
+  $cond: [
+    { $isNumber: '$overall_score' },
+    '$overall_score',
+    {
+      $convert: {
+        input: {
+          $ifNull: [
+            '$overall_score.overall_score',
+            {
+              $ifNull: [
+                '$overall_score.overallScore',
+                '$overall_score.averageScore'
+              ]
+            }
+          ]
+        },
+        to: 'double',
+        onError: null,
+        onNull: null
+      }
+    }
+  ]
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * @description : jobs of a workspace that are not deleted.
+ * @param {string} workspaceId : id of the workspace.
+ * @return {Array} : jobs with the fields used by the dashboard.
+ */
+const getWorkspaceJobs = (workspaceId) => Job.find({
+  workspace: toObjectId(workspaceId),
+  isDeleted: { $ne: true }
+}).select('title publicationStatus last_date interviewLinks createdAt').lean();
+
+/**
+ * @description : published jobs whose application deadline has not passed, with their application counts.
+ * @param {Array} jobs : jobs of the workspace.
+ * @return {Object} : {count, jobs}
+ */
+const getOpenJobs = async (jobs) => {
+  const now = new Date();
+  const openJobs = jobs.filter((job) => job.publicationStatus === 'published' && (!job.last_date || job.last_date >= now));
+  const applicationCounts = await Application.aggregate([
+    {
+      $match: {
+        job: { $in: openJobs.map((job) => job._id) },
+        isDeleted: { $ne: true }
+      }
+    },
+    {
+      $group: {
+        _id: '$job',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  const countByJob = new Map(applicationCounts.map((item) => [item._id.toString(), item.count]));
+  return {
+    count: openJobs.length,
+    jobs: openJobs.map((job) => ({
+      id: job._id,
+      title: job.title,
+      lastDate: job.last_date || null,
+      applications: countByJob.get(job._id.toString()) || 0
+    }))
+  };
+};
+
+/**
+ * @description : number of applications per status.
+ * @param {Array} jobIds : ids of the workspace jobs.
+ * @return {Object} : {total, byStatus}
+ */
+const getApplicationsByStatus = async (jobIds) => {
+  const statusCounts = await Application.aggregate([
+    {
+      $match: {
+        job: { $in: jobIds },
+        isDeleted: { $ne: true }
+      }
+    },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  const byStatus = {};
+  Application.schema.path('status').enumValues.forEach((status) => {
+    byStatus[status] = 0;
+  });
+  let total = 0;
+  statusCounts.forEach((item) => {
+    byStatus[item._id || 'unknown'] = item.count;
+    total += item.count;
+  });
+  return {
+    total,
+    byStatus
+  };
+};
+
+/**
+ * @description : completed interviews bucketed per day and per ISO week, with answered questions per day.
+ * @param {Array} jobIds : ids of the workspace jobs.
+ * @param {Object} range : {from, to, timezone}
+ * @return {Object} : {perDay, perWeek}
+ */
+const getCompletedInterviews = async (jobIds, {
+  from, to, timezone
+}) => {
+  const [buckets] = await Application.aggregate([
+    {
+      $match: {
+        job: { $in: jobIds },
+        status: COMPLETED_STATUS,
+        isDeleted: { $ne: true }
+      }
+    },
+    { $addFields: { completionDate: COMPLETION_DATE } },
+    {
+      $match: {
+        completionDate: {
+          $gte: from,
+          $lte: to
+        }
+      }
+    },
+    {
+      $facet: {
+        perDay: [
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: '%Y-%m-%d',
+                  date: '$completionDate',
+                  timezone
+                }
+              },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        perWeek: [
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: '%G-W%V',
+                  date: '$completionDate',
+                  timezone
+                }
+              },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+  const answeredPerDay = await Response.aggregate([
+    {
+      $match: {
+        job: { $in: jobIds },
+        isDeleted: { $ne: true },
+        createdAt: {
+          $gte: from,
+          $lte: to
+        }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: '%Y-%m-%d',
+            date: '$createdAt',
+            timezone
+          }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  const answeredByDay = new Map(answeredPerDay.map((item) => [item._id, item.count]));
+  return {
+    perDay: buckets.perDay.map((item) => ({
+      date: item._id,
+      completed: item.count,
+      questionsAnswered: answeredByDay.get(item._id) || 0
+    })),
+    perWeek: buckets.perWeek.map((item) => ({
+      week: item._id,
+      completed: item.count
+    }))
+  };
+};
+
+/**
+ * @description : average overall score of completed interviews per job.
+ * @param {Array} jobs : jobs of the workspace.
+ * @return {Array} : [{jobId, title, averageScore, scoredApplications}]
+ */
+const getAverageScorePerJob = async (jobs) => {
+  const scores = await Application.aggregate([
+    {
+      $match: {
+        job: { $in: jobs.map((job) => job._id) },
+        overall_score: { $exists: true },
+        isDeleted: { $ne: true }
+      }
+    },
+    { $addFields: { score: OVERALL_SCORE } },
+    { $match: { score: { $ne: null } } },
+    {
+      $group: {
+        _id: '$job',
+        averageScore: { $avg: '$score' },
+        scoredApplications: { $sum: 1 }
+      }
+    }
+  ]);
+  const titleByJob = new Map(jobs.map((job) => [job._id.toString(), job.title]));
+  return scores
+    .map((item) => ({
+      jobId: item._id,
+      title: titleByJob.get(item._id.toString()),
+      averageScore: Math.round(item.averageScore * 10) / 10,
+      scoredApplications: item.scoredApplications
+    }))
+    .sort((a, b) => b.averageScore - a.averageScore);
+};
+
+/**
+ * @description : time between sending the private interview link and completing the interview.
+ * @param {Array} jobIds : ids of the workspace jobs.
+ * @param {Object} range : {from, to}
+ * @return {Object} : durations in hours. {count, averageHours, minHours, maxHours}
+ */
+const getTimeToCompletion = async (jobIds, {
+  from, to
+}) => {
+  const [result] = await Application.aggregate([
+    {
+      $match: {
+        job: { $in: jobIds },
+        status: COMPLETED_STATUS,
+        'privateInterviewLink.sentAt': { $type: 'date' },
+        isDeleted: { $ne: true }
+      }
+    },
+    { $addFields: { completionDate: COMPLETION_DATE } },
+    {
+      $match: {
+        completionDate: {
+          $gte: from,
+          $lte: to
+        }
+      }
+    },
+    { $addFields: { duration: { $subtract: ['$completionDate', '$privateInterviewLink.sentAt'] } } },
+    { $match: { duration: { $gte: 0 } } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        average: { $avg: '$duration' },
+        min: { $min: '$duration' },
+        max: { $max: '$duration' }
+      }
+    }
+  ]);
+  const toHours = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / 36000) / 100);
+  return {
+    count: result ? result.count : 0,
+    averageHours: result ? toHours(result.average) : null,
+    minHours: result ? toHours(result.min) : null,
+    maxHours: result ? toHours(result.max) : null
+  };
+};
+
+/**
+ * @description : usage of the public interview links of every job.
+ * @param {Array} jobs : jobs of the workspace.
+ * @return {Object} : {totalUses, links}
+ */
+const getLinkUsage = (jobs) => {
+  const links = [];
+  jobs.forEach((job) => {
+    (job.interviewLinks || []).forEach((link) => {
+      links.push({
+        jobId: job._id,
+        jobTitle: job.title,
+        linkId: link.linkId,
+        name: link.name,
+        currentUses: link.currentUses || 0,
+        maxUses: link.maxUses,
+        enabled: link.enabled,
+        isActive: link.isActive,
+        expiresAt: link.expiresAt || null
+      });
+    });
+  });
+  links.sort((a, b) => b.currentUses - a.currentUses);
+  return {
+    totalUses: links.reduce((acc, link) => acc + link.currentUses, 0),
+    links
+  };
+};
+
+/**
+ * @description : every dashboard metric of a workspace.
+ * @param {string} workspaceId : id of the workspace.
+ * @param {Object} range : {from, to, timezone}
+ * @return {Object} : dashboard data.
+ */
+const getDashboardOverview = async (workspaceId, range) => {
+  const jobs = await getWorkspaceJobs(workspaceId);
+  const jobIds = jobs.map((job) => job._id);
+
+  const [openJobs, applications, completedInterviews, averageScorePerJob, timeToCompletion] = await Promise.all([
+    getOpenJobs(jobs),
+    getApplicationsByStatus(jobIds),
+    getCompletedInterviews(jobIds, range),
+    getAverageScorePerJob(jobs),
+    getTimeToCompletion(jobIds, range)
+  ]);
+
+  return {
+    range,
+    totalJobs: jobs.length,
+    openJobs,
+    applications,
+    completedInterviews,
+    averageScorePerJob,
+    timeToCompletion,
+    linkUsage: getLinkUsage(jobs)
+  };
+};
+
+module.exports = {
+  getDashboardOverview,
+  getOpenJobs,
+  getApplicationsByStatus,
+  getCompletedInterviews,
+  getAverageScorePerJob,
+  getTimeToCompletion,
+  getLinkUsage,
+};
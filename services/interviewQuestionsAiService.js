@@ -1,23 +1,16 @@
 // services/interviewQuestionsAIService.js
-const axios = require('axios');
+const {
+  llmClient, LLM_ERROR_CODES
+} = require('./llm');
+const { LLM_TASKS } = require('../constants/llmConstant');
 
 class InterviewQuestionsAIService {
   constructor() {
-    this.ollamaHost = process.env.AI_GENERATE_URL || process.env.OLLAMA_HOST || 'http://localhost:11434';
-    this.ollamaModel = process.env.OLLAMA_MODEL || 'gemma3:latest';
-    
-    // Ensure we have the correct API endpoint
-    if (!this.ollamaHost.includes('/api/generate')) {
-      this.ollamaApiUrl = `${this.ollamaHost}/api/generate`;
-    } else {
-      this.ollamaApiUrl = this.ollamaHost;
-    }
-    
-    console.log('=== INTERVIEW QUESTIONS AI CONFIGURATION ===');
-    console.log('Host:', this.ollamaHost);
-    console.log('API URL:', this.ollamaApiUrl);
-    console.log('Model:', this.ollamaModel);
-    console.log('=============================================');
+    this.llmTask = LLM_TASKS.INTERVIEW_QUESTIONS;
+  }
+
+  getLlmInfo() {
+    return llmClient.describe(this.llmTask);
   }
 
   generateInterviewQuestionsPrompt(jobTitle, jobDescription, employmentType, requirements) {
@@ -71,98 +64,18 @@ Requirements:
     return prompt;
   }
 
-  async checkOllamaConnection() {
-    try {
-      // Test connection by listing models using axios
-      const response = await axios.get(`${this.ollamaHost}/api/tags`, {
-        timeout: 10000,
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-      
-      return {
-        connected: true,
-        models: response.data.models?.map(m => m.name) || [],
-        host: this.ollamaHost
-      };
-    } catch (error) {
-      return {
-        connected: false,
-        error: error.message,
-        host: this.ollamaHost
-      };
-    }
+  async checkConnection() {
+    return llmClient.checkConnection(this.llmTask);
   }
 
-  async generateWithOllama(prompt) {
-    const maxRetries = 3;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Attempt ${attempt}/${maxRetries}: Generating interview questions with Ollama`);
-        console.log(`Using API URL: ${this.ollamaApiUrl}`);
-        
-        const response = await axios.post(this.ollamaApiUrl, {
-          model: this.ollamaModel,
-          prompt: prompt,
-          stream: false,
-          options: {
-            temperature: 0.7,
-            num_predict: 1500,
-            top_p: 0.9,
-            repeat_penalty: 1.1,
-          }
-        }, {
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          timeout: 120000
-        });
-
-        const generatedText = response.data.response || '';
-        
-        if (!generatedText) {
-          throw new Error('Empty response from Ollama');
-        }
-
-        console.log('Interview questions generation successful');
-        return generatedText;
-        
-      } catch (error) {
-        console.error(`Attempt ${attempt} failed:`, error.message);
-        lastError = error;
-        
-        // Don't retry on certain errors
-        if (error.response?.status === 404) {
-          throw new Error(`Ollama service not found at ${this.ollamaApiUrl}. Please ensure Ollama is running and accessible.`);
-        }
-        
-        if (attempt < maxRetries) {
-          // Wait before retrying (exponential backoff)
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-    }
-
-    // All attempts failed
-    console.error('All attempts failed. Last error:', lastError);
-    
-    if (lastError.code === 'ECONNABORTED') {
-      throw new Error('Ollama request timeout - please check if Ollama is running and accessible');
-    }
-    if (lastError.code === 'ECONNREFUSED') {
-      throw new Error(`Cannot connect to Ollama at ${this.ollamaApiUrl} - is it running and accessible?`);
-    }
-    if (lastError.message?.includes('model')) {
-      throw new Error(`Ollama model '${this.ollamaModel}' not found - please pull the model first using: ollama pull ${this.ollamaModel}`);
-    }
-    
-    throw new Error(`Interview questions generation failed after ${maxRetries} attempts: ${lastError.message}`);
+  async generateText(prompt) {
+    console.log('Generating interview questions with the LLM client');
+    const result = await llmClient.generate({
+      task: this.llmTask,
+      prompt
+    });
+    console.log(`Interview questions generation successful (${result.model}, ${result.latencyMs}ms)`);
+    return result.text;
   }
 
   async generateInterviewQuestions(jobTitle, jobDescription = '', employmentType = '', requirements = []) {
@@ -180,7 +93,7 @@ Requirements:
         requirements || []
       );
       
-      const generatedText = await this.generateWithOllama(prompt);
+      const generatedText = await this.generateText(prompt);
       
       if (!generatedText.trim()) {
         throw new Error('Empty response from AI service');
@@ -213,11 +126,7 @@ Requirements:
         details: {
           step: this.identifyFailureStep(error),
           suggestion: this.getSuggestion(error),
-          ollamaInfo: {
-            host: this.ollamaHost,
-            apiUrl: this.ollamaApiUrl,
-            model: this.ollamaModel
-          }
+          llmInfo: this.getLlmInfo()
         }
       };
     }
@@ -225,18 +134,8 @@ Requirements:
 
   parseQuestionsFromResponse(responseText) {
     try {
-      // Try to find JSON array in the response
-      const jsonMatch = responseText.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        const questionsData = JSON.parse(jsonMatch[0]);
-        if (Array.isArray(questionsData) && questionsData.length > 0) {
-          return this.validateAndCleanQuestions(questionsData);
-        }
-      }
-
-      // Try parsing the entire response
-      const questionsData = JSON.parse(responseText);
-      if (Array.isArray(questionsData) && questionsData.length > 0) {
+      const questionsData = llmClient.parseJson(responseText, 'array');
+      if (questionsData.length > 0) {
         return this.validateAndCleanQuestions(questionsData);
       }
 
@@ -319,10 +218,10 @@ Requirements:
     if (error.message.includes('Job title is required')) {
       return 'input_validation';
     }
-    if (error.message.includes('Ollama') || error.message.includes('connect') || error.message.includes('404')) {
-      return 'ollama_connection';
+    if ([LLM_ERROR_CODES.CONNECTION, LLM_ERROR_CODES.TIMEOUT, LLM_ERROR_CODES.UNAUTHORIZED].includes(error.code)) {
+      return 'llm_connection';
     }
-    if (error.message.includes('model')) {
+    if (error.code === LLM_ERROR_CODES.NOT_FOUND) {
       return 'model_availability';
     }
     if (error.message.includes('Empty response')) {
@@ -336,10 +235,11 @@ Requirements:
 
   getSuggestion(error) {
     const step = this.identifyFailureStep(error);
+    const llmInfo = this.getLlmInfo();
     const suggestions = {
       'input_validation': 'Please provide a valid job title',
-      'ollama_connection': `Ensure Ollama is running at ${this.ollamaHost}. Check service status.`,
-      'model_availability': `Pull the required model using: ollama pull ${this.ollamaModel}`,
+      'llm_connection': `Ensure the ${llmInfo.provider} service is reachable at ${llmInfo.host}. Check service status and LLM_API_KEY.`,
+      'model_availability': `Make sure the model '${llmInfo.model}' is available on ${llmInfo.host} (ollama pull ${llmInfo.model} for Ollama).`,
       'response_generation': 'The AI service returned an empty response. Try again or check the model availability.',
       'json_parsing': 'AI response could not be parsed as JSON. Using fallback questions.',
       'unknown': 'Please check the logs for more details'
@@ -351,9 +251,9 @@ Requirements:
   // Test connection method
   async testConnection() {
     try {
-      console.log('Testing Ollama connection for interview questions service...');
+      console.log('Testing LLM connection for interview questions service...');
       
-      const response = await this.generateWithOllama('Generate one interview question for a Software Engineer position. Return as JSON: [{"text": "question", "timeLimit": 120, "allowRetry": false, "tags": ["Technical"]}]');
+      const response = await this.generateText('Generate one interview question for a Software Engineer position. Return as JSON: [{"text": "question", "timeLimit": 120, "allowRetry": false, "tags": ["Technical"]}]');
       
       console.log('Test response:', response.substring(0, 100));
       return { success: true, response: response.substring(0, 100) };
@@ -369,14 +269,12 @@ Requirements:
       console.log('Running health check for InterviewQuestionsAIService...');
       
       // Test 1: Connection check
-      const connectionCheck = await this.checkOllamaConnection();
+      const connectionCheck = await this.checkConnection();
       
       if (!connectionCheck.connected) {
         return {
           status: 'unhealthy',
-          model: this.ollamaModel,
-          host: this.ollamaHost,
-          apiUrl: this.ollamaApiUrl,
+          ...this.getLlmInfo(),
           error: connectionCheck.error,
           tests: {
             connection: 'failed',
@@ -391,9 +289,7 @@ Requirements:
       
       return {
         status: testResult.success ? 'healthy' : 'unhealthy',
-        model: this.ollamaModel,
-        host: this.ollamaHost,
-        apiUrl: this.ollamaApiUrl,
+        ...this.getLlmInfo(),
         availableModels: connectionCheck.models,
         testResponse: testResult.response,
         responseTime: Date.now(),
@@ -407,9 +303,7 @@ Requirements:
     } catch (error) {
       return {
         status: 'unhealthy',
-        model: this.ollamaModel,
-        host: this.ollamaHost,
-        apiUrl: this.ollamaApiUrl,
+        ...this.getLlmInfo(),
         error: error.message,
         suggestion: this.getSuggestion(error),
         tests: {
@@ -0,0 +1,98 @@
+/**
+ * interviewTemplateService.js
+ * @description :: turns interview templates into job questions
+ */
+
+const InterviewTemplate = require('../model/interviewTemplate');
+const Question = require('../model/question');
+const Job = require('../model/job');
+const dbService = require('../utils/dbService');
+
+/**
+ * @description : query matching templates a workspace may use, its own and public ones.
+ * @param {string} workspaceId : id of the workspace.
+ * @return {Object} : mongo filter.
+ */
+const accessibleTemplateQuery = (workspaceId) => ({
+  isDeleted: false,
+  $or: [
+    { workspace: workspaceId },
+    { isPublic: true }
+  ]
+});
+
+/**
+ * @description : create question documents of a workspace from the questions of a template.
+ * @param {Object} template : interview template document.
+ * @param {Object} params : ids of the user and the workspace owning the created questions. {userId, workspaceId}
+ * @return {Array} : ids of created questions, in template order.
+ */
+const createQuestionsFromTemplate = async (template, {
+  userId, workspaceId
+}) => {
+  const orderedQuestions = InterviewTemplate.orderQuestions(template.questions);
+  if (!orderedQuestions.length) {
+    return [];
+  }
+  const questionsToCreate = orderedQuestions.map((question) => ({
+    title: question.title,
+    question_type: question.question_type || 'video',
+    evaluation_instructions: question.evaluation_instructions,
+    rubric: question.rubric,
+    timeLimit: question.timeLimit || 120,
+    allowRetry: question.allowRetry || false,
+    tags: question.tags || [],
+    order: question.order,
+    addedBy: userId,
+    workspace: workspaceId
+  }));
+  const createdQuestions = await dbService.create(Question, questionsToCreate);
+  await dbService.updateOne(InterviewTemplate, { _id: template._id }, {
+    $inc: { usageCount: 1 },
+    lastUsedAt: new Date()
+  });
+  return createdQuestions.map((question) => question._id);
+};
+
+/**
+ * @description : create questions of a job from a template, appended to or replacing its current questions.
+ * @param {Object} params : {templateId, jobId, userId, workspaceId, replace}
+ * @return {Object|null} : updated job with populated questions, null when template or job is not found.
+ */
+const applyTemplateToJob = async ({
+  templateId, jobId, userId, workspaceId, replace = false
+}) => {
+  const template = await dbService.findOne(InterviewTemplate, {
+    _id: templateId,
+    ...accessibleTemplateQuery(workspaceId)
+  });
+  if (!template) {
+    return null;
+  }
+  const job = await dbService.findOne(Job, {
+    _id: jobId,
+    workspace: workspaceId
+  });
+  if (!job) {
+    return null;
+  }
+
+  const questionIds = await createQuestionsFromTemplate(template, {
+    userId,
+    workspaceId
+  });
+  const questionUpdate = replace
+    ? { $set: { questions: questionIds } }
+    : { $push: { questions: { $each: questionIds } } };
+
+  return Job.findOneAndUpdate({ _id: job._id }, {
+    ...questionUpdate,
+    updatedBy: userId
+  }, { new: true }).populate('questions');
+};
+
+module.exports = {
+  accessibleTemplateQuery,
+  createQuestionsFromTemplate,
+  applyTemplateToJob,
+};
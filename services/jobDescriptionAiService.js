@@ -1,19 +1,16 @@
 // services/jobDescriptionAIService.js
-const axios = require('axios');
+const {
+  llmClient, LLM_ERROR_CODES
+} = require('./llm');
+const { LLM_TASKS } = require('../constants/llmConstant');
 
 class JobDescriptionAIService {
   constructor() {
-    this.ollamaHost = process.env.AI_GENERATE_URL || process.env.OLLAMA_HOST || 'http://localhost:11434';
-    this.ollamaModel = process.env.OLLAMA_MODEL || 'gemma3:latest';
-    
-    // Ensure we have the correct API endpoint
-    if (!this.ollamaHost.includes('/api/generate')) {
-      this.ollamaApiUrl = `${this.ollamaHost}/api/generate`;
-    } else {
-      this.ollamaApiUrl = this.ollamaHost;
-    }
-    
-  
+    this.llmTask = LLM_TASKS.JOB_DESCRIPTION;
+  }
+
+  getLlmInfo() {
+    return llmClient.describe(this.llmTask);
   }
 
   generateJobDescriptionPrompt(jobTitle, context = {}) {
@@ -50,98 +47,18 @@ Return only the job description text, no additional formatting or explanations.`
     return prompt;
   }
 
-  async checkOllamaConnection() {
-    try {
-      // Test connection by listing models using axios
-      const response = await axios.get(`${this.ollamaHost}/api/tags`, {
-        timeout: 10000,
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-      
-      return {
-        connected: true,
-        models: response.data.models?.map(m => m.name) || [],
-        host: this.ollamaHost
-      };
-    } catch (error) {
-      return {
-        connected: false,
-        error: error.message,
-        host: this.ollamaHost
-      };
-    }
+  async checkConnection() {
+    return llmClient.checkConnection(this.llmTask);
   }
 
-  async generateWithOllama(prompt) {
-    const maxRetries = 3;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Attempt ${attempt}/${maxRetries}: Generating job description with Ollama`);
-        console.log(`Using API URL: ${this.ollamaApiUrl}`);
-        
-        const response = await axios.post(this.ollamaApiUrl, {
-          model: this.ollamaModel,
-          prompt: prompt,
-          stream: false,
-          options: {
-            temperature: 0.7, // Slightly higher for creativity
-            num_predict: 1000, // Longer response for detailed description
-            top_p: 0.9,
-            repeat_penalty: 1.1,
-          }
-        }, {
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          timeout: 120000
-        });
-
-        const generatedText = response.data.response || '';
-        
-        if (!generatedText) {
-          throw new Error('Empty response from Ollama');
-        }
-
-        console.log('Job description generation successful');
-        return generatedText;
-        
-      } catch (error) {
-        console.error(`Attempt ${attempt} failed:`, error.message);
-        lastError = error;
-        
-        // Don't retry on certain errors
-        if (error.response?.status === 404) {
-          throw new Error(`Ollama service not found at ${this.ollamaApiUrl}. Please ensure Ollama is running and accessible.`);
-        }
-        
-        if (attempt < maxRetries) {
-          // Wait before retrying (exponential backoff)
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-    }
-
-    // All attempts failed
-    console.error('All attempts failed. Last error:', lastError);
-    
-    if (lastError.code === 'ECONNABORTED') {
-      throw new Error('Ollama request timeout - please check if Ollama is running and accessible');
-    }
-    if (lastError.code === 'ECONNREFUSED') {
-      throw new Error(`Cannot connect to Ollama at ${this.ollamaApiUrl} - is it running and accessible?`);
-    }
-    if (lastError.message?.includes('model')) {
-      throw new Error(`Ollama model '${this.ollamaModel}' not found - please pull the model first using: ollama pull ${this.ollamaModel}`);
-    }
-    
-    throw new Error(`Job description generation failed after ${maxRetries} attempts: ${lastError.message}`);
+  async generateText(prompt) {
+    console.log('Generating job description with the LLM client');
+    const result = await llmClient.generate({
+      task: this.llmTask,
+      prompt
+    });
+    console.log(`Job description generation successful (${result.model}, ${result.latencyMs}ms)`);
+    return result.text;
   }
 
   async generateJobDescription(jobTitle, context = {}) {
@@ -154,8 +71,7 @@ Return only the job description text, no additional formatting or explanations.`
       
       const prompt = this.generateJobDescriptionPrompt(jobTitle, context);
       
-      // Generate description using Ollama
-      const generatedDescription = await this.generateWithOllama(prompt);
+      const generatedDescription = await this.generateText(prompt);
       
       if (!generatedDescription.trim()) {
         throw new Error('Empty response from AI service');
@@ -182,11 +98,7 @@ Return only the job description text, no additional formatting or explanations.`
         details: {
           step: this.identifyFailureStep(error),
           suggestion: this.getSuggestion(error),
-          ollamaInfo: {
-            host: this.ollamaHost,
-            apiUrl: this.ollamaApiUrl,
-            model: this.ollamaModel
-          }
+          llmInfo: this.getLlmInfo()
         }
       };
     }
@@ -207,10 +119,10 @@ Return only the job description text, no additional formatting or explanations.`
     if (error.message.includes('Job title is required')) {
       return 'input_validation';
     }
-    if (error.message.includes('Ollama') || error.message.includes('connect') || error.message.includes('404')) {
-      return 'ollama_connection';
+    if ([LLM_ERROR_CODES.CONNECTION, LLM_ERROR_CODES.TIMEOUT, LLM_ERROR_CODES.UNAUTHORIZED].includes(error.code)) {
+      return 'llm_connection';
     }
-    if (error.message.includes('model')) {
+    if (error.code === LLM_ERROR_CODES.NOT_FOUND) {
       return 'model_availability';
     }
     if (error.message.includes('Empty response')) {
@@ -221,10 +133,11 @@ Return only the job description text, no additional formatting or explanations.`
 
   getSuggestion(error) {
     const step = this.identifyFailureStep(error);
+    const llmInfo = this.getLlmInfo();
     const suggestions = {
       'input_validation': 'Please provide a valid job title',
-      'ollama_connection': `Ensure Ollama is running at ${this.ollamaHost}. Check service status.`,
-      'model_availability': `Pull the required model using: ollama pull ${this.ollamaModel}`,
+      'llm_connection': `Ensure the ${llmInfo.provider} service is reachable at ${llmInfo.host}. Check service status and LLM_API_KEY.`,
+      'model_availability': `Make sure the model '${llmInfo.model}' is available on ${llmInfo.host} (ollama pull ${llmInfo.model} for Ollama).`,
       'response_generation': 'The AI service returned an empty response. Try again or check the model availability.',
       'unknown': 'Please check the logs for more details'
     };
@@ -235,9 +148,9 @@ Return only the job description text, no additional formatting or explanations.`
   // Test connection method
   async testConnection() {
     try {
-      console.log('Testing Ollama connection for job description service...');
+      console.log('Testing LLM connection for job description service...');
       
-      const response = await this.generateWithOllama("Generate a brief description for 'Software Engineer' position in one sentence.");
+      const response = await this.generateText("Generate a brief description for 'Software Engineer' position in one sentence.");
       
       console.log('Test response:', response.substring(0, 100));
       return { success: true, response: response.substring(0, 100) };
@@ -253,14 +166,12 @@ Return only the job description text, no additional formatting or explanations.`
       console.log('Running health check for JobDescriptionAIService...');
       
       // Test 1: Connection check
-      const connectionCheck = await this.checkOllamaConnection();
+      const connectionCheck = await this.checkConnection();
       
       if (!connectionCheck.connected) {
         return {
           status: 'unhealthy',
-          model: this.ollamaModel,
-          host: this.ollamaHost,
-          apiUrl: this.ollamaApiUrl,
+          ...this.getLlmInfo(),
           error: connectionCheck.error,
           tests: {
             connection: 'failed',
@@ -275,9 +186,7 @@ Return only the job description text, no additional formatting or explanations.`
       
       return {
         status: testResult.success ? 'healthy' : 'unhealthy',
-        model: this.ollamaModel,
-        host: this.ollamaHost,
-        apiUrl: this.ollamaApiUrl,
+        ...this.getLlmInfo(),
         availableModels: connectionCheck.models,
         testResponse: testResult.response,
         responseTime: Date.now(),
@@ -291,9 +200,7 @@ Return only the job description text, no additional formatting or explanations.`
     } catch (error) {
       return {
         status: 'unhealthy',
-        model: this.ollamaModel,
-        host: this.ollamaHost,
-        apiUrl: this.ollamaApiUrl,
+        ...this.getLlmInfo(),
         error: error.message,
         suggestion: this.getSuggestion(error),
         tests: {
@@ -1,22 +1,17 @@
 const axios = require('axios');
 const extract = require('extract-zip');
-const { Ollama } = require("ollama");
+const {
+  llmClient, LLM_ERROR_CODES
+} = require('./llm');
+const { LLM_TASKS } = require('../constants/llmConstant');
 
 class JobScrapingService {
   constructor() {
-    // Ollama configuration from environment or defaults
-    this.ollamaHost = process.env.AI_GENERATE_URL || process.env.OLLAMA_HOST || 'http://localhost:11434';
-    this.ollamaModel = process.env.OLLAMA_MODEL || 'gemma3:latest';
-    
-    // Initialize Ollama client with proper host
-    try {
-      this.client = new Ollama({ 
-        host: this.ollamaHost 
-      });
-    } catch (error) {
-      console.error('Failed to initialize Ollama client:', error);
-      throw new Error('Ollama client initialization failed');
-    }
+    this.llmTask = LLM_TASKS.JOB_SCRAPING;
+  }
+
+  getLlmInfo() {
+    return llmClient.describe(this.llmTask);
   }
 
   async fetchWebpage(url) {
@@ -85,108 +80,27 @@ Required JSON structure:
 Focus on accuracy and completeness. Extract what you can confidently identify from the content.`;
   }
 
-  async checkOllamaConnection() {
-    try {
-      // Test connection by listing models
-      const models = await this.client.list();
-      return {
-        connected: true,
-        models: models.models.map(m => m.name),
-        host: this.ollamaHost
-      };
-    } catch (error) {
-      return {
-        connected: false,
-        error: error.message,
-        host: this.ollamaHost
-      };
-    }
+  async checkConnection() {
+    return llmClient.checkConnection(this.llmTask);
   }
 
- async extractJobDataWithOllama(prompt) {
-  try {
-    console.log(`Connecting to Ollama at: ${this.ollamaHost}`);
-    console.log(`Using model: ${this.ollamaModel}`);
-    
-    // Use direct axios call instead of Ollama client
-    const response = await axios.post(`${this.ollamaHost}`, {
-      model: this.ollamaModel,
-      prompt: prompt,
-      stream: false,
-      options: {
-        temperature: 0.1,
-        num_predict: 2000,
-        top_p: 0.9,
-        repeat_penalty: 1.1,
+  async extractJobData(prompt) {
+    try {
+      const result = await llmClient.generateJson({
+        task: this.llmTask,
+        prompt
+      });
+      console.log(`LLM response received from ${result.model} in ${result.latencyMs}ms`);
+      return result.data;
+    } catch (error) {
+      if (error.code === LLM_ERROR_CODES.PARSE) {
+        console.error('Full LLM response:', error.result?.text);
+        throw new Error('Could not extract valid JSON from the LLM response');
       }
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      timeout: 120000
-    });
-    console.log('Ollama response received',response);
-
-    const generatedText = response.data.response || '';
-    
-    if (!generatedText) {
-      throw new Error('Empty response from Ollama');
+      console.error('LLM processing error:', error);
+      throw error;
     }
-
-   let extractedData = null;
-      
-      // Strategy 1: Try to find JSON block
-      const jsonMatch = generatedText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          extractedData = JSON.parse(jsonMatch[0]);
-          console.log('Successfully parsed JSON using regex match');
-        } catch (parseError) {
-          console.log('Failed to parse JSON from regex match:', parseError.message);
-        }
-      }
-
-      // Strategy 2: Try to parse the entire response
-      if (!extractedData) {
-        try {
-          extractedData = JSON.parse(generatedText);
-          console.log('Successfully parsed entire response as JSON');
-        } catch (parseError) {
-          console.log('Failed to parse entire response as JSON:', parseError.message);
-        }
-      }
-
-      // Strategy 3: Clean up response and try parsing
-      if (!extractedData) {
-        try {
-          const cleanedResponse = generatedText
-            .replace(/^[^{]*/, '') // Remove everything before first {
-            .replace(/[^}]*$/, '') // Remove everything after last }
-            .trim();
-          
-          if (cleanedResponse.startsWith('{') && cleanedResponse.endsWith('}')) {
-            extractedData = JSON.parse(cleanedResponse);
-            console.log('Successfully parsed cleaned response as JSON');
-          }
-        } catch (parseError) {
-          console.log('Failed to parse cleaned response:', parseError.message);
-        }
-      }
-
-      if (!extractedData) {
-        console.error('Full Ollama response:', generatedText);
-        throw new Error('Could not extract valid JSON from Ollama response');
-      }
-
-      return extractedData;
-    
-  } catch (error) {
-    console.error('Ollama processing error:', error);
-    throw error;
   }
-}
-
 
   validateAndCleanData(extractedData) {
     if (!extractedData || typeof extractedData !== 'object') {
@@ -253,14 +167,6 @@ Focus on accuracy and completeness. Extract what you can confidently identify fr
 
   async scrapeJobPosting(url) {
     try {
-      // Step 1: Check Ollama connection first
-    //   console.log('Checking Ollama connection...');
-    //   const connectionCheck = await this.checkOllamaConnection();
-    //   if (!connectionCheck.connected) {
-    //     throw new Error(`Ollama is not running or not accessible: ${connectionCheck.error}`);
-    //   }
-    //   console.log(`Ollama connected successfully. Available models: ${connectionCheck.models.join(', ')}`);
-
       // Step 2: Fetch webpage content
       console.log(`Fetching webpage: ${url}`);
       const html = await this.fetchWebpage(url);
@@ -273,9 +179,9 @@ Focus on accuracy and completeness. Extract what you can confidently identify fr
       // Step 3: Generate extraction prompt
       const prompt = this.generatePrompt(html);
 
-      // Step 4: Extract data using Ollama
-      console.log('Extracting job data with Ollama...');
-      const extractedData = await this.extractJobDataWithOllama(prompt);
+      // Step 4: Extract data using the LLM
+      console.log('Extracting job data with the LLM...');
+      const extractedData = await this.extractJobData(prompt);
 
       console.log(extractedData,"extractedData")
 
@@ -289,10 +195,7 @@ Focus on accuracy and completeness. Extract what you can confidently identify fr
         data: cleanedData,
         extractedFields: this.getExtractedFieldsCount(cleanedData),
         processingTime: Date.now(),
-        ollamaInfo: {
-          host: this.ollamaHost,
-          model: this.ollamaModel
-        }
+        llmInfo: this.getLlmInfo()
       };
 
     } catch (error) {
@@ -303,10 +206,7 @@ Focus on accuracy and completeness. Extract what you can confidently identify fr
         details: {
           step: this.identifyFailureStep(error),
           suggestion: this.getSuggestion(error),
-          ollamaInfo: {
-            host: this.ollamaHost,
-            model: this.ollamaModel
-          }
+          llmInfo: this.getLlmInfo()
         }
       };
     }
@@ -333,10 +233,10 @@ Focus on accuracy and completeness. Extract what you can confidently identify fr
     if (error.message.includes('fetch') || error.message.includes('ENOTFOUND')) {
       return 'webpage_fetch';
     }
-    if (error.message.includes('Ollama') || error.message.includes('connect') || error.message.includes('404')) {
-      return 'ollama_connection';
+    if ([LLM_ERROR_CODES.CONNECTION, LLM_ERROR_CODES.TIMEOUT, LLM_ERROR_CODES.UNAUTHORIZED].includes(error.code)) {
+      return 'llm_connection';
     }
-    if (error.message.includes('model')) {
+    if (error.code === LLM_ERROR_CODES.NOT_FOUND) {
       return 'model_availability';
     }
     if (error.message.includes('JSON') || error.message.includes('parse')) {
@@ -347,10 +247,11 @@ Focus on accuracy and completeness. Extract what you can confidently identify fr
 
   getSuggestion(error) {
     const step = this.identifyFailureStep(error);
+    const llmInfo = this.getLlmInfo();
     const suggestions = {
       'webpage_fetch': 'Check if the URL is accessible and not behind authentication',
-      'ollama_connection': `Ensure Ollama is running at ${this.ollamaHost}. Run 'ollama serve' to start it.`,
-      'model_availability': `Pull the required model using: ollama pull ${this.ollamaModel}`,
+      'llm_connection': `Ensure the ${llmInfo.provider} service is reachable at ${llmInfo.host}. Check service status and LLM_API_KEY.`,
+      'model_availability': `Make sure the model '${llmInfo.model}' is available on ${llmInfo.host} (ollama pull ${llmInfo.model} for Ollama).`,
       'data_extraction': 'The webpage might not contain structured job data',
       'unknown': 'Please check the logs for more details'
     };
@@ -361,39 +262,36 @@ Focus on accuracy and completeness. Extract what you can confidently identify fr
   // Health check method
   async checkHealth() {
     try {
-      const connectionCheck = await this.checkOllamaConnection();
+      const connectionCheck = await this.checkConnection();
       
       if (!connectionCheck.connected) {
         return {
           status: 'unhealthy',
-          model: this.ollamaModel,
-          host: this.ollamaHost,
+          ...this.getLlmInfo(),
           error: connectionCheck.error,
-          suggestion: 'Start Ollama service using: ollama serve'
+          suggestion: `Ensure the ${connectionCheck.provider} service is running at ${connectionCheck.host}`
         };
       }
 
       // Test with simple prompt
-      const testResponse = await this.client.generate({
-        model: this.ollamaModel,
+      const testResponse = await llmClient.generate({
+        task: this.llmTask,
         prompt: "Return only this JSON: {\"test\": \"success\"}",
-        stream: false,
-        options: { num_predict: 50 }
+        options: { maxTokens: 50 },
+        retries: 0
       });
 
       return {
         status: 'healthy',
-        model: this.ollamaModel,
-        host: this.ollamaHost,
+        ...this.getLlmInfo(),
         availableModels: connectionCheck.models,
-        testResponse: testResponse.response?.substring(0, 100),
-        responseTime: Date.now()
+        testResponse: testResponse.text.substring(0, 100),
+        responseTime: testResponse.latencyMs
       };
     } catch (error) {
       return {
         status: 'unhealthy',
-        model: this.ollamaModel,
-        host: this.ollamaHost,
+        ...this.getLlmInfo(),
         error: error.message,
         suggestion: this.getSuggestion(error)
       };
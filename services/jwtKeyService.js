@@ -0,0 +1,240 @@
+/**
+ * jwtKeyService.js
+ * @description :: keys signing and verifying the login JWTs. JWT_KEYS (or the JSON file at JWT_KEYS_FILE) lists
+ * the keys as [{kid, alg, secret | privateKey | privateKeyFile, publicKey | publicKeyFile, legacy}], alg being
+ * HS256, RS256 or ES256. JWT_ACTIVE_KID picks the signing key, the others only verify tokens so a key can be
+ * rotated without logging everyone out. Keys flagged legacy only verify, tokens signed without a kid included.
+ * Without JWT_KEYS tokens are signed with JWT.CLIENT_SECRET as before, outside production only.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  JWT, JWT_ALGORITHMS, JWT_LEGACY_KID
+} = require('../constants/authConstant');
+
+// key type and curve an asymmetric algorithm needs
+const ASYMMETRIC_KEY_TYPES = {
+  [JWT_ALGORITHMS.RS256]: { type: 'rsa' },
+  [JWT_ALGORITHMS.ES256]: {
+    type: 'ec',
+    namedCurve: 'prime256v1'
+  },
+};
+
+// PEM keys kept in a single line environment variable carry escaped line breaks
+const readPem = (value, file) => {
+  if (value) {
+    return value.replace(/\\n/g, '\n');
+  }
+  return file ? fs.readFileSync(file, 'utf8') : null;
+};
+
+const checkKeyType = (kid, alg, keyObject) => {
+  const expected = ASYMMETRIC_KEY_TYPES[alg];
+  if (keyObject.asymmetricKeyType !== expected.type) {
+    throw new Error(`JWT key ${kid}: ${alg} needs an ${expected.type.toUpperCase()} key, got ${keyObject.asymmetricKeyType}`);
+  }
+  const namedCurve = keyObject.asymmetricKeyDetails?.namedCurve;
+  if (expected.namedCurve && namedCurve && namedCurve !== expected.namedCurve) {
+    throw new Error(`JWT key ${kid}: ${alg} needs a P-256 key, got ${namedCurve}`);
+  }
+};
+
+/**
+ * @description : check one configured key and prepare its signing and verification material.
+ * @param {Object} config : {kid, alg, secret, privateKey, privateKeyFile, publicKey, publicKeyFile, legacy}
+ * @return {Object} : {kid, alg, legacy, signingKey, verifyKey, publicKey}, signingKey is null for verification-only keys.
+ */
+const buildKey = (config) => {
+  const {
+    kid, alg
+  } = config;
+  if (!kid) {
+    throw new Error('JWT key without kid');
+  }
+  if (!Object.values(JWT_ALGORITHMS).includes(alg)) {
+    throw new Error(`JWT key ${kid}: unsupported algorithm "${alg}", expected one of: ${Object.values(JWT_ALGORITHMS).join(', ')}`);
+  }
+  if (alg === JWT_ALGORITHMS.HS256) {
+    if (!config.secret) {
+      throw new Error(`JWT key ${kid}: HS256 needs a secret`);
+    }
+    return {
+      kid,
+      alg,
+      legacy: Boolean(config.legacy),
+      signingKey: config.secret,
+      verifyKey: config.secret,
+      publicKey: null
+    };
+  }
+
+  const privateKey = readPem(config.privateKey, config.privateKeyFile);
+  let publicKey = readPem(config.publicKey, config.publicKeyFile);
+  if (!privateKey && !publicKey) {
+    throw new Error(`JWT key ${kid}: ${alg} needs a private or a public key`);
+  }
+  if (privateKey) {
+    const privateKeyObject = crypto.createPrivateKey(privateKey);
+    checkKeyType(kid, alg, privateKeyObject);
+    publicKey = publicKey || crypto.createPublicKey(privateKeyObject).export({
+      type: 'spki',
+      format: 'pem'
+    });
+  }
+  checkKeyType(kid, alg, crypto.createPublicKey(publicKey));
+  return {
+    kid,
+    alg,
+    legacy: Boolean(config.legacy),
+    signingKey: privateKey,
+    verifyKey: publicKey,
+    publicKey
+  };
+};
+
+/**
+ * @description : load the signing and verification keys of an environment.
+ * @param {Object} env : environment to read the configuration from.
+ * @return {Object} : {keys, activeKey}
+ */
+const loadKeyStore = (env = process.env) => {
+  let configs;
+  const configured = Boolean(env.JWT_KEYS || env.JWT_KEYS_FILE);
+  if (configured) {
+    try {
+      configs = JSON.parse(env.JWT_KEYS || fs.readFileSync(env.JWT_KEYS_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JWT key configuration: ${error.message}`);
+    }
+    if (!Array.isArray(configs) || !configs.length) {
+      throw new Error('Invalid JWT key configuration: expected a non empty array of keys');
+    }
+  } else {
+    if (env.NODE_ENV === 'production') {
+      // the built-in secret is public, tokens signed with it could be forged by anyone
+      throw new Error('JWT_KEYS or JWT_KEYS_FILE must be set in production');
+    }
+    configs = [{
+      kid: JWT_LEGACY_KID,
+      alg: JWT_ALGORITHMS.HS256,
+      secret: JWT.CLIENT_SECRET,
+      legacy: true
+    }];
+  }
+
+  const keys = new Map();
+  configs.map(buildKey).forEach((key) => {
+    if (keys.has(key.kid)) {
+      throw new Error(`JWT key ${key.kid} is listed twice`);
+    }
+    keys.set(key.kid, key);
+  });
+  // legacy keys are kept to verify tokens issued before the migration, the built-in key aside
+  const signingKeys = [...keys.values()].filter((key) => key.signingKey && (!key.legacy || !configured));
+  const activeKey = env.JWT_ACTIVE_KID ? signingKeys.find((key) => key.kid === env.JWT_ACTIVE_KID) : signingKeys[0];
+  if (!activeKey) {
+    throw new Error(env.JWT_ACTIVE_KID
+      ? `JWT_ACTIVE_KID ${env.JWT_ACTIVE_KID} is not a configured non legacy key with a private key or secret`
+      : 'No JWT key can sign tokens, configure a non legacy key with a private key or a secret');
+  }
+  return {
+    keys,
+    activeKey
+  };
+};
+
+let keyStore;
+
+/**
+ * @description : keys of the process, loaded on first use
+ */
+const getKeyStore = () => {
+  if (!keyStore) {
+    keyStore = loadKeyStore();
+  }
+  return keyStore;
+};
+
+/**
+ * @description : sign a JWT with the active key, its kid goes in the header.
+ * @param {Object} payload : claims of the token.
+ * @param {Object} options : jsonwebtoken sign options, e.g. expiresIn.
+ * @return {string} : signed token.
+ */
+const signToken = (payload, options = {}) => {
+  const { activeKey } = getKeyStore();
+  return jwt.sign(payload, activeKey.signingKey, {
+    ...options,
+    algorithm: activeKey.alg,
+    keyid: activeKey.kid
+  });
+};
+
+/**
+ * @description : key verifying a token, picked by the kid of its header.
+ * The algorithm of the header must be the one of the key so a public key is never used as an HMAC secret.
+ * @param {string} token : raw JWT.
+ * @return {Object} : key, throws when no key matches.
+ */
+const getVerificationKey = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new Error('Malformed token');
+  }
+  const {
+    kid, alg
+  } = decoded.header;
+  const { keys } = getKeyStore();
+  const key = kid ? keys.get(kid) : [...keys.values()].find((candidate) => candidate.legacy && candidate.alg === alg);
+  if (!key) {
+    throw new Error(kid ? `Unknown signing key ${kid}` : 'Token without kid');
+  }
+  if (key.alg !== alg) {
+    throw new Error(`Token algorithm ${alg} does not match key ${key.kid}`);
+  }
+  return key;
+};
+
+/**
+ * @description : verify the signature and expiry of a token.
+ * @param {string} token : raw JWT.
+ * @return {Object} : payload, throws when the token is invalid.
+ */
+const verifyToken = (token) => {
+  const key = getVerificationKey(token);
+  return jwt.verify(token, key.verifyKey, { algorithms: [key.alg] });
+};
+
+/**
+ * @description : algorithms of the configured keys.
+ * @return {Array} : algorithm names.
+ */
+const getAlgorithms = () => [...new Set([...getKeyStore().keys.values()].map((key) => key.alg))];
+
+/**
+ * @description : public keys as a JSON Web Key Set, HS256 secrets are never published.
+ * @return {Object} : {keys}
+ */
+const getJwks = () => ({
+  keys: [...getKeyStore().keys.values()]
+    .filter((key) => key.publicKey)
+    .map((key) => ({
+      ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+});
+
+module.exports = {
+  loadKeyStore,
+  getKeyStore,
+  signToken,
+  getVerificationKey,
+  verifyToken,
+  getAlgorithms,
+  getJwks
+};
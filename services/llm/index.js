@@ -0,0 +1,330 @@
+/**
+ * index.js
+ * @description :: LLM client shared by every AI feature. The provider ('ollama' or 'openai' for any
+ * OpenAI-compatible server), model, timeout and retries are resolved per task from the environment:
+ * LLM_PROVIDER, LLM_BASE_URL, LLM_API_KEY, LLM_MODEL, LLM_TIMEOUT_MS and LLM_RETRIES set the defaults and
+ * LLM_<TASK>_PROVIDER, LLM_<TASK>_BASE_URL, LLM_<TASK>_MODEL, LLM_<TASK>_TIMEOUT_MS, LLM_<TASK>_RETRIES override them.
+ */
+
+const OllamaProvider = require('./ollamaProvider');
+const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+const {
+  LLM_PROVIDERS, LLM_DEFAULTS, LLM_TASK_OLLAMA_DEFAULTS, LLM_TASK_LEGACY_ENV, LLM_TASK_DEFAULTS
+} = require('../../constants/llmConstant');
+
+const PROVIDERS = {
+  [LLM_PROVIDERS.OLLAMA]: OllamaProvider,
+  [LLM_PROVIDERS.OPENAI]: OpenAiCompatibleProvider
+};
+
+const DEFAULT_BASE_URLS = {
+  [LLM_PROVIDERS.OLLAMA]: LLM_DEFAULTS.baseUrl,
+  [LLM_PROVIDERS.OPENAI]: 'https://api.openai.com/v1'
+};
+
+const LLM_ERROR_CODES = {
+  TIMEOUT: 'LLM_TIMEOUT',
+  CONNECTION: 'LLM_CONNECTION',
+  NOT_FOUND: 'LLM_NOT_FOUND',
+  UNAUTHORIZED: 'LLM_UNAUTHORIZED',
+  EMPTY_RESPONSE: 'LLM_EMPTY_RESPONSE',
+  PARSE: 'LLM_PARSE',
+  REQUEST: 'LLM_REQUEST'
+};
+
+const createError = (code, message, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toNumber = (value) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+// first of the values that is a number, so that an explicit 0 is kept
+const firstNumber = (...values) => values.map(toNumber).find((number) => number !== undefined);
+
+/**
+ * @description : parse the JSON payload of a model answer, tolerating code fences and surrounding prose
+ * @param {String} text : raw model output
+ * @param {String} expect : 'object' or 'array'
+ * @return {Object|Array} : parsed value
+ */
+const parseJson = (text, expect = 'object') => {
+  if (!text || typeof text !== 'string') {
+    throw createError(LLM_ERROR_CODES.PARSE, 'No JSON found in AI response');
+  }
+  const [open, close] = expect === 'array' ? ['[', ']'] : ['{', '}'];
+  const stripped = text.replace(/```(?:json)?/gi, '').trim();
+  const candidates = [stripped];
+
+  const start = stripped.indexOf(open);
+  const end = stripped.lastIndexOf(close);
+  if (start !== -1 && end > start) {
+    const extracted = stripped.slice(start, end + 1);
+    candidates.push(extracted);
+    // trailing commas and comments are the most common reasons a model answer is not valid JSON
+    candidates.push(extracted.replace(/\/\/[^\n"]*$/gm, '').replace(/,\s*([}\]])/g, '$1'));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      const isArray = Array.isArray(parsed);
+      if ((expect === 'array' && isArray) || (expect !== 'array' && parsed && typeof parsed === 'object' && !isArray)) {
+        return parsed;
+      }
+    } catch (error) {
+      // try the next candidate
+    }
+  }
+  throw createError(LLM_ERROR_CODES.PARSE, 'No JSON found in AI response');
+};
+
+/**
+ * @description : resolve provider, model and generation options for a task
+ * @param {String} task : one of LLM_TASKS
+ * @param {Object} env : environment to read the configuration from
+ * @return {Object} : task configuration
+ */
+const resolveTaskConfig = (task, env = process.env) => {
+  const prefix = task ? `LLM_${task.toUpperCase()}_` : null;
+  const fromTask = (name) => (prefix ? env[`${prefix}${name}`] : undefined);
+
+  const provider = fromTask('PROVIDER') || env.LLM_PROVIDER || LLM_DEFAULTS.provider;
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}", expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  // AI_GENERATE_URL, OLLAMA_HOST and OLLAMA_MODEL apply to the tasks that read them before providers were configurable
+  const legacyEnv = (provider === LLM_PROVIDERS.OLLAMA && LLM_TASK_LEGACY_ENV[task]) || {};
+  const fromLegacy = (names = []) => names.map((name) => env[name]).find(Boolean);
+  const legacyBaseUrl = fromLegacy(legacyEnv.baseUrl);
+  const legacyModel = fromLegacy(legacyEnv.model);
+  const taskDefaults = (provider === LLM_PROVIDERS.OLLAMA && LLM_TASK_OLLAMA_DEFAULTS[task]) || {};
+
+  let baseUrl = fromTask('BASE_URL') || env.LLM_BASE_URL || legacyBaseUrl || taskDefaults.baseUrl || DEFAULT_BASE_URLS[provider];
+  if (provider === LLM_PROVIDERS.OLLAMA) {
+    // AI_GENERATE_URL used to point at the generate endpoint itself
+    baseUrl = baseUrl.replace(/\/api\/generate\/?$/, '');
+  }
+
+  return {
+    task,
+    provider,
+    baseUrl: baseUrl.replace(/\/+$/, ''),
+    apiKey: fromTask('API_KEY') || env.LLM_API_KEY,
+    model: fromTask('MODEL') || env.LLM_MODEL || legacyModel || taskDefaults.model || LLM_DEFAULTS.model,
+    timeout: firstNumber(fromTask('TIMEOUT_MS'), env.LLM_TIMEOUT_MS) || LLM_DEFAULTS.timeout,
+    retries: Math.max(firstNumber(fromTask('RETRIES'), env.LLM_RETRIES, LLM_DEFAULTS.retries), 0),
+    options: { ...(LLM_TASK_DEFAULTS[task] || {}) }
+  };
+};
+
+/**
+ * @description : map a provider failure to an LLM error, flagging the ones worth retrying
+ */
+const normalizeError = (error, config) => {
+  if (error.code && Object.values(LLM_ERROR_CODES).includes(error.code)) {
+    return error;
+  }
+  const status = error.response && error.response.status;
+  const where = `${config.provider} at ${config.baseUrl}`;
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return createError(LLM_ERROR_CODES.TIMEOUT, `LLM request to ${where} timed out after ${config.timeout}ms`, { retryable: true });
+  }
+  if (['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EAI_AGAIN'].includes(error.code)) {
+    return createError(LLM_ERROR_CODES.CONNECTION, `Cannot connect to ${where} - is it running and accessible?`, { retryable: true });
+  }
+  if (status === 404) {
+    return createError(LLM_ERROR_CODES.NOT_FOUND, `LLM endpoint or model '${config.model}' not found on ${where}`, { status });
+  }
+  if (status === 401 || status === 403) {
+    return createError(LLM_ERROR_CODES.UNAUTHORIZED, `LLM request to ${where} was rejected, check LLM_API_KEY`, { status });
+  }
+  const detail = error.response && error.response.data && (error.response.data.error?.message || error.response.data.error);
+  return createError(LLM_ERROR_CODES.REQUEST, `LLM request to ${where} failed: ${detail || error.message}`, {
+    status,
+    retryable: !status || status === 429 || status >= 500
+  });
+};
+
+/**
+ * @description : create an LLM client bound to an environment
+ * @param {Object} env : environment to read the configuration from, defaults to process.env
+ * @return {Object} : client exposing getTaskConfig, describe, generate, generateJson, listModels, checkConnection and parseJson
+ */
+const createLlmClient = (env = process.env) => {
+  const providers = {};
+
+  const getProvider = (config) => {
+    const key = `${config.provider}|${config.baseUrl}|${config.apiKey || ''}`;
+    if (!providers[key]) {
+      const Provider = PROVIDERS[config.provider];
+      providers[key] = new Provider({
+        baseUrl: config.baseUrl,
+        apiKey: config.apiKey
+      });
+    }
+    return providers[key];
+  };
+
+  const getTaskConfig = (task) => resolveTaskConfig(task, env);
+
+  /**
+   * @description : provider, host and model used for a task, safe to return to clients
+   */
+  const describe = (task) => {
+    const config = getTaskConfig(task);
+    return {
+      provider: config.provider,
+      host: config.baseUrl,
+      model: config.model
+    };
+  };
+
+  /**
+   * @description : generate text for a task, retrying transient failures with exponential backoff
+   * @param {Object} request : task, prompt, optional system prompt, json flag and model/options overrides
+   * @return {Promise<Object>} : text, task, provider, model, options, attempts, latencyMs and usage
+   */
+  const generate = async ({
+    task, prompt, system, json = false, model, options = {}, timeout, retries
+  }) => {
+    const config = getTaskConfig(task);
+    if (model) {
+      config.model = model;
+    }
+    config.timeout = timeout || config.timeout;
+    config.retries = retries === undefined ? config.retries : retries;
+    const generationOptions = {
+      ...config.options,
+      ...options
+    };
+    const provider = getProvider(config);
+    const startedAt = Date.now();
+    let lastError;
+    let attempts = 0;
+
+    const maxAttempts = config.retries + 1;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      attempts = attempt;
+      try {
+        console.log(`🤖 [${task}] attempt ${attempt}/${maxAttempts} using ${config.provider} model ${config.model}`);
+        const result = await provider.generate({
+          model: config.model,
+          prompt,
+          system,
+          options: generationOptions,
+          json,
+          timeout: config.timeout
+        });
+        if (!result.text || !result.text.trim()) {
+          throw createError(LLM_ERROR_CODES.EMPTY_RESPONSE, `Empty response from ${config.provider}`, { retryable: true });
+        }
+        return {
+          text: result.text,
+          task,
+          provider: config.provider,
+          model: config.model,
+          options: generationOptions,
+          attempts: attempt,
+          latencyMs: Date.now() - startedAt,
+          usage: result.usage
+        };
+      } catch (error) {
+        lastError = normalizeError(error, config);
+        console.error(`❌ [${task}] attempt ${attempt} failed:`, lastError.message);
+        if (!lastError.retryable) {
+          break;
+        }
+        if (attempt < maxAttempts) {
+          await sleep(Math.pow(2, attempt) * LLM_DEFAULTS.retryDelay);
+        }
+      }
+    }
+
+    lastError.attempts = attempts;
+    lastError.latencyMs = Date.now() - startedAt;
+    throw lastError;
+  };
+
+  /**
+   * @description : generate and parse a JSON answer, on parse failure the error carries the raw text
+   * @param {Object} request : same as generate plus expect ('object' or 'array')
+   * @return {Promise<Object>} : generate result with the parsed value in data
+   */
+  const generateJson = async ({
+    expect = 'object', ...request
+  }) => {
+    // JSON mode on both providers constrains the answer to an object, arrays are parsed from free text
+    const result = await generate({
+      ...request,
+      json: expect !== 'array'
+    });
+    try {
+      return {
+        ...result,
+        data: parseJson(result.text, expect)
+      };
+    } catch (error) {
+      error.result = result;
+      throw error;
+    }
+  };
+
+  const listModels = async (task) => {
+    const config = getTaskConfig(task);
+    try {
+      return await getProvider(config).listModels({ timeout: 10000 });
+    } catch (error) {
+      throw normalizeError(error, config);
+    }
+  };
+
+  /**
+   * @description : check the provider of a task is reachable and list its models
+   */
+  const checkConnection = async (task) => {
+    const info = describe(task);
+    try {
+      const models = await listModels(task);
+      return {
+        ...info,
+        connected: true,
+        models,
+        modelAvailable: models.some(name => name === info.model || name.split(':')[0] === info.model)
+      };
+    } catch (error) {
+      return {
+        ...info,
+        connected: false,
+        error: error.message
+      };
+    }
+  };
+
+  return {
+    getTaskConfig,
+    describe,
+    generate,
+    generateJson,
+    listModels,
+    checkConnection,
+    parseJson
+  };
+};
+
+module.exports = {
+  llmClient: createLlmClient(),
+  createLlmClient,
+  resolveTaskConfig,
+  parseJson,
+  LLM_ERROR_CODES,
+  OllamaProvider,
+  OpenAiCompatibleProvider
+};
@@ -0,0 +1,82 @@
+/**
+ * ollamaProvider.js
+ * @description :: LLM provider talking to the Ollama /api/generate and /api/tags endpoints
+ */
+
+const axios = require('axios');
+const { LLM_PROVIDERS } = require('../../constants/llmConstant');
+
+class OllamaProvider {
+  constructor ({
+    baseUrl, apiKey
+  }) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.name = LLM_PROVIDERS.OLLAMA;
+  }
+
+  getHeaders () {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * run a single completion
+   * @param {Object} request : model, prompt, system, options, json and timeout
+   * @return {Promise<Object>} : generated text and token usage
+   */
+  async generate ({
+    model, prompt, system, options = {}, json, timeout
+  }) {
+    const body = {
+      model,
+      prompt,
+      stream: false,
+      options: {
+        temperature: options.temperature,
+        num_predict: options.maxTokens,
+        top_p: options.topP,
+        repeat_penalty: options.repeatPenalty,
+      }
+    };
+    if (system) {
+      body.system = system;
+    }
+    if (json) {
+      body.format = 'json';
+    }
+
+    const response = await axios.post(`${this.baseUrl}/api/generate`, body, {
+      headers: this.getHeaders(),
+      timeout
+    });
+
+    return {
+      text: response.data.response || '',
+      usage: {
+        promptTokens: response.data.prompt_eval_count,
+        completionTokens: response.data.eval_count
+      }
+    };
+  }
+
+  /**
+   * list the models available on the server
+   * @return {Promise<Array>} : model names
+   */
+  async listModels ({ timeout } = {}) {
+    const response = await axios.get(`${this.baseUrl}/api/tags`, {
+      headers: this.getHeaders(),
+      timeout
+    });
+    return (response.data.models || []).map(model => model.name);
+  }
+}
+
+module.exports = OllamaProvider;
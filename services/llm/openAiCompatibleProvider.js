@@ -0,0 +1,89 @@
+/**
+ * openAiCompatibleProvider.js
+ * @description :: LLM provider for any server exposing the OpenAI /chat/completions and /models endpoints
+ */
+
+const axios = require('axios');
+const { LLM_PROVIDERS } = require('../../constants/llmConstant');
+
+class OpenAiCompatibleProvider {
+  constructor ({
+    baseUrl, apiKey
+  }) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.name = LLM_PROVIDERS.OPENAI;
+  }
+
+  getHeaders () {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * run a single chat completion
+   * @param {Object} request : model, prompt, system, options, json and timeout
+   * @return {Promise<Object>} : generated text and token usage
+   */
+  async generate ({
+    model, prompt, system, options = {}, json, timeout
+  }) {
+    const messages = [];
+    if (system) {
+      messages.push({
+        role: 'system',
+        content: system
+      });
+    }
+    messages.push({
+      role: 'user',
+      content: prompt
+    });
+
+    const body = {
+      model,
+      messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      top_p: options.topP,
+    };
+    if (json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+      headers: this.getHeaders(),
+      timeout
+    });
+
+    const choice = response.data.choices && response.data.choices[0];
+    const usage = response.data.usage || {};
+    return {
+      text: (choice && choice.message && choice.message.content) || '',
+      usage: {
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens
+      }
+    };
+  }
+
+  /**
+   * list the models available on the server
+   * @return {Promise<Array>} : model ids
+   */
+  async listModels ({ timeout } = {}) {
+    const response = await axios.get(`${this.baseUrl}/models`, {
+      headers: this.getHeaders(),
+      timeout
+    });
+    return (response.data.data || []).map(model => model.id);
+  }
+}
+
+module.exports = OpenAiCompatibleProvider;
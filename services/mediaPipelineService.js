@@ -0,0 +1,438 @@
+/**
+ * mediaPipelineService.js
+ * @description :: pipeline started when an interview recording finishes uploading:
+ * audio extraction, transcription, then AI analysis of the response, with the status of each stage
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const S3Service = require('./s3Service');
+const VideoChunkService = require('./videoChunkService');
+const TranscriptionService = require('./transcriptionService');
+const MediaProcessingStatus = require('../model/mediaProcessingStatus');
+const Response = require('../model/response');
+const Application = require('../model/application');
+const Job = require('../model/job');
+const dbService = require('../utils/dbService');
+const mediaQueue = require('../queues/mediaQueue');
+const responseQueue = require('../queues/responseQueue');
+const { enqueueOnce } = require('../utils/queueUtils');
+const {
+  MEDIA_TYPES, MEDIA_STAGE_STATUS, TRANSCRIPTION_AUDIO
+} = require('../constants/mediaConstant');
+const {
+  MEDIA_QUEUE_JOBS, RESPONSE_QUEUE_JOBS, ANALYSIS_STATUS
+} = require('../constants/queueConstant');
+const { DEFAULT_TRANSCRIPT_SPEAKER } = require('../constants/transcriptionConstant');
+
+const s3Service = new S3Service();
+const videoChunkService = new VideoChunkService();
+const transcriptionService = new TranscriptionService();
+const tempDir = process.env.TEMP_DIR || './temp';
+
+const transcriptionJobId = (sessionId, questionId) => `${MEDIA_QUEUE_JOBS.TRANSCRIBE_RECORDING}:${sessionId}:${questionId}`;
+
+const recordingQuery = (sessionId, questionId, mediaType) => ({
+  application: sessionId,
+  question: questionId,
+  mediaType
+});
+
+/**
+ * @description : set the status of a pipeline stage, timestamps follow the status.
+ */
+const updateStage = (sessionId, questionId, mediaType, stage, status, error = null) => {
+  const update = {
+    [`stages.${stage}.status`]: status,
+    [`stages.${stage}.error`]: error
+  };
+  if (status === MEDIA_STAGE_STATUS.PROCESSING) {
+    update[`stages.${stage}.startedAt`] = new Date();
+  }
+  if (status === MEDIA_STAGE_STATUS.COMPLETED || status === MEDIA_STAGE_STATUS.FAILED) {
+    update[`stages.${stage}.completedAt`] = new Date();
+  }
+  return MediaProcessingStatus.findOneAndUpdate(recordingQuery(sessionId, questionId, mediaType), { $set: update }, { new: true });
+};
+
+/**
+ * @description : id of the question answered at questionNumber, taken from the response or the questions of the job.
+ */
+const resolveQuestionId = async (sessionId, questionNumber) => {
+  const number = parseInt(questionNumber);
+  if (!number) {
+    return null;
+  }
+  const response = await Response.findOne({
+    sessionId,
+    questionNumber: number,
+    isDeleted: false
+  }).select('question');
+  if (response && response.question) {
+    return response.question;
+  }
+  const application = await dbService.findOne(Application, { _id: sessionId });
+  // the job populated on applications does not carry its questions
+  const job = application && application.job ? await Job.findById(application.job._id).select('questions') : null;
+  const questions = job?.questions || [];
+  const question = questions[number - 1];
+  return question ? question._id || question : null;
+};
+
+/**
+ * @description : queue the transcription of an uploaded recording.
+ * @param {Object} params : {sessionId, questionId, questionNumber, mediaType, source}
+ * source is {key} for a single object or {chunkPrefix} for chunks, plus its contentType.
+ * @return {Object} : {success, data: {queued, questionId}} or {success:false, message}
+ */
+const queueTranscription = async ({
+  sessionId, questionId, questionNumber, mediaType, source
+}) => {
+  const resolvedQuestionId = questionId || await resolveQuestionId(sessionId, questionNumber);
+  if (!resolvedQuestionId) {
+    return {
+      success: false,
+      message: `Question ${questionNumber} of session ${sessionId} not found`
+    };
+  }
+  const type = mediaType === MEDIA_TYPES.AUDIO ? MEDIA_TYPES.AUDIO : MEDIA_TYPES.VIDEO;
+  const pending = { status: MEDIA_STAGE_STATUS.PENDING };
+
+  await MediaProcessingStatus.findOneAndUpdate(recordingQuery(sessionId, resolvedQuestionId, type), {
+    $set: {
+      source,
+      questionNumber: parseInt(questionNumber) || undefined,
+      'stages.audioExtraction': pending,
+      'stages.transcription': pending,
+      'stages.analysis': pending
+    },
+    $setOnInsert: {
+      isDeleted: false,
+      isActive: true
+    }
+  }, {
+    upsert: true,
+    setDefaultsOnInsert: true
+  });
+
+  const queued = await enqueueOnce(mediaQueue, MEDIA_QUEUE_JOBS.TRANSCRIBE_RECORDING, {
+    sessionId,
+    questionId: resolvedQuestionId,
+    mediaType: type
+  }, transcriptionJobId(sessionId, resolvedQuestionId));
+  return {
+    success: true,
+    data: {
+      queued,
+      questionId: resolvedQuestionId
+    }
+  };
+};
+
+/**
+ * @description : download the recording into the workspace and return the ffmpeg input reading it.
+ */
+const downloadSource = async (source, workDir) => {
+  if (source.key) {
+    const inputPath = path.join(workDir, `source${path.extname(source.key) || '.webm'}`);
+    const download = await s3Service.downloadToFile(source.key, inputPath);
+    if (!download.success) {
+      throw new Error(`Failed to download ${source.key}: ${download.error}`);
+    }
+    return {
+      path: inputPath,
+      options: []
+    };
+  }
+
+  const list = await s3Service.listObjects(source.chunkPrefix);
+  if (!list.success) {
+    throw new Error(`Failed to list chunks under ${source.chunkPrefix}: ${list.error}`);
+  }
+  const keys = list.data.objects.map((object) => object.Key).sort();
+  if (!keys.length) {
+    throw new Error(`No chunks found under ${source.chunkPrefix}`);
+  }
+  const chunkPaths = [];
+  for (const [index, key] of keys.entries()) {
+    const chunkPath = path.join(workDir, `chunk-${index.toString().padStart(4, '0')}`);
+    const download = await s3Service.downloadToFile(key, chunkPath);
+    if (!download.success) {
+      throw new Error(`Failed to download ${key}: ${download.error}`);
+    }
+    chunkPaths.push(chunkPath);
+  }
+  return videoChunkService.prepareConcatInput(chunkPaths, workDir);
+};
+
+const extractAudio = (input, outputPath) => new Promise((resolve, reject) => {
+  ffmpeg(input.path)
+    .inputOptions(input.options)
+    .outputOptions([
+      '-vn',
+      `-ac ${TRANSCRIPTION_AUDIO.CHANNELS}`,
+      `-ar ${TRANSCRIPTION_AUDIO.SAMPLE_RATE}`,
+      `-c:a ${TRANSCRIPTION_AUDIO.CODEC}`,
+      '-y'
+    ])
+    .output(outputPath)
+    .on('end', () => resolve())
+    .on('error', (error, stdout, stderr) => {
+      console.error('FFmpeg output:', stderr);
+      reject(new Error(`FFmpeg failed: ${error.message}`));
+    })
+    .run();
+});
+
+/**
+ * @description : keep the timestamps, text and speaker of the provider segments, unlabelled segments belong to the candidate.
+ */
+const toTranscriptSegments = (segments = []) => segments
+  .filter((segment) => segment.text)
+  .map((segment) => ({
+    start: segment.start,
+    end: segment.end,
+    text: segment.text,
+    speaker: segment.speaker || DEFAULT_TRANSCRIPT_SPEAKER,
+    confidence: typeof segment.confidence === 'number' ? segment.confidence : undefined
+  }));
+
+/**
+ * @description : queue the AI analysis of a response now that its transcript is known.
+ * @return {Boolean} : true when a job was added.
+ */
+const queueResponseAnalysis = async (responseId) => {
+  const queued = await enqueueOnce(responseQueue, RESPONSE_QUEUE_JOBS.ANALYZE_RESPONSE, { responseId }, `${RESPONSE_QUEUE_JOBS.ANALYZE_RESPONSE}:${responseId}`);
+  if (queued) {
+    await dbService.updateOne(Response, { _id: responseId }, {
+      analysisStatus: ANALYSIS_STATUS.PENDING,
+      analysisError: null
+    });
+  }
+  return queued;
+};
+
+/**
+ * @description : store the transcript on the response of the question and queue its analysis.
+ * Without a response yet, createInterviewResponse applies the transcript kept on the processing status.
+ * @return {Object|null} : response the transcript was written to.
+ */
+const applyTranscription = async (sessionId, questionId, mediaType, transcript) => {
+  const response = await Response.findOneAndUpdate({
+    sessionId,
+    question: questionId,
+    isDeleted: false
+  }, {
+    transcriptionText: transcript.transcriptionText,
+    transcriptSegments: transcript.transcriptSegments || [],
+    transcriptLanguage: transcript.transcriptLanguage,
+    mediaDuration: transcript.mediaDuration
+  }, { new: true });
+  if (!response) {
+    return null;
+  }
+  await queueResponseAnalysis(response._id);
+  await MediaProcessingStatus.updateOne(recordingQuery(sessionId, questionId, mediaType), {
+    $set: {
+      response: response._id,
+      'stages.analysis.status': MEDIA_STAGE_STATUS.PROCESSING,
+      'stages.analysis.startedAt': new Date()
+    }
+  });
+  return response;
+};
+
+/**
+ * @description : extract mono 16 kHz audio from a recording, transcribe it and hand it to the AI analysis, run by the media worker.
+ * @param {Object} params : {sessionId, questionId, mediaType}
+ * @return {Object} : {success, data} or {success:false, retryable, error}
+ */
+const transcribeRecording = async ({
+  sessionId, questionId, mediaType
+}) => {
+  const status = await MediaProcessingStatus.findOne(recordingQuery(sessionId, questionId, mediaType));
+  if (!status || !status.source || (!status.source.key && !status.source.chunkPrefix)) {
+    return {
+      success: false,
+      retryable: false,
+      error: 'No uploaded recording to transcribe'
+    };
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(tempDir, `transcription-${sessionId}-`));
+  let stage = 'audioExtraction';
+  try {
+    await updateStage(sessionId, questionId, mediaType, stage, MEDIA_STAGE_STATUS.PROCESSING);
+    const input = await downloadSource(status.source, workDir);
+    const audioPath = path.join(workDir, 'audio.wav');
+    await extractAudio(input, audioPath);
+    await updateStage(sessionId, questionId, mediaType, stage, MEDIA_STAGE_STATUS.COMPLETED);
+
+    stage = 'transcription';
+    await updateStage(sessionId, questionId, mediaType, stage, MEDIA_STAGE_STATUS.PROCESSING);
+    const audioBuffer = await fs.promises.readFile(audioPath);
+    const application = await dbService.findOne(Application, { _id: sessionId });
+    const result = await transcriptionService.processAudioTranscription(audioBuffer, {
+      mimeType: TRANSCRIPTION_AUDIO.CONTENT_TYPE,
+      workspaceId: application?.job?.workspace
+    });
+    if (!result.success) {
+      throw new Error(`Transcription failed: ${result.error}`);
+    }
+    const transcript = {
+      transcriptionText: result.raw.transcription,
+      transcriptSegments: toTranscriptSegments(result.raw.segments),
+      transcriptLanguage: result.raw.language,
+      mediaDuration: result.raw.duration
+    };
+    await MediaProcessingStatus.updateOne(recordingQuery(sessionId, questionId, mediaType), {
+      $set: {
+        ...transcript,
+        'stages.transcription.status': MEDIA_STAGE_STATUS.COMPLETED,
+        'stages.transcription.error': null,
+        'stages.transcription.completedAt': new Date()
+      }
+    });
+
+    stage = 'analysis';
+    const response = await applyTranscription(sessionId, questionId, mediaType, transcript);
+    return {
+      success: true,
+      data: {
+        sessionId,
+        questionId,
+        responseId: response ? response._id : null,
+        characters: transcript.transcriptionText.length,
+        segments: transcript.transcriptSegments.length
+      }
+    };
+  } catch (error) {
+    console.error(`Transcription pipeline error (${stage}):`, error);
+    await updateStage(sessionId, questionId, mediaType, stage, MEDIA_STAGE_STATUS.FAILED, error.message);
+    return {
+      success: false,
+      retryable: true,
+      error: error.message
+    };
+  } finally {
+    await fs.promises.rm(workDir, {
+      recursive: true,
+      force: true
+    });
+  }
+};
+
+/**
+ * @description : apply the automatic transcript of a recording to a response saved after the transcription ended,
+ * and tell whether the transcription is still running so the analysis waits for it.
+ * @param {Object} response : created response document.
+ * @return {Object} : {transcriptionPending, analysisQueued}
+ */
+const applyTranscriptionToNewResponse = async (response) => {
+  if (!response.question) {
+    return {
+      transcriptionPending: false,
+      analysisQueued: false
+    };
+  }
+  const statuses = await MediaProcessingStatus.find({
+    application: response.sessionId,
+    question: response.question,
+    'stages.transcription.status': { $exists: true }
+  });
+  const transcribed = statuses.find((status) => status.stages.transcription.status === MEDIA_STAGE_STATUS.COMPLETED && status.transcriptionText);
+  if (transcribed) {
+    await applyTranscription(response.sessionId, response.question, transcribed.mediaType, transcribed);
+    return {
+      transcriptionPending: false,
+      analysisQueued: true
+    };
+  }
+  return {
+    transcriptionPending: statuses.some((status) => [MEDIA_STAGE_STATUS.PENDING, MEDIA_STAGE_STATUS.PROCESSING].includes(status.stages.transcription.status)),
+    analysisQueued: false
+  };
+};
+
+const formatStage = (stage) => (stage && stage.status ? {
+  status: stage.status,
+  error: stage.error || null,
+  startedAt: stage.startedAt || null,
+  completedAt: stage.completedAt || null
+} : null);
+
+/**
+ * @description : processing status of every recording of an interview session of the workspace,
+ * the analysis stage reports the live analysis status of the response.
+ * @param {Object} params : {applicationId, workspaceId}
+ * @return {Array|null} : recordings in question order, null when the application is not in the workspace.
+ */
+const getApplicationProcessing = async ({
+  applicationId, workspaceId
+}) => {
+  const application = await dbService.findOne(Application, {
+    _id: applicationId,
+    isDeleted: false
+  });
+  const jobId = application && (application.job?._id || application.job);
+  const job = jobId ? await dbService.findOne(Job, {
+    _id: jobId,
+    workspace: workspaceId
+  }) : null;
+  if (!job) {
+    return null;
+  }
+
+  const statuses = await MediaProcessingStatus.find({
+    application: application._id,
+    isDeleted: false
+  }).sort({ questionNumber: 1 });
+  const responses = await Response.find({
+    sessionId: application._id,
+    isDeleted: false
+  }).select('question questionNumber analysisStatus analysisError analyzedAt');
+
+  return statuses.map((status) => {
+    const response = responses.find((item) => (status.response && item._id.equals(status.response))
+      || (status.question && item.question && item.question.equals(status.question)));
+    const analysis = formatStage(status.stages?.analysis);
+    if (analysis && response && response.analysisStatus) {
+      // ANALYSIS_STATUS shares its values with MEDIA_STAGE_STATUS
+      analysis.status = response.analysisStatus;
+      analysis.error = response.analysisError || null;
+      analysis.completedAt = response.analyzedAt || null;
+    }
+    return {
+      id: status._id,
+      questionId: status.question,
+      questionNumber: status.questionNumber || response?.questionNumber || null,
+      responseId: response ? response._id : null,
+      mediaType: status.mediaType,
+      upload: {
+        status: status.status,
+        receivedChunks: status.receivedChunks,
+        totalChunks: status.totalChunks || null,
+        error: status.error || null
+      },
+      stages: {
+        audioExtraction: formatStage(status.stages?.audioExtraction),
+        transcription: formatStage(status.stages?.transcription),
+        analysis,
+        playback: status.playback?.status ? {
+          status: status.playback.status,
+          error: status.playback.error || null,
+          completedAt: status.playback.processedAt || null
+        } : null
+      },
+      updatedAt: status.updatedAt
+    };
+  });
+};
+
+module.exports = {
+  queueTranscription,
+  transcribeRecording,
+  applyTranscriptionToNewResponse,
+  getApplicationProcessing
+};
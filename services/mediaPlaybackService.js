@@ -0,0 +1,484 @@
+/**
+ * mediaPlaybackService.js
+ * @description :: HLS renditions, poster and scrubbing sprite of interview recordings, and the signed links to play them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const S3Service = require('./s3Service');
+const reviewService = require('./reviewService');
+const MediaProcessingStatus = require('../model/mediaProcessingStatus');
+const Response = require('../model/response');
+const Application = require('../model/application');
+const Job = require('../model/job');
+const dbService = require('../utils/dbService');
+const mediaQueue = require('../queues/mediaQueue');
+const { enqueueOnce } = require('../utils/queueUtils');
+const {
+  createMediaToken, verifyMediaToken
+} = require('../utils/mediaToken');
+const {
+  MEDIA_TYPES, MEDIA_STAGE_STATUS, VIDEO_ASSEMBLY, HLS_RENDITIONS, HLS_SEGMENT_SECONDS,
+  PLAYBACK_THUMBNAILS, PLAYBACK_URL_EXPIRY, MEDIA_CONTENT_TYPES
+} = require('../constants/mediaConstant');
+const { MEDIA_QUEUE_JOBS } = require('../constants/queueConstant');
+
+const s3Service = new S3Service();
+const tempDir = process.env.TEMP_DIR || './temp';
+
+const MASTER_PLAYLIST = 'master.m3u8';
+const PLAYLIST_NAME = /^[\w-]+\.m3u8$/;
+
+const recordingQuery = (sessionId, questionId) => ({
+  application: sessionId,
+  question: questionId || null,
+  mediaType: MEDIA_TYPES.VIDEO
+});
+
+const playbackJobId = (sessionId, questionId) => `${MEDIA_QUEUE_JOBS.GENERATE_PLAYBACK}:${sessionId}:${questionId || 'none'}`;
+
+/**
+ * @description : set playback fields of a recording, creating its processing status when needed.
+ * @return {Object} : updated mediaProcessingStatus.
+ */
+const updatePlayback = async (sessionId, questionId, fields) => {
+  const update = {};
+  Object.keys(fields).forEach((field) => {
+    update[`playback.${field}`] = fields[field];
+  });
+  return MediaProcessingStatus.findOneAndUpdate(recordingQuery(sessionId, questionId), {
+    $set: update,
+    $setOnInsert: {
+      isDeleted: false,
+      isActive: true
+    }
+  }, {
+    upsert: true,
+    new: true,
+    setDefaultsOnInsert: true
+  });
+};
+
+/**
+ * @description : queue the playback generation of a recording unless it is already queued.
+ * @param {string} sessionId : id of the application.
+ * @param {string} questionId : id of the question.
+ * @return {Boolean} : true when a job was added.
+ */
+const queuePlayback = async (sessionId, questionId) => {
+  const queued = await enqueueOnce(mediaQueue, MEDIA_QUEUE_JOBS.GENERATE_PLAYBACK, {
+    sessionId,
+    questionId
+  }, playbackJobId(sessionId, questionId));
+  if (queued) {
+    await updatePlayback(sessionId, questionId, {
+      status: MEDIA_STAGE_STATUS.PENDING,
+      error: null
+    });
+  }
+  return queued;
+};
+
+const runFfmpeg = (command) => new Promise((resolve, reject) => {
+  command
+    .on('end', () => resolve())
+    .on('error', (error, stdout, stderr) => {
+      console.error('FFmpeg output:', stderr);
+      reject(new Error(`FFmpeg failed: ${error.message}`));
+    })
+    .run();
+});
+
+const probeVideo = (filePath) => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(filePath, (error, metadata) => {
+    if (error) {
+      return reject(new Error(`FFprobe failed: ${error.message}`));
+    }
+    const video = metadata.streams.find((stream) => stream.codec_type === 'video');
+    const duration = parseFloat(metadata.format.duration);
+    resolve({
+      hasVideo: Boolean(video),
+      hasAudio: metadata.streams.some((stream) => stream.codec_type === 'audio'),
+      width: video ? video.width : null,
+      height: video ? video.height : null,
+      // MediaRecorder WebM files often carry no duration
+      duration: Number.isFinite(duration) ? duration : null
+    });
+  });
+});
+
+const scaledWidth = (height, source) => Math.round(height * source.width / source.height / 2) * 2;
+
+const transcodeRendition = (inputPath, workDir, rendition, source) => {
+  const audioOptions = source.hasAudio
+    ? ['-c:a aac', `-b:a ${rendition.audioBitrate}k`, '-ac 2']
+    : ['-an'];
+  return runFfmpeg(ffmpeg(inputPath)
+    .outputOptions([
+      `-vf scale=-2:${rendition.height}`,
+      '-c:v libx264',
+      `-preset ${VIDEO_ASSEMBLY.PRESET}`,
+      '-pix_fmt yuv420p',
+      `-b:v ${rendition.videoBitrate}k`,
+      `-maxrate ${Math.round(rendition.videoBitrate * 1.1)}k`,
+      `-bufsize ${rendition.videoBitrate * 2}k`,
+      // keyframes on segment boundaries so players can switch renditions between segments
+      `-force_key_frames expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+      '-sc_threshold 0',
+      ...audioOptions,
+      '-f hls',
+      `-hls_time ${HLS_SEGMENT_SECONDS}`,
+      '-hls_playlist_type vod',
+      `-hls_segment_filename ${path.join(workDir, `${rendition.name}_%03d.ts`)}`
+    ])
+    .output(path.join(workDir, `${rendition.name}.m3u8`)));
+};
+
+const writeMasterPlaylist = async (workDir, renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  renditions.forEach((rendition) => {
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`);
+    lines.push(`${rendition.name}.m3u8`);
+  });
+  await fs.promises.writeFile(path.join(workDir, MASTER_PLAYLIST), `${lines.join('\n')}\n`);
+};
+
+const createPoster = (inputPath, workDir, source) => runFfmpeg(ffmpeg(inputPath)
+  .seekInput(source.duration ? Math.min(1, source.duration / 2) : 0)
+  .outputOptions([
+    '-frames:v 1',
+    `-vf scale=${PLAYBACK_THUMBNAILS.POSTER_WIDTH}:-2`,
+    '-q:v 3'
+  ])
+  .output(path.join(workDir, 'poster.jpg')));
+
+/**
+ * @description : tile thumbnails taken every interval seconds into one image for scrubbing previews.
+ * @return {Object|null} : sprite layout, null when the duration of the video is unknown.
+ */
+const createSprite = async (inputPath, workDir, source) => {
+  if (!source.duration) {
+    return null;
+  }
+  const interval = Math.max(PLAYBACK_THUMBNAILS.SPRITE_MIN_INTERVAL, Math.ceil(source.duration / PLAYBACK_THUMBNAILS.SPRITE_MAX_THUMBS));
+  const count = Math.max(1, Math.ceil(source.duration / interval));
+  const columns = Math.min(PLAYBACK_THUMBNAILS.SPRITE_COLUMNS, count);
+  const rows = Math.ceil(count / columns);
+  const thumbWidth = PLAYBACK_THUMBNAILS.SPRITE_THUMB_WIDTH;
+  await runFfmpeg(ffmpeg(inputPath)
+    .outputOptions([
+      `-vf fps=1/${interval},scale=${thumbWidth}:-2,tile=${columns}x${rows}`,
+      '-frames:v 1',
+      '-q:v 4'
+    ])
+    .output(path.join(workDir, 'sprite.jpg')));
+  return {
+    interval,
+    columns,
+    rows,
+    count,
+    thumbWidth,
+    thumbHeight: Math.round(thumbWidth * source.height / source.width / 2) * 2
+  };
+};
+
+/**
+ * @description : generate and upload the HLS renditions, poster and sprite of a recording, run by the media worker.
+ * The assembled MP4 is used when there is one, the video stored on the response otherwise.
+ * @param {string} sessionId : id of the application.
+ * @param {string} questionId : id of the question.
+ * @return {Object} : {success, data} or {success:false, retryable, error}
+ */
+const generatePlayback = async (sessionId, questionId) => {
+  const status = await MediaProcessingStatus.findOne(recordingQuery(sessionId, questionId));
+  let sourceKey = status && status.videoKey;
+  if (!sourceKey) {
+    const response = await Response.findOne({
+      sessionId,
+      question: questionId || null,
+      isDeleted: false
+    });
+    sourceKey = s3Service.getKeyFromUrl(response && response.responseVideoUrl);
+  }
+  if (!sourceKey) {
+    const error = 'No video recorded for this question';
+    await updatePlayback(sessionId, questionId, {
+      status: MEDIA_STAGE_STATUS.FAILED,
+      error
+    });
+    return {
+      success: false,
+      retryable: false,
+      error
+    };
+  }
+
+  const processingStatus = await updatePlayback(sessionId, questionId, {
+    status: MEDIA_STAGE_STATUS.PROCESSING,
+    sourceKey,
+    error: null
+  });
+  const prefix = `interviews/playback/${sessionId}/${processingStatus._id}`;
+  const workDir = await fs.promises.mkdtemp(path.join(tempDir, `playback-${sessionId}-`));
+  const sourceName = `source${path.extname(sourceKey) || '.webm'}`;
+  const inputPath = path.join(workDir, sourceName);
+
+  try {
+    const download = await s3Service.downloadToFile(sourceKey, inputPath);
+    if (!download.success) {
+      throw new Error(`Failed to download ${sourceKey}: ${download.error}`);
+    }
+    const source = await probeVideo(inputPath);
+    if (!source.hasVideo) {
+      const error = 'The recording has no video stream';
+      await updatePlayback(sessionId, questionId, {
+        status: MEDIA_STAGE_STATUS.FAILED,
+        error
+      });
+      return {
+        success: false,
+        retryable: false,
+        error
+      };
+    }
+
+    let selected = HLS_RENDITIONS.filter((rendition) => rendition.height <= source.height);
+    if (!selected.length) {
+      selected = [HLS_RENDITIONS[0]];
+    }
+    const renditions = [];
+    for (const rendition of selected) {
+      await transcodeRendition(inputPath, workDir, rendition, source);
+      renditions.push({
+        name: rendition.name,
+        width: scaledWidth(rendition.height, source),
+        height: rendition.height,
+        bandwidth: Math.round((rendition.videoBitrate + (source.hasAudio ? rendition.audioBitrate : 0)) * 1100),
+        playlistKey: `${prefix}/${rendition.name}.m3u8`
+      });
+    }
+    await writeMasterPlaylist(workDir, renditions);
+    await createPoster(inputPath, workDir, source);
+    const sprite = await createSprite(inputPath, workDir, source);
+
+    const files = (await fs.promises.readdir(workDir)).filter((file) => file !== sourceName);
+    for (const file of files) {
+      const upload = await s3Service.uploadLocalFile(path.join(workDir, file), `${prefix}/${file}`, { contentType: MEDIA_CONTENT_TYPES[path.extname(file)] });
+      if (!upload.success) {
+        throw new Error(`Failed to upload ${file}: ${upload.error}`);
+      }
+    }
+
+    await updatePlayback(sessionId, questionId, {
+      status: MEDIA_STAGE_STATUS.COMPLETED,
+      prefix,
+      masterPlaylistKey: `${prefix}/${MASTER_PLAYLIST}`,
+      renditions,
+      posterKey: `${prefix}/poster.jpg`,
+      sprite: sprite ? {
+        key: `${prefix}/sprite.jpg`,
+        ...sprite
+      } : null,
+      duration: source.duration,
+      processedAt: new Date()
+    });
+    return {
+      success: true,
+      data: {
+        sessionId,
+        questionId,
+        masterPlaylistKey: `${prefix}/${MASTER_PLAYLIST}`,
+        renditions: renditions.map((rendition) => rendition.name)
+      }
+    };
+  } catch (error) {
+    console.error('Playback generation error:', error);
+    await updatePlayback(sessionId, questionId, {
+      status: MEDIA_STAGE_STATUS.FAILED,
+      error: error.message
+    });
+    return {
+      success: false,
+      retryable: true,
+      error: error.message
+    };
+  } finally {
+    await fs.promises.rm(workDir, {
+      recursive: true,
+      force: true
+    });
+  }
+};
+
+/**
+ * @description : playback links of a processed recording, the master playlist link carries a token
+ * so players can fetch playlists without the login header.
+ */
+const buildPlaybackLinks = async (playback, baseUrl) => {
+  const {
+    token, expiresAt
+  } = createMediaToken({ prefix: playback.prefix }, PLAYBACK_URL_EXPIRY);
+  return {
+    masterPlaylistUrl: `${baseUrl}/client/api/v1/playback/hls/${token}/${MASTER_PLAYLIST}`,
+    posterUrl: playback.posterKey ? await s3Service.generateSignedUrl(playback.posterKey, PLAYBACK_URL_EXPIRY) : null,
+    sprite: playback.sprite && playback.sprite.key ? {
+      url: await s3Service.generateSignedUrl(playback.sprite.key, PLAYBACK_URL_EXPIRY),
+      interval: playback.sprite.interval,
+      columns: playback.sprite.columns,
+      rows: playback.sprite.rows,
+      count: playback.sprite.count,
+      thumbWidth: playback.sprite.thumbWidth,
+      thumbHeight: playback.sprite.thumbHeight
+    } : null,
+    renditions: playback.renditions.map((rendition) => ({
+      name: rendition.name,
+      width: rendition.width,
+      height: rendition.height,
+      bandwidth: rendition.bandwidth
+    })),
+    duration: playback.duration,
+    expiresAt
+  };
+};
+
+/**
+ * @description : playback of the recording of a response, queueing its generation when it was never run.
+ */
+const getPlaybackOfResponse = async (response, baseUrl) => {
+  const sessionId = response.sessionId;
+  const questionId = response.question || null;
+  const status = await MediaProcessingStatus.findOne(recordingQuery(sessionId, questionId));
+  const playback = status && status.playback && status.playback.status ? status.playback : null;
+  const hasVideo = Boolean(response.responseVideoUrl || (status && status.videoKey));
+
+  const result = {
+    responseId: response._id,
+    sessionId,
+    questionId,
+    questionNumber: response.questionNumber,
+    hasVideo,
+    status: playback ? playback.status : null,
+    error: playback ? playback.error : null
+  };
+  if (playback && playback.status === MEDIA_STAGE_STATUS.COMPLETED) {
+    return {
+      ...result,
+      ...await buildPlaybackLinks(playback, baseUrl)
+    };
+  }
+  if (hasVideo && !playback) {
+    await queuePlayback(sessionId, questionId);
+    result.status = MEDIA_STAGE_STATUS.PENDING;
+  }
+  return result;
+};
+
+/**
+ * @description : playback of a response of the workspace.
+ * @param {Object} params : {responseId, workspaceId, baseUrl}
+ * @return {Object|null} : playback links, or the processing status while renditions are generated.
+ */
+const getResponsePlayback = async ({
+  responseId, workspaceId, baseUrl
+}) => {
+  const response = await reviewService.findWorkspaceResponse({
+    responseId,
+    workspaceId
+  });
+  if (!response) {
+    return null;
+  }
+  return getPlaybackOfResponse(response, baseUrl);
+};
+
+/**
+ * @description : playback of every response of an interview session of the workspace, in question order.
+ * @param {Object} params : {sessionId, workspaceId, baseUrl}
+ * @return {Object|null} : {sessionId, responses}
+ */
+const getSessionPlayback = async ({
+  sessionId, workspaceId, baseUrl
+}) => {
+  const application = await dbService.findOne(Application, {
+    _id: sessionId,
+    isDeleted: false
+  });
+  const jobId = application && (application.job?._id || application.job);
+  const job = jobId ? await dbService.findOne(Job, {
+    _id: jobId,
+    workspace: workspaceId
+  }) : null;
+  if (!job) {
+    return null;
+  }
+
+  const responses = await Response.find({
+    sessionId: application._id,
+    isDeleted: false
+  }).sort({ questionNumber: 1 });
+  const playbacks = [];
+  for (const response of responses) {
+    playbacks.push(await getPlaybackOfResponse(response, baseUrl));
+  }
+  return {
+    sessionId: application._id,
+    responses: playbacks
+  };
+};
+
+/**
+ * @description : playlist of a playback token with its segments signed for the rest of the token lifetime.
+ * Rendition playlists stay relative so they are requested with the same token.
+ * @param {string} token : playback token of the master playlist link.
+ * @param {string} fileName : playlist file name.
+ * @return {Object} : {success, data: {body}} or {success:false, code, message}
+ */
+const getHlsPlaylist = async (token, fileName) => {
+  const payload = verifyMediaToken(token);
+  if (!payload || !payload.prefix) {
+    return {
+      success: false,
+      code: 401,
+      message: 'Playback link is invalid or expired'
+    };
+  }
+  if (!PLAYLIST_NAME.test(fileName)) {
+    return {
+      success: false,
+      code: 404,
+      message: 'Playlist not found'
+    };
+  }
+  const playlist = await s3Service.getObjectContent(`${payload.prefix}/${fileName}`);
+  if (!playlist.success) {
+    return {
+      success: false,
+      code: 404,
+      message: 'Playlist not found'
+    };
+  }
+
+  const expiresIn = Math.max(60, Math.floor(payload.exp - Date.now() / 1000));
+  const lines = [];
+  for (const line of playlist.data.body.split('\n')) {
+    const entry = line.trim();
+    if (!entry || entry.startsWith('#') || entry.endsWith('.m3u8')) {
+      lines.push(line);
+    } else {
+      lines.push(await s3Service.generateSignedUrl(`${payload.prefix}/${entry}`, expiresIn));
+    }
+  }
+  return {
+    success: true,
+    data: { body: lines.join('\n') }
+  };
+};
+
+module.exports = {
+  queuePlayback,
+  generatePlayback,
+  getResponsePlayback,
+  getSessionPlayback,
+  getHlsPlaylist
+};
@@ -0,0 +1,506 @@
+/**
+ * mediaRetentionService.js
+ * @description :: retention policy of candidate media: deletes the recordings and uploaded files of applications
+ * past the retention settings of their workspace, with a dry-run report and a legal hold per application
+ */
+
+const Workspace = require('../model/workspace');
+const Application = require('../model/application');
+const Response = require('../model/response');
+const MediaProcessingStatus = require('../model/mediaProcessingStatus');
+const Job = require('../model/job');
+const dbService = require('../utils/dbService');
+const { getStorage } = require('./storage');
+const { getPipelineStages } = require('./pipelineService');
+const { REJECTED_STAGE } = require('../constants/pipelineConstant');
+const { MEDIA_RETENTION_PURGE } = require('../constants/queueConstant');
+
+const PURGE_REASONS = {
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const LIST_PAGE_SIZE = 1000;
+
+// folders holding the media of an interview session, the session id is the application id
+const sessionPrefixes = (applicationId) => [
+  `video-chunks/${applicationId}/`,
+  `interviews/${applicationId}/`,
+  `interviews/videos/${applicationId}/`,
+  `interviews/playback/${applicationId}/`
+];
+
+// video assembled by the legacy merge endpoint
+const sessionKeys = (applicationId) => [`interviews/${applicationId}_interview.mp4`];
+
+const refId = (value) => (value && value._id ? value._id : value);
+
+const getWorkspaceJobIds = async (workspaceId) => {
+  const jobs = await Job.find({ workspace: workspaceId }).select('_id').lean();
+  return jobs.map((job) => job._id);
+};
+
+/**
+ * @description : media retention settings of a workspace.
+ * @param {string} workspaceId : id of the workspace.
+ * @return {Object|null} : {enabled, rejectedAfterDays, allAfterMonths}, null when the workspace does not exist.
+ */
+const getRetentionSettings = async (workspaceId) => {
+  const workspace = await dbService.findOne(Workspace, { _id: workspaceId });
+  if (!workspace) {
+    return null;
+  }
+  const retention = workspace.mediaRetention || {};
+  return {
+    enabled: Boolean(retention.enabled),
+    rejectedAfterDays: retention.rejectedAfterDays || null,
+    allAfterMonths: retention.allAfterMonths || null
+  };
+};
+
+/**
+ * @description : update the media retention settings of a workspace, null periods are removed.
+ * @param {Object} params : {workspaceId, settings, userId}
+ * @return {Object} : {success, data} or {success:false, code, message}
+ */
+const updateRetentionSettings = async ({
+  workspaceId, settings, userId
+}) => {
+  const update = {
+    $set: { updatedBy: userId },
+    $unset: {}
+  };
+  ['enabled', 'rejectedAfterDays', 'allAfterMonths'].forEach((field) => {
+    if (settings[field] === undefined) {
+      return;
+    }
+    if (settings[field] === null) {
+      update.$unset[`mediaRetention.${field}`] = '';
+    } else {
+      update.$set[`mediaRetention.${field}`] = settings[field];
+    }
+  });
+  const workspace = await Workspace.findOneAndUpdate({ _id: workspaceId }, update, {
+    new: true,
+    runValidators: true
+  });
+  if (!workspace) {
+    return {
+      success: false,
+      code: 404,
+      message: 'Workspace not found'
+    };
+  }
+  return {
+    success: true,
+    data: await getRetentionSettings(workspaceId)
+  };
+};
+
+/**
+ * @description : put an application on legal hold or release it, media of held applications is never purged.
+ * @param {Object} params : {applicationId, workspaceId, active, reason, userId}
+ * @return {Object} : {success, data} or {success:false, code, message}
+ */
+const setLegalHold = async ({
+  applicationId, workspaceId, active, reason, userId
+}) => {
+  const jobIds = await getWorkspaceJobIds(workspaceId);
+  const application = await Application.findOneAndUpdate({
+    _id: applicationId,
+    job: { $in: jobIds }
+  }, {
+    legalHold: {
+      active,
+      reason: active ? reason : undefined,
+      setBy: userId,
+      setAt: new Date()
+    },
+    updatedBy: userId
+  }, { new: true });
+  if (!application) {
+    return {
+      success: false,
+      code: 404,
+      message: 'Application not found'
+    };
+  }
+  return {
+    success: true,
+    data: {
+      applicationId: application._id,
+      legalHold: application.legalHold,
+      mediaPurgedAt: application.mediaPurgedAt || null
+    }
+  };
+};
+
+/**
+ * @description : stages of the pipeline of a workspace that reject applications: the default rejected stage,
+ * or the terminal stages asking for a reason in pipelines that renamed it.
+ * @param {string} workspaceId : id of the workspace.
+ * @return {Array} : stage keys.
+ */
+const getRejectedStages = async (workspaceId) => {
+  const stages = await getPipelineStages(workspaceId);
+  return stages
+    .filter((stage) => stage.key === REJECTED_STAGE || (stage.isTerminal && stage.requireReason))
+    .map((stage) => stage.key);
+};
+
+/**
+ * @description : date the application was last moved to one of the rejected stages.
+ */
+const getRejectedAt = (application, rejectedStages) => {
+  const rejections = (application.stageHistory || []).filter((entry) => rejectedStages.includes(entry.toStage) && entry.movedAt);
+  return rejections.length ? new Date(Math.max(...rejections.map((entry) => new Date(entry.movedAt).getTime()))) : null;
+};
+
+/**
+ * @description : applications of a workspace whose media is past the retention settings, held and purged ones excluded.
+ * Rejected applications come first, at most `limit` applications are returned.
+ * @param {Object} params : {workspaceId, settings, limit, now}
+ * @return {Array} : [{application, reason, since}]
+ */
+const findExpiredApplications = async ({
+  workspaceId, settings, limit = MEDIA_RETENTION_PURGE.BATCH_SIZE, now = new Date()
+}) => {
+  const jobIds = await getWorkspaceJobIds(workspaceId);
+  if (!jobIds.length) {
+    return [];
+  }
+  const baseQuery = {
+    job: { $in: jobIds },
+    'legalHold.active': { $ne: true },
+    mediaPurgedAt: null
+  };
+  const fields = 'candidate job pipelineStage stageHistory completedAt createdAt preRequisiteQuestions';
+  const expired = [];
+
+  const rejectedStages = settings.rejectedAfterDays ? await getRejectedStages(workspaceId) : [];
+  if (rejectedStages.length) {
+    const cutoff = new Date(now.getTime() - settings.rejectedAfterDays * DAY);
+    const rejected = await Application.find({
+      ...baseQuery,
+      pipelineStage: { $in: rejectedStages },
+      stageHistory: {
+        $elemMatch: {
+          toStage: { $in: rejectedStages },
+          movedAt: { $lte: cutoff }
+        }
+      }
+    })
+      .select(fields)
+      .limit(limit)
+      .lean();
+    rejected.forEach((application) => {
+      // a candidate rejected again after being moved back only counts from the last rejection
+      const rejectedAt = getRejectedAt(application, rejectedStages);
+      if (rejectedAt && rejectedAt <= cutoff) {
+        expired.push({
+          application,
+          reason: PURGE_REASONS.REJECTED,
+          since: rejectedAt
+        });
+      }
+    });
+  }
+
+  if (settings.allAfterMonths && expired.length < limit) {
+    const cutoff = new Date(now);
+    cutoff.setMonth(cutoff.getMonth() - settings.allAfterMonths);
+    const applications = await Application.find({
+      ...baseQuery,
+      _id: { $nin: expired.map((entry) => entry.application._id) },
+      $or: [
+        { completedAt: { $lte: cutoff } },
+        {
+          completedAt: null,
+          createdAt: { $lte: cutoff }
+        }
+      ]
+    })
+      .select(fields)
+      .limit(limit - expired.length)
+      .lean();
+    applications.forEach((application) => expired.push({
+      application,
+      reason: PURGE_REASONS.EXPIRED,
+      since: application.completedAt || application.createdAt
+    }));
+  }
+  return expired;
+};
+
+/**
+ * @description : every object under a prefix, following continuation tokens.
+ */
+const listPrefix = async (storage, prefix) => {
+  const objects = [];
+  let continuationToken;
+  do {
+    const page = await storage.listObjects(prefix, LIST_PAGE_SIZE, continuationToken);
+    objects.push(...page.objects);
+    continuationToken = page.isTruncated ? page.nextContinuationToken : null;
+  } while (continuationToken);
+  return objects;
+};
+
+/**
+ * @description : storage objects holding the media of an application: recordings, playback renditions,
+ * chunks and files uploaded as answers of pre-requisite questions.
+ * @param {Object} application : lean application.
+ * @return {Object} : {responseIds, objects:[{key, size}], bytes}
+ */
+const collectApplicationMedia = async (application) => {
+  const storage = getStorage();
+  const responses = await Response.find({
+    $or: [
+      { sessionId: application._id },
+      {
+        candidate: refId(application.candidate),
+        job: refId(application.job)
+      }
+    ]
+  })
+    .select('responseVideoUrl responseAudioUrl')
+    .lean();
+  const recordings = await MediaProcessingStatus.find({ application: application._id })
+    .select('source manifestKey videoKey playback.sourceKey playback.prefix')
+    .lean();
+
+  const prefixes = new Set(sessionPrefixes(application._id));
+  const keys = new Set(sessionKeys(application._id));
+  const addKey = (keyOrUrl) => {
+    const key = keyOrUrl ? storage.getKeyFromUrl(keyOrUrl) : null;
+    if (key) {
+      keys.add(key);
+    }
+  };
+  responses.forEach((response) => {
+    addKey(response.responseVideoUrl);
+    addKey(response.responseAudioUrl);
+  });
+  recordings.forEach((recording) => {
+    addKey(recording.source?.key);
+    addKey(recording.manifestKey);
+    addKey(recording.videoKey);
+    addKey(recording.playback?.sourceKey);
+    if (recording.source?.chunkPrefix) {
+      prefixes.add(recording.source.chunkPrefix);
+    }
+    if (recording.playback?.prefix) {
+      prefixes.add(`${recording.playback.prefix}/`);
+    }
+  });
+  (application.preRequisiteQuestions || [])
+    .filter((question) => question.questionType === 'upload')
+    .forEach((question) => addKey(question.answer));
+
+  const objects = new Map();
+  for (const prefix of prefixes) {
+    const listed = await listPrefix(storage, prefix);
+    listed.forEach((object) => objects.set(object.Key, object.Size || 0));
+  }
+  for (const key of keys) {
+    if (objects.has(key)) {
+      continue;
+    }
+    try {
+      const head = await storage.headObject(key);
+      objects.set(key, head.contentLength || 0);
+    } catch (error) {
+      // referenced object already deleted
+    }
+  }
+
+  const list = [...objects.entries()].map(([key, size]) => ({
+    key,
+    size
+  }));
+  return {
+    responseIds: responses.map((response) => response._id),
+    objects: list,
+    bytes: list.reduce((total, object) => total + object.size, 0)
+  };
+};
+
+/**
+ * @description : delete the media objects of an application, then clear the references to them.
+ * References are kept when a deletion failed so the next run retries the application.
+ * @return {Object} : {deleted, failed}
+ */
+const purgeApplicationMedia = async ({
+  application, reason, media
+}) => {
+  const storage = getStorage();
+  const failed = [];
+  for (const object of media.objects) {
+    try {
+      await storage.deleteObject(object.key);
+    } catch (error) {
+      failed.push({
+        key: object.key,
+        error: error.message
+      });
+    }
+  }
+  if (failed.length) {
+    return {
+      deleted: media.objects.length - failed.length,
+      failed
+    };
+  }
+
+  if (media.responseIds.length) {
+    await Response.updateMany({ _id: { $in: media.responseIds } }, {
+      $unset: {
+        responseVideoUrl: '',
+        responseAudioUrl: ''
+      }
+    });
+  }
+  await MediaProcessingStatus.updateMany({ application: application._id }, {
+    $unset: {
+      source: '',
+      manifestKey: '',
+      videoKey: '',
+      videoUrl: '',
+      playback: ''
+    }
+  });
+  await Application.updateOne({ _id: application._id }, {
+    $set: {
+      mediaPurgedAt: new Date(),
+      mediaPurgeReason: reason
+    },
+    $unset: { 'preRequisiteQuestions.$[upload].answer': '' }
+  }, { arrayFilters: [{ 'upload.questionType': 'upload' }] });
+  return {
+    deleted: media.objects.length,
+    failed
+  };
+};
+
+/**
+ * @description : apply the retention settings of a workspace, or only report what they would delete.
+ * @param {Object} params : {workspaceId, dryRun, limit}
+ * @return {Object} : {success, data: report} or {success:false, code, message}
+ */
+const applyRetention = async ({
+  workspaceId, dryRun = true, limit = MEDIA_RETENTION_PURGE.BATCH_SIZE
+}) => {
+  const settings = await getRetentionSettings(workspaceId);
+  if (!settings) {
+    return {
+      success: false,
+      code: 404,
+      message: 'Workspace not found'
+    };
+  }
+  const report = {
+    workspaceId,
+    dryRun,
+    settings,
+    applications: [],
+    totals: {
+      applications: 0,
+      objects: 0,
+      bytes: 0,
+      failed: 0
+    }
+  };
+  if (!settings.enabled || (!settings.rejectedAfterDays && !settings.allAfterMonths)) {
+    return {
+      success: true,
+      data: report
+    };
+  }
+
+  const expired = await findExpiredApplications({
+    workspaceId,
+    settings,
+    limit
+  });
+  for (const {
+    application, reason, since
+  } of expired) {
+    const media = await collectApplicationMedia(application);
+    const entry = {
+      applicationId: application._id,
+      candidate: refId(application.candidate),
+      job: refId(application.job),
+      reason,
+      since,
+      objects: media.objects.length,
+      bytes: media.bytes,
+      responses: media.responseIds.length
+    };
+    if (!dryRun) {
+      const result = await purgeApplicationMedia({
+        application,
+        reason,
+        media
+      });
+      entry.deleted = result.deleted;
+      entry.failed = result.failed;
+      report.totals.failed += result.failed.length;
+    }
+    report.applications.push(entry);
+    report.totals.applications++;
+    report.totals.objects += entry.objects;
+    report.totals.bytes += entry.bytes;
+  }
+  return {
+    success: true,
+    data: report
+  };
+};
+
+/**
+ * @description : scheduled purge, applies the retention settings of every workspace that enabled them.
+ * @return {Object} : {workspaces, applications, objects, failed}
+ */
+const purgeExpiredMedia = async () => {
+  const workspaces = await Workspace.find({
+    'mediaRetention.enabled': true,
+    isDeleted: { $ne: true }
+  })
+    .select('_id')
+    .lean();
+  const summary = {
+    workspaces: workspaces.length,
+    applications: 0,
+    objects: 0,
+    failed: 0
+  };
+  for (const workspace of workspaces) {
+    try {
+      const result = await applyRetention({
+        workspaceId: workspace._id,
+        dryRun: false
+      });
+      if (result.success) {
+        summary.applications += result.data.totals.applications;
+        summary.objects += result.data.totals.objects;
+        summary.failed += result.data.totals.failed;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to purge media of workspace ${workspace._id}:`, error.message);
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  PURGE_REASONS,
+  getRetentionSettings,
+  updateRetentionSettings,
+  setLegalHold,
+  findExpiredApplications,
+  collectApplicationMedia,
+  applyRetention,
+  purgeExpiredMedia
+};
@@ -0,0 +1,27 @@
+/**
+ * index.js
+ * @description :: returns the candidate OTP store selected by CANDIDATE_OTP_STORE ('mongo' or 'redis').
+ * Every store implements set, get, delete, incrementAttempts, list, stats, cleanupExpired and clear.
+ */
+
+const MongoOtpStore = require('./mongoOtpStore');
+const RedisOtpStore = require('./redisOtpStore');
+
+const OTP_STORES = {
+  mongo: MongoOtpStore,
+  redis: RedisOtpStore
+};
+
+const createOtpStore = (type = process.env.CANDIDATE_OTP_STORE || 'mongo') => {
+  const Store = OTP_STORES[type];
+  if (!Store) {
+    throw new Error(`Unknown candidate OTP store "${type}", expected one of: ${Object.keys(OTP_STORES).join(', ')}`);
+  }
+  return new Store();
+};
+
+module.exports = {
+  createOtpStore,
+  MongoOtpStore,
+  RedisOtpStore
+};
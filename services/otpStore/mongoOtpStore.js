@@ -0,0 +1,88 @@
+/**
+ * mongoOtpStore.js
+ * @description :: candidate OTP storage backed by a mongo collection with a TTL index
+ */
+
+const CandidateOtp = require('../../model/candidateOtp');
+
+const toRecord = (doc) => {
+  if (!doc) {
+    return null;
+  }
+  return {
+    key: doc.key,
+    code: doc.code,
+    email: doc.email,
+    candidateName: doc.candidateName,
+    applicationId: doc.applicationId,
+    interviewLinkId: doc.interviewLinkId,
+    attempts: doc.attempts,
+    maxAttempts: doc.maxAttempts,
+    expiresAt: new Date(doc.expiresAt).getTime(),
+    createdAt: new Date(doc.createdAt).getTime()
+  };
+};
+
+class MongoOtpStore {
+  async set (key, data) {
+    await CandidateOtp.replaceOne(
+      { key },
+      {
+        ...data,
+        key,
+        expiresAt: new Date(data.expiresAt),
+        createdAt: new Date(data.createdAt)
+      },
+      { upsert: true }
+    );
+  }
+
+  async get (key) {
+    const doc = await CandidateOtp.findOne({ key }).lean();
+    return toRecord(doc);
+  }
+
+  async delete (key) {
+    await CandidateOtp.deleteOne({ key });
+  }
+
+  async incrementAttempts (key) {
+    const doc = await CandidateOtp.findOneAndUpdate(
+      { key },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+    return toRecord(doc);
+  }
+
+  async list () {
+    const docs = await CandidateOtp.find({}).lean();
+    return docs.map(toRecord);
+  }
+
+  async stats () {
+    const now = new Date();
+    const [total, active] = await Promise.all([
+      CandidateOtp.countDocuments({}),
+      CandidateOtp.countDocuments({ expiresAt: { $gt: now } })
+    ]);
+    return {
+      total,
+      active,
+      expired: total - active
+    };
+  }
+
+  // the TTL monitor only runs once a minute, so expired codes are removed here as well
+  async cleanupExpired () {
+    const result = await CandidateOtp.deleteMany({ expiresAt: { $lte: new Date() } });
+    return result.deletedCount || 0;
+  }
+
+  async clear () {
+    const result = await CandidateOtp.deleteMany({});
+    return result.deletedCount || 0;
+  }
+}
+
+module.exports = MongoOtpStore;
@@ -0,0 +1,116 @@
+/**
+ * redisOtpStore.js
+ * @description :: candidate OTP storage backed by redis, each code is a hash expiring with the code.
+ * A sorted set scored by expiry keeps track of issued codes for stats and listing.
+ */
+
+const Redis = require('ioredis');
+const { redisConfig } = require('../../config/redis');
+
+const KEY_PREFIX = 'candidate-otp:';
+const INDEX_KEY = `${KEY_PREFIX}index`;
+
+// increments attempts only while the code still exists, so an expired hash is never recreated
+const INCREMENT_ATTEMPTS_SCRIPT = `
+if redis.call('exists', KEYS[1]) == 1 then
+  return redis.call('hincrby', KEYS[1], 'attempts', 1)
+end
+return nil
+`;
+
+const toRecord = (key, hash) => {
+  if (!hash || !hash.code) {
+    return null;
+  }
+  return {
+    key,
+    code: hash.code,
+    email: hash.email,
+    candidateName: hash.candidateName,
+    applicationId: hash.applicationId,
+    interviewLinkId: hash.interviewLinkId,
+    attempts: parseInt(hash.attempts) || 0,
+    maxAttempts: parseInt(hash.maxAttempts) || 0,
+    expiresAt: parseInt(hash.expiresAt),
+    createdAt: parseInt(hash.createdAt)
+  };
+};
+
+class RedisOtpStore {
+  constructor (client) {
+    this.client = client || new Redis({
+      ...redisConfig,
+      enableOfflineQueue: true
+    });
+  }
+
+  async set (key, data) {
+    const hash = {};
+    Object.keys(data).forEach((field) => {
+      if (data[field] !== undefined && data[field] !== null) {
+        hash[field] = data[field].toString();
+      }
+    });
+    await this.client.multi()
+      .del(KEY_PREFIX + key)
+      .hset(KEY_PREFIX + key, hash)
+      .pexpireat(KEY_PREFIX + key, data.expiresAt)
+      .zadd(INDEX_KEY, data.expiresAt, key)
+      .exec();
+  }
+
+  async get (key) {
+    const hash = await this.client.hgetall(KEY_PREFIX + key);
+    return toRecord(key, hash);
+  }
+
+  async delete (key) {
+    await this.client.multi()
+      .del(KEY_PREFIX + key)
+      .zrem(INDEX_KEY, key)
+      .exec();
+  }
+
+  async incrementAttempts (key) {
+    const attempts = await this.client.eval(INCREMENT_ATTEMPTS_SCRIPT, 1, KEY_PREFIX + key);
+    if (attempts === null) {
+      return null;
+    }
+    return this.get(key);
+  }
+
+  async list () {
+    const keys = await this.client.zrange(INDEX_KEY, 0, -1);
+    const records = await Promise.all(keys.map((key) => this.get(key)));
+    return records.filter(Boolean);
+  }
+
+  async stats () {
+    const now = Date.now();
+    const [total, active] = await Promise.all([
+      this.client.zcard(INDEX_KEY),
+      this.client.zcount(INDEX_KEY, `(${now}`, '+inf')
+    ]);
+    return {
+      total,
+      active,
+      expired: total - active
+    };
+  }
+
+  // redis expires the hashes itself, only the index needs pruning
+  async cleanupExpired () {
+    return this.client.zremrangebyscore(INDEX_KEY, '-inf', Date.now());
+  }
+
+  async clear () {
+    const keys = await this.client.zrange(INDEX_KEY, 0, -1);
+    const pipeline = this.client.multi();
+    keys.forEach((key) => pipeline.del(KEY_PREFIX + key));
+    pipeline.del(INDEX_KEY);
+    await pipeline.exec();
+    return keys.length;
+  }
+}
+
+module.exports = RedisOtpStore;
@@ -0,0 +1,413 @@
+/**
+ * overallAnalysisService.js
+ * @description :: overall AI analysis of a completed interview, shared by InterviewCompleted and the analysis queue
+ */
+
+const Application = require('../model/application');
+const Response = require('../model/response');
+const dbService = require('../utils/dbService');
+const { generateJsonWithAudit } = require('./aiAuditService');
+const { getIntegritySummary } = require('./proctoringService');
+const { summarizeSpeechAnalytics } = require('./speechAnalyticsService');
+const {
+  LLM_TASKS, PROMPT_TEMPLATE_VERSIONS
+} = require('../constants/llmConstant');
+const {
+  ANALYSIS_STATUS, OVERALL_ANALYSIS_FAILED_STATUS
+} = require('../constants/queueConstant');
+
+/**
+ * @description : find the responses of an application, in question order.
+ * @param {Object} application : application document with populated candidate and job.
+ * @return {Array} : response documents with their question.
+ */
+const getApplicationResponses = (application) => Response.find({
+  candidate: application.candidate._id,
+  job: application.job._id,
+  isDeleted: false
+})
+  .populate('question', 'title question_type evaluation_instructions timeLimit')
+  .sort({ questionNumber: 1 });
+
+/**
+ * @description : build the candidate, job and per response input of the overall analysis.
+ * @param {Object} application : application document with populated candidate and job.
+ * @param {Array} responses : responses of the application.
+ * @return {Object} : {candidateProfile, jobProfile, responseAnalysisData}
+ */
+const buildAnalysisInput = (application, responses) => {
+  const responseAnalysisData = responses.map(response => ({
+    questionNumber: response.questionNumber,
+    questionText: response.questionText || response.question?.title,
+    questionType: response.question?.question_type || 'general',
+    responseText: response.responseText,
+    transcriptionText: response.transcriptionText,
+    responseDuration: response.responseDuration,
+    individualAnalysis: response.aiAnalysis ? {
+      overallScore: response.aiAnalysis.overall_assessment?.score,
+      rating: response.aiAnalysis.overall_assessment?.rating,
+      reasoning: response.aiAnalysis.overall_assessment?.reasoning,
+      strengths: response.aiAnalysis.strengths || [],
+      improvements: response.aiAnalysis.areas_for_improvement || [],
+      redFlags: response.aiAnalysis.red_flags || [],
+      recommendation: response.aiAnalysis.recommendation,
+      detailedAnalysis: response.aiAnalysis.detailed_analysis || {},
+      keyInsights: response.aiAnalysis.key_insights
+    } : null,
+    evaluationCriteria: response.question?.evaluation_instructions
+  }));
+
+  const candidateProfile = {
+    name: application.candidate.full_name || application.candidate.name,
+    email: application.candidate.email,
+    experience: application.candidate.experience,
+    skills: application.candidate.skills,
+    location: application.candidate.location
+  };
+
+  const jobProfile = {
+    title: application.job.title,
+    description: application.job.description,
+    requirements: application.job.requirements,
+    location: application.job.location,
+    employmentType: application.job.employment_type,
+    company: application.job.workspace?.name,
+    industry: application.job.workspace?.industry
+  };
+
+  return {
+    candidateProfile,
+    jobProfile,
+    responseAnalysisData
+  };
+};
+
+const getIndividualScores = (responses) => responses
+  .filter(r => r.aiAnalysis?.overall_assessment?.score)
+  .map(r => r.aiAnalysis.overall_assessment.score);
+
+/**
+ * @description : merge the AI overall analysis with metrics computed from the individual analyses.
+ * @param {Object} overallAnalysis : result of generateOverallAIAnalysis.
+ * @param {Array} responses : responses of the application.
+ * @param {Object} integrity : integrity summary of the proctoring events.
+ * @return {Object} : value stored in overall_score.
+ */
+const buildCompleteAnalysis = (overallAnalysis, responses, integrity = null) => {
+  const individualScores = getIndividualScores(responses);
+
+  const additionalMetrics = {
+    averageScore: individualScores.length > 0
+      ? Math.round(individualScores.reduce((a, b) => a + b, 0) / individualScores.length)
+      : null,
+    highestScore: individualScores.length > 0 ? Math.max(...individualScores) : null,
+    lowestScore: individualScores.length > 0 ? Math.min(...individualScores) : null,
+    totalRedFlags: responses.reduce((acc, r) => acc + (r.aiAnalysis?.red_flags?.length || 0), 0),
+    responseCompleteness: Math.round((responses.length / (responses.length || 1)) * 100),
+    averageResponseDuration: responses.length > 0
+      ? Math.round(responses.reduce((acc, r) => acc + (r.responseDuration || 0), 0) / responses.length)
+      : null,
+    questionsWithRedFlags: responses.filter(r => r.aiAnalysis?.red_flags?.length > 0).length,
+    strongRecommendations: responses.filter(r =>
+      r.aiAnalysis?.recommendation?.decision?.toLowerCase().includes('hire') &&
+      !r.aiAnalysis?.recommendation?.decision?.toLowerCase().includes('no')
+    ).length
+  };
+
+  return {
+    ...overallAnalysis,
+    ...additionalMetrics,
+    integrity,
+    speechAnalytics: summarizeSpeechAnalytics(responses),
+    analyzedAt: new Date(),
+    version: '1.0',
+    analysisType: 'complete_interview'
+  };
+};
+
+/**
+ * @description : basic analysis stored in overall_score when the AI overall analysis failed.
+ * @param {Array} responses : responses of the application.
+ * @param {Object} integrity : integrity summary of the proctoring events.
+ * @return {Object} : value stored in overall_score.
+ */
+const buildBasicAnalysis = (responses, integrity = null) => {
+  const individualScores = getIndividualScores(responses);
+
+  return {
+    averageScore: individualScores.length > 0
+      ? Math.round(individualScores.reduce((a, b) => a + b, 0) / individualScores.length)
+      : null,
+    totalQuestions: responses.length,
+    completionRate: 100,
+    totalRedFlags: responses.reduce((acc, r) => acc + (r.aiAnalysis?.red_flags?.length || 0), 0),
+    status: OVERALL_ANALYSIS_FAILED_STATUS,
+    error: 'AI overall analysis service unavailable - individual analyses available',
+    individualAnalysisAvailable: true,
+    integrity,
+    speechAnalytics: summarizeSpeechAnalytics(responses),
+    analyzedAt: new Date(),
+    version: '1.0-fallback'
+  };
+};
+
+// the integrity summary is a side signal, the analysis goes on without it
+const loadIntegritySummary = async (application, responses) => {
+  try {
+    return await getIntegritySummary(application, responses);
+  } catch (error) {
+    console.error('⚠️ Failed to compute the integrity summary:', error.message);
+    return null;
+  }
+};
+
+/**
+ * @description : run the overall analysis of an application and store it in overall_score.
+ * When the AI call fails a basic analysis is stored instead and the error is rethrown.
+ * @param {Object} application : application document with populated candidate and job.
+ * @param {Array} responses : responses of the application, loaded when omitted.
+ * @return {Object} : {application, responses, candidateProfile, jobProfile, completeAnalysis}
+ */
+const runOverallAnalysis = async (application, responses) => {
+  responses = responses || await getApplicationResponses(application);
+  if (!responses.length) {
+    throw new Error('No interview responses found for analysis');
+  }
+  const {
+    candidateProfile, jobProfile, responseAnalysisData
+  } = buildAnalysisInput(application, responses);
+  const integrity = await loadIntegritySummary(application, responses);
+
+  await dbService.updateOne(Application, { _id: application._id }, {
+    overallAnalysisStatus: ANALYSIS_STATUS.PROCESSING,
+    $inc: { overallAnalysisAttempts: 1 }
+  });
+
+  let overallAnalysis;
+  try {
+    overallAnalysis = await generateOverallAIAnalysis({
+      candidateProfile,
+      jobProfile,
+      responses: responseAnalysisData,
+      interviewMetadata: {
+        applicationId: application._id,
+        totalQuestions: responses.length,
+        interviewDate: application.createdAt,
+        interviewType: 'video_interview'
+      },
+      auditContext: {
+        application: application._id,
+        job: application.job?._id
+      }
+    });
+  } catch (aiError) {
+    const basicAnalysis = buildBasicAnalysis(responses, integrity);
+    await dbService.updateOne(Application, { _id: application._id }, {
+      overall_score: basicAnalysis,
+      status: 'interview_completed',
+      completedAt: application.completedAt || new Date(),
+      overallAnalysisStatus: ANALYSIS_STATUS.FAILED,
+      overallAnalysisError: aiError.message
+    });
+    aiError.basicAnalysis = basicAnalysis;
+    aiError.responses = responses;
+    throw aiError;
+  }
+
+  const completeAnalysis = buildCompleteAnalysis(overallAnalysis, responses, integrity);
+  const updatedApplication = await dbService.updateOne(Application, { _id: application._id }, {
+    overall_score: completeAnalysis,
+    status: 'interview_completed',
+    completedAt: application.completedAt || new Date(),
+    currentQuestion: responses.length,
+    totalQuestions: responses.length,
+    overallAnalysisStatus: ANALYSIS_STATUS.COMPLETED,
+    overallAnalysisError: null
+  });
+
+  return {
+    application: updatedApplication,
+    responses,
+    candidateProfile,
+    jobProfile,
+    completeAnalysis
+  };
+};
+
+/**
+ * Generate overall AI analysis for complete interview,
+ * auditContext ({application, job}) links the audited LLM call to the application
+ */
+async function generateOverallAIAnalysis ({
+  candidateProfile, jobProfile, responses, interviewMetadata, auditContext
+}) {
+  try {
+    // Create comprehensive prompt for overall analysis
+    const overallPrompt = createOverallAnalysisPrompt({
+      candidateProfile,
+      jobProfile,
+      responses,
+      interviewMetadata
+    });
+
+    console.log('🤖 Calling AI service for overall interview analysis...');
+
+    let { data: aiAnalysis } = await generateJsonWithAudit({
+      task: LLM_TASKS.OVERALL_ANALYSIS,
+      promptVersion: PROMPT_TEMPLATE_VERSIONS.OVERALL_ANALYSIS,
+      prompt: overallPrompt,
+      context: auditContext
+    });
+    console.log('✅ AI overall analysis API call successful');
+
+    if (!aiAnalysis) {
+      console.warn('⚠️ Failed to parse AI response, using fallback analysis');
+      aiAnalysis = generateFallbackOverallAnalysis(responses);
+    }
+
+    // Ensure proper structure
+    const finalAnalysis = standardizeOverallAnalysisStructure(aiAnalysis);
+
+    console.log('✅ AI overall analysis completed successfully');
+    return finalAnalysis;
+
+  } catch (error) {
+    // provider failures are left to the caller, which stores a basic analysis the sweep retries later
+    console.error('❌ AI overall analysis failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create comprehensive prompt for overall interview analysis
+ */
+function createOverallAnalysisPrompt ({
+  candidateProfile, jobProfile, responses, interviewMetadata
+}) {
+  return `You are an expert interview evaluator conducting a COMPREHENSIVE OVERALL ANALYSIS of a complete interview. You must be decisive and honest in your assessment - avoid neutral recommendations like "Consider" unless the candidate is truly borderline.
+
+CANDIDATE PROFILE:
+${JSON.stringify(candidateProfile, null, 2)}
+
+JOB PROFILE:
+${JSON.stringify(jobProfile, null, 2)}
+
+COMPLETE INTERVIEW RESPONSES WITH INDIVIDUAL ANALYSES:
+${JSON.stringify(responses, null, 2)}
+
+EVALUATION INSTRUCTIONS:
+- Base your analysis ONLY on the provided data
+- Be decisive in your recommendation - avoid "Consider" unless truly warranted
+- If responses are weak, incomplete, or show red flags, recommend "Pass" or "Strong Pass"
+- If responses are strong and demonstrate clear competency, recommend "Hire" or "Strong Hire"
+- Only use "Consider" if the candidate shows mixed results with both strong positives and concerning negatives
+
+Provide comprehensive analysis in this exact JSON format:
+{
+  "overall_score": <number 0-100 based on actual performance>,
+  "percentile": <number 0-100 realistic ranking>,
+  "overall_rating": "Exceptional|Strong|Satisfactory|Marginal|Unsatisfactory",
+  "comprehensive_reasoning": "Clear analysis based strictly on the interview data provided - no speculation or optimistic assumptions",
+  "strengths": ["Only list strengths clearly demonstrated in responses"],
+  "areas_for_improvement": ["List specific gaps or weaknesses observed"],
+  "key_insights": "Critical observations about candidate's actual demonstrated abilities",
+  "recommendation": {
+    "decision": "Strong Hire|Hire|Pass|Strong Pass",
+    "confidence": "Very High|High|Moderate|Low|Very Low",
+    "reasoning": "Be decisive - clearly state why you recommend hiring or passing based on the evidence. Avoid suggesting 'Consider' unless there are genuinely strong arguments on both sides."
+  },
+  "technical_competency": <number 0-100 based on demonstrated technical skills>,
+  "communication_skills": <number 0-100 based on response clarity and articulation>,
+  "cultural_fit": <number 0-100 based on values alignment shown in responses>,
+  "problem_solving": <number 0-100 based on demonstrated analytical thinking>,
+  "consistency_score": <number 0-100 based on quality consistency across responses>,
+  "red_flags": ["List any concerning responses, gaps, or negative indicators"],
+  "next_steps": ["Specific actionable recommendations based on your decision"]
+}
+
+CRITICAL GUIDELINES:
+- If individual question scores are mostly below 70, recommend "Pass" or "Strong Pass"
+- If responses show multiple red flags or concerning gaps, be honest about recommending against hiring
+- If responses are consistently strong (75+ scores) with clear competency demonstration, recommend "Hire"
+- Only recommend "Strong Hire" for exceptional candidates with 85+ consistent performance
+- Be realistic about percentile ranking - not everyone is above average
+- Focus on what the candidate actually demonstrated, not their potential
+
+Provide a clear, decisive recommendation that reflects the actual interview performance.`;
+}
+
+/**
+ * Standardize overall analysis structure
+ */
+function standardizeOverallAnalysisStructure (aiAnalysis) {
+  return {
+    overall_score: aiAnalysis.overall_score || 75,
+    percentile: aiAnalysis.percentile || 50,
+    overall_rating: aiAnalysis.overall_rating || 'Satisfactory',
+    comprehensive_reasoning: aiAnalysis.comprehensive_reasoning || 'Comprehensive analysis completed',
+    strengths: Array.isArray(aiAnalysis.strengths) ? aiAnalysis.strengths : ['Adequate performance demonstrated'],
+    areas_for_improvement: Array.isArray(aiAnalysis.areas_for_improvement) ? aiAnalysis.areas_for_improvement : ['Continue professional development'],
+    key_insights: aiAnalysis.key_insights || 'Analysis completed successfully',
+    recommendation: {
+      decision: aiAnalysis.recommendation?.decision || 'Consider',
+      confidence: aiAnalysis.recommendation?.confidence || 'Moderate',
+      reasoning: aiAnalysis.recommendation?.reasoning || 'Standard evaluation completed'
+    },
+    technical_competency: aiAnalysis.technical_competency || 75,
+    communication_skills: aiAnalysis.communication_skills || 75,
+    cultural_fit: aiAnalysis.cultural_fit || 75,
+    problem_solving: aiAnalysis.problem_solving || 75,
+    consistency_score: aiAnalysis.consistency_score || 75,
+    red_flags: Array.isArray(aiAnalysis.red_flags) ? aiAnalysis.red_flags : [],
+    next_steps: Array.isArray(aiAnalysis.next_steps) ? aiAnalysis.next_steps : ['Proceed with standard hiring process'],
+    analyzed_at: new Date().toISOString(),
+    analysis_version: '1.0-overall-comprehensive'
+  };
+}
+
+/**
+ * Generate fallback overall analysis
+ */
+function generateFallbackOverallAnalysis (responses) {
+  const scores = responses
+    .filter(r => r.individualAnalysis?.overallScore)
+    .map(r => r.individualAnalysis.overallScore);
+
+  const averageScore = scores.length > 0
+    ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
+    : 70;
+
+  return {
+    overall_score: averageScore,
+    percentile: Math.max(averageScore - 20, 30),
+    overall_rating: averageScore >= 80 ? 'Strong' : averageScore >= 65 ? 'Satisfactory' : 'Marginal',
+    comprehensive_reasoning: `Fallback analysis: Average individual score of ${averageScore} across ${responses.length} responses.`,
+    strengths: ['Completed all interview questions', 'Provided responses to all queries'],
+    areas_for_improvement: ['Requires detailed manual review', 'Comprehensive analysis needed'],
+    key_insights: `Basic analysis only - ${responses.length} responses analyzed with average performance metrics`,
+    recommendation: {
+      decision: 'Consider',
+      confidence: 'Low',
+      reasoning: 'Limited analysis available - requires comprehensive human review'
+    },
+    technical_competency: averageScore,
+    communication_skills: averageScore,
+    cultural_fit: averageScore,
+    problem_solving: averageScore,
+    consistency_score: 75,
+    red_flags: [],
+    next_steps: ['Manual review of responses required'],
+    analyzed_at: new Date().toISOString(),
+    analysis_version: '1.0-fallback'
+  };
+}
+
+module.exports = {
+  getApplicationResponses,
+  buildAnalysisInput,
+  buildCompleteAnalysis,
+  buildBasicAnalysis,
+  runOverallAnalysis,
+  generateOverallAIAnalysis,
+  generateFallbackOverallAnalysis,
+};
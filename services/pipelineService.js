@@ -0,0 +1,234 @@
+/**
+ * pipelineService.js
+ * @description :: configurable hiring pipeline of a workspace and stage moves of applications
+ */
+
+const Workspace = require('../model/workspace');
+const Application = require('../model/application');
+const Job = require('../model/job');
+const dbService = require('../utils/dbService');
+const {
+  DEFAULT_PIPELINE_STAGES, SHORTLISTED_STAGE, REJECTED_STAGE
+} = require('../constants/pipelineConstant');
+
+const sortStages = (stages) => [...stages].sort((a, b) => (a.order || 0) - (b.order || 0));
+
+/**
+ * @description : ids of the jobs belonging to a workspace.
+ * @param {string} workspaceId : id of the workspace.
+ * @return {Array} : job ids.
+ */
+const getWorkspaceJobIds = async (workspaceId) => {
+  const jobs = await Job.find({ workspace: workspaceId }).select('_id').lean();
+  return jobs.map((job) => job._id);
+};
+
+/**
+ * @description : pipeline stages of a workspace, falling back to the default pipeline.
+ * @param {string} workspaceId : id of the workspace.
+ * @return {Array} : ordered stages.
+ */
+const getPipelineStages = async (workspaceId) => {
+  const workspace = await dbService.findOne(Workspace, { _id: workspaceId });
+  if (workspace && workspace.pipelineStages && workspace.pipelineStages.length) {
+    return sortStages(workspace.pipelineStages.map((stage) => (stage.toObject ? stage.toObject() : stage)));
+  }
+  return sortStages(DEFAULT_PIPELINE_STAGES);
+};
+
+/**
+ * @description : replace the pipeline stages of a workspace.
+ * stages still holding applications can not be removed.
+ * @param {Object} params : {workspaceId, stages, userId}
+ * @return {Object} : {success, data} or {success:false, code, message}
+ */
+const updatePipelineStages = async ({
+  workspaceId, stages, userId
+}) => {
+  const normalizedStages = stages.map((stage, index) => ({
+    ...stage,
+    key: stage.key.trim().toLowerCase(),
+    order: stage.order || index + 1
+  }));
+  const keys = normalizedStages.map((stage) => stage.key);
+  const duplicateKeys = keys.filter((key, index) => keys.indexOf(key) !== index);
+  if (duplicateKeys.length) {
+    return {
+      success: false,
+      code: 'DUPLICATE_STAGE',
+      message: `Duplicate stage keys: ${[...new Set(duplicateKeys)].join(', ')}`
+    };
+  }
+
+  const jobIds = await getWorkspaceJobIds(workspaceId);
+  const stagesInUse = await Application.distinct('pipelineStage', {
+    job: { $in: jobIds },
+    pipelineStage: {
+      $nin: keys,
+      $ne: null
+    },
+    isDeleted: { $ne: true }
+  });
+  if (stagesInUse.length) {
+    return {
+      success: false,
+      code: 'STAGE_IN_USE',
+      message: `Stages still hold applications: ${stagesInUse.join(', ')}`
+    };
+  }
+
+  const workspace = await dbService.updateOne(Workspace, { _id: workspaceId }, {
+    pipelineStages: sortStages(normalizedStages),
+    updatedBy: userId
+  });
+  if (!workspace) {
+    return {
+      success: false,
+      code: 'NOT_FOUND',
+      message: 'Workspace not found'
+    };
+  }
+  return {
+    success: true,
+    data: workspace.pipelineStages
+  };
+};
+
+/**
+ * @description : move applications of a workspace to a pipeline stage, recording the move in their stage history.
+ * @param {Object} params : {applicationIds, toStage, reason, note, userId, workspaceId}
+ * Applications moved by someone else meanwhile are left alone and reported in conflicts.
+ * @return {Object} : {success, data:{moved, unchanged, notFound, conflicts}} or {success:false, code, message}
+ */
+const moveApplicationsToStage = async ({
+  applicationIds, toStage, reason, note, userId, workspaceId
+}) => {
+  const stages = await getPipelineStages(workspaceId);
+  const stage = stages.find((item) => item.key === toStage);
+  if (!stage) {
+    return {
+      success: false,
+      code: 'INVALID_STAGE',
+      message: `Unknown pipeline stage "${toStage}", expected one of: ${stages.map((item) => item.key).join(', ')}`
+    };
+  }
+  if (stage.requireReason && !reason) {
+    return {
+      success: false,
+      code: 'REASON_REQUIRED',
+      message: `A reason is required to move applications to ${stage.name}`
+    };
+  }
+  if (reason && stage.reasons && stage.reasons.length && !stage.reasons.includes(reason)) {
+    return {
+      success: false,
+      code: 'INVALID_REASON',
+      message: `Invalid reason for ${stage.name}, expected one of: ${stage.reasons.join(', ')}`
+    };
+  }
+
+  const jobIds = await getWorkspaceJobIds(workspaceId);
+  const applications = await Application.find({
+    _id: { $in: applicationIds },
+    job: { $in: jobIds },
+    isDeleted: { $ne: true }
+  }).select('pipelineStage job').lean();
+
+  const foundIds = new Set(applications.map((application) => application._id.toString()));
+  const notFound = applicationIds.filter((id) => !foundIds.has(id.toString()));
+  const unchanged = [];
+  const operations = [];
+  const movedAt = new Date();
+
+  applications.forEach((application) => {
+    if (application.pipelineStage === stage.key) {
+      unchanged.push(application._id);
+      return;
+    }
+    const update = { pipelineStage: stage.key };
+    if (stage.key === SHORTLISTED_STAGE) {
+      update.shortlisted = true;
+    } else if (stage.key === REJECTED_STAGE) {
+      update.shortlisted = false;
+    }
+    operations.push({
+      filter: {
+        _id: application._id,
+        // guards against a concurrent move of the same application
+        pipelineStage: application.pipelineStage || null
+      },
+      update: {
+        $set: {
+          ...update,
+          updatedBy: userId
+        },
+        $push: {
+          stageHistory: {
+            fromStage: application.pipelineStage || null,
+            toStage: stage.key,
+            reason,
+            note,
+            movedBy: userId,
+            movedAt
+          }
+        }
+      }
+    });
+  });
+
+  // one update per application so the result tells which guards matched
+  const moved = [];
+  const conflicts = [];
+  for (const operation of operations) {
+    const result = await Application.updateOne(operation.filter, operation.update);
+    if (result.matchedCount) {
+      moved.push(operation.filter._id);
+    } else {
+      conflicts.push(operation.filter._id);
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      stage: stage.key,
+      moved,
+      unchanged,
+      notFound,
+      conflicts
+    }
+  };
+};
+
+/**
+ * @description : current stage and stage history of an application of a workspace.
+ * @param {Object} params : {applicationId, workspaceId}
+ * @return {Object|null} : {applicationId, pipelineStage, stageHistory}
+ */
+const getStageHistory = async ({
+  applicationId, workspaceId
+}) => {
+  const jobIds = await getWorkspaceJobIds(workspaceId);
+  const application = await Application.findOne({
+    _id: applicationId,
+    job: { $in: jobIds }
+  })
+    .select('pipelineStage stageHistory job candidate')
+    .populate('stageHistory.movedBy', 'name full_name email')
+    .lean();
+  if (!application) {
+    return null;
+  }
+  return {
+    applicationId: application._id,
+    pipelineStage: application.pipelineStage || null,
+    stageHistory: application.stageHistory || []
+  };
+};
+
+module.exports = {
+  getPipelineStages,
+  updatePipelineStages,
+  moveApplicationsToStage,
+  getStageHistory,
+};
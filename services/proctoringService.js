@@ -0,0 +1,260 @@
+/**
+ * proctoringService.js
+ * @description :: integrity signals reported by the client during a private interview and the integrity summary
+ * computed from them for the overall analysis and the recruiter view
+ */
+
+const ProctoringEvent = require('../model/proctoringEvent');
+const Application = require('../model/application');
+const Response = require('../model/response');
+const Job = require('../model/job');
+const {
+  PROCTORING_EVENT_TYPES, PROCTORING_EVENT_WEIGHTS, AWAY_EVENT_TYPES, INTEGRITY_LEVELS, PROCTORING
+} = require('../constants/proctoringConstant');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const integrityLevel = (score) => {
+  if (score >= PROCTORING.HIGH_SCORE) {
+    return INTEGRITY_LEVELS.HIGH;
+  }
+  return score >= PROCTORING.MEDIUM_SCORE ? INTEGRITY_LEVELS.MEDIUM : INTEGRITY_LEVELS.LOW;
+};
+
+const emptyCounts = () => Object.values(PROCTORING_EVENT_TYPES).reduce((counts, type) => {
+  counts[type] = 0;
+  return counts;
+}, {});
+
+// client times in the future are replaced by the time the event was received
+const eventTime = (occurredAt, receivedAt) => {
+  const date = occurredAt ? new Date(occurredAt) : null;
+  return date && !isNaN(date.getTime()) && date <= receivedAt ? date : receivedAt;
+};
+
+/**
+ * @description : store a batch of proctoring events of the private interview a token belongs to.
+ * Events sent again with the same clientEventId are stored once, events past PROCTORING.MAX_EVENTS_PER_APPLICATION are dropped.
+ * @param {Object} params : {token, events, ipAddress, userAgent}, events are {type, occurredAt, questionId, questionNumber, durationMs, clientEventId, details}
+ * @return {Object} : {success, data: {received, stored, duplicates, dropped}} or {success:false, code, message}
+ */
+const recordProctoringEvents = async ({
+  token, events, ipAddress, userAgent
+}) => {
+  const application = await Application.findOne({
+    'privateInterviewLink.token': token,
+    'privateInterviewLink.sent': true,
+    isDeleted: false
+  }).select('job status completedAt privateInterviewLink');
+  if (!application) {
+    return {
+      success: false,
+      code: 404,
+      message: 'Invalid or expired private interview token'
+    };
+  }
+  const now = new Date();
+  if (application.privateInterviewLink.expiresAt && application.privateInterviewLink.expiresAt < now) {
+    return {
+      success: false,
+      code: 400,
+      message: 'Private interview link has expired'
+    };
+  }
+  if (application.completedAt && now - application.completedAt > PROCTORING.LATE_EVENTS_GRACE_MINUTES * 60 * 1000) {
+    return {
+      success: false,
+      code: 400,
+      message: 'Interview already completed'
+    };
+  }
+
+  const job = await Job.findById(application.job._id).select('questions').lean();
+  const questionIds = new Set((job?.questions || []).map((question) => question.toString()));
+  const unknownQuestion = events.find((event) => event.questionId && !questionIds.has(event.questionId.toString()));
+  if (unknownQuestion) {
+    return {
+      success: false,
+      code: 400,
+      message: `Question ${unknownQuestion.questionId} is not part of this interview`
+    };
+  }
+
+  const storedCount = await ProctoringEvent.countDocuments({ application: application._id });
+  const accepted = events.slice(0, Math.max(PROCTORING.MAX_EVENTS_PER_APPLICATION - storedCount, 0));
+  const result = {
+    received: events.length,
+    stored: 0,
+    duplicates: 0,
+    dropped: events.length - accepted.length
+  };
+  if (!accepted.length) {
+    return {
+      success: true,
+      data: result
+    };
+  }
+
+  const docs = accepted.map((event) => ({
+    application: application._id,
+    question: event.questionId || undefined,
+    questionNumber: event.questionNumber,
+    type: event.type,
+    occurredAt: eventTime(event.occurredAt, now),
+    durationMs: event.durationMs,
+    clientEventId: event.clientEventId || undefined,
+    details: event.details,
+    ipAddress,
+    userAgent
+  }));
+  try {
+    await ProctoringEvent.insertMany(docs, { ordered: false });
+    result.stored = docs.length;
+  } catch (error) {
+    // the other events of the batch are stored, only the ones already received fail
+    const writeErrors = error.writeErrors || [error];
+    if (writeErrors.some((writeError) => (writeError.code || writeError.err?.code) !== DUPLICATE_KEY_ERROR)) {
+      throw error;
+    }
+    result.duplicates = writeErrors.length;
+    result.stored = docs.length - writeErrors.length;
+  }
+  return {
+    success: true,
+    data: result
+  };
+};
+
+/**
+ * @description : integrity summary of the proctoring events of an interview.
+ * The score starts at 100, each event takes off the penalty of its type up to the cap of the type.
+ * @param {Array} events : proctoring events of the application.
+ * @param {Object} options : {answeredSeconds} total answer time, compared to the time away.
+ * @return {Object} : score, level, counts per type, time away, flags and the counts of each question.
+ */
+const computeIntegritySummary = (events, { answeredSeconds } = {}) => {
+  const counts = emptyCounts();
+  const questions = new Map();
+  let timeAwayMs = 0;
+  events.forEach((event) => {
+    counts[event.type] = (counts[event.type] || 0) + 1;
+    if (AWAY_EVENT_TYPES.includes(event.type) && event.durationMs > 0) {
+      timeAwayMs += event.durationMs;
+    }
+    const questionKey = event.question ? event.question.toString() : (event.questionNumber ?? null);
+    if (questionKey === null) {
+      return;
+    }
+    if (!questions.has(questionKey)) {
+      questions.set(questionKey, {
+        question: event.question || null,
+        questionNumber: event.questionNumber ?? null,
+        total: 0,
+        counts: {}
+      });
+    }
+    const question = questions.get(questionKey);
+    question.total++;
+    question.counts[event.type] = (question.counts[event.type] || 0) + 1;
+  });
+
+  const penalties = {};
+  Object.entries(counts).forEach(([type, count]) => {
+    const weight = PROCTORING_EVENT_WEIGHTS[type];
+    penalties[type] = Math.min(count * weight.penalty, weight.maxPenalty);
+  });
+  const score = Math.max(0, 100 - Object.values(penalties).reduce((sum, penalty) => sum + penalty, 0));
+
+  const flags = Object.entries(counts)
+    .filter(([type, count]) => count > 0 && count >= PROCTORING_EVENT_WEIGHTS[type].flagAfter)
+    .map(([type, count]) => ({
+      type,
+      count,
+      message: `${type.replace(/_/g, ' ')} reported ${count} time${count === 1 ? '' : 's'}`
+    }));
+  const awayRatio = answeredSeconds ? timeAwayMs / (answeredSeconds * 1000) : null;
+  if (awayRatio !== null && awayRatio > PROCTORING.AWAY_RATIO_FLAG) {
+    flags.push({
+      type: 'time_away',
+      count: Math.round(timeAwayMs / 1000),
+      message: `away from the interview for ${Math.round(awayRatio * 100)}% of the answer time`
+    });
+  }
+
+  return {
+    version: PROCTORING.VERSION,
+    score,
+    level: integrityLevel(score),
+    totalEvents: events.length,
+    counts,
+    penalties,
+    timeAwaySeconds: Math.round(timeAwayMs / 1000),
+    timeAwayRatio: awayRatio !== null ? Math.round(awayRatio * 100) / 100 : null,
+    flags,
+    questions: [...questions.values()].sort((a, b) => (a.questionNumber ?? Infinity) - (b.questionNumber ?? Infinity)),
+    firstEventAt: events.length ? events[0].occurredAt : null,
+    lastEventAt: events.length ? events[events.length - 1].occurredAt : null,
+    computedAt: new Date()
+  };
+};
+
+/**
+ * @description : integrity summary of an application from its stored proctoring events.
+ * @param {Object} application : application document with populated candidate and job.
+ * @param {Array} responses : responses of the application, loaded when omitted for the answer time.
+ * @return {Object} : integrity summary.
+ */
+const getIntegritySummary = async (application, responses) => {
+  responses = responses || await Response.find({
+    candidate: application.candidate._id,
+    job: application.job._id,
+    isDeleted: false
+  }).select('responseDuration').lean();
+  const events = await ProctoringEvent.find({ application: application._id })
+    .sort({ occurredAt: 1 })
+    .lean();
+  return computeIntegritySummary(events, { answeredSeconds: responses.reduce((sum, response) => sum + (response.responseDuration || 0), 0) });
+};
+
+/**
+ * @description : integrity summary and proctoring events of an application for the recruiter.
+ * @param {Object} params : {applicationId, workspaceId, type, questionNumber}, type and questionNumber filter the listed events.
+ * @return {Object|null} : {applicationId, integrity, events}, null when the application is not in the workspace.
+ */
+const getApplicationProctoring = async ({
+  applicationId, workspaceId, type, questionNumber
+}) => {
+  const jobs = await Job.find({ workspace: workspaceId }).select('_id').lean();
+  const application = await Application.findOne({
+    _id: applicationId,
+    job: { $in: jobs.map((job) => job._id) }
+  });
+  if (!application) {
+    return null;
+  }
+  const integrity = await getIntegritySummary(application);
+  const query = { application: application._id };
+  if (type) {
+    query.type = type;
+  }
+  if (questionNumber !== undefined) {
+    query.questionNumber = questionNumber;
+  }
+  const events = await ProctoringEvent.find(query)
+    .sort({ occurredAt: 1 })
+    .limit(PROCTORING.MAX_LISTED_EVENTS)
+    .select('question questionNumber type occurredAt durationMs details createdAt')
+    .lean();
+  return {
+    applicationId: application._id,
+    integrity,
+    events
+  };
+};
+
+module.exports = {
+  recordProctoringEvents,
+  computeIntegritySummary,
+  getIntegritySummary,
+  getApplicationProctoring
+};
@@ -0,0 +1,392 @@
+/**
+ * responseAnalysisService.js
+ * @description :: AI analysis of individual interview responses, shared by the API and the response worker
+ */
+
+const Response = require('../model/response');
+const Application = require('../model/application');
+const Job = require('../model/job');
+const Question = require('../model/question');
+const dbService = require('../utils/dbService');
+const { ANALYSIS_STATUS } = require('../constants/queueConstant');
+const {
+  LLM_TASKS, PROMPT_TEMPLATE_VERSIONS
+} = require('../constants/llmConstant');
+const { generateJsonWithAudit } = require('./aiAuditService');
+const { computeSpeechAnalytics } = require('./speechAnalyticsService');
+const {
+  RUBRIC_SCORE_LEVELS, RUBRIC_ANALYSIS_ATTEMPTS
+} = require('../constants/rubricConstant');
+const {
+  getRubricCriteria, scoreRubric
+} = require('../utils/rubric');
+const {
+  standardizeAnalysisStructure, scoreAnalysis
+} = require('../utils/responseAnalysis');
+
+/**
+ * Generate AI analysis for interview response,
+ * auditContext ({response, application, job}) links the audited LLM calls to the analysed records
+ */
+async function generateAIAnalysis ({
+  questionText, responseText, jobDetails, questionDetails, candidateInfo, evaluationInstructions, auditContext
+}) {
+  // rubric scores are computed from the rubric weights or not at all, a failure leaves the response to the queue retries
+  const rubricCriteria = getRubricCriteria(questionDetails);
+  if (rubricCriteria) {
+    return generateRubricAnalysis({
+      questionText,
+      responseText,
+      jobDetails,
+      candidateInfo,
+      evaluationInstructions,
+      rubricCriteria,
+      auditContext
+    });
+  }
+
+  try {
+    // Let AI determine the analysis approach
+    const analysisPrompt = createIntelligentPrompt({
+      questionText,
+      responseText,
+      jobDetails,
+      questionDetails,
+      candidateInfo,
+      evaluationInstructions
+    });
+
+    const {
+      data: aiAnalysis, parseError
+    } = await generateJsonWithAudit({
+      task: LLM_TASKS.RESPONSE_ANALYSIS,
+      promptVersion: PROMPT_TEMPLATE_VERSIONS.RESPONSE_ANALYSIS,
+      prompt: analysisPrompt,
+      context: auditContext
+    });
+
+    if (!aiAnalysis) {
+      throw new Error(`AI response could not be parsed: ${parseError}`);
+    }
+
+    // Ensure proper structure
+    const finalAnalysis = standardizeAnalysisStructure(aiAnalysis);
+    if (finalAnalysis.overallScore === null) {
+      throw new Error('AI analysis has no overall score');
+    }
+
+    console.log('✅ AI analysis completed successfully');
+    return finalAnalysis;
+
+  } catch (error) {
+    // provider failures are left to the response queue, which retries and then marks the response failed
+    console.error('❌ AI analysis failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Score a response against the question rubric. The model only rates each criterion,
+ * the overall score is computed from the rubric weights.
+ */
+async function generateRubricAnalysis ({
+  questionText, responseText, jobDetails, candidateInfo, evaluationInstructions, rubricCriteria, auditContext
+}) {
+  const basePrompt = createRubricPrompt({
+    questionText,
+    responseText,
+    jobDetails,
+    candidateInfo,
+    evaluationInstructions,
+    rubricCriteria
+  });
+  let prompt = basePrompt;
+  let validationError;
+
+  for (let attempt = 1; attempt <= RUBRIC_ANALYSIS_ATTEMPTS; attempt++) {
+    const {
+      data: aiAnalysis, parseError
+    } = await generateJsonWithAudit({
+      task: LLM_TASKS.RESPONSE_ANALYSIS,
+      promptVersion: PROMPT_TEMPLATE_VERSIONS.RUBRIC_ANALYSIS,
+      prompt,
+      validate: (data) => {
+        const result = scoreRubric(rubricCriteria, data.criteria_scores);
+        return result.isValid ? null : result.message;
+      },
+      context: auditContext
+    });
+    if (aiAnalysis) {
+      console.log('✅ Rubric analysis completed successfully');
+      return scoreAnalysis(aiAnalysis, rubricCriteria);
+    }
+    validationError = parseError;
+    console.warn(`⚠️ Rubric analysis attempt ${attempt} rejected: ${validationError}`);
+    prompt = `${basePrompt}
+
+Your previous answer was rejected: ${validationError}. Score every criterion exactly once with an integer from ${RUBRIC_SCORE_LEVELS.MIN} to ${RUBRIC_SCORE_LEVELS.MAX} and return only the JSON.`;
+  }
+
+  throw new Error(`AI criterion scores do not match the rubric: ${validationError}`);
+}
+
+/**
+ * Create prompt asking for one level per rubric criterion
+ */
+function createRubricPrompt ({
+  questionText, responseText, jobDetails, candidateInfo, evaluationInstructions, rubricCriteria
+}) {
+  const criteriaText = rubricCriteria.map((criterion) => {
+    const levels = (criterion.levels || [])
+      .slice()
+      .sort((a, b) => b.score - a.score)
+      .map((level) => `    - ${level.score}${level.label ? ` (${level.label})` : ''}: ${level.description || ''}`)
+      .join('\n');
+    return `- key: "${criterion.key}" | ${criterion.name}${criterion.description ? ` - ${criterion.description}` : ''}${levels ? `\n  Levels:\n${levels}` : ''}`;
+  }).join('\n');
+  const exampleScores = rubricCriteria.map((criterion) => `    {
+      "criterion": "${criterion.key}",
+      "score": ${RUBRIC_SCORE_LEVELS.MIN}-${RUBRIC_SCORE_LEVELS.MAX},
+      "reasoning": "Specific evidence from the response for this level"
+    }`).join(',\n');
+
+  return `You are an expert interview evaluator. Score the candidate response strictly against the rubric below.
+
+INTERVIEW CONTEXT:
+- Job Title: ${jobDetails?.title || 'Position not specified'}
+- Job Description: ${jobDetails?.description || 'Not provided'}
+- Job Requirements: ${jobDetails?.requirements?.join(', ') || 'Not specified'}
+- Candidate: ${candidateInfo?.name || 'Not specified'}
+
+INTERVIEW QUESTION:
+"${questionText}"
+
+CANDIDATE RESPONSE:
+"${responseText}"
+
+${evaluationInstructions ? `Evaluation Instructions: ${evaluationInstructions}` : ''}
+
+RUBRIC (score each criterion with an integer level from ${RUBRIC_SCORE_LEVELS.MIN} = lowest to ${RUBRIC_SCORE_LEVELS.MAX} = highest):
+${criteriaText}
+
+Do not compute an overall score, it is derived from your criterion scores.
+
+Provide your analysis in this exact JSON format:
+{
+  "criteria_scores": [
+${exampleScores}
+  ],
+  "overall_assessment": {
+    "reasoning": "Summary of the evaluation with specific evidence from the response"
+  },
+  "question_analysis": {
+    "type": "Technical|Behavioral|Cultural|Situational|General|Mixed",
+    "primary_focus": "What this question is primarily testing for",
+    "secondary_aspects": "Other relevant evaluation aspects for this question"
+  },
+  "strengths": ["Specific strength with evidence"],
+  "areas_for_improvement": ["Specific area for improvement with actionable advice"],
+  "red_flags": ["Concerning responses or significant gaps (empty array if none)"],
+  "key_insights": "Most important observations about the candidate",
+  "recommendation": {
+    "decision": "Strong Hire|Hire|Maybe|No Hire|Strong No Hire",
+    "reasoning": "Rationale for the recommendation",
+    "confidence_level": "High|Medium|Low"
+  },
+  "follow_up_questions": ["Relevant probing question based on the response"]
+}
+
+**IMPORTANT**: "criteria_scores" must contain every rubric key exactly once and nothing else.`;
+}
+
+/**
+ * Create intelligent prompt that lets AI decide analysis approach
+ */
+function createIntelligentPrompt ({
+  questionText, responseText, jobDetails, questionDetails, candidateInfo, evaluationInstructions 
+}) {
+  return `You are an expert interview evaluator with deep experience in talent assessment across all domains. You have the intelligence to automatically determine what type of question this is and what aspects should be prioritized in your evaluation.
+
+INTERVIEW CONTEXT:
+- Job Title: ${jobDetails?.title || 'Position not specified'}
+- Job Description: ${jobDetails?.description || 'Not provided'}
+- Job Requirements: ${jobDetails?.requirements?.join(', ') || 'Not specified'}
+- Candidate: ${candidateInfo?.name || 'Not specified'}
+
+INTERVIEW QUESTION:
+"${questionText}"
+
+CANDIDATE RESPONSE:
+"${responseText}"
+
+${evaluationInstructions ? `Evaluation Instructions: ${evaluationInstructions}` : ''}
+
+INSTRUCTIONS:
+1. **INTELLIGENTLY ANALYZE** the question type and determine what matters most:
+   - If it's technical: Focus on accuracy, problem-solving, knowledge depth, implementation quality
+   - If it's behavioral: Focus on situation clarity, actions taken, results achieved, learning demonstrated  
+   - If it's cultural/motivational: Focus on alignment, motivation, professionalism, career fit
+   - If it's general: Provide balanced assessment across relevant areas
+
+2. **ADAPTIVE EVALUATION**: Don't force irrelevant criteria. For example:
+   - For technical questions: De-emphasize communication style unless critically poor
+   - For behavioral questions: Focus on examples and outcomes, not technical details
+   - For cultural questions: Emphasize values alignment over technical skills
+
+3. **INTELLIGENT REASONING**: For each rating, provide specific, insightful reasoning that explains:
+   - What you observed in the response
+   - Why this leads to the given rating
+   - What could be improved and how
+
+RATING SCALE DEFINITIONS:
+- **Excellent** (90-100): Outstanding performance, exceeds expectations significantly
+- **Good** (75-89): Strong performance, meets expectations well with notable strengths  
+- **Average** (60-74): Adequate performance, meets basic expectations
+- **Fair** (45-59): Below expectations, shows some capability but with notable gaps
+- **Poor** (0-44): Well below expectations, significant deficiencies evident
+
+Provide your analysis in this exact JSON format:
+{
+  "overall_assessment": {
+    "rating": "Excellent|Good|Average|Fair|Poor",
+    "score": 85,
+    "reasoning": "Comprehensive summary explaining the overall rating with specific evidence from the response"
+  },
+  "question_analysis": {
+    "type": "Technical|Behavioral|Cultural|Situational|General|Mixed",
+    "primary_focus": "What this question is primarily testing for",
+    "secondary_aspects": "Other relevant evaluation aspects for this question"
+  },
+  "detailed_analysis": {
+    "criterion_1": {
+      "name": "Most relevant criterion for this question type",
+      "rating": "Excellent|Good|Average|Fair|Poor",
+      "score": 85,
+      "reasoning": "Detailed explanation with specific evidence from the response"
+    },
+    "criterion_2": {
+      "name": "Second most relevant criterion",
+      "rating": "Good|Average|Fair|Poor|Excellent", 
+      "score": 80,
+      "reasoning": "Specific reasoning with examples from the candidate's answer"
+    },
+    "criterion_3": {
+      "name": "Third relevant criterion",
+      "rating": "Average|Fair|Poor|Good|Excellent",
+      "score": 75,
+      "reasoning": "Clear justification for this rating"
+    },
+    "criterion_4": {
+      "name": "Fourth relevant criterion (if applicable)",
+      "rating": "Fair|Poor|Average|Good|Excellent",
+      "score": 70,
+      "reasoning": "Reasoning for this assessment"
+    }
+  },
+  "strengths": [
+    "Specific strength with clear evidence from the response",
+    "Another strength with detailed explanation of why it's notable"
+  ],
+  "areas_for_improvement": [
+    "Specific area for improvement with actionable advice",
+    "Another improvement area with constructive guidance"
+  ],
+  "red_flags": [
+    "Any concerning responses or significant gaps (empty array if none)"
+  ],
+  "key_insights": "Most important observations about the candidate's capabilities and potential",
+  "recommendation": {
+    "decision": "Strong Hire|Hire|Maybe|No Hire|Strong No Hire",
+    "reasoning": "Clear rationale for the hiring recommendation based on the comprehensive analysis",
+    "confidence_level": "High|Medium|Low"
+  },
+  "follow_up_questions": [
+    "Thoughtful follow-up question to explore strengths or address gaps",
+    "Another relevant probing question based on the response analysis"
+  ],
+  "interview_insights": {
+    "candidate_preparation": "Assessment of how well-prepared the candidate appears",
+    "communication_style": "Observations about communication effectiveness",
+    "engagement_level": "How engaged and enthusiastic the candidate seems"
+  }
+}
+
+**IMPORTANT**: 
+- Use your intelligence to determine what matters most for this specific question
+- Don't apply generic criteria - adapt your analysis to the question type
+- Be specific and evidence-based in all reasoning
+- Ensure numerical scores align with rating labels
+- Focus on what's truly relevant for evaluating this candidate's fit for the role`;
+}
+
+/**
+ * @description : run AI analysis for a stored response and persist the result on it.
+ * @param {string} responseId : id of the response to analyse.
+ * @param {Object} options : extra analysis input. {evaluationInstructions}
+ * @return {Object} : updated response document.
+ */
+const analyzeResponse = async (responseId, options = {}) => {
+  const response = await dbService.findOne(Response, { _id: responseId });
+  if (!response) {
+    throw new Error(`Response ${responseId} not found`);
+  }
+
+  await dbService.updateOne(Response, { _id: responseId }, {
+    analysisStatus: ANALYSIS_STATUS.PROCESSING,
+    $inc: { analysisAttempts: 1 }
+  });
+
+  const application = await dbService.findOne(Application, { _id: response.sessionId });
+  // the job populated on applications leaves out its requirements
+  const jobId = response.job || application?.job?._id;
+  const job = jobId ? await Job.findById(jobId).select('title description requirements').lean() : null;
+  let questionDetails = null;
+  if (response.question) {
+    questionDetails = await dbService.findOne(Question, { _id: response.question });
+  }
+
+  // stored before the AI call so that delivery metrics survive an analysis failure
+  await dbService.updateOne(Response, { _id: responseId }, { speechAnalytics: computeSpeechAnalytics(response, questionDetails?.timeLimit) });
+
+  const aiAnalysis = await generateAIAnalysis({
+    questionText: response.questionText,
+    // the server transcript of the recording replaces the text captured by the browser once it is ready
+    responseText: response.transcriptionText || response.responseText || '',
+    jobDetails: job,
+    questionDetails,
+    candidateInfo: application?.candidate,
+    evaluationInstructions: options.evaluationInstructions || questionDetails?.evaluation_instructions,
+    auditContext: {
+      response: response._id,
+      application: application?._id,
+      job: jobId
+    }
+  });
+
+  return dbService.updateOne(Response, { _id: responseId }, {
+    aiAnalysis,
+    score: aiAnalysis.overallScore.toString(),
+    analysisStatus: ANALYSIS_STATUS.COMPLETED,
+    analysisError: null,
+    analyzedAt: new Date()
+  });
+};
+
+/**
+ * @description : mark analysis of a response as failed once the queue gives up on it.
+ * @param {string} responseId : id of the response.
+ * @param {string} errorMessage : reason of the failure.
+ * @return {Object} : updated response document.
+ */
+const markAnalysisFailed = async (responseId, errorMessage) => {
+  return dbService.updateOne(Response, { _id: responseId }, {
+    analysisStatus: ANALYSIS_STATUS.FAILED,
+    analysisError: errorMessage
+  });
+};
+
+module.exports = {
+  analyzeResponse,
+  markAnalysisFailed,
+  generateAIAnalysis,
+};
@@ -0,0 +1,252 @@
+/**
+ * reviewService.js
+ * @description :: recruiter comments and rubric scores on interview responses, compared with the AI score
+ */
+
+const Response = require('../model/response');
+const ResponseReview = require('../model/responseReview');
+const ResponseComment = require('../model/responseComment');
+const Application = require('../model/application');
+const Job = require('../model/job');
+const Question = require('../model/question');
+const dbService = require('../utils/dbService');
+const {
+  getRubricCriteria, scoreRubric
+} = require('../utils/rubric');
+const {
+  DEFAULT_REVIEW_RUBRIC, AGREEMENT_TOLERANCE
+} = require('../constants/reviewConstant');
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+const average = (values) => (values.length ? values.reduce((acc, value) => acc + value, 0) / values.length : null);
+
+/**
+ * @description : find a response belonging to a job of the workspace.
+ * @param {Object} params : {responseId, workspaceId}
+ * @return {Object|null} : response document.
+ */
+const findWorkspaceResponse = async ({
+  responseId, workspaceId
+}) => {
+  const response = await dbService.findOne(Response, {
+    _id: responseId,
+    isDeleted: { $ne: true }
+  });
+  if (!response || !response.job) {
+    return null;
+  }
+  const job = await dbService.findOne(Job, {
+    _id: response.job,
+    workspace: workspaceId
+  });
+  return job ? response : null;
+};
+
+/**
+ * @description : criteria reviewers score a response on, the rubric of its question when it has one.
+ * @param {Object} response : response document.
+ * @return {Array} : [{key, name, weight, levels}]
+ */
+const getReviewRubric = async (response) => {
+  if (response.question) {
+    const question = await dbService.findOne(Question, { _id: response.question });
+    const criteria = getRubricCriteria(question);
+    if (criteria) {
+      return criteria;
+    }
+  }
+  return DEFAULT_REVIEW_RUBRIC;
+};
+
+/**
+ * @description : numeric AI score of a response on 0-100.
+ * @param {Object} response : response document.
+ * @return {number|null} : AI score.
+ */
+const getAiScore = (response) => {
+  const score = parseFloat(response.aiAnalysis?.overallScore ?? response.score);
+  return Number.isNaN(score) ? null : score;
+};
+
+/**
+ * @description : agreement between reviewers who scored the same responses.
+ * @param {Array} reviewsByResponse : arrays of reviews, one array per response.
+ * @return {Object} : {pairs, meanAbsoluteDifference, withinToleranceRate, exactCriterionAgreement}
+ */
+const computeInterRaterAgreement = (reviewsByResponse) => {
+  const differences = [];
+  let criterionPairs = 0;
+  let criterionMatches = 0;
+
+  reviewsByResponse.forEach((reviews) => {
+    for (let i = 0; i < reviews.length; i++) {
+      for (let j = i + 1; j < reviews.length; j++) {
+        differences.push(Math.abs(reviews[i].overallScore - reviews[j].overallScore));
+        const otherScores = new Map(reviews[j].scores.map((item) => [item.criterion, item.score]));
+        reviews[i].scores.forEach((item) => {
+          if (otherScores.has(item.criterion)) {
+            criterionPairs++;
+            if (otherScores.get(item.criterion) === item.score) {
+              criterionMatches++;
+            }
+          }
+        });
+      }
+    }
+  });
+
+  return {
+    pairs: differences.length,
+    meanAbsoluteDifference: round(average(differences)),
+    withinToleranceRate: differences.length
+      ? round(differences.filter((difference) => difference <= AGREEMENT_TOLERANCE).length / differences.length * 100)
+      : null,
+    exactCriterionAgreement: criterionPairs ? round(criterionMatches / criterionPairs * 100) : null,
+    tolerance: AGREEMENT_TOLERANCE
+  };
+};
+
+/**
+ * @description : create or replace the rubric score a reviewer gave a response.
+ * @param {Object} params : {response, reviewerId, scores, recommendation, summary}
+ * @return {Object} : {success, data} or {success:false, message}
+ */
+const upsertReview = async ({
+  response, reviewerId, scores, recommendation, summary
+}) => {
+  const rubric = await getReviewRubric(response);
+  const result = scoreRubric(rubric, scores);
+  if (!result.isValid) {
+    return {
+      success: false,
+      message: result.message
+    };
+  }
+  const review = await ResponseReview.findOneAndUpdate(
+    {
+      response: response._id,
+      reviewer: reviewerId
+    },
+    {
+      $set: {
+        application: response.sessionId,
+        scores: result.scores,
+        overallScore: result.overallScore,
+        recommendation,
+        summary,
+        isDeleted: false,
+        isActive: true,
+        updatedBy: reviewerId
+      },
+      $setOnInsert: { addedBy: reviewerId }
+    },
+    {
+      new: true,
+      upsert: true
+    }
+  );
+  return {
+    success: true,
+    data: review
+  };
+};
+
+/**
+ * @description : human and AI scores of every response of an application side by side, with inter-rater agreement.
+ * @param {Object} params : {applicationId, workspaceId}
+ * @return {Object|null} : review summary of the application.
+ */
+const getApplicationReviewSummary = async ({
+  applicationId, workspaceId
+}) => {
+  const application = await Application.findOne({ _id: applicationId }).select('job candidate status');
+  if (!application || !application.job || application.job.workspace?.toString() !== workspaceId.toString()) {
+    return null;
+  }
+
+  const [responses, reviews, commentCounts] = await Promise.all([
+    Response.find({
+      sessionId: applicationId,
+      isDeleted: { $ne: true }
+    }).select('questionNumber questionText score aiAnalysis').sort({ questionNumber: 1 }).lean(),
+    ResponseReview.find({
+      application: applicationId,
+      isDeleted: { $ne: true }
+    }).populate('reviewer', 'name full_name email').lean(),
+    ResponseComment.aggregate([
+      {
+        $match: {
+          application: application._id,
+          isDeleted: { $ne: true }
+        }
+      },
+      {
+        $group: {
+          _id: '$response',
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const reviewsByResponse = new Map();
+  reviews.forEach((review) => {
+    const key = review.response.toString();
+    reviewsByResponse.set(key, [...reviewsByResponse.get(key) || [], review]);
+  });
+  const commentsByResponse = new Map(commentCounts.map((item) => [item._id.toString(), item.count]));
+
+  const responseSummaries = responses.map((response) => {
+    const responseReviews = reviewsByResponse.get(response._id.toString()) || [];
+    const humanScore = average(responseReviews.map((review) => review.overallScore));
+    const aiScore = getAiScore(response);
+    return {
+      responseId: response._id,
+      questionNumber: response.questionNumber,
+      questionText: response.questionText,
+      aiScore,
+      humanScore: round(humanScore),
+      difference: humanScore !== null && aiScore !== null ? round(humanScore - aiScore) : null,
+      comments: commentsByResponse.get(response._id.toString()) || 0,
+      reviews: responseReviews.map((review) => ({
+        reviewer: review.reviewer,
+        overallScore: review.overallScore,
+        scores: review.scores,
+        recommendation: review.recommendation,
+        summary: review.summary,
+        updatedAt: review.updatedAt
+      }))
+    };
+  });
+
+  const humanScores = responseSummaries.map((item) => item.humanScore).filter((score) => score !== null);
+  const aiScores = responseSummaries.map((item) => item.aiScore).filter((score) => score !== null);
+  const reviewers = new Set(reviews.map((review) => (review.reviewer?._id || review.reviewer).toString()));
+
+  return {
+    applicationId: application._id,
+    candidate: application.candidate,
+    job: {
+      id: application.job._id,
+      title: application.job.title
+    },
+    scores: {
+      human: round(average(humanScores)),
+      ai: round(average(aiScores)),
+      reviewedResponses: humanScores.length,
+      totalResponses: responses.length,
+      reviewers: reviewers.size
+    },
+    interRaterAgreement: computeInterRaterAgreement([...reviewsByResponse.values()]),
+    responses: responseSummaries
+  };
+};
+
+module.exports = {
+  findWorkspaceResponse,
+  getReviewRubric,
+  computeInterRaterAgreement,
+  upsertReview,
+  getApplicationReviewSummary,
+};
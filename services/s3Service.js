@@ -1,21 +1,22 @@
-const AWS = require('aws-sdk');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 const crypto = require('crypto');
+const { getStorage } = require('./storage');
 
+/**
+ * Object storage operations of uploads and media processing,
+ * backed by the driver selected with STORAGE_DRIVER (s3, minio or local)
+ */
 class S3Service {
     constructor() {
-        this.s3 = new AWS.S3({
-            accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
-            secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
-            region: process.env.AWS_S3_REGION || 'us-east-1'
-        });
-        this.bucketName = process.env.AWS_S3_BUCKET_NAME;
-        this.urlExpiration = parseInt(process.env.AWS_URL_EXPIRATION) || 3600;
+        this.storage = getStorage();
+        this.bucketName = this.storage.bucket;
+        this.urlExpiration = this.storage.urlExpiration;
     }
 
     /**
-     * Upload file to S3
+     * Upload file to storage
      * @param {Object} file - File object from multer
      * @param {string} folder - S3 folder path
      * @param {Object} options - Additional upload options
@@ -26,31 +27,26 @@ class S3Service {
             const fileName = options.fileName || this.generateFileName(file.originalname);
             const key = `${folder}/${fileName}`;
 
-            const uploadParams = {
-                Bucket: this.bucketName,
-                Key: key,
-                Body: file.buffer,
-                ContentType: file.mimetype,
-                ACL: options.public ? 'public-read' : 'private',
-                Metadata: {
+            const result = await this.storage.putObject(key, file.buffer, {
+                contentType: options.contentType || file.mimetype,
+                isPublic: Boolean(options.public),
+                metadata: {
                     originalName: file.originalname,
                     uploadedAt: new Date().toISOString(),
                     ...options.metadata
                 }
-            };
-
-            const result = await this.s3.upload(uploadParams).promise();
+            });
 
             return {
                 success: true,
                 data: {
-                    key: result.Key,
-                    location: result.Location,
-                    bucket: result.Bucket,
+                    key: result.key,
+                    location: result.location,
+                    bucket: this.bucketName,
                     fileName: fileName,
                     size: file.size,
-                    contentType: file.mimetype,
-                    url: options.public ? result.Location : null
+                    contentType: options.contentType || file.mimetype,
+                    url: options.public ? this.storage.getPublicUrl(result.key) : null
                 }
             };
         } catch (error) {
@@ -71,27 +67,23 @@ class S3Service {
      */
     async initiateMultipartUpload(key, contentType, metadata = {},isPublic) {
         try {
-            const params = {
-                Bucket: this.bucketName,
-                Key: key,
-                ContentType: contentType,
-                 ACL: isPublic ? 'public-read' : 'private',
-                Metadata: {
+            console.log('🔄 Initiating multipart upload:', { key, contentType });
+            const result = await this.storage.createMultipartUpload(key, {
+                contentType,
+                isPublic,
+                metadata: {
                     uploadType: 'multipart',
                     createdAt: new Date().toISOString(),
                     ...metadata
                 }
-            };
-
-            console.log('🔄 Initiating multipart upload:', { key, contentType });
-            const result = await this.s3.createMultipartUpload(params).promise();
+            });
 
             return {
                 success: true,
                 data: {
-                    uploadId: result.UploadId,
-                    key: result.Key,
-                    bucket: result.Bucket
+                    uploadId: result.uploadId,
+                    key: result.key,
+                    bucket: this.bucketName
                 }
             };
         } catch (error) {
@@ -113,16 +105,8 @@ class S3Service {
      */
     async generatePartUploadUrl(key, uploadId, partNumber, expiresIn = 900) {
         try {
-            const params = {
-                Bucket: this.bucketName,
-                Key: key,
-                UploadId: uploadId,
-                PartNumber: parseInt(partNumber),
-                Expires: expiresIn
-            };
-
             console.log(`🔗 Generating presigned URL for part ${partNumber}`);
-            const url = this.s3.getSignedUrl('uploadPart', params);
+            const url = await this.storage.getPartUploadUrl(key, uploadId, parseInt(partNumber), expiresIn);
 
             return {
                 success: true,
@@ -153,29 +137,20 @@ class S3Service {
             // Sort parts by PartNumber to ensure correct order
             const sortedParts = parts.sort((a, b) => a.PartNumber - b.PartNumber);
 
-            const params = {
-                Bucket: this.bucketName,
-                Key: key,
-                UploadId: uploadId,
-                MultipartUpload: {
-                    Parts: sortedParts.map(part => ({
-                        ETag: part.ETag,
-                        PartNumber: part.PartNumber
-                    }))
-                }
-            };
-
             console.log(`🎯 Completing multipart upload with ${sortedParts.length} parts`);
-            const result = await this.s3.completeMultipartUpload(params).promise();
+            const result = await this.storage.completeMultipartUpload(key, uploadId, sortedParts.map(part => ({
+                ETag: part.ETag,
+                PartNumber: part.PartNumber
+            })));
 
             return {
                 success: true,
                 data: {
-                    location: result.Location,
-                    url: result.Location,
-                    etag: result.ETag,
-                    key: result.Key,
-                    bucket: result.Bucket
+                    location: result.location,
+                    url: result.location,
+                    etag: result.etag,
+                    key: result.key,
+                    bucket: this.bucketName
                 }
             };
         } catch (error) {
@@ -195,14 +170,8 @@ class S3Service {
      */
     async abortMultipartUpload(key, uploadId) {
         try {
-            const params = {
-                Bucket: this.bucketName,
-                Key: key,
-                UploadId: uploadId
-            };
-
             console.log('🚫 Aborting multipart upload:', { uploadId, key });
-            await this.s3.abortMultipartUpload(params).promise();
+            await this.storage.abortMultipartUpload(key, uploadId);
 
             return {
                 success: true,
@@ -229,24 +198,17 @@ class S3Service {
      */
     async listMultipartParts(key, uploadId) {
         try {
-            const params = {
-                Bucket: this.bucketName,
-                Key: key,
-                UploadId: uploadId,
-                MaxParts: 1000
-            };
-
             console.log('📋 Listing multipart parts:', { uploadId, key });
-            const result = await this.s3.listParts(params).promise();
+            const result = await this.storage.listParts(key, uploadId);
 
             return {
                 success: true,
                 data: {
-                    parts: result.Parts || [],
-                    uploadId: result.UploadId,
-                    key: result.Key,
-                    maxParts: result.MaxParts,
-                    isTruncated: result.IsTruncated
+                    parts: result.parts,
+                    uploadId,
+                    key,
+                    maxParts: 1000,
+                    isTruncated: result.isTruncated
                 }
             };
         } catch (error) {
@@ -263,31 +225,28 @@ class S3Service {
      * @param {Buffer} chunkBuffer - Video chunk buffer
      * @param {string} sessionId - Interview session ID
      * @param {number} chunkIndex - Chunk index
+     * @param {string} questionId - Question ID, keeps chunks of each question under their own prefix
      * @returns {Promise<Object>} Upload result
      */
-    async uploadVideoChunk(chunkBuffer, sessionId, chunkIndex) {
+    async uploadVideoChunk(chunkBuffer, sessionId, chunkIndex, questionId) {
         try {
-            const key = `video-chunks/${sessionId}/chunk-${chunkIndex.toString().padStart(4, '0')}.webm`;
-
-            const uploadParams = {
-                Bucket: this.bucketName,
-                Key: key,
-                Body: chunkBuffer,
-                ContentType: 'video/webm',
-                Metadata: {
+            const prefix = questionId ? `video-chunks/${sessionId}/${questionId}` : `video-chunks/${sessionId}`;
+            const key = `${prefix}/chunk-${chunkIndex.toString().padStart(4, '0')}.webm`;
+
+            const result = await this.storage.putObject(key, chunkBuffer, {
+                contentType: 'video/webm',
+                metadata: {
                     sessionId: sessionId,
                     chunkIndex: chunkIndex.toString(),
                     uploadedAt: new Date().toISOString()
                 }
-            };
-
-            const result = await this.s3.upload(uploadParams).promise();
+            });
 
             return {
                 success: true,
                 data: {
-                    key: result.Key,
-                    location: result.Location,
+                    key: result.key,
+                    location: result.location,
                     chunkIndex: chunkIndex,
                     sessionId: sessionId
                 }
@@ -358,23 +317,18 @@ class S3Service {
             const chunk = chunks[currentIndex];
             
             try {
-                const uploadParams = {
-                    Bucket: this.bucketName,
-                    Key: chunk.key,
-                    Body: chunk.buffer,
-                    ContentType: chunk.options?.contentType || 'application/octet-stream',
-                    Metadata: chunk.options?.metadata || {}
-                };
-
-                const result = await this.s3.upload(uploadParams).promise();
+                const result = await this.storage.putObject(chunk.key, chunk.buffer, {
+                    contentType: chunk.options?.contentType || 'application/octet-stream',
+                    metadata: chunk.options?.metadata || {}
+                });
                 
                 results.push({
                     success: true,
                     chunkIndex: currentIndex,
                     data: {
-                        key: result.Key,
-                        location: result.Location,
-                        etag: result.ETag,
+                        key: result.key,
+                        location: result.location,
+                        etag: result.etag,
                         size: chunk.buffer.length
                     }
                 });
@@ -400,25 +354,20 @@ class S3Service {
      */
     async uploadChunk(buffer, key, options = {}) {
         try {
-            const uploadParams = {
-                Bucket: this.bucketName,
-                Key: key,
-                Body: buffer,
-                ContentType: options.contentType || 'application/octet-stream',
-                Metadata: {
+            const result = await this.storage.putObject(key, buffer, {
+                contentType: options.contentType || 'application/octet-stream',
+                metadata: {
                     uploadedAt: new Date().toISOString(),
                     ...options.metadata
                 }
-            };
-
-            const result = await this.s3.upload(uploadParams).promise();
+            });
 
             return {
                 success: true,
                 data: {
-                    key: result.Key,
-                    location: result.Location,
-                    etag: result.ETag,
+                    key: result.key,
+                    location: result.location,
+                    etag: result.etag,
                     size: buffer.length
                 }
             };
@@ -443,14 +392,8 @@ class S3Service {
             const { sessionId, questionNumber, totalChunks, fileName } = options;
             
             // List all chunks for this upload
-            const listParams = {
-                Bucket: this.bucketName,
-                Prefix: `${uploadKey}/chunk-`,
-                MaxKeys: 1000
-            };
-
-            const listResult = await this.s3.listObjectsV2(listParams).promise();
-            const chunks = listResult.Contents || [];
+            const listResult = await this.storage.listObjects(`${uploadKey}/chunk-`, 1000);
+            const chunks = listResult.objects;
 
             if (chunks.length === 0) {
                 throw new Error('No chunks found for this upload');
@@ -482,12 +425,7 @@ class S3Service {
 
             // Upload manifest
             const manifestKey = `${finalKey}.manifest.json`;
-            await this.s3.upload({
-                Bucket: this.bucketName,
-                Key: manifestKey,
-                Body: JSON.stringify(manifest, null, 2),
-                ContentType: 'application/json'
-            }).promise();
+            await this.storage.putObject(manifestKey, JSON.stringify(manifest, null, 2), { contentType: 'application/json' });
 
             // Generate signed URL for access
             const videoUrl = await this.generateSignedUrl(finalKey, 86400); // 24 hours
@@ -514,6 +452,119 @@ class S3Service {
         }
     }
 
+    /**
+     * Download an object to a local file
+     * @param {string} key - S3 object key
+     * @param {string} filePath - Destination path
+     * @returns {Promise<Object>} Download result
+     */
+    async downloadToFile(key, filePath) {
+        try {
+            await new Promise((resolve, reject) => {
+                const readStream = this.storage.getObjectStream(key);
+                const writeStream = fs.createWriteStream(filePath);
+
+                readStream.on('error', reject);
+                writeStream.on('error', reject);
+                writeStream.on('finish', resolve);
+                readStream.pipe(writeStream);
+            });
+
+            return {
+                success: true,
+                data: {
+                    key,
+                    filePath
+                }
+            };
+        } catch (error) {
+            console.error('S3 download error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Upload a local file, streamed so large videos are not held in memory
+     * @param {string} filePath - Local file path
+     * @param {string} key - S3 object key
+     * @param {Object} options - contentType and metadata
+     * @returns {Promise<Object>} Upload result
+     */
+    async uploadLocalFile(filePath, key, options = {}) {
+        try {
+            const { size } = await fs.promises.stat(filePath);
+            const result = await this.storage.putObject(key, fs.createReadStream(filePath), {
+                contentType: options.contentType || 'application/octet-stream',
+                metadata: {
+                    uploadedAt: new Date().toISOString(),
+                    ...options.metadata
+                }
+            });
+
+            return {
+                success: true,
+                data: {
+                    key: result.key,
+                    location: result.location,
+                    etag: result.etag,
+                    size
+                }
+            };
+        } catch (error) {
+            console.error('S3 local file upload error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Read a small object, such as a playlist, as text
+     * @param {string} key - S3 object key
+     * @returns {Promise<Object>} Object body
+     */
+    async getObjectContent(key) {
+        try {
+            const result = await this.storage.getObject(key);
+
+            return {
+                success: true,
+                data: {
+                    body: result.body.toString('utf8'),
+                    contentType: result.contentType
+                }
+            };
+        } catch (error) {
+            console.error('S3 read error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get the object key of a stored media reference, which is either a key or a storage URL
+     * @param {string} keyOrUrl - Object key or URL
+     * @returns {string|null} Object key
+     */
+    getKeyFromUrl(keyOrUrl) {
+        return this.storage.getKeyFromUrl(keyOrUrl);
+    }
+
+    /**
+     * Get the permanent URL of an object uploaded as public
+     * @param {string} key - Object key
+     * @returns {string} Public URL
+     */
+    getPublicUrl(key) {
+        return this.storage.getPublicUrl(key);
+    }
+
     /**
      * Generate pre-signed URL for S3 object
      * @param {string} key - S3 object key
@@ -523,13 +574,10 @@ class S3Service {
      */
     async generateSignedUrl(key, expiresIn = this.urlExpiration, operation = 'getObject') {
         try {
-            const params = {
-                Bucket: this.bucketName,
-                Key: key,
-                Expires: expiresIn
-            };
-
-            const url = await this.s3.getSignedUrlPromise(operation, params);
+            const url = await this.storage.getSignedUrl(key, {
+                operation,
+                expiresIn
+            });
             return url;
         } catch (error) {
             console.error('Signed URL generation error:', error);
@@ -548,14 +596,11 @@ class S3Service {
         try {
             const key = `${folder}/${this.generateFileName(fileName)}`;
 
-            const params = {
-                Bucket: this.bucketName,
-                Key: key,
-                ContentType: contentType,
-                Expires: this.urlExpiration
-            };
-
-            const uploadUrl = await this.s3.getSignedUrlPromise('putObject', params);
+            const uploadUrl = await this.storage.getSignedUrl(key, {
+                operation: 'putObject',
+                expiresIn: this.urlExpiration,
+                contentType
+            });
 
             return {
                 success: true,
@@ -582,12 +627,7 @@ class S3Service {
      */
     async deleteFile(key) {
         try {
-            const params = {
-                Bucket: this.bucketName,
-                Key: key
-            };
-
-            await this.s3.deleteObject(params).promise();
+            await this.storage.deleteObject(key);
 
             return {
                 success: true,
@@ -610,20 +650,14 @@ class S3Service {
      */
     async listObjects(prefix = '', maxKeys = 1000) {
         try {
-            const params = {
-                Bucket: this.bucketName,
-                Prefix: prefix,
-                MaxKeys: maxKeys
-            };
-
-            const result = await this.s3.listObjectsV2(params).promise();
+            const result = await this.storage.listObjects(prefix, maxKeys);
 
             return {
                 success: true,
                 data: {
-                    objects: result.Contents,
-                    count: result.KeyCount,
-                    isTruncated: result.IsTruncated
+                    objects: result.objects,
+                    count: result.count,
+                    isTruncated: result.isTruncated
                 }
             };
         } catch (error) {
@@ -642,22 +676,11 @@ class S3Service {
      */
     async getObjectMetadata(key) {
         try {
-            const params = {
-                Bucket: this.bucketName,
-                Key: key
-            };
-
-            const result = await this.s3.headObject(params).promise();
+            const result = await this.storage.headObject(key);
 
             return {
                 success: true,
-                data: {
-                    contentLength: result.ContentLength,
-                    contentType: result.ContentType,
-                    lastModified: result.LastModified,
-                    etag: result.ETag,
-                    metadata: result.Metadata
-                }
+                data: result
             };
         } catch (error) {
             console.error('S3 metadata error:', error);
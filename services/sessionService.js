@@ -0,0 +1,271 @@
+/**
+ * sessionService.js
+ * @description :: login sessions kept in userTokens: access and refresh tokens, refresh token rotation
+ * with reuse detection, and listing or revoking the sessions of a user
+ */
+
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const uuid = require('uuid').v4;
+const User = require('../model/user');
+const userTokens = require('../model/userTokens');
+const dbService = require('../utils/dbService');
+const { signToken } = require('./jwtKeyService');
+const {
+  JWT, LOGIN_ACCESS, PLATFORM, SESSION_REVOKE_REASONS
+} = require('../constants/authConstant');
+
+const hashRefreshToken = (refreshToken) => crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+/**
+ * @description : device and address a request comes from, recorded on the sessions it opens.
+ * @param {Object} req : request of route.
+ * @return {Object} : {ipAddress, userAgent, deviceName}
+ */
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || req.connection?.remoteAddress,
+  userAgent: req.get('User-Agent'),
+  deviceName: req.body?.deviceName || req.get('X-Device-Name')
+});
+
+/**
+ * @description : generate JWT token for authentication, signed with the active key.
+ * @param {Object} user : user who wants to login.
+ * @return {string}  : returns JWT token, valid for JWT.EXPIRES_IN seconds.
+ */
+const generateToken = (user) => signToken({
+  id: user.id,
+  'email': user.email
+}, { expiresIn: JWT.EXPIRES_IN });
+
+/**
+ * @description : open a session: store an access token and a refresh token in userTokens.
+ * @param {Object} params : {user, client, family, loginAt}, family and loginAt are carried over on refresh.
+ * @return {Object} : {session, token, refreshToken}
+ */
+const createSession = async ({
+  user, client = {}, family, loginAt
+}) => {
+  const token = generateToken(user);
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await dbService.create(userTokens, {
+    userId: user.id,
+    token,
+    tokenExpiredTime: dayjs().add(JWT.EXPIRES_IN, 'second').toISOString(),
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    refreshTokenExpiredTime: dayjs().add(JWT.REFRESH_EXPIRES_IN, 'second').toISOString(),
+    family: family || uuid(),
+    loginAt: loginAt || new Date(),
+    device: {
+      userAgent: client.userAgent,
+      name: client.deviceName
+    },
+    ipAddress: client.ipAddress,
+    lastIpAddress: client.ipAddress,
+    lastUsedAt: new Date()
+  });
+  return {
+    session,
+    token,
+    refreshToken
+  };
+};
+
+/**
+ * @description : close every open token of a session, the whole family when the session has one.
+ * @return {number} : closed tokens.
+ */
+const revokeSessionTokens = (session, reason) => dbService.updateMany(userTokens, {
+  userId: session.userId,
+  ...(session.family ? { family: session.family } : { _id: session._id }),
+  isTokenExpired: false
+}, {
+  isTokenExpired: true,
+  revokedAt: new Date(),
+  revokedReason: reason
+});
+
+/**
+ * @description : exchange a refresh token for a new access token and a new refresh token.
+ * A refresh token works once, presenting it again revokes every token of its session.
+ * @param {string} refreshToken : refresh token handed out at login or by the previous refresh.
+ * @param {Object} client : {ipAddress, userAgent, deviceName} of the request.
+ * @return {Object} : returns refresh status. {flag, data}
+ */
+const refreshSession = async (refreshToken, client = {}) => {
+  const session = await dbService.findOne(userTokens, { refreshTokenHash: hashRefreshToken(refreshToken) });
+  if (!session) {
+    return {
+      flag: true,
+      data: 'Invalid refresh token'
+    };
+  }
+  if (session.rotatedAt) {
+    const revoked = await revokeSessionTokens(session, SESSION_REVOKE_REASONS.REFRESH_TOKEN_REUSE);
+    console.warn(`⚠️ Reused refresh token of user ${session.userId}, ${revoked} token(s) of the session revoked`);
+    return {
+      flag: true,
+      data: 'Refresh token was already used, please login again'
+    };
+  }
+  if (session.isTokenExpired) {
+    return {
+      flag: true,
+      data: 'Session was revoked, please login again'
+    };
+  }
+  if (!session.refreshTokenExpiredTime || dayjs().isAfter(dayjs(session.refreshTokenExpiredTime))) {
+    return {
+      flag: true,
+      data: 'Refresh token is expired, please login again'
+    };
+  }
+
+  const user = await dbService.findOne(User, {
+    _id: session.userId,
+    isActive: true,
+    isDeleted: false
+  });
+  if (!user || !user.userType || !(LOGIN_ACCESS[user.userType] || []).includes(PLATFORM.CLIENT)) {
+    await revokeSessionTokens(session, SESSION_REVOKE_REASONS.REVOKED);
+    return {
+      flag: true,
+      data: 'you are unable to access this platform'
+    };
+  }
+
+  // only one request can rotate the token, a concurrent one sees it as reused
+  const rotated = await dbService.updateOne(userTokens, {
+    _id: session._id,
+    rotatedAt: { $exists: false },
+    isTokenExpired: false
+  }, {
+    rotatedAt: new Date(),
+    isTokenExpired: true,
+    revokedReason: SESSION_REVOKE_REASONS.ROTATED
+  });
+  if (!rotated) {
+    return refreshSession(refreshToken, client);
+  }
+
+  const next = await createSession({
+    user: user.toJSON(),
+    client: {
+      ipAddress: client.ipAddress,
+      userAgent: client.userAgent || session.device?.userAgent,
+      deviceName: client.deviceName || session.device?.name
+    },
+    family: session.family,
+    loginAt: session.loginAt || session.createdAt
+  });
+  await dbService.updateOne(userTokens, { _id: session._id }, { replacedBy: next.session._id });
+  return {
+    flag: false,
+    data: {
+      sessionId: next.session.id,
+      token: next.token,
+      tokenExpiredTime: next.session.tokenExpiredTime,
+      refreshToken: next.refreshToken,
+      refreshTokenExpiredTime: next.session.refreshTokenExpiredTime
+    }
+  };
+};
+
+const activeSessionQuery = (userId) => {
+  const now = new Date();
+  return {
+    userId,
+    isTokenExpired: false,
+    $or: [
+      { refreshTokenExpiredTime: { $gt: now } },
+      {
+        refreshTokenExpiredTime: { $exists: false },
+        tokenExpiredTime: { $gt: now }
+      }
+    ]
+  };
+};
+
+/**
+ * @description : open sessions of a user, most recently used first.
+ * @param {string} userId : id of the user.
+ * @param {string} currentToken : access token of the request, its session is flagged as current.
+ * @return {Array} : sessions.
+ */
+const listSessions = async (userId, currentToken) => {
+  const sessions = await userTokens.find(activeSessionQuery(userId))
+    .sort({
+      lastUsedAt: -1,
+      createdAt: -1
+    })
+    .lean();
+  return sessions.map((session) => ({
+    id: session._id,
+    current: session.token === currentToken,
+    device: session.device || {},
+    ipAddress: session.ipAddress,
+    lastIpAddress: session.lastIpAddress,
+    loginAt: session.loginAt || session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    tokenExpiredTime: session.tokenExpiredTime,
+    refreshTokenExpiredTime: session.refreshTokenExpiredTime
+  }));
+};
+
+/**
+ * @description : revoke one session of a user, its access and refresh tokens stop working.
+ * @param {string} userId : id of the user.
+ * @param {string} sessionId : id of the session, as listed by listSessions.
+ * @return {Object} : returns revoke status. {flag, data}
+ */
+const revokeSession = async (userId, sessionId) => {
+  const session = await dbService.findOne(userTokens, {
+    _id: sessionId,
+    userId,
+    isTokenExpired: false
+  });
+  if (!session) {
+    return {
+      flag: true,
+      data: 'Session not found'
+    };
+  }
+  await revokeSessionTokens(session, SESSION_REVOKE_REASONS.REVOKED);
+  return {
+    flag: false,
+    data: 'Session revoked'
+  };
+};
+
+/**
+ * @description : revoke every session of a user except the one of the current access token.
+ * @param {string} userId : id of the user.
+ * @param {string} currentToken : access token of the request.
+ * @return {number} : revoked tokens.
+ */
+const revokeOtherSessions = (userId, currentToken) => dbService.updateMany(userTokens, {
+  userId,
+  isTokenExpired: false,
+  token: { $ne: currentToken }
+}, {
+  isTokenExpired: true,
+  revokedAt: new Date(),
+  revokedReason: SESSION_REVOKE_REASONS.REVOKED_OTHERS
+});
+
+/**
+ * @description : close the session of an access token on logout.
+ * @param {Object} session : userTokens document of the access token.
+ */
+const endSession = (session) => revokeSessionTokens(session, SESSION_REVOKE_REASONS.LOGOUT);
+
+module.exports = {
+  getClientInfo,
+  generateToken,
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  endSession
+};
@@ -0,0 +1,187 @@
+/**
+ * speechAnalyticsService.js
+ * @description :: speech delivery metrics of interview answers (speaking rate, filler words, pauses, answer length),
+ * computed from the transcript and the media duration without an LLM
+ */
+
+const {
+  SPEECH_ANALYTICS, FILLER_WORDS
+} = require('../constants/speechAnalyticsConstant');
+
+const round = (value, digits = 1) => (Number.isFinite(value) ? Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits) : null);
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const FILLER_PATTERNS = FILLER_WORDS.map((filler) => ({
+  filler,
+  pattern: new RegExp(`\\b${escapeRegExp(filler).replace(/ /g, '\\s+')}\\b`, 'g')
+}));
+
+// markers such as [No speech detected] or [MUSIC] are not words of the candidate
+const cleanText = (text) => (text || '').replace(/\[[^\]]*\]/g, ' ').toLowerCase();
+
+const countWords = (text) => (text.match(/[a-z0-9À-ɏ']+/g) || []).length;
+
+/**
+ * @description : occurrences of each filler word in a text.
+ * @return {Object} : {total, counts: {filler: count}}
+ */
+const countFillerWords = (text) => {
+  const counts = {};
+  let total = 0;
+  FILLER_PATTERNS.forEach(({
+    filler, pattern
+  }) => {
+    const matches = text.match(pattern);
+    if (matches) {
+      counts[filler] = matches.length;
+      total += matches.length;
+    }
+  });
+  return {
+    total,
+    counts
+  };
+};
+
+/**
+ * @description : silences between consecutive transcript segments longer than SPEECH_ANALYTICS.LONG_PAUSE_SECONDS.
+ */
+const findLongPauses = (segments) => {
+  const pauses = [];
+  for (let index = 1; index < segments.length; index++) {
+    const gap = segments[index].start - segments[index - 1].end;
+    if (gap >= SPEECH_ANALYTICS.LONG_PAUSE_SECONDS) {
+      pauses.push({
+        start: round(segments[index - 1].end, 2),
+        end: round(segments[index].start, 2),
+        duration: round(gap, 2)
+      });
+    }
+  }
+  return pauses;
+};
+
+/**
+ * @description : speech delivery metrics of one answer.
+ * Timestamps come from the transcript segments, the answer length from the media duration,
+ * falling back to the duration reported by the browser then to the end of the last segment.
+ * @param {Object} response : response document or plain object.
+ * @param {number} timeLimit : time limit of the question in seconds.
+ * @return {Object} : speech analytics stored in response.speechAnalytics.
+ */
+const computeSpeechAnalytics = (response, timeLimit) => {
+  const segments = (response.transcriptSegments || [])
+    .filter((segment) => Number.isFinite(segment.start) && Number.isFinite(segment.end) && segment.text)
+    .sort((a, b) => a.start - b.start);
+  const text = cleanText(segments.length ? segments.map((segment) => segment.text).join(' ') : (response.transcriptionText || response.responseText));
+  const wordCount = countWords(text);
+
+  const firstWordAt = segments.length ? segments[0].start : null;
+  const lastWordAt = segments.length ? segments[segments.length - 1].end : null;
+  const duration = response.mediaDuration || response.responseDuration || lastWordAt || null;
+  // the speaking rate leaves out the silence before the first and after the last word
+  const speakingWindow = segments.length ? lastWordAt - firstWordAt : duration;
+
+  const fillers = countFillerWords(text);
+  const pauses = findLongPauses(segments);
+  const speakingMinutes = speakingWindow > 0 ? speakingWindow / 60 : null;
+  const usage = duration && timeLimit ? duration / timeLimit : null;
+
+  return {
+    version: SPEECH_ANALYTICS.VERSION,
+    wordCount,
+    hasTimestamps: segments.length > 0,
+    wordsPerMinute: speakingMinutes && wordCount ? round(wordCount / speakingMinutes) : null,
+    fillerWords: {
+      total: fillers.total,
+      perMinute: speakingMinutes ? round(fillers.total / speakingMinutes, 2) : null,
+      per100Words: wordCount ? round(fillers.total / wordCount * 100, 2) : null,
+      counts: fillers.counts
+    },
+    longPauses: {
+      thresholdSeconds: SPEECH_ANALYTICS.LONG_PAUSE_SECONDS,
+      count: pauses.length,
+      totalSeconds: round(pauses.reduce((sum, pause) => sum + pause.duration, 0), 2),
+      longestSeconds: pauses.length ? Math.max(...pauses.map((pause) => pause.duration)) : null,
+      pauses: pauses.slice(0, SPEECH_ANALYTICS.MAX_LISTED_PAUSES)
+    },
+    timeToFirstWord: firstWordAt !== null ? round(firstWordAt, 2) : null,
+    answerLength: {
+      durationSeconds: round(duration, 2),
+      timeLimitSeconds: timeLimit || null,
+      timeLimitUsage: round(usage, 2),
+      overTimeLimit: usage !== null ? usage > 1 : null,
+      shortAnswer: usage !== null ? usage < SPEECH_ANALYTICS.SHORT_ANSWER_RATIO : null
+    },
+    computedAt: new Date()
+  };
+};
+
+/**
+ * @description : speech delivery metrics of an interview, answers without stored analytics are computed on the fly.
+ * @param {Array} responses : responses of the application, with their question populated for the time limit.
+ * @return {Object} : per-application aggregates and the metrics of each answer.
+ */
+const summarizeSpeechAnalytics = (responses) => {
+  const answers = responses.map((response) => ({
+    questionNumber: response.questionNumber,
+    responseId: response._id,
+    analytics: response.speechAnalytics || computeSpeechAnalytics(response, response.question?.timeLimit)
+  })).filter((answer) => answer.analytics.wordCount > 0);
+
+  const collect = (pick) => answers.map((answer) => pick(answer.analytics)).filter((value) => Number.isFinite(value));
+  const fillerCounts = {};
+  answers.forEach((answer) => Object.entries(answer.analytics.fillerWords.counts || {}).forEach(([filler, count]) => {
+    fillerCounts[filler] = (fillerCounts[filler] || 0) + count;
+  }));
+  const totalWords = collect((analytics) => analytics.wordCount).reduce((sum, value) => sum + value, 0);
+  const totalFillers = collect((analytics) => analytics.fillerWords.total).reduce((sum, value) => sum + value, 0);
+
+  return {
+    version: SPEECH_ANALYTICS.VERSION,
+    answersAnalyzed: answers.length,
+    totalWords,
+    averageWordsPerMinute: round(average(collect((analytics) => analytics.wordsPerMinute))),
+    fillerWords: {
+      total: totalFillers,
+      per100Words: totalWords ? round(totalFillers / totalWords * 100, 2) : null,
+      averagePerMinute: round(average(collect((analytics) => analytics.fillerWords.perMinute)), 2),
+      top: Object.entries(fillerCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([word, count]) => ({
+          word,
+          count
+        }))
+    },
+    longPauses: {
+      total: collect((analytics) => analytics.longPauses.count).reduce((sum, value) => sum + value, 0),
+      longestSeconds: collect((analytics) => analytics.longPauses.longestSeconds).reduce((max, value) => Math.max(max, value), 0) || null
+    },
+    averageTimeToFirstWord: round(average(collect((analytics) => analytics.timeToFirstWord)), 2),
+    answerLength: {
+      averageDurationSeconds: round(average(collect((analytics) => analytics.answerLength.durationSeconds))),
+      averageTimeLimitUsage: round(average(collect((analytics) => analytics.answerLength.timeLimitUsage)), 2),
+      overTimeLimit: answers.filter((answer) => answer.analytics.answerLength.overTimeLimit).length,
+      shortAnswers: answers.filter((answer) => answer.analytics.answerLength.shortAnswer).length
+    },
+    perAnswer: answers.map((answer) => ({
+      questionNumber: answer.questionNumber,
+      responseId: answer.responseId,
+      wordsPerMinute: answer.analytics.wordsPerMinute,
+      fillerWords: answer.analytics.fillerWords.total,
+      longPauses: answer.analytics.longPauses.count,
+      timeToFirstWord: answer.analytics.timeToFirstWord,
+      durationSeconds: answer.analytics.answerLength.durationSeconds,
+      timeLimitUsage: answer.analytics.answerLength.timeLimitUsage
+    }))
+  };
+};
+
+module.exports = {
+  computeSpeechAnalytics,
+  summarizeSpeechAnalytics
+};
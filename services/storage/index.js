@@ -0,0 +1,78 @@
+/**
+ * index.js
+ * @description :: object storage shared by uploads, media processing and playback. STORAGE_DRIVER selects
+ * 's3' (AWS_S3_ACCESS_KEY_ID, AWS_S3_SECRET_ACCESS_KEY, AWS_S3_REGION, AWS_S3_BUCKET_NAME), 'minio' for any
+ * S3-compatible server (the same credentials plus STORAGE_ENDPOINT) or 'local' (STORAGE_LOCAL_ROOT, links
+ * served from STORAGE_LOCAL_BASE_URL). STORAGE_PUBLIC_URL overrides the base of public object links.
+ */
+
+const S3StorageDriver = require('./s3Driver');
+const MinioStorageDriver = require('./minioDriver');
+const LocalStorageDriver = require('./localDriver');
+const {
+  STORAGE_DRIVERS, STORAGE_DEFAULTS
+} = require('../../constants/storageConstant');
+
+const DRIVERS = {
+  [STORAGE_DRIVERS.S3]: S3StorageDriver,
+  [STORAGE_DRIVERS.MINIO]: MinioStorageDriver,
+  [STORAGE_DRIVERS.LOCAL]: LocalStorageDriver
+};
+
+/**
+ * @description : resolve the storage driver and its settings
+ * @param {Object} env : environment to read the configuration from
+ * @return {Object} : storage configuration
+ */
+const resolveStorageConfig = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || STORAGE_DEFAULTS.driver;
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown storage driver "${driver}", expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return {
+    driver,
+    bucket: env.AWS_S3_BUCKET_NAME,
+    region: env.AWS_S3_REGION || STORAGE_DEFAULTS.region,
+    accessKeyId: env.AWS_S3_ACCESS_KEY_ID,
+    secretAccessKey: env.AWS_S3_SECRET_ACCESS_KEY,
+    endpoint: env.STORAGE_ENDPOINT,
+    publicUrl: env.STORAGE_PUBLIC_URL ? env.STORAGE_PUBLIC_URL.replace(/\/+$/, '') : undefined,
+    rootDir: env.STORAGE_LOCAL_ROOT || STORAGE_DEFAULTS.localRoot,
+    baseUrl: env.STORAGE_LOCAL_BASE_URL || env.APP_URL || STORAGE_DEFAULTS.localBaseUrl,
+    urlExpiration: parseInt(env.AWS_URL_EXPIRATION) || STORAGE_DEFAULTS.urlExpiration
+  };
+};
+
+/**
+ * @description : create the storage driver configured in an environment
+ * @param {Object} env : environment to read the configuration from, defaults to process.env
+ * @return {Object} : storage driver
+ */
+const createStorage = (env = process.env) => {
+  const config = resolveStorageConfig(env);
+  const Driver = DRIVERS[config.driver];
+  const driver = new Driver(config);
+  driver.urlExpiration = config.urlExpiration;
+  return driver;
+};
+
+let storage;
+
+/**
+ * @description : storage driver of the process, created on first use
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  createStorage,
+  resolveStorageConfig,
+  S3StorageDriver,
+  MinioStorageDriver,
+  LocalStorageDriver
+};
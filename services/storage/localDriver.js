@@ -0,0 +1,425 @@
+/**
+ * localDriver.js
+ * @description :: storage driver keeping objects on the local disk. Signed links point to LOCAL_STORAGE_ROUTE
+ * and carry an HMAC-signed expiring token, multipart uploads keep their parts until they are completed.
+ * Layout under the root directory: objects/<key>, meta/<key>.json and multipart/<uploadId>/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const {
+  createMediaToken, verifyMediaToken
+} = require('../../utils/mediaToken');
+const {
+  STORAGE_DRIVERS, LOCAL_STORAGE_ROUTE, LOCAL_STORAGE_TOKEN_SCOPE, LOCAL_STORAGE_OPERATIONS
+} = require('../../constants/storageConstant');
+const { assertNotQuarantined } = require('./quarantine');
+
+// same names and status codes as the aws-sdk errors so callers handle every driver alike
+const createError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isMissing = (error) => error.code === 'ENOENT';
+
+const md5File = async (filePath) => {
+  const hash = crypto.createHash('md5');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent)
+  .join('/');
+
+class LocalStorageDriver {
+  constructor ({
+    rootDir, baseUrl
+  }) {
+    this.name = STORAGE_DRIVERS.LOCAL;
+    this.rootDir = path.resolve(rootDir);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * @description : relative path of a key, keys leaving the storage root are rejected
+   */
+  resolveKey (key) {
+    const segments = (key || '').replace(/^\/+/, '').split('/');
+    if (!key || segments.some(segment => !segment || segment === '.' || segment === '..' || segment.includes('\0'))) {
+      throw createError('InvalidKey', `Invalid object key "${key}"`, 400);
+    }
+    return path.join(...segments);
+  }
+
+  objectPath (key) {
+    return path.join(this.rootDir, 'objects', this.resolveKey(key));
+  }
+
+  metaPath (key) {
+    return path.join(this.rootDir, 'meta', `${this.resolveKey(key)}.json`);
+  }
+
+  uploadDir (uploadId) {
+    if (!/^[0-9a-f]{32}$/.test(uploadId || '')) {
+      throw createError('NoSuchUpload', 'The specified multipart upload does not exist', 404);
+    }
+    return path.join(this.rootDir, 'multipart', uploadId);
+  }
+
+  async readMeta (key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.metaPath(key), 'utf8'));
+    } catch (error) {
+      if (isMissing(error)) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async writeMeta (key, meta) {
+    const metaPath = this.metaPath(key);
+    await fs.promises.mkdir(path.dirname(metaPath), { recursive: true });
+    await fs.promises.writeFile(metaPath, JSON.stringify(meta));
+  }
+
+  async statObject (key) {
+    try {
+      return await fs.promises.stat(this.objectPath(key));
+    } catch (error) {
+      if (isMissing(error)) {
+        throw createError('NoSuchKey', 'The specified key does not exist.', 404);
+      }
+      throw error;
+    }
+  }
+
+  async putObject (key, body, {
+    contentType, metadata, isPublic
+  } = {}) {
+    const filePath = this.objectPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      await fs.promises.writeFile(filePath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath));
+    }
+    const etag = `"${await md5File(filePath)}"`;
+    await this.writeMeta(key, {
+      contentType: contentType || 'application/octet-stream',
+      metadata: metadata || {},
+      isPublic: Boolean(isPublic),
+      etag
+    });
+    return {
+      key,
+      location: this.getPublicUrl(key),
+      etag
+    };
+  }
+
+  async getObject (key) {
+    await this.statObject(key);
+    const meta = await this.readMeta(key);
+    return {
+      body: await fs.promises.readFile(this.objectPath(key)),
+      contentType: meta.contentType,
+      metadata: meta.metadata || {}
+    };
+  }
+
+  getObjectStream (key) {
+    return fs.createReadStream(this.objectPath(key));
+  }
+
+  async headObject (key) {
+    const stat = await this.statObject(key);
+    const meta = await this.readMeta(key);
+    return {
+      contentLength: stat.size,
+      contentType: meta.contentType,
+      lastModified: stat.mtime,
+      etag: meta.etag,
+      metadata: meta.metadata || {}
+    };
+  }
+
+  async deleteObject (key) {
+    await fs.promises.rm(this.objectPath(key), { force: true });
+    await fs.promises.rm(this.metaPath(key), { force: true });
+  }
+
+  /**
+   * @description : keys of the files under a directory of the objects folder, recursively
+   */
+  async walk (directory, relative, keys) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (isMissing(error)) {
+        return keys;
+      }
+      throw error;
+    }
+    for (const entry of entries) {
+      const key = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await this.walk(path.join(directory, entry.name), key, keys);
+      } else {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * list objects under a prefix in key order, the continuation token is the last key returned
+   */
+  async listObjects (prefix = '', maxKeys = 1000, continuationToken) {
+    // walk from the deepest folder the prefix names, "a/b/chunk-" starts in a/b
+    const folder = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const start = folder ? path.join(this.rootDir, 'objects', this.resolveKey(folder)) : path.join(this.rootDir, 'objects');
+    const keys = (await this.walk(start, folder, []))
+      .filter(key => key.startsWith(prefix) && (!continuationToken || key > continuationToken))
+      .sort();
+    const page = keys.slice(0, maxKeys);
+    const objects = [];
+    for (const key of page) {
+      const stat = await fs.promises.stat(this.objectPath(key));
+      const meta = await this.readMeta(key);
+      objects.push({
+        Key: key,
+        Size: stat.size,
+        LastModified: stat.mtime,
+        ETag: meta.etag
+      });
+    }
+    const isTruncated = keys.length > page.length;
+    return {
+      objects,
+      count: objects.length,
+      isTruncated,
+      nextContinuationToken: isTruncated ? page[page.length - 1] : undefined
+    };
+  }
+
+  signedUrl (payload, expiresIn, fileName) {
+    const { token } = createMediaToken({
+      scope: LOCAL_STORAGE_TOKEN_SCOPE,
+      ...payload
+    }, expiresIn);
+    return `${this.baseUrl}${LOCAL_STORAGE_ROUTE}/${token}/${encodeURIComponent(fileName)}`;
+  }
+
+  async getSignedUrl (key, {
+    operation = 'getObject', expiresIn, contentType
+  } = {}) {
+    this.resolveKey(key);
+    assertNotQuarantined(key);
+    return this.signedUrl({
+      op: operation === 'putObject' ? LOCAL_STORAGE_OPERATIONS.PUT : LOCAL_STORAGE_OPERATIONS.GET,
+      key,
+      contentType
+    }, expiresIn, path.basename(key));
+  }
+
+  /**
+   * @description : payload of a signed link of this driver, null when it is invalid, expired or meant for another operation
+   */
+  verifySignedToken (token, operations) {
+    const payload = verifyMediaToken(token);
+    if (!payload || payload.scope !== LOCAL_STORAGE_TOKEN_SCOPE || !operations.includes(payload.op)) {
+      return null;
+    }
+    return payload;
+  }
+
+  async createMultipartUpload (key, {
+    contentType, metadata, isPublic
+  } = {}) {
+    this.resolveKey(key);
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const directory = this.uploadDir(uploadId);
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(path.join(directory, 'upload.json'), JSON.stringify({
+      key,
+      contentType,
+      metadata: metadata || {},
+      isPublic: Boolean(isPublic),
+      createdAt: new Date()
+    }));
+    return {
+      uploadId,
+      key
+    };
+  }
+
+  async readUpload (key, uploadId) {
+    try {
+      const upload = JSON.parse(await fs.promises.readFile(path.join(this.uploadDir(uploadId), 'upload.json'), 'utf8'));
+      if (upload.key === key) {
+        return upload;
+      }
+    } catch (error) {
+      if (!isMissing(error)) {
+        throw error;
+      }
+    }
+    throw createError('NoSuchUpload', 'The specified multipart upload does not exist', 404);
+  }
+
+  partPath (uploadId, partNumber) {
+    const number = parseInt(partNumber);
+    if (!(number >= 1 && number <= 10000)) {
+      throw createError('InvalidArgument', 'Part number must be an integer between 1 and 10000', 400);
+    }
+    return path.join(this.uploadDir(uploadId), `part-${number.toString().padStart(5, '0')}`);
+  }
+
+  async getPartUploadUrl (key, uploadId, partNumber, expiresIn) {
+    await this.readUpload(key, uploadId);
+    this.partPath(uploadId, partNumber);
+    return this.signedUrl({
+      op: LOCAL_STORAGE_OPERATIONS.PART,
+      key,
+      uploadId,
+      partNumber
+    }, expiresIn, path.basename(key));
+  }
+
+  /**
+   * @description : store one part sent to a signed part link
+   * @return {Promise<String>} : ETag of the part, to send back when the upload is completed
+   */
+  async writePart (key, uploadId, partNumber, body) {
+    await this.readUpload(key, uploadId);
+    const partPath = this.partPath(uploadId, partNumber);
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(partPath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(partPath));
+    }
+    return `"${await md5File(partPath)}"`;
+  }
+
+  async completeMultipartUpload (key, uploadId, parts) {
+    const upload = await this.readUpload(key, uploadId);
+    const partHashes = [];
+    for (const part of parts) {
+      const partPath = this.partPath(uploadId, part.PartNumber);
+      let hash;
+      try {
+        hash = await md5File(partPath);
+      } catch (error) {
+        throw createError('InvalidPart', `Part ${part.PartNumber} was not uploaded`, 400);
+      }
+      if (part.ETag && part.ETag.replace(/"/g, '') !== hash) {
+        throw createError('InvalidPart', `ETag of part ${part.PartNumber} does not match`, 400);
+      }
+      partHashes.push(hash);
+    }
+
+    const filePath = this.objectPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const output = fs.createWriteStream(filePath);
+    for (const part of parts) {
+      await pipeline(fs.createReadStream(this.partPath(uploadId, part.PartNumber)), output, { end: false });
+    }
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+
+    // S3 multipart ETag: md5 of the concatenated part digests, followed by the part count
+    const etag = `"${crypto.createHash('md5').update(Buffer.from(partHashes.join(''), 'hex'))
+      .digest('hex')}-${parts.length}"`;
+    await this.writeMeta(key, {
+      contentType: upload.contentType || 'application/octet-stream',
+      metadata: upload.metadata,
+      isPublic: upload.isPublic,
+      etag
+    });
+    await fs.promises.rm(this.uploadDir(uploadId), {
+      recursive: true,
+      force: true
+    });
+    return {
+      key,
+      location: this.getPublicUrl(key),
+      etag
+    };
+  }
+
+  async abortMultipartUpload (key, uploadId) {
+    await this.readUpload(key, uploadId);
+    await fs.promises.rm(this.uploadDir(uploadId), {
+      recursive: true,
+      force: true
+    });
+  }
+
+  async listParts (key, uploadId) {
+    await this.readUpload(key, uploadId);
+    const directory = this.uploadDir(uploadId);
+    const files = (await fs.promises.readdir(directory)).filter(file => file.startsWith('part-')).sort();
+    const parts = [];
+    for (const file of files) {
+      const filePath = path.join(directory, file);
+      const stat = await fs.promises.stat(filePath);
+      parts.push({
+        PartNumber: parseInt(file.slice('part-'.length)),
+        ETag: `"${await md5File(filePath)}"`,
+        Size: stat.size,
+        LastModified: stat.mtime
+      });
+    }
+    return {
+      parts,
+      isTruncated: false
+    };
+  }
+
+  /**
+   * @description : file and headers of an object, for the storage route
+   */
+  async getObjectFile (key) {
+    const stat = await this.statObject(key);
+    const meta = await this.readMeta(key);
+    return {
+      filePath: this.objectPath(key),
+      size: stat.size,
+      contentType: meta.contentType || 'application/octet-stream',
+      etag: meta.etag,
+      isPublic: Boolean(meta.isPublic)
+    };
+  }
+
+  getPublicUrl (key) {
+    return `${this.baseUrl}${LOCAL_STORAGE_ROUTE}/public/${encodeKey(key)}`;
+  }
+
+  getKeyFromUrl (keyOrUrl) {
+    if (!keyOrUrl) {
+      return null;
+    }
+    if (!/^https?:\/\//i.test(keyOrUrl)) {
+      return keyOrUrl;
+    }
+    const pathname = new URL(keyOrUrl).pathname;
+    const publicPrefix = `${LOCAL_STORAGE_ROUTE}/public/`;
+    if (pathname.startsWith(publicPrefix)) {
+      return decodeURIComponent(pathname.slice(publicPrefix.length));
+    }
+    if (pathname.startsWith(`${LOCAL_STORAGE_ROUTE}/`)) {
+      const token = pathname.slice(LOCAL_STORAGE_ROUTE.length + 1).split('/')[0];
+      const payload = this.verifySignedToken(token, [LOCAL_STORAGE_OPERATIONS.GET, LOCAL_STORAGE_OPERATIONS.PUT]);
+      return payload ? payload.key : null;
+    }
+    return null;
+  }
+}
+
+module.exports = LocalStorageDriver;
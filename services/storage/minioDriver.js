@@ -0,0 +1,24 @@
+/**
+ * minioDriver.js
+ * @description :: storage driver for S3-compatible servers such as MinIO, objects are addressed path-style on STORAGE_ENDPOINT
+ */
+
+const S3StorageDriver = require('./s3Driver');
+const { STORAGE_DRIVERS } = require('../../constants/storageConstant');
+
+class MinioStorageDriver extends S3StorageDriver {
+  constructor (config) {
+    if (!config.endpoint) {
+      throw new Error('STORAGE_ENDPOINT is required by the minio storage driver');
+    }
+    super(config);
+    this.name = STORAGE_DRIVERS.MINIO;
+    this.endpoint = config.endpoint.replace(/\/+$/, '');
+  }
+
+  getPublicUrl (key) {
+    return `${this.publicUrl || `${this.endpoint}/${this.bucket}`}/${key}`;
+  }
+}
+
+module.exports = MinioStorageDriver;
@@ -0,0 +1,31 @@
+/**
+ * quarantine.js
+ * @description :: keys of the uploads quarantined by the malware scan, shared by the storage drivers
+ */
+
+const { QUARANTINE_PREFIX } = require('../../constants/storageConstant');
+
+/**
+ * @description : key of the quarantined copy of an object
+ */
+const toQuarantineKey = (key) => `${QUARANTINE_PREFIX}${key.replace(/^\/+/, '')}`;
+
+const isQuarantinedKey = (key) => typeof key === 'string' && key.replace(/^\/+/, '').startsWith(QUARANTINE_PREFIX);
+
+/**
+ * @description : refuse links to quarantined objects, they are only reachable with direct bucket access
+ */
+const assertNotQuarantined = (key) => {
+  if (isQuarantinedKey(key)) {
+    const error = new Error('Quarantined objects can not be shared');
+    error.code = 'AccessDenied';
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+module.exports = {
+  toQuarantineKey,
+  isQuarantinedKey,
+  assertNotQuarantined
+};
@@ -0,0 +1,228 @@
+/**
+ * s3Driver.js
+ * @description :: storage driver for AWS S3
+ */
+
+const AWS = require('aws-sdk');
+const { STORAGE_DRIVERS } = require('../../constants/storageConstant');
+const { assertNotQuarantined } = require('./quarantine');
+
+class S3StorageDriver {
+  constructor ({
+    bucket, region, accessKeyId, secretAccessKey, endpoint, publicUrl
+  }) {
+    this.name = STORAGE_DRIVERS.S3;
+    this.bucket = bucket;
+    this.region = region;
+    this.publicUrl = publicUrl;
+    const options = {
+      accessKeyId,
+      secretAccessKey,
+      region,
+      signatureVersion: 'v4'
+    };
+    if (endpoint) {
+      options.endpoint = endpoint;
+      options.s3ForcePathStyle = true;
+    }
+    this.client = new AWS.S3(options);
+  }
+
+  /**
+   * store an object
+   * @param {String} key : object key
+   * @param {Buffer|Stream|String} body : content
+   * @param {Object} options : contentType, metadata and isPublic
+   * @return {Promise<Object>} : key, location and etag
+   */
+  async putObject (key, body, {
+    contentType, metadata, isPublic
+  } = {}) {
+    const params = {
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType || 'application/octet-stream',
+      Metadata: metadata || {}
+    };
+    if (isPublic !== undefined) {
+      params.ACL = isPublic ? 'public-read' : 'private';
+    }
+    const result = await this.client.upload(params).promise();
+    return {
+      key: result.Key,
+      location: result.Location,
+      etag: result.ETag
+    };
+  }
+
+  async getObject (key) {
+    const result = await this.client.getObject({
+      Bucket: this.bucket,
+      Key: key
+    }).promise();
+    return {
+      body: result.Body,
+      contentType: result.ContentType,
+      metadata: result.Metadata
+    };
+  }
+
+  getObjectStream (key) {
+    return this.client.getObject({
+      Bucket: this.bucket,
+      Key: key
+    }).createReadStream();
+  }
+
+  async headObject (key) {
+    const result = await this.client.headObject({
+      Bucket: this.bucket,
+      Key: key
+    }).promise();
+    return {
+      contentLength: result.ContentLength,
+      contentType: result.ContentType,
+      lastModified: result.LastModified,
+      etag: result.ETag,
+      metadata: result.Metadata
+    };
+  }
+
+  async deleteObject (key) {
+    await this.client.deleteObject({
+      Bucket: this.bucket,
+      Key: key
+    }).promise();
+  }
+
+  /**
+   * list objects under a prefix, entries keep the S3 shape {Key, Size, LastModified, ETag}
+   * @return {Promise<Object>} : objects, count, isTruncated and nextContinuationToken
+   */
+  async listObjects (prefix = '', maxKeys = 1000, continuationToken) {
+    const result = await this.client.listObjectsV2({
+      Bucket: this.bucket,
+      Prefix: prefix,
+      MaxKeys: maxKeys,
+      ContinuationToken: continuationToken
+    }).promise();
+    return {
+      objects: result.Contents || [],
+      count: result.KeyCount,
+      isTruncated: result.IsTruncated,
+      nextContinuationToken: result.NextContinuationToken
+    };
+  }
+
+  /**
+   * pre-signed link to read (getObject) or write (putObject) an object, never for quarantined objects
+   */
+  async getSignedUrl (key, {
+    operation = 'getObject', expiresIn, contentType
+  } = {}) {
+    assertNotQuarantined(key);
+    const params = {
+      Bucket: this.bucket,
+      Key: key,
+      Expires: expiresIn
+    };
+    if (operation === 'putObject' && contentType) {
+      params.ContentType = contentType;
+    }
+    return this.client.getSignedUrlPromise(operation, params);
+  }
+
+  async createMultipartUpload (key, {
+    contentType, metadata, isPublic
+  } = {}) {
+    const result = await this.client.createMultipartUpload({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      ACL: isPublic ? 'public-read' : 'private',
+      Metadata: metadata || {}
+    }).promise();
+    return {
+      uploadId: result.UploadId,
+      key: result.Key
+    };
+  }
+
+  async getPartUploadUrl (key, uploadId, partNumber, expiresIn) {
+    return this.client.getSignedUrlPromise('uploadPart', {
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Expires: expiresIn
+    });
+  }
+
+  /**
+   * @param {Array} parts : [{PartNumber, ETag}] in upload order
+   */
+  async completeMultipartUpload (key, uploadId, parts) {
+    const result = await this.client.completeMultipartUpload({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: { Parts: parts }
+    }).promise();
+    return {
+      key: result.Key,
+      location: result.Location,
+      etag: result.ETag
+    };
+  }
+
+  async abortMultipartUpload (key, uploadId) {
+    await this.client.abortMultipartUpload({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId
+    }).promise();
+  }
+
+  async listParts (key, uploadId) {
+    const result = await this.client.listParts({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MaxParts: 1000
+    }).promise();
+    return {
+      parts: result.Parts || [],
+      isTruncated: result.IsTruncated
+    };
+  }
+
+  /**
+   * permanent link of an object stored with isPublic
+   */
+  getPublicUrl (key) {
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${key}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+
+  /**
+   * key of an object from its key or URL, path-style URLs carry the bucket name first
+   */
+  getKeyFromUrl (keyOrUrl) {
+    if (!keyOrUrl) {
+      return null;
+    }
+    if (!/^https?:\/\//i.test(keyOrUrl)) {
+      return keyOrUrl;
+    }
+    let key = decodeURIComponent(new URL(keyOrUrl).pathname).replace(/^\//, '');
+    if (this.bucket && key.startsWith(`${this.bucket}/`)) {
+      key = key.slice(this.bucket.length + 1);
+    }
+    return key;
+  }
+}
+
+module.exports = S3StorageDriver;
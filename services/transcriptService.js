@@ -0,0 +1,140 @@
+/**
+ * transcriptService.js
+ * @description :: timestamped transcripts of interview responses and full-text search across the transcripts of a workspace
+ */
+
+const Response = require('../model/response');
+const Job = require('../model/job');
+const reviewService = require('./reviewService');
+const { TRANSCRIPT_SEARCH } = require('../constants/transcriptionConstant');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @description : words and phrases of a $text search, negated terms are left out since they never match a segment.
+ * @param {string} query : search text, "quoted phrases" and -excluded words follow the MongoDB text search syntax.
+ * @return {Array} : lowercase terms.
+ */
+const getSearchTerms = (query) => {
+  const terms = [];
+  const phrasePattern = /"([^"]+)"/g;
+  let match;
+  while ((match = phrasePattern.exec(query)) !== null) {
+    terms.push(match[1].trim().toLowerCase());
+  }
+  query.replace(phrasePattern, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .forEach((word) => terms.push(word.toLowerCase()));
+  return terms.filter(Boolean);
+};
+
+/**
+ * @description : segments of a response mentioning one of the terms.
+ * Words are matched on their start so that stemmed matches of the text index ("developing" for "develop") are found too.
+ * @return {Array} : [{start, end, speaker, text}]
+ */
+const findSegmentHits = (response, terms) => {
+  const patterns = terms.map((term) => {
+    // drop common suffixes so "developer" finds "developing" like the stemmed index does
+    const stem = term.includes(' ') || term.length < 6 ? term : term.replace(/(ing|ed|es|er|s)$/, '');
+    return new RegExp(`\\b${escapeRegExp(stem)}`, 'i');
+  });
+  return (response.transcriptSegments || [])
+    .filter((segment) => segment.text && patterns.some((pattern) => pattern.test(segment.text)))
+    .slice(0, TRANSCRIPT_SEARCH.MAX_HITS_PER_RESPONSE)
+    .map((segment) => ({
+      start: segment.start,
+      end: segment.end,
+      speaker: segment.speaker,
+      text: segment.text
+    }));
+};
+
+/**
+ * @description : full-text search across the interview transcripts of a workspace, best matches first.
+ * Responses transcribed before segments were stored are returned without timestamps.
+ * @param {Object} params : {workspaceId, query, page, limit}
+ * @return {Object} : {query, total, page, limit, results: [{applicationId, responseId, questionId, questionNumber, questionText, relevance, hits}]}
+ */
+const searchTranscripts = async ({
+  workspaceId, query, page = 1, limit = TRANSCRIPT_SEARCH.DEFAULT_LIMIT
+}) => {
+  const perPage = Math.min(Math.max(parseInt(limit) || TRANSCRIPT_SEARCH.DEFAULT_LIMIT, 1), TRANSCRIPT_SEARCH.MAX_LIMIT);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+  const jobs = await Job.find({ workspace: workspaceId }).select('_id')
+    .lean();
+  const filter = {
+    $text: { $search: query },
+    job: { $in: jobs.map((job) => job._id) },
+    isDeleted: { $ne: true }
+  };
+
+  const [total, responses] = await Promise.all([
+    Response.countDocuments(filter),
+    Response.find(filter, { relevance: { $meta: 'textScore' } })
+      .select('sessionId job candidate question questionNumber questionText transcriptionText transcriptSegments')
+      .sort({ relevance: { $meta: 'textScore' } })
+      .skip((currentPage - 1) * perPage)
+      .limit(perPage)
+      .lean()
+  ]);
+
+  const terms = getSearchTerms(query);
+  return {
+    query,
+    total,
+    page: currentPage,
+    limit: perPage,
+    results: responses.map((response) => {
+      const hits = findSegmentHits(response, terms);
+      return {
+        applicationId: response.sessionId,
+        responseId: response._id,
+        jobId: response.job,
+        candidateId: response.candidate,
+        questionId: response.question,
+        questionNumber: response.questionNumber,
+        questionText: response.questionText,
+        relevance: response.relevance,
+        hits: hits.length ? hits : [{
+          start: null,
+          end: null,
+          speaker: null,
+          text: response.transcriptionText
+        }]
+      };
+    })
+  };
+};
+
+/**
+ * @description : timestamped transcript of a response of the workspace.
+ * @param {Object} params : {responseId, workspaceId}
+ * @return {Object|null} : transcript, null when the response is not in the workspace.
+ */
+const getResponseTranscript = async ({
+  responseId, workspaceId
+}) => {
+  const response = await reviewService.findWorkspaceResponse({
+    responseId,
+    workspaceId
+  });
+  if (!response) {
+    return null;
+  }
+  return {
+    responseId: response._id,
+    applicationId: response.sessionId,
+    questionId: response.question,
+    questionNumber: response.questionNumber,
+    language: response.transcriptLanguage || null,
+    text: response.transcriptionText || null,
+    segments: response.transcriptSegments || []
+  };
+};
+
+module.exports = {
+  searchTranscripts,
+  getResponseTranscript
+};
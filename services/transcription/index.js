@@ -0,0 +1,236 @@
+/**
+ * index.js
+ * @description :: transcription client shared by the upload pipeline and the transcription endpoints. The provider
+ * ('whisper_http', 'openai' for any OpenAI-compatible server or 'whisper_cpp' for a local binary) is resolved from the
+ * environment: TRANSCRIPTION_PROVIDER, TRANSCRIPTION_MODEL, TRANSCRIPTION_LANGUAGE, TRANSCRIPTION_TIMEOUT_MS and
+ * TRANSCRIPTION_RETRIES set the defaults, TRANSCRIPTION_<PROVIDER>_BASE_URL, TRANSCRIPTION_<PROVIDER>_API_KEY and
+ * TRANSCRIPTION_<PROVIDER>_MODEL configure each provider, WHISPER_CPP_BIN, WHISPER_CPP_MODEL, WHISPER_CPP_MODELS_DIR and
+ * WHISPER_CPP_THREADS the local binary. Workspaces can pick another provider, model and language, hosts and keys stay in
+ * the environment.
+ */
+
+const path = require('path');
+const WhisperHttpProvider = require('./whisperHttpProvider');
+const OpenAiTranscriptionProvider = require('./openAiTranscriptionProvider');
+const WhisperCppProvider = require('./whisperCppProvider');
+const {
+  TRANSCRIPTION_PROVIDERS, TRANSCRIPTION_DEFAULTS, TRANSCRIPTION_PROVIDER_DEFAULTS, WHISPER_CPP_MODELS
+} = require('../../constants/transcriptionConstant');
+
+const PROVIDERS = {
+  [TRANSCRIPTION_PROVIDERS.WHISPER_HTTP]: WhisperHttpProvider,
+  [TRANSCRIPTION_PROVIDERS.OPENAI]: OpenAiTranscriptionProvider,
+  [TRANSCRIPTION_PROVIDERS.WHISPER_CPP]: WhisperCppProvider
+};
+
+const TRANSCRIPTION_ERROR_CODES = {
+  TIMEOUT: 'TRANSCRIPTION_TIMEOUT',
+  CONNECTION: 'TRANSCRIPTION_CONNECTION',
+  UNAUTHORIZED: 'TRANSCRIPTION_UNAUTHORIZED',
+  BINARY_NOT_FOUND: 'TRANSCRIPTION_BINARY_NOT_FOUND',
+  EMPTY_AUDIO: 'TRANSCRIPTION_EMPTY_AUDIO',
+  REQUEST: 'TRANSCRIPTION_REQUEST'
+};
+
+const createError = (code, message, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toNumber = (value) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+const toBoolean = (value) => (value === undefined || value === '' ? undefined : value === true || value === 'true');
+
+const firstDefined = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+
+/**
+ * @description : path of the whisper.cpp model picked by a workspace, the binary reads whatever file it is given
+ * so workspaces only name a known model or a file of WHISPER_CPP_MODELS_DIR
+ * @param {string} model : model name of the workspace settings
+ * @param {Object} env : environment to read WHISPER_CPP_MODELS_DIR from
+ * @return {string} : path of the ggml model
+ */
+const resolveWhisperCppModel = (model, env) => {
+  const modelsDir = firstDefined(env.WHISPER_CPP_MODELS_DIR, TRANSCRIPTION_PROVIDER_DEFAULTS[TRANSCRIPTION_PROVIDERS.WHISPER_CPP].modelsDir);
+  if (WHISPER_CPP_MODELS.includes(model)) {
+    return path.join(modelsDir, `ggml-${model}.bin`);
+  }
+  const isFileName = !/[\\/]/.test(model) && !['.', '..'].includes(model);
+  if (env.WHISPER_CPP_MODELS_DIR && isFileName) {
+    return path.join(modelsDir, model);
+  }
+  throw new Error(`Unknown whisper.cpp model "${model}", expected one of: ${WHISPER_CPP_MODELS.join(', ')}${env.WHISPER_CPP_MODELS_DIR ? ' or a file name in WHISPER_CPP_MODELS_DIR' : ''}`);
+};
+
+/**
+ * @description : resolve provider, host, model and language, workspace settings override the environment
+ * @param {Object} settings : transcription settings of a workspace {provider, model, language, translate}
+ * @param {Object} env : environment to read the configuration from
+ * @return {Object} : transcription configuration
+ */
+const resolveConfig = (settings = {}, env = process.env) => {
+  const provider = firstDefined(settings.provider, env.TRANSCRIPTION_PROVIDER, TRANSCRIPTION_DEFAULTS.provider);
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown transcription provider "${provider}", expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  const prefix = `TRANSCRIPTION_${provider.toUpperCase()}_`;
+  const defaults = TRANSCRIPTION_PROVIDER_DEFAULTS[provider];
+  const isDefaultProvider = provider === firstDefined(env.TRANSCRIPTION_PROVIDER, TRANSCRIPTION_DEFAULTS.provider);
+  const fromDefaultProvider = (name) => (isDefaultProvider ? env[`TRANSCRIPTION_${name}`] : undefined);
+
+  const config = {
+    provider,
+    baseUrl: (firstDefined(env[`${prefix}BASE_URL`], fromDefaultProvider('BASE_URL'), defaults.baseUrl) || '').replace(/\/+$/, ''),
+    apiKey: firstDefined(env[`${prefix}API_KEY`], fromDefaultProvider('API_KEY')),
+    model: firstDefined(settings.model, env[`${prefix}MODEL`], fromDefaultProvider('MODEL'), defaults.model),
+    language: firstDefined(settings.language, env.TRANSCRIPTION_LANGUAGE, TRANSCRIPTION_DEFAULTS.language),
+    translate: firstDefined(settings.translate, toBoolean(env.TRANSCRIPTION_TRANSLATE), TRANSCRIPTION_DEFAULTS.translate),
+    timeout: toNumber(env.TRANSCRIPTION_TIMEOUT_MS) || TRANSCRIPTION_DEFAULTS.timeout,
+    retries: toNumber(env.TRANSCRIPTION_RETRIES) || TRANSCRIPTION_DEFAULTS.retries
+  };
+  if (provider === TRANSCRIPTION_PROVIDERS.WHISPER_CPP) {
+    config.binary = firstDefined(env.WHISPER_CPP_BIN, defaults.binary);
+    config.model = settings.model ? resolveWhisperCppModel(settings.model, env) : firstDefined(env.WHISPER_CPP_MODEL, defaults.model);
+    config.threads = toNumber(env.WHISPER_CPP_THREADS) || defaults.threads;
+  }
+  return config;
+};
+
+/**
+ * @description : map a provider failure to a transcription error, flagging the ones worth retrying
+ */
+const normalizeError = (error, config) => {
+  if (error.code && Object.values(TRANSCRIPTION_ERROR_CODES).includes(error.code)) {
+    return error;
+  }
+  const status = error.response && error.response.status;
+  const where = config.provider === TRANSCRIPTION_PROVIDERS.WHISPER_CPP ? `${config.binary}` : `${config.provider} at ${config.baseUrl}`;
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return createError(TRANSCRIPTION_ERROR_CODES.TIMEOUT, `Transcription with ${where} timed out after ${config.timeout}ms`, { retryable: true });
+  }
+  if (error.code === 'ENOENT' && config.provider === TRANSCRIPTION_PROVIDERS.WHISPER_CPP) {
+    return createError(TRANSCRIPTION_ERROR_CODES.BINARY_NOT_FOUND, `whisper.cpp binary "${config.binary}" not found, check WHISPER_CPP_BIN`);
+  }
+  if (['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EAI_AGAIN'].includes(error.code)) {
+    return createError(TRANSCRIPTION_ERROR_CODES.CONNECTION, `Cannot connect to ${where} - is it running and accessible?`, { retryable: true });
+  }
+  if (status === 401 || status === 403) {
+    return createError(TRANSCRIPTION_ERROR_CODES.UNAUTHORIZED, `Transcription request to ${where} was rejected, check TRANSCRIPTION_${config.provider.toUpperCase()}_API_KEY`, { status });
+  }
+  const detail = error.response && error.response.data && (error.response.data.error?.message || error.response.data.error);
+  return createError(TRANSCRIPTION_ERROR_CODES.REQUEST, `Transcription with ${where} failed: ${detail || error.message}`, {
+    status,
+    retryable: !status || status === 429 || status >= 500
+  });
+};
+
+/**
+ * @description : create a transcription client bound to an environment
+ * @param {Object} env : environment to read the configuration from, defaults to process.env
+ * @return {Object} : client exposing getConfig, describe and transcribe
+ */
+const createTranscriptionClient = (env = process.env) => {
+  const providers = {};
+
+  const getProvider = (config) => {
+    const key = `${config.provider}|${config.baseUrl}|${config.apiKey || ''}|${config.binary || ''}`;
+    if (!providers[key]) {
+      const Provider = PROVIDERS[config.provider];
+      providers[key] = new Provider(config);
+    }
+    return providers[key];
+  };
+
+  const getConfig = (settings) => resolveConfig(settings, env);
+
+  /**
+   * @description : provider, host and model used with the given settings, safe to return to clients
+   */
+  const describe = (settings) => {
+    const config = getConfig(settings);
+    return {
+      provider: config.provider,
+      host: config.provider === TRANSCRIPTION_PROVIDERS.WHISPER_CPP ? null : config.baseUrl,
+      model: config.model || null,
+      language: config.language,
+      translate: config.translate
+    };
+  };
+
+  /**
+   * @description : transcribe an audio buffer, retrying transient failures with exponential backoff
+   * @param {Object} request : audio buffer, contentType, optional fileName, language and translate, and workspace settings
+   * @return {Promise<Object>} : text, language, confidence, segments, duration, provider, model, attempts and latencyMs
+   */
+  const transcribe = async ({
+    audio, contentType = 'audio/wav', fileName, language, translate, settings
+  }) => {
+    if (!audio || !audio.length) {
+      throw createError(TRANSCRIPTION_ERROR_CODES.EMPTY_AUDIO, 'Audio buffer is empty');
+    }
+    const config = getConfig(settings);
+    const provider = getProvider(config);
+    const startedAt = Date.now();
+    let lastError;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= config.retries; attempt++) {
+      attempts = attempt;
+      try {
+        console.log(`🎙️ Transcription attempt ${attempt}/${config.retries} using ${config.provider}${config.model ? ` model ${config.model}` : ''}`);
+        const result = await provider.transcribe({
+          audio,
+          fileName: fileName || `interview-audio.${(contentType.split('/')[1] || 'wav').split(';')[0]}`,
+          contentType,
+          language: language || config.language,
+          translate: translate !== undefined ? translate : config.translate,
+          model: config.model,
+          timeout: config.timeout
+        });
+        return {
+          ...result,
+          provider: config.provider,
+          model: config.model,
+          attempts: attempt,
+          latencyMs: Date.now() - startedAt
+        };
+      } catch (error) {
+        lastError = normalizeError(error, config);
+        console.error(`❌ Transcription attempt ${attempt} failed:`, lastError.message);
+        if (!lastError.retryable) {
+          break;
+        }
+        if (attempt < config.retries) {
+          await sleep(Math.pow(2, attempt) * TRANSCRIPTION_DEFAULTS.retryDelay);
+        }
+      }
+    }
+
+    lastError.attempts = attempts;
+    lastError.latencyMs = Date.now() - startedAt;
+    throw lastError;
+  };
+
+  return {
+    getConfig,
+    describe,
+    transcribe
+  };
+};
+
+module.exports = {
+  transcriptionClient: createTranscriptionClient(),
+  createTranscriptionClient,
+  resolveConfig,
+  TRANSCRIPTION_ERROR_CODES,
+  WhisperHttpProvider,
+  OpenAiTranscriptionProvider,
+  WhisperCppProvider
+};
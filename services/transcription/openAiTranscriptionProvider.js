@@ -0,0 +1,70 @@
+/**
+ * openAiTranscriptionProvider.js
+ * @description :: transcription provider for any server exposing the OpenAI /audio/transcriptions endpoint
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+const { TRANSCRIPTION_PROVIDERS } = require('../../constants/transcriptionConstant');
+
+class OpenAiTranscriptionProvider {
+  constructor ({
+    baseUrl, apiKey, model
+  }) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.name = TRANSCRIPTION_PROVIDERS.OPENAI;
+  }
+
+  /**
+   * transcribe one audio file, translations to English go through /audio/translations
+   * @param {Object} request : audio buffer, fileName, contentType, language, translate, model and timeout
+   * @return {Promise<Object>} : text, language, confidence, segments and duration
+   */
+  async transcribe ({
+    audio, fileName, contentType, language, translate, model, timeout
+  }) {
+    const formData = new FormData();
+    formData.append('file', audio, {
+      filename: fileName,
+      contentType
+    });
+    formData.append('model', model || this.model);
+    formData.append('response_format', 'verbose_json');
+    if (language && !translate) {
+      formData.append('language', language);
+    }
+
+    const headers = formData.getHeaders();
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    const endpoint = translate ? 'translations' : 'transcriptions';
+    const response = await axios.post(`${this.baseUrl}/audio/${endpoint}`, formData, {
+      headers,
+      timeout,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    });
+
+    const result = response.data || {};
+    const segments = (result.segments || []).map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: (segment.text || '').trim(),
+      speaker: segment.speaker || null,
+      // avg_logprob is the mean log probability of the segment tokens
+      confidence: segment.avg_logprob !== undefined ? Math.exp(segment.avg_logprob) : null
+    }));
+    return {
+      text: (result.text || '').trim(),
+      language: result.language || language,
+      confidence: null,
+      segments,
+      duration: result.duration
+    };
+  }
+}
+
+module.exports = OpenAiTranscriptionProvider;
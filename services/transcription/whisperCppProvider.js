@@ -0,0 +1,127 @@
+/**
+ * whisperCppProvider.js
+ * @description :: transcription provider running a local whisper.cpp binary, audio other than 16 kHz wav is converted with ffmpeg first
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const { TRANSCRIPTION_PROVIDERS } = require('../../constants/transcriptionConstant');
+const { TRANSCRIPTION_AUDIO } = require('../../constants/mediaConstant');
+
+const run = (binary, args, timeout) => new Promise((resolve, reject) => {
+  execFile(binary, args, {
+    timeout,
+    maxBuffer: 10 * 1024 * 1024
+  }, (error, stdout, stderr) => {
+    if (error) {
+      if (error.killed) {
+        error.code = 'ETIMEDOUT';
+      }
+      error.message = `${error.message}${stderr ? `: ${stderr.toString().slice(-500)}` : ''}`;
+      return reject(error);
+    }
+    resolve(stdout);
+  });
+});
+
+const toWav = (inputPath, outputPath) => new Promise((resolve, reject) => {
+  ffmpeg(inputPath)
+    .noVideo()
+    .outputOptions([
+      `-ac ${TRANSCRIPTION_AUDIO.CHANNELS}`,
+      `-ar ${TRANSCRIPTION_AUDIO.SAMPLE_RATE}`,
+      `-c:a ${TRANSCRIPTION_AUDIO.CODEC}`
+    ])
+    .on('end', resolve)
+    .on('error', reject)
+    .save(outputPath);
+});
+
+/**
+ * @description : average token probability of a whisper.cpp segment, special tokens such as [_BEG_] are left out
+ */
+const segmentConfidence = (tokens = []) => {
+  const probabilities = tokens
+    .filter(token => token.text && !/^\[_.*_\]$/.test(token.text) && typeof token.p === 'number')
+    .map(token => token.p);
+  if (!probabilities.length) {
+    return null;
+  }
+  return probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length;
+};
+
+class WhisperCppProvider {
+  constructor ({
+    binary, model, threads
+  }) {
+    this.binary = binary;
+    this.model = model;
+    this.threads = threads;
+    this.name = TRANSCRIPTION_PROVIDERS.WHISPER_CPP;
+  }
+
+  /**
+   * transcribe one audio file with the whisper.cpp command line
+   * @param {Object} request : audio buffer, contentType, language, translate, model (path of a ggml model) and timeout
+   * @return {Promise<Object>} : text, language, confidence, segments and duration
+   */
+  async transcribe ({
+    audio, contentType, language, translate, model, timeout
+  }) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'whisper-cpp-'));
+    try {
+      let audioPath = path.join(workDir, 'input.wav');
+      if (contentType === TRANSCRIPTION_AUDIO.CONTENT_TYPE) {
+        await fs.promises.writeFile(audioPath, audio);
+      } else {
+        const inputPath = path.join(workDir, 'input');
+        await fs.promises.writeFile(inputPath, audio);
+        await toWav(inputPath, audioPath);
+      }
+
+      const outputBase = path.join(workDir, 'output');
+      const args = [
+        '-m', model || this.model,
+        '-f', audioPath,
+        '-l', language || 'auto',
+        '-t', String(this.threads),
+        '-ojf',
+        '-of', outputBase,
+        '-np'
+      ];
+      if (translate) {
+        args.push('-tr');
+      }
+      await run(this.binary, args, timeout);
+
+      const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+      const segments = (output.transcription || []).map(segment => ({
+        // offsets are in milliseconds
+        start: segment.offsets.from / 1000,
+        end: segment.offsets.to / 1000,
+        text: (segment.text || '').trim(),
+        speaker: null,
+        confidence: segmentConfidence(segment.tokens)
+      }));
+      const confidences = segments.map(segment => segment.confidence).filter(confidence => confidence !== null);
+      return {
+        text: segments.map(segment => segment.text).join(' ')
+          .trim(),
+        language: output.result?.language || language,
+        confidence: confidences.length ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length : null,
+        segments,
+        duration: segments.length ? segments[segments.length - 1].end : 0
+      };
+    } finally {
+      await fs.promises.rm(workDir, {
+        recursive: true,
+        force: true
+      });
+    }
+  }
+}
+
+module.exports = WhisperCppProvider;
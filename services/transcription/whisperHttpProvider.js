@@ -0,0 +1,75 @@
+/**
+ * whisperHttpProvider.js
+ * @description :: transcription provider for the hosted whisper endpoint (multipart `audio` field)
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+const { TRANSCRIPTION_PROVIDERS } = require('../../constants/transcriptionConstant');
+
+const toSegments = (segments) => (Array.isArray(segments) ? segments : []).map(segment => ({
+  start: segment.start,
+  end: segment.end,
+  text: (segment.text || '').trim(),
+  // diarizing servers (whisperx and the like) label each segment
+  speaker: segment.speaker || null,
+  confidence: segment.confidence !== undefined ? segment.confidence : (segment.avg_logprob !== undefined ? Math.exp(segment.avg_logprob) : null)
+}));
+
+class WhisperHttpProvider {
+  constructor ({
+    baseUrl, apiKey
+  }) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.name = TRANSCRIPTION_PROVIDERS.WHISPER_HTTP;
+  }
+
+  /**
+   * transcribe one audio file
+   * @param {Object} request : audio buffer, fileName, contentType, language, translate and timeout
+   * @return {Promise<Object>} : text, language, confidence, segments and duration
+   */
+  async transcribe ({
+    audio, fileName, contentType, language, translate, timeout
+  }) {
+    const formData = new FormData();
+    formData.append('audio', audio, {
+      filename: fileName,
+      contentType
+    });
+    formData.append('translate', translate ? 'true' : 'false');
+    if (language) {
+      formData.append('language', language);
+    }
+
+    const headers = {
+      ...formData.getHeaders(),
+      'Accept': 'application/json'
+    };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    const response = await axios.post(this.baseUrl, formData, {
+      headers,
+      timeout,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    });
+
+    const result = typeof response.data === 'string' ? { text: response.data } : (response.data || {});
+    const transcription = result.transcription && typeof result.transcription === 'object' ? result.transcription : result;
+    const text = ['text', 'result', 'transcript', 'output']
+      .map(field => transcription[field])
+      .find(value => typeof value === 'string') || '';
+    return {
+      text: text.trim(),
+      language: transcription.language || result.language || language,
+      confidence: result.confidence !== undefined ? result.confidence : null,
+      segments: toSegments(transcription.segments || result.segments),
+      duration: transcription.duration || result.duration
+    };
+  }
+}
+
+module.exports = WhisperHttpProvider;
@@ -1,274 +1,117 @@
 const axios = require('axios');
-const FormData = require('form-data');
-const fs = require('fs');
+const Workspace = require('../model/workspace');
+const Application = require('../model/application');
+const dbService = require('../utils/dbService');
+const { transcriptionClient } = require('./transcription');
+const { TRANSCRIPTION_PROVIDERS } = require('../constants/transcriptionConstant');
 
 class TranscriptionService {
-    constructor() {
-        this.whisperUrl = 'https://ollama.havenify.ai/transcribe';
-        this.aiGenerateUrl = process.env.AI_GENERATE_URL || 'https://ollama2.havenify.ai/api/generate';
-    }
-
     /**
-     * Process single audio file with TTS context and retry logic
-     * Adapted from your working Supabase implementation
+     * Transcription settings saved on a workspace, empty when it uses the environment defaults
      */
-    async processSingleFile(audioBuffer, contextIntro = '', audioMimeType = 'audio/wav') {
-        console.log(`🎵 Processing single file: ${Math.round(audioBuffer.byteLength / 1024 / 1024 * 100) / 100}MB`);
-
-        let finalAudioBuffer = audioBuffer;
-
-        // Add TTS context if available and formats match
-        if (contextIntro && contextIntro.length > 0) {
-            let ttsAudioBuffer = null;
-            let ttsMimeType = 'audio/wav';
-
-            // Try to request TTS in webm if original is webm
-            if (audioMimeType === 'audio/webm') {
-                try {
-                    const ttsResponse = await axios.post('https://api.streamelements.com/kappa/v2/speech', {
-                        voice: 'Brian',
-                        text: contextIntro,
-                        format: 'webm'
-                    }, {
-                        headers: { 'Content-Type': 'application/json' },
-                        responseType: 'arraybuffer'
-                    });
-
-                    if (ttsResponse.status === 200 && ttsResponse.headers['content-type']?.includes('webm')) {
-                        ttsAudioBuffer = ttsResponse.data;
-                        ttsMimeType = 'audio/webm';
-                        console.log('✅ Generated TTS context in webm');
-                    } else {
-                        console.log('⚠️ TTS API did not return webm, skipping TTS context for webm audio');
-                    }
-                } catch (e) {
-                    console.log('⚠️ TTS webm generation failed:', e.message);
-                }
-            } else {
-                // Default: use wav for non-webm
-                ttsAudioBuffer = await this.generateTTSAudio(contextIntro);
-                ttsMimeType = 'audio/wav';
-            }
-
-            if (ttsAudioBuffer && ttsAudioBuffer.byteLength > 0 && ttsMimeType === audioMimeType) {
-                // Concatenate TTS + silence + audio (same format)
-                const silenceBuffer = Buffer.alloc(4000, 0);
-                finalAudioBuffer = Buffer.concat([
-                    Buffer.from(ttsAudioBuffer),
-                    silenceBuffer,
-                    Buffer.from(audioBuffer)
-                ]);
-                console.log(`🎵 Enhanced with TTS context in ${ttsMimeType}`);
-            } else if (audioMimeType === 'audio/webm') {
-                console.log('⚠️ Skipping TTS context for webm audio (format mismatch)');
-            } else if (ttsAudioBuffer && ttsAudioBuffer.byteLength > 0) {
-                // For non-webm, allow wav TTS context
-                const silenceBuffer = Buffer.alloc(4000, 0);
-                finalAudioBuffer = Buffer.concat([
-                    Buffer.from(ttsAudioBuffer),
-                    silenceBuffer,
-                    Buffer.from(audioBuffer)
-                ]);
-                console.log('🎵 Enhanced with TTS context (wav) for non-webm');
-            }
-        }
-
-        // Retry logic for Whisper API calls
-        const maxRetries = 3;
-        let lastError = null;
-
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`🔄 Processing attempt ${attempt}/${maxRetries}`);
-                console.log(`📏 Sending audio buffer of size: ${finalAudioBuffer.byteLength} bytes`);
-
-                // Call Whisper API with translate and language params to force English output
-                const formData = new FormData();
-                formData.append('audio', finalAudioBuffer, {
-                    filename: 'interview-audio.wav',
-                    contentType: 'audio/wav'
-                });
-                formData.append('translate', 'true'); // Force translation to English
-                formData.append('language', 'en');    // Force output language to English
-
-                const whisperResponse = await axios.post(this.whisperUrl, formData, {
-                    headers: {
-                        ...formData.getHeaders(),
-                        'Accept': 'application/json'
-                    },
-                    timeout: 60000,
-                    maxContentLength: Infinity,
-                    maxBodyLength: Infinity
-                });
-
-                if (whisperResponse.status !== 200) {
-                    const errorText = whisperResponse.data || 'No error details';
-                    const error = new Error(`Whisper API failed (attempt ${attempt}): ${whisperResponse.status} - ${errorText}`);
-                    console.error(`❌ ${error.message}`);
-
-                    // If it's a 500 error and we have retries left, wait and try again
-                    if (whisperResponse.status === 500 && attempt < maxRetries) {
-                        const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
-                        console.log(`⏳ Waiting ${waitTime}ms before retry...`);
-                        await new Promise(resolve => setTimeout(resolve, waitTime));
-                        lastError = error;
-                        continue;
-                    }
-
-                    throw error;
-                }
-
-                const whisperResult = whisperResponse.data;
-
-                // Extract transcription
-                let transcription = '';
-                if (typeof whisperResult === 'string') {
-                    transcription = whisperResult.trim();
-                } else if (whisperResult && typeof whisperResult === 'object') {
-                    if (whisperResult.transcription?.text) {
-                        transcription = whisperResult.transcription.text.trim();
-                    } else {
-                        const possibleFields = ['text', 'result', 'transcript', 'output', 'data', 'content', 'message'];
-                        for (const field of possibleFields) {
-                            if (whisperResult[field] && typeof whisperResult[field] === 'string') {
-                                transcription = whisperResult[field].trim();
-                                break;
-                            }
-                        }
-                    }
-                }
-
-                console.log(`✅ Transcription successful: ${transcription.length} characters`);
-                return transcription;
-
-            } catch (error) {
-                lastError = error;
-                console.error(`❌ Attempt ${attempt} failed:`, error.message);
-
-                if (attempt < maxRetries) {
-                    const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
-                    console.log(`⏳ Waiting ${waitTime}ms before retry...`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
-                }
-            }
+    async getWorkspaceSettings(workspaceId) {
+        if (!workspaceId) {
+            return {};
         }
-
-        // If all retries failed, throw the last error
-        throw lastError || new Error('All transcription attempts failed');
+        const workspace = await dbService.findOne(Workspace, { _id: workspaceId });
+        const settings = workspace && workspace.transcription ? workspace.transcription : {};
+        return settings.toObject ? settings.toObject() : settings;
     }
 
     /**
-     * Generate TTS audio (placeholder - implement as needed)
+     * Workspace of the job an interview session applies to
      */
-    async generateTTSAudio(text) {
-        try {
-            const response = await axios.post('https://api.streamelements.com/kappa/v2/speech', {
-                voice: 'Brian',
-                text: text
-            }, {
-                headers: { 'Content-Type': 'application/json' },
-                responseType: 'arraybuffer'
-            });
-            return response.data;
-        } catch (error) {
-            console.warn('TTS generation failed:', error.message);
+    async getSessionWorkspaceId(sessionId) {
+        if (!sessionId || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
             return null;
         }
+        const application = await dbService.findOne(Application, { _id: sessionId });
+        return application?.job?.workspace || null;
     }
 
     /**
-     * Main transcription method using the processSingleFile approach
+     * Saved settings of a workspace with the provider, model and language they resolve to
      */
-async transcribeWithOllama(audioInput, options = {}) {
-    try {
-        const formData = new FormData();
-
-        // Get audio buffer
-        let audioBuffer;
-        if (typeof audioInput === 'string' && audioInput.startsWith('http')) {
-            console.log('📥 Downloading from URL:', audioInput);
-            const response = await axios.get(audioInput, { 
-                responseType: 'arraybuffer',
-                timeout: 30000
-            });
-            audioBuffer = Buffer.from(response.data);
-        } else if (Buffer.isBuffer(audioInput)) {
-            audioBuffer = audioInput;
-        } else {
-            throw new Error('Invalid audio input format');
-        }
-
-        if (audioBuffer.length === 0) {
-            throw new Error('Audio buffer is empty');
-        }
-
-        console.log('📊 Audio buffer size:', audioBuffer.length, 'bytes');
-
-        // ✅ Use correct FormData syntax
-        formData.append('audio', audioBuffer, {
-            filename: 'interview-audio.wav',
-            contentType: 'audio/wav'
-        });
-
-        // Add required parameters
-        formData.append('translate', 'true');
-        formData.append('language', 'en');
-
-        console.log('🔊 Sending to Ollama transcription service...');
-
-        // ✅ FIX: Remove explicit Content-Type header - let Axios handle it automatically
-        const response = await axios.post(this.whisperUrl, formData, {
-            headers: {
-                ...formData.getHeaders()
-                // ❌ Remove this line: 'Accept': 'application/json'
-                // ❌ Remove this line: 'Content-Type': 'multipart/form-data'
-            },
-            timeout: 60000,
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity
-        });
-
-        const result = response.data;
-        let transcription = '';
-
-        // Extract transcription
-        if (result.transcription && result.transcription.text !== undefined) {
-            transcription = result.transcription.text.trim();
-        } else if (result.text) {
-            transcription = result.text.trim();
-        }
-
+    async describeWorkspaceSettings(workspaceId) {
+        const settings = await this.getWorkspaceSettings(workspaceId);
         return {
-            success: true,
-            transcription: transcription || '[No speech detected]',
-            confidence: result.confidence || 0.9
+            settings,
+            effective: transcriptionClient.describe(settings),
+            providers: Object.values(TRANSCRIPTION_PROVIDERS)
         };
+    }
 
-    } catch (error) {
-        console.error('❌ Transcription error:', {
-            message: error.message,
-            status: error.response?.status,
-            data: error.response?.data
+    /**
+     * Replace the transcription settings of a workspace
+     */
+    async updateWorkspaceSettings(workspaceId, settings, userId) {
+        // throws on an unknown provider before anything is saved
+        transcriptionClient.describe(settings);
+        const workspace = await dbService.updateOne(Workspace, { _id: workspaceId }, {
+            transcription: settings,
+            updatedBy: userId
         });
-        
-        return {
-            success: false,
-            error: error.response?.data?.error || error.message
-        };
+        if (!workspace) {
+            return null;
+        }
+        return this.describeWorkspaceSettings(workspaceId);
     }
-}
 
+    /**
+     * Transcribe an audio buffer or URL with the provider of the workspace
+     * Returns the text with its language, confidence and timestamped segments
+     */
+    async transcribe(audioInput, options = {}) {
+        try {
+            let audioBuffer;
+            if (typeof audioInput === 'string' && audioInput.startsWith('http')) {
+                console.log('📥 Downloading from URL:', audioInput);
+                const response = await axios.get(audioInput, {
+                    responseType: 'arraybuffer',
+                    timeout: 30000
+                });
+                audioBuffer = Buffer.from(response.data);
+            } else if (Buffer.isBuffer(audioInput)) {
+                audioBuffer = audioInput;
+            } else {
+                throw new Error('Invalid audio input format');
+            }
 
+            const settings = options.settings || await this.getWorkspaceSettings(options.workspaceId);
+            const result = await transcriptionClient.transcribe({
+                audio: audioBuffer,
+                contentType: options.mimeType || 'audio/wav',
+                language: options.language,
+                settings
+            });
 
+            return {
+                success: true,
+                transcription: result.text || '[No speech detected]',
+                confidence: result.confidence,
+                language: result.language,
+                segments: result.segments,
+                duration: result.duration,
+                provider: result.provider,
+                model: result.model
+            };
+        } catch (error) {
+            console.error('❌ Transcription error:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
 
     /**
      * Complete transcription pipeline
      */
     async processAudioTranscription(audioFile, context = {}) {
         try {
-            const transcriptionResult = await this.transcribeWithOllama(audioFile, {
-                language: context.language || 'en',
-                contextIntro: context.contextIntro || '',
+            const transcriptionResult = await this.transcribe(audioFile, {
+                workspaceId: context.workspaceId,
+                language: context.language,
                 mimeType: context.mimeType || 'audio/wav'
             });
 
@@ -281,12 +124,15 @@ async transcribeWithOllama(audioInput, options = {}) {
                 raw: {
                     transcription: transcriptionResult.transcription,
                     confidence: transcriptionResult.confidence,
-                    language: transcriptionResult.language
+                    language: transcriptionResult.language,
+                    segments: transcriptionResult.segments,
+                    duration: transcriptionResult.duration
                 },
                 metadata: {
                     processedAt: new Date().toISOString(),
                     context: context,
-                    method: 'custom-ollama-endpoint'
+                    method: transcriptionResult.provider,
+                    model: transcriptionResult.model
                 }
             };
         } catch (error) {
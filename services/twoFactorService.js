@@ -0,0 +1,365 @@
+/**
+ * twoFactorService.js
+ * @description :: second factors of a login: email OTP, authenticator app (TOTP) enrollment and codes,
+ * and the single-use recovery codes of the authenticator app
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const dayjs = require('dayjs');
+const User = require('../model/user');
+const dbService = require('../utils/dbService');
+const common = require('../utils/common');
+const totp = require('../utils/totp');
+const {
+  TWO_FACTOR_METHODS, TOTP, RECOVERY_CODES, MAX_LOGIN_RETRY_LIMIT, LOGIN_REACTIVE_TIME
+} = require('../constants/authConstant');
+
+// no 0/O or 1/I, recovery codes are typed from paper
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * @description : second factor asked at login, the authenticator app when enrolled, else the email OTP when 2FA is on.
+ * @param {Object} user : user document.
+ * @return {string|null} : TWO_FACTOR_METHODS value, null when the user logs in with the password only.
+ */
+const getLoginMethod = (user) => {
+  if (user.totp?.enabled) {
+    return TWO_FACTOR_METHODS.TOTP;
+  }
+  return user.twoFactorEnabled ? TWO_FACTOR_METHODS.EMAIL : null;
+};
+
+/**
+ * @description : enrolled factors of a user.
+ * @param {Object} user : user document.
+ * @return {Object} : {loginMethod, email, totp, recoveryCodesRemaining}
+ */
+const getTwoFactorStatus = (user) => ({
+  loginMethod: getLoginMethod(user),
+  email: Boolean(user.twoFactorEnabled),
+  totp: {
+    enabled: Boolean(user.totp?.enabled),
+    confirmedAt: user.totp?.confirmedAt || null
+  },
+  recoveryCodesRemaining: (user.recoveryCodes || []).filter((recoveryCode) => !recoveryCode.usedAt).length
+});
+
+/**
+ * @description : new recovery codes, formatted XXXXX-XXXXX.
+ * @return {Object} : {codes, hashes}, only the hashes are stored.
+ */
+const generateRecoveryCodes = async () => {
+  const codes = Array.from({ length: RECOVERY_CODES.COUNT }, () => {
+    const bytes = crypto.randomBytes(RECOVERY_CODES.LENGTH);
+    const code = [...bytes].map((byte) => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]).join('');
+    return `${code.slice(0, RECOVERY_CODES.LENGTH / 2)}-${code.slice(RECOVERY_CODES.LENGTH / 2)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(normalizeRecoveryCode(code), 8)));
+  return {
+    codes,
+    hashes
+  };
+};
+
+/**
+ * @description : start the enrollment of an authenticator app, it becomes active once a code is confirmed.
+ * @param {Object} user : user document.
+ * @return {Object} : returns enrollment status. {flag, data: {secret, otpauthUri, issuer, accountName, expireTime}}
+ */
+const startTotpEnrollment = async (user) => {
+  if (user.totp?.enabled) {
+    return {
+      flag: true,
+      data: 'An authenticator app is already enrolled, disable it first.'
+    };
+  }
+  const secret = totp.generateSecret();
+  const expireTime = dayjs().add(TOTP.ENROLLMENT_EXPIRES_IN, 'minute').toISOString();
+  await dbService.updateOne(User, { _id: user.id }, {
+    'totp.pendingSecret': totp.encryptSecret(secret),
+    'totp.pendingExpireTime': expireTime
+  });
+  const accountName = user.email || user.username;
+  return {
+    flag: false,
+    data: {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({
+        secret,
+        accountName
+      }),
+      issuer: TOTP.ISSUER,
+      accountName,
+      expireTime
+    }
+  };
+};
+
+/**
+ * @description : activate the enrolled authenticator app with a first code and hand out the recovery codes.
+ * @param {Object} user : user document.
+ * @param {string} code : code shown by the app.
+ * @return {Object} : returns confirmation status. {flag, data: {recoveryCodes}}
+ */
+const confirmTotpEnrollment = async (user, code) => {
+  if (user.totp?.enabled) {
+    return {
+      flag: true,
+      data: 'An authenticator app is already enrolled.'
+    };
+  }
+  if (!user.totp?.pendingSecret || dayjs().isAfter(dayjs(user.totp.pendingExpireTime))) {
+    return {
+      flag: true,
+      data: 'No enrollment in progress or it has expired, start the enrollment again.'
+    };
+  }
+  const step = totp.verifyCode(totp.decryptSecret(user.totp.pendingSecret), code);
+  if (step === null) {
+    return {
+      flag: true,
+      data: 'Invalid Code'
+    };
+  }
+  const {
+    codes, hashes
+  } = await generateRecoveryCodes();
+  await dbService.updateOne(User, { _id: user.id }, {
+    totp: {
+      enabled: true,
+      secret: user.totp.pendingSecret,
+      confirmedAt: new Date(),
+      lastUsedStep: step
+    },
+    recoveryCodes: hashes.map((hash) => ({ hash }))
+  });
+  return {
+    flag: false,
+    data: { recoveryCodes: codes }
+  };
+};
+
+/**
+ * @description : check a code of the authenticator app, a code is accepted once.
+ * @param {Object} user : user document.
+ * @param {string} code : code shown by the app.
+ * @return {boolean} : true when the code is valid and was not used before.
+ */
+const verifyTotpCode = async (user, code) => {
+  if (!user.totp?.enabled || !user.totp.secret) {
+    return false;
+  }
+  const step = totp.verifyCode(totp.decryptSecret(user.totp.secret), code, { afterStep: user.totp.lastUsedStep });
+  if (step === null) {
+    return false;
+  }
+  // concurrent requests with the same code: only one moves lastUsedStep forward
+  const updated = await dbService.updateOne(User, {
+    _id: user.id,
+    $or: [
+      { 'totp.lastUsedStep': { $lt: step } },
+      { 'totp.lastUsedStep': null }
+    ]
+  }, { 'totp.lastUsedStep': step });
+  return Boolean(updated);
+};
+
+/**
+ * @description : use one of the recovery codes, each one works once.
+ * @param {Object} user : user document.
+ * @param {string} code : recovery code, dashes and case are ignored.
+ * @return {boolean} : true when an unused code matched.
+ */
+const useRecoveryCode = async (user, code) => {
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length !== RECOVERY_CODES.LENGTH) {
+    return false;
+  }
+  for (const recoveryCode of user.recoveryCodes || []) {
+    if (recoveryCode.usedAt || !(await bcrypt.compare(normalized, recoveryCode.hash))) {
+      continue;
+    }
+    const updated = await dbService.updateOne(User, {
+      _id: user.id,
+      recoveryCodes: {
+        $elemMatch: {
+          _id: recoveryCode._id,
+          usedAt: null
+        }
+      }
+    }, { 'recoveryCodes.$.usedAt': new Date() });
+    return Boolean(updated);
+  }
+  return false;
+};
+
+/**
+ * @description : check the emailed login OTP and clear it once used.
+ */
+const verifyEmailCode = async (user, code) => {
+  if (!user.loginOTP?.code || !user.loginOTP.expireTime || dayjs().isAfter(dayjs(user.loginOTP.expireTime))) {
+    return false;
+  }
+  if (user.loginOTP.code !== String(code)) {
+    return false;
+  }
+  await dbService.updateOne(User, { _id: user.id }, {
+    loginOTP: {
+      code: null,
+      expireTime: null
+    }
+  });
+  return true;
+};
+
+/**
+ * @description : check the code of one of the enrolled factors of a user.
+ * @param {Object} user : user document.
+ * @param {Object} params : {method, code}, method defaults to the login method of the user.
+ * @return {Object} : {valid, method}
+ */
+const verifySecondFactor = async (user, {
+  method, code
+}) => {
+  const loginMethod = getLoginMethod(user);
+  const requested = method || loginMethod;
+  let valid = false;
+  if (requested === TWO_FACTOR_METHODS.TOTP && loginMethod === TWO_FACTOR_METHODS.TOTP) {
+    valid = await verifyTotpCode(user, code);
+  } else if (requested === TWO_FACTOR_METHODS.RECOVERY_CODE && loginMethod === TWO_FACTOR_METHODS.TOTP) {
+    valid = await useRecoveryCode(user, code);
+  } else if (requested === TWO_FACTOR_METHODS.EMAIL && loginMethod === TWO_FACTOR_METHODS.EMAIL) {
+    valid = await verifyEmailCode(user, code);
+  }
+  return {
+    valid,
+    method: requested
+  };
+};
+
+/**
+ * @description : check the password and the second factor of a login, failures count towards the login retry limit.
+ * @param {Object} user : user document.
+ * @param {Object} params : {password, method, code}
+ * @return {Object} : returns verification status. {flag, data}, data is the method used on success.
+ */
+const verifyLogin = async (user, {
+  password, method, code
+}) => {
+  const now = dayjs();
+  if (user.loginRetryLimit >= MAX_LOGIN_RETRY_LIMIT && user.loginReactiveTime && dayjs(user.loginReactiveTime) > now) {
+    return {
+      flag: true,
+      data: `you have exceed the number of limit.you can login after ${common.getDifferenceOfTwoDatesInTime(now, dayjs(user.loginReactiveTime))}.`
+    };
+  }
+  const passwordMatched = await user.isPasswordMatch(password);
+  const result = passwordMatched ? await verifySecondFactor(user, {
+    method,
+    code
+  }) : { valid: false };
+  if (!result.valid) {
+    const loginRetryLimit = (user.loginRetryLimit || 0) + 1;
+    await dbService.updateOne(User, { _id: user.id }, {
+      loginRetryLimit,
+      ...(loginRetryLimit >= MAX_LOGIN_RETRY_LIMIT ? { loginReactiveTime: now.add(LOGIN_REACTIVE_TIME, 'minute').toISOString() } : {})
+    });
+    return {
+      flag: true,
+      data: passwordMatched ? 'Invalid Code' : 'Incorrect Password'
+    };
+  }
+  if (user.loginRetryLimit) {
+    await dbService.updateOne(User, { _id: user.id }, {
+      loginRetryLimit: 0,
+      loginReactiveTime: ''
+    });
+  }
+  return {
+    flag: false,
+    data: result.method
+  };
+};
+
+/**
+ * @description : remove the authenticator app and its recovery codes.
+ * @param {Object} user : user document.
+ * @param {Object} params : {code, recoveryCode}, a code of the app or a recovery code.
+ * @return {Object} : returns status. {flag, data}
+ */
+const disableTotp = async (user, {
+  code, recoveryCode
+}) => {
+  if (!user.totp?.enabled) {
+    return {
+      flag: true,
+      data: 'No authenticator app is enrolled.'
+    };
+  }
+  const { valid } = await verifySecondFactor(user, recoveryCode ? {
+    method: TWO_FACTOR_METHODS.RECOVERY_CODE,
+    code: recoveryCode
+  } : {
+    method: TWO_FACTOR_METHODS.TOTP,
+    code
+  });
+  if (!valid) {
+    return {
+      flag: true,
+      data: 'Invalid Code'
+    };
+  }
+  await dbService.updateOne(User, { _id: user.id }, {
+    $unset: { totp: 1 },
+    recoveryCodes: []
+  });
+  return {
+    flag: false,
+    data: 'Authenticator app removed.'
+  };
+};
+
+/**
+ * @description : replace the recovery codes, the previous ones stop working.
+ * @param {Object} user : user document.
+ * @param {string} code : code of the authenticator app.
+ * @return {Object} : returns status. {flag, data: {recoveryCodes}}
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  if (!user.totp?.enabled) {
+    return {
+      flag: true,
+      data: 'No authenticator app is enrolled.'
+    };
+  }
+  if (!(await verifyTotpCode(user, code))) {
+    return {
+      flag: true,
+      data: 'Invalid Code'
+    };
+  }
+  const {
+    codes, hashes
+  } = await generateRecoveryCodes();
+  await dbService.updateOne(User, { _id: user.id }, { recoveryCodes: hashes.map((hash) => ({ hash })) });
+  return {
+    flag: false,
+    data: { recoveryCodes: codes }
+  };
+};
+
+module.exports = {
+  getLoginMethod,
+  getTwoFactorStatus,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  verifyTotpCode,
+  useRecoveryCode,
+  verifySecondFactor,
+  verifyLogin,
+  disableTotp,
+  regenerateRecoveryCodes
+};
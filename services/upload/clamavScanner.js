@@ -0,0 +1,133 @@
+/**
+ * clamavScanner.js
+ * @description :: malware scanner streaming files to clamd with the INSTREAM command, over TCP or a unix socket
+ */
+
+const net = require('net');
+const { once } = require('events');
+const {
+  UPLOAD_SCANNERS, UPLOAD_SCAN_STATUS
+} = require('../../constants/uploadConstant');
+
+// slices of a buffer or chunks of a stream, at most chunkSize bytes each
+async function * toChunks (input, chunkSize) {
+  if (Buffer.isBuffer(input)) {
+    for (let offset = 0; offset < input.length; offset += chunkSize) {
+      yield input.subarray(offset, offset + chunkSize);
+    }
+    return;
+  }
+  for await (const chunk of input) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+      yield buffer.subarray(offset, offset + chunkSize);
+    }
+  }
+}
+
+/**
+ * @description : verdict of a clamd reply, "stream: OK" or "stream: <signature> FOUND"
+ */
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, '').trim();
+  if (/:\s*OK$/.test(text)) {
+    return { status: UPLOAD_SCAN_STATUS.CLEAN };
+  }
+  const found = text.match(/:\s*(.+)\s+FOUND$/);
+  if (found) {
+    return {
+      status: UPLOAD_SCAN_STATUS.INFECTED,
+      signature: found[1]
+    };
+  }
+  throw new Error(`ClamAV scan failed: ${text || 'empty reply'}`);
+};
+
+class ClamAvScanner {
+  constructor ({
+    host, port, socket, timeout, chunkSize
+  }) {
+    this.host = host;
+    this.port = port;
+    this.socket = socket;
+    this.timeout = timeout;
+    this.chunkSize = chunkSize;
+    this.name = UPLOAD_SCANNERS.CLAMAV;
+  }
+
+  connect () {
+    return this.socket ? net.createConnection({ path: this.socket }) : net.createConnection({
+      host: this.host,
+      port: this.port
+    });
+  }
+
+  /**
+   * scan one file
+   * @param {Buffer|Readable} input : file content or a stream of it
+   * @return {Promise<Object>} : status (clean or infected) and the signature found
+   */
+  scan (input) {
+    return new Promise((resolve, reject) => {
+      const connection = this.connect();
+      let reply = '';
+      let settled = false;
+      const finish = (error, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        connection.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      connection.setTimeout(this.timeout, () => finish(new Error(`ClamAV scan timed out after ${this.timeout} ms`)));
+      connection.on('error', (error) => finish(new Error(`ClamAV connection failed: ${error.message}`)));
+      connection.on('data', (data) => {
+        reply += data.toString();
+        // clamd answers once, then closes the connection
+        if (reply.includes('\0')) {
+          try {
+            finish(null, parseReply(reply));
+          } catch (error) {
+            finish(error);
+          }
+        }
+      });
+      connection.on('close', () => {
+        try {
+          finish(null, parseReply(reply));
+        } catch (error) {
+          finish(error);
+        }
+      });
+
+      connection.on('connect', async () => {
+        try {
+          connection.write('zINSTREAM\0');
+          for await (const chunk of toChunks(input, this.chunkSize)) {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length, 0);
+            connection.write(length);
+            if (!connection.write(chunk) && !settled) {
+              await Promise.race([once(connection, 'drain'), once(connection, 'close')]);
+            }
+            // clamd already replied, usually "INSTREAM size limit exceeded"
+            if (settled) {
+              return;
+            }
+          }
+          connection.write(Buffer.alloc(4));
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamAvScanner;
@@ -0,0 +1,145 @@
+/**
+ * fileSniffer.js
+ * @description :: content type of a file from its leading bytes (magic numbers) instead of its name
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  MIME_TYPES, EXTENSION_MIME_TYPES
+} = require('../../constants/uploadConstant');
+
+// bytes read from the start of a file, enough for every signature below
+const SNIFF_BYTES = 64;
+
+/*
+ * known signatures, each one a list of [offset, bytes] that must all match.
+ * formats sharing a container list every content type it can hold, the first one is the default
+ */
+const SIGNATURES = [
+  {
+    parts: [[0, '%PDF-']],
+    mimeTypes: [MIME_TYPES.PDF]
+  },
+  {
+    parts: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]],
+    mimeTypes: [MIME_TYPES.PNG]
+  },
+  {
+    parts: [[0, [0xff, 0xd8, 0xff]]],
+    mimeTypes: [MIME_TYPES.JPEG]
+  },
+  {
+    parts: [[0, 'GIF8']],
+    mimeTypes: [MIME_TYPES.GIF]
+  },
+  {
+    parts: [[0, 'RIFF'], [8, 'WEBP']],
+    mimeTypes: [MIME_TYPES.WEBP]
+  },
+  {
+    parts: [[0, 'RIFF'], [8, 'WAVE']],
+    mimeTypes: [MIME_TYPES.WAV]
+  },
+  {
+    parts: [[0, [0x1a, 0x45, 0xdf, 0xa3]]],
+    mimeTypes: [MIME_TYPES.WEBM_VIDEO, MIME_TYPES.WEBM_AUDIO]
+  },
+  {
+    parts: [[4, 'ftyp']],
+    mimeTypes: [MIME_TYPES.MP4_VIDEO, MIME_TYPES.MP4_AUDIO, MIME_TYPES.QUICKTIME]
+  },
+  {
+    parts: [[0, 'OggS']],
+    mimeTypes: [MIME_TYPES.OGG_AUDIO, MIME_TYPES.OGG_VIDEO]
+  },
+  {
+    parts: [[0, 'ID3']],
+    mimeTypes: [MIME_TYPES.MPEG_AUDIO]
+  },
+  {
+    parts: [[0, [0xff, 0xfb]]],
+    mimeTypes: [MIME_TYPES.MPEG_AUDIO]
+  },
+  {
+    parts: [[0, [0xff, 0xf3]]],
+    mimeTypes: [MIME_TYPES.MPEG_AUDIO]
+  },
+  {
+    parts: [[0, [0xff, 0xf2]]],
+    mimeTypes: [MIME_TYPES.MPEG_AUDIO]
+  },
+  {
+    // OLE compound file of the legacy Office formats
+    parts: [[0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]]],
+    mimeTypes: [MIME_TYPES.DOC, MIME_TYPES.XLS]
+  },
+  {
+    // zip archive, also the container of the Office Open XML formats
+    parts: [[0, [0x50, 0x4b, 0x03, 0x04]]],
+    mimeTypes: [MIME_TYPES.ZIP, MIME_TYPES.DOCX, MIME_TYPES.XLSX]
+  },
+  {
+    parts: [[0, '{\\rtf']],
+    mimeTypes: [MIME_TYPES.RTF]
+  },
+];
+
+const matchesPart = (header, [offset, expected]) => {
+  const bytes = typeof expected === 'string' ? Buffer.from(expected, 'ascii') : Buffer.from(expected);
+  return header.length >= offset + bytes.length && header.subarray(offset, offset + bytes.length).equals(bytes);
+};
+
+/**
+ * @description : content type of the leading bytes of a file.
+ * The declared content type, then the file extension, pick between the formats sharing a container.
+ * @param {Buffer} header : first bytes of the file.
+ * @param {Object} hints : {fileName, declaredType}
+ * @return {string|null} : content type, null when no signature matches.
+ */
+const sniffMimeType = (header, {
+  fileName, declaredType
+} = {}) => {
+  if (!header || !header.length) {
+    return null;
+  }
+  const signature = SIGNATURES.find((candidate) => candidate.parts.every((part) => matchesPart(header, part)));
+  if (!signature) {
+    return null;
+  }
+  const declared = declaredType ? declaredType.split(';')[0].trim().toLowerCase() : null;
+  if (declared && signature.mimeTypes.includes(declared)) {
+    return declared;
+  }
+  const extension = fileName ? path.extname(fileName).slice(1).toLowerCase() : '';
+  const fromExtension = EXTENSION_MIME_TYPES[extension];
+  if (fromExtension && signature.mimeTypes.includes(fromExtension)) {
+    return fromExtension;
+  }
+  return signature.mimeTypes[0];
+};
+
+/**
+ * @description : first SNIFF_BYTES bytes of a buffer or of a file on disk.
+ * @param {Buffer|string} input : file content or path.
+ * @return {Promise<Buffer>} : leading bytes.
+ */
+const readHeader = async (input) => {
+  if (Buffer.isBuffer(input)) {
+    return input.subarray(0, SNIFF_BYTES);
+  }
+  const handle = await fs.promises.open(input, 'r');
+  try {
+    const header = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(header, 0, SNIFF_BYTES, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  sniffMimeType,
+  readHeader
+};
@@ -0,0 +1,222 @@
+/**
+ * index.js
+ * @description :: content checks of uploaded files: size limit of the upload type, content type sniffed from the
+ * leading bytes and a malware scan. UPLOAD_SCANNER selects the scanner ('none' or 'clamav' with
+ * UPLOAD_SCAN_CLAMAV_HOST/PORT or UPLOAD_SCAN_CLAMAV_SOCKET), setUploadScanner plugs any other one in.
+ * Flagged files are kept under the quarantine prefix of the storage, never handed out through links.
+ */
+
+const fs = require('fs');
+const ClamAvScanner = require('./clamavScanner');
+const {
+  sniffMimeType, readHeader
+} = require('./fileSniffer');
+const { getStorage } = require('../storage');
+const { toQuarantineKey } = require('../storage/quarantine');
+const {
+  UPLOAD_TYPE_RULES, UPLOAD_SCANNERS, UPLOAD_SCAN_STATUS, UPLOAD_SCAN_DEFAULTS
+} = require('../../constants/uploadConstant');
+
+const SCANNERS = { [UPLOAD_SCANNERS.CLAMAV]: ClamAvScanner };
+
+/**
+ * @description : resolve the malware scanner and its settings
+ * @param {Object} env : environment to read the configuration from
+ * @return {Object} : scanner configuration
+ */
+const resolveScanConfig = (env = process.env) => {
+  const scanner = env.UPLOAD_SCANNER || UPLOAD_SCAN_DEFAULTS.scanner;
+  if (scanner !== UPLOAD_SCANNERS.NONE && !SCANNERS[scanner]) {
+    throw new Error(`Unknown upload scanner "${scanner}", expected one of: ${Object.values(UPLOAD_SCANNERS).join(', ')}`);
+  }
+  return {
+    scanner,
+    host: env.UPLOAD_SCAN_CLAMAV_HOST || UPLOAD_SCAN_DEFAULTS.clamavHost,
+    port: parseInt(env.UPLOAD_SCAN_CLAMAV_PORT) || UPLOAD_SCAN_DEFAULTS.clamavPort,
+    socket: env.UPLOAD_SCAN_CLAMAV_SOCKET || undefined,
+    timeout: parseInt(env.UPLOAD_SCAN_TIMEOUT_MS) || UPLOAD_SCAN_DEFAULTS.timeout,
+    chunkSize: UPLOAD_SCAN_DEFAULTS.chunkSize,
+    failOpen: env.UPLOAD_SCAN_FAIL_OPEN ? env.UPLOAD_SCAN_FAIL_OPEN === 'true' : UPLOAD_SCAN_DEFAULTS.failOpen
+  };
+};
+
+/**
+ * @description : create the malware scanner configured in an environment
+ * @param {Object} env : environment to read the configuration from, defaults to process.env
+ * @return {Object|null} : scanner, null when scanning is disabled
+ */
+const createUploadScanner = (env = process.env) => {
+  const config = resolveScanConfig(env);
+  if (config.scanner === UPLOAD_SCANNERS.NONE) {
+    return null;
+  }
+  const Scanner = SCANNERS[config.scanner];
+  return new Scanner(config);
+};
+
+let scanner;
+let scanConfig;
+
+/**
+ * @description : malware scanner of the process, created on first use
+ */
+const getUploadScanner = () => {
+  if (scanner === undefined) {
+    scanner = createUploadScanner();
+  }
+  return scanner;
+};
+
+const getScanConfig = () => {
+  if (!scanConfig) {
+    scanConfig = resolveScanConfig();
+  }
+  return scanConfig;
+};
+
+/**
+ * @description : replace the malware scanner, any object with scan(input) resolving to {status, signature} fits.
+ * @param {Object|null} customScanner : scanner, null disables scanning.
+ */
+const setUploadScanner = (customScanner) => {
+  scanner = customScanner;
+};
+
+const formatSize = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+/**
+ * @description : keep a flagged file under the quarantine prefix, private and tagged with the scan result.
+ * @return {string|null} : quarantined key, null when it could not be stored.
+ */
+const quarantineUpload = async ({
+  key, buffer, filePath, contentType, uploadType, signature
+}) => {
+  const quarantineKey = toQuarantineKey(key);
+  try {
+    await getStorage().putObject(quarantineKey, buffer || fs.createReadStream(filePath), {
+      contentType,
+      isPublic: false,
+      metadata: {
+        'upload-type': uploadType,
+        'scan-signature': signature || 'unknown',
+        'quarantined-at': new Date().toISOString()
+      }
+    });
+    return quarantineKey;
+  } catch (error) {
+    console.error(`❌ Failed to quarantine ${key}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * @description : check an upload before it is stored: size limit, sniffed content type and malware scan.
+ * @param {Object} upload : {uploadType, buffer | filePath, size, fileName, declaredType, key}
+ * key is the storage key the file would be stored at, its quarantined copy keeps the same name.
+ * @return {Object} : {success, mimeType, scan} or {success:false, code, message, quarantined}
+ */
+const inspectUpload = async ({
+  uploadType, buffer, filePath, size, fileName, declaredType, key
+}) => {
+  const rule = UPLOAD_TYPE_RULES[uploadType];
+  if (!rule) {
+    return {
+      success: false,
+      code: 400,
+      message: `Unknown upload type ${uploadType}`
+    };
+  }
+  const fileSize = size !== undefined ? size : (buffer ? buffer.length : (await fs.promises.stat(filePath)).size);
+  if (fileSize > rule.maxSize) {
+    return {
+      success: false,
+      code: 400,
+      message: `File is larger than the ${formatSize(rule.maxSize)} allowed for ${uploadType} uploads`
+    };
+  }
+
+  const header = await readHeader(buffer || filePath);
+  const sniffedType = sniffMimeType(header, {
+    fileName,
+    declaredType
+  });
+  if (!sniffedType && !rule.allowUnknown) {
+    return {
+      success: false,
+      code: 400,
+      message: 'File content does not match any allowed file type'
+    };
+  }
+  if (sniffedType && !rule.mimeTypes.includes(sniffedType)) {
+    return {
+      success: false,
+      code: 400,
+      message: `File content (${sniffedType}) is not allowed for ${uploadType} uploads`
+    };
+  }
+  const mimeType = sniffedType || declaredType || 'application/octet-stream';
+
+  const activeScanner = rule.scan ? getUploadScanner() : null;
+  if (!activeScanner) {
+    return {
+      success: true,
+      mimeType,
+      scan: { status: UPLOAD_SCAN_STATUS.SKIPPED }
+    };
+  }
+
+  let scan;
+  try {
+    scan = await activeScanner.scan(buffer || fs.createReadStream(filePath));
+  } catch (error) {
+    console.error(`⚠️ Malware scan of ${fileName || key} failed:`, error.message);
+    if (!getScanConfig().failOpen) {
+      return {
+        success: false,
+        code: 503,
+        message: 'File could not be scanned for malware, try again later'
+      };
+    }
+    return {
+      success: true,
+      mimeType,
+      scan: {
+        status: UPLOAD_SCAN_STATUS.SKIPPED,
+        error: error.message
+      }
+    };
+  }
+
+  if (scan.status === UPLOAD_SCAN_STATUS.INFECTED) {
+    console.warn(`🦠 Upload ${fileName || key} flagged by the malware scan: ${scan.signature}`);
+    const quarantineKey = await quarantineUpload({
+      key,
+      buffer,
+      filePath,
+      contentType: mimeType,
+      uploadType,
+      signature: scan.signature
+    });
+    return {
+      success: false,
+      code: 422,
+      quarantined: Boolean(quarantineKey),
+      message: 'File was flagged by the malware scan and rejected'
+    };
+  }
+  return {
+    success: true,
+    mimeType,
+    scan
+  };
+};
+
+module.exports = {
+  inspectUpload,
+  quarantineUpload,
+  getUploadScanner,
+  setUploadScanner,
+  createUploadScanner,
+  resolveScanConfig,
+  ClamAvScanner
+};
@@ -0,0 +1,306 @@
+/**
+ * uploadSessionService.js
+ * @description :: server-side record of multipart and chunked uploads, and the reaper aborting the ones
+ * abandoned mid-interview and deleting their orphan chunks
+ */
+
+const ObjectId = require('mongodb').ObjectId;
+const UploadSession = require('../model/uploadSession');
+const Application = require('../model/application');
+const MediaProcessingStatus = require('../model/mediaProcessingStatus');
+const VideoChunk = require('../model/videoChunk');
+const Job = require('../model/job');
+const { getStorage } = require('./storage');
+const {
+  MEDIA_TYPES, MEDIA_PROCESSING_STATUS, UPLOAD_SESSION_TYPES, UPLOAD_SESSION_STATUS, UPLOAD_SESSION_TTL_MINUTES
+} = require('../constants/mediaConstant');
+const { UPLOAD_REAPER } = require('../constants/queueConstant');
+
+const LIST_PAGE_SIZE = 1000;
+
+const expiryFrom = (date) => new Date(date.getTime() + UPLOAD_SESSION_TTL_MINUTES * 60 * 1000);
+
+const validId = (id) => (id && ObjectId.isValid(id) ? id : undefined);
+
+// folder holding the chunks of a legacy video chunk upload
+const videoChunksPrefix = (sessionId, questionId) => `video-chunks/${sessionId}/${questionId}/`;
+
+// multipart uploads are found by their upload id, chunk uploads by the folder of their chunks
+const sessionQuery = ({
+  type, uploadId, prefix
+}) => (type === UPLOAD_SESSION_TYPES.MULTIPART ? {
+  type,
+  uploadId
+} : {
+  type,
+  prefix
+});
+
+/**
+ * @description : record a new upload, bookkeeping errors are logged and never fail the upload.
+ * @param {Object} data : {type, uploadId, key, prefix, owner, sessionId, questionId, questionNumber, mediaType, fileName}
+ * @return {Object|null} : created upload session.
+ */
+const recordUploadStart = async (data) => {
+  try {
+    const now = new Date();
+    return await UploadSession.create({
+      type: data.type,
+      uploadId: data.uploadId,
+      key: data.key,
+      prefix: data.prefix,
+      owner: validId(data.owner),
+      application: validId(data.sessionId),
+      question: validId(data.questionId),
+      questionNumber: parseInt(data.questionNumber) || undefined,
+      mediaType: data.mediaType,
+      fileName: data.fileName,
+      startedAt: now,
+      lastActivityAt: now,
+      expiresAt: expiryFrom(now),
+      addedBy: validId(data.owner)
+    });
+  } catch (error) {
+    console.error('⚠️ Failed to record upload session:', error.message);
+    return null;
+  }
+};
+
+/**
+ * @description : push back the expiry of an active upload after new parts or chunks.
+ * Chunk uploads missing a session, started before a reap or by a legacy client, get one.
+ * @param {Object} data : {type, uploadId, prefix, parts, owner, sessionId, questionId}
+ */
+const recordUploadActivity = async (data) => {
+  try {
+    const now = new Date();
+    const isMultipart = data.type === UPLOAD_SESSION_TYPES.MULTIPART;
+    await UploadSession.updateOne({
+      ...sessionQuery(data),
+      status: UPLOAD_SESSION_STATUS.ACTIVE
+    }, {
+      $set: {
+        lastActivityAt: now,
+        expiresAt: expiryFrom(now)
+      },
+      $inc: { receivedParts: data.parts || 1 },
+      ...(isMultipart ? {} : {
+        $setOnInsert: {
+          uploadId: data.uploadId,
+          owner: validId(data.owner),
+          application: validId(data.sessionId),
+          question: validId(data.questionId),
+          startedAt: now,
+          isDeleted: false,
+          isActive: true,
+          addedBy: validId(data.owner)
+        }
+      })
+    }, { upsert: !isMultipart });
+  } catch (error) {
+    console.error('⚠️ Failed to record upload activity:', error.message);
+  }
+};
+
+/**
+ * @description : close an active upload once it was completed or aborted by the client.
+ * @param {Object} data : {type, uploadId, prefix}
+ * @param {string} status : UPLOAD_SESSION_STATUS.COMPLETED or UPLOAD_SESSION_STATUS.ABORTED
+ */
+const recordUploadEnd = async (data, status) => {
+  try {
+    const now = new Date();
+    await UploadSession.updateOne({
+      ...sessionQuery(data),
+      status: UPLOAD_SESSION_STATUS.ACTIVE
+    }, {
+      status,
+      lastActivityAt: now,
+      [status === UPLOAD_SESSION_STATUS.COMPLETED ? 'completedAt' : 'abortedAt']: now
+    });
+  } catch (error) {
+    console.error('⚠️ Failed to record upload end:', error.message);
+  }
+};
+
+/**
+ * @description : delete every object under a prefix, following continuation tokens.
+ * @return {number} : deleted objects.
+ */
+const deletePrefix = async (storage, prefix) => {
+  let deleted = 0;
+  let continuationToken;
+  do {
+    const page = await storage.listObjects(prefix, LIST_PAGE_SIZE, continuationToken);
+    for (const object of page.objects) {
+      await storage.deleteObject(object.Key);
+      deleted++;
+    }
+    continuationToken = page.isTruncated ? page.nextContinuationToken : null;
+  } while (continuationToken);
+  return deleted;
+};
+
+/**
+ * @description : abort the multipart upload or delete the chunks of an abandoned upload session.
+ * Video chunk uploads whose recording got all its chunks are kept, the merge can still be requested.
+ * @param {Object} session : upload session.
+ * @return {Object} : {status, deletedObjects}
+ */
+const reapUploadSession = async (session) => {
+  const storage = getStorage();
+  if (session.type === UPLOAD_SESSION_TYPES.MULTIPART) {
+    try {
+      await storage.abortMultipartUpload(session.key, session.uploadId);
+    } catch (error) {
+      // completed or aborted outside of the recorded endpoints
+      if (error.code !== 'NoSuchUpload') {
+        throw error;
+      }
+    }
+    return {
+      status: UPLOAD_SESSION_STATUS.EXPIRED,
+      deletedObjects: 0
+    };
+  }
+
+  let recordingQuery;
+  if (session.type === UPLOAD_SESSION_TYPES.VIDEO_CHUNKS && session.application && session.question) {
+    recordingQuery = {
+      application: session.application,
+      question: session.question,
+      mediaType: MEDIA_TYPES.VIDEO
+    };
+    const recording = await MediaProcessingStatus.findOne(recordingQuery).select('status').lean();
+    if (recording && recording.status !== MEDIA_PROCESSING_STATUS.UPLOADING) {
+      return {
+        status: UPLOAD_SESSION_STATUS.COMPLETED,
+        deletedObjects: 0
+      };
+    }
+  }
+
+  const deletedObjects = session.prefix ? await deletePrefix(storage, session.prefix) : 0;
+  if (recordingQuery) {
+    await VideoChunk.updateMany({
+      application: session.application,
+      question: session.question
+    }, { isDeleted: true });
+    await MediaProcessingStatus.updateOne({
+      ...recordingQuery,
+      status: MEDIA_PROCESSING_STATUS.UPLOADING
+    }, {
+      status: MEDIA_PROCESSING_STATUS.FAILED,
+      receivedChunks: 0,
+      error: 'Upload abandoned, the uploaded chunks were deleted'
+    });
+  }
+  return {
+    status: UPLOAD_SESSION_STATUS.EXPIRED,
+    deletedObjects
+  };
+};
+
+/**
+ * @description : clean up the upload sessions idle past their expiry.
+ * Sessions whose cleanup failed UPLOAD_REAPER.MAX_ATTEMPTS times are skipped.
+ * @return {Object} : {found, reaped, kept, failed}
+ */
+const reapExpiredUploads = async () => {
+  const sessions = await UploadSession.find({
+    status: UPLOAD_SESSION_STATUS.ACTIVE,
+    expiresAt: { $lte: new Date() },
+    reapAttempts: { $not: { $gte: UPLOAD_REAPER.MAX_ATTEMPTS } }
+  })
+    .sort({ expiresAt: 1 })
+    .limit(UPLOAD_REAPER.BATCH_SIZE)
+    .lean();
+
+  const summary = {
+    found: sessions.length,
+    reaped: 0,
+    kept: 0,
+    failed: 0
+  };
+  for (const session of sessions) {
+    try {
+      const result = await reapUploadSession(session);
+      const now = new Date();
+      await UploadSession.updateOne({ _id: session._id }, {
+        status: result.status,
+        deletedObjects: result.deletedObjects,
+        reapError: null,
+        ...(result.status === UPLOAD_SESSION_STATUS.COMPLETED ? { completedAt: now } : { reapedAt: now })
+      });
+      summary[result.status === UPLOAD_SESSION_STATUS.COMPLETED ? 'kept' : 'reaped']++;
+    } catch (error) {
+      console.error(`❌ Failed to reap upload session ${session._id}:`, error.message);
+      await UploadSession.updateOne({ _id: session._id }, {
+        $inc: { reapAttempts: 1 },
+        $set: { reapError: error.message }
+      });
+      summary.failed++;
+    }
+  }
+  return summary;
+};
+
+/**
+ * @description : uploads of an application that were not completed, the ones past their expiry are flagged as stalled.
+ * @param {Object} params : {applicationId, workspaceId, status}
+ * @return {Object|null} : {applicationId, uploads}, null when the application is not in the workspace.
+ */
+const getStuckUploads = async ({
+  applicationId, workspaceId, status
+}) => {
+  const jobs = await Job.find({ workspace: workspaceId }).select('_id').lean();
+  const application = await Application.findOne({
+    _id: applicationId,
+    job: { $in: jobs.map((job) => job._id) }
+  }).select('_id');
+  if (!application) {
+    return null;
+  }
+  const uploads = await UploadSession.find({
+    application: application._id,
+    status: status || { $ne: UPLOAD_SESSION_STATUS.COMPLETED }
+  })
+    .sort({ startedAt: -1 })
+    .lean();
+  const now = new Date();
+  return {
+    applicationId: application._id,
+    uploads: uploads.map((upload) => ({
+      id: upload._id,
+      type: upload.type,
+      status: upload.status,
+      stalled: upload.status === UPLOAD_SESSION_STATUS.ACTIVE && upload.expiresAt <= now,
+      key: upload.key,
+      prefix: upload.prefix,
+      question: upload.question,
+      questionNumber: upload.questionNumber,
+      mediaType: upload.mediaType,
+      fileName: upload.fileName,
+      receivedParts: upload.receivedParts,
+      owner: upload.owner,
+      startedAt: upload.startedAt,
+      lastActivityAt: upload.lastActivityAt,
+      expiresAt: upload.expiresAt,
+      abortedAt: upload.abortedAt,
+      reapedAt: upload.reapedAt,
+      deletedObjects: upload.deletedObjects,
+      reapAttempts: upload.reapAttempts,
+      reapError: upload.reapError
+    }))
+  };
+};
+
+module.exports = {
+  videoChunksPrefix,
+  recordUploadStart,
+  recordUploadActivity,
+  recordUploadEnd,
+  reapUploadSession,
+  reapExpiredUploads,
+  getStuckUploads
+};
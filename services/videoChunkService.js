@@ -1,7 +1,15 @@
 const S3Service = require('./s3Service');
+const VideoChunk = require('../model/videoChunk');
+const MediaProcessingStatus = require('../model/mediaProcessingStatus');
+const Response = require('../model/response');
+const mediaQueue = require('../queues/mediaQueue');
+const { enqueueOnce, getJobState } = require('../utils/queueUtils');
+const { MEDIA_TYPES, MEDIA_PROCESSING_STATUS, WEBM_HEADER, VIDEO_ASSEMBLY } = require('../constants/mediaConstant');
+const { MEDIA_QUEUE_JOBS } = require('../constants/queueConstant');
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 
 class VideoChunkService {
     constructor() {
@@ -22,25 +30,27 @@ class VideoChunkService {
      */
     async processVideoChunk(chunkBuffer, metadata) {
         try {
-            const { sessionId, chunkIndex, totalChunks } = metadata;
+            const { sessionId, questionId, chunkIndex, totalChunks, contentType } = metadata;
 
             // Upload chunk to S3
             const uploadResult = await this.s3Service.uploadVideoChunk(
                 chunkBuffer,
                 sessionId,
-                chunkIndex
+                chunkIndex,
+                questionId
             );
 
             if (!uploadResult.success) {
                 return uploadResult;
             }
 
-            // Store chunk metadata in database or cache
             await this.storeChunkMetadata(sessionId, {
+                questionId,
                 chunkIndex,
                 s3Key: uploadResult.data.key,
                 size: chunkBuffer.length,
-                uploadedAt: new Date().toISOString(),
+                contentType,
+                uploadedAt: new Date(),
                 totalChunks
             });
 
@@ -49,6 +59,7 @@ class VideoChunkService {
                 data: {
                     chunkIndex,
                     sessionId,
+                    questionId,
                     s3Key: uploadResult.data.key,
                     size: chunkBuffer.length
                 }
@@ -63,35 +74,40 @@ class VideoChunkService {
     }
 
     /**
-     * Assemble video chunks into final video
-     * @param {string} sessionId - Interview session ID
-     * @param {Object} options - Assembly options
-     * @returns {Promise<Object>} Assembly result
+     * Upload several chunks of a question recording
+     * @param {Array} files - Multer files, in chunk order
+     * @param {Object} options - sessionId, questionId, totalChunks and startIndex of the first file
+     * @returns {Promise<Object>} Uploaded chunks and the chunk status of the recording
      */
-    async assembleVideoChunks(sessionId, options = {}) {
+    async uploadVideoChunks(files, options) {
         try {
-            // Get all chunks for the session
-            const chunks = await this.getSessionChunks(sessionId);
+            const { sessionId, questionId, totalChunks, startIndex = 0 } = options;
+            const chunks = [];
 
-            if (!chunks || chunks.length === 0) {
-                return {
-                    success: false,
-                    error: 'No video chunks found for session'
-                };
+            for (let index = 0; index < files.length; index++) {
+                const result = await this.processVideoChunk(files[index].buffer, {
+                    sessionId,
+                    questionId,
+                    chunkIndex: startIndex + index,
+                    totalChunks,
+                    contentType: files[index].mimetype
+                });
+
+                if (!result.success) {
+                    return result;
+                }
+                chunks.push(result.data);
             }
 
-            // Sort chunks by index
-            chunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
+            const status = await this.getChunkStatus(sessionId, questionId);
 
-            if (options.useFFmpeg) {
-                // Use FFmpeg for actual video concatenation
-                return await this.assembleWithFFmpeg(sessionId, chunks);
-            } else {
-                // Use manifest-based approach for streaming
-                return await this.createVideoManifest(sessionId, chunks);
-            }
+            return {
+                success: true,
+                chunks,
+                status: status.success ? status.data : null
+            };
         } catch (error) {
-            console.error('Video assembly error:', error);
+            console.error('Video chunks upload error:', error);
             return {
                 success: false,
                 error: error.message
@@ -100,149 +116,326 @@ class VideoChunkService {
     }
 
     /**
-     * Assemble video using FFmpeg
-     * @param {string} sessionId - Session ID
-     * @param {Array} chunks - Video chunks
-     * @returns {Promise<Object>} Assembly result
+     * Queue the server-side assembly of a question recording
+     * @param {string} sessionId - Interview session ID
+     * @param {string} questionId - Question ID
+     * @param {Object} options - outputFormat, only mp4 is produced
+     * @returns {Promise<Object>} Queued job, or the missing chunk indexes when the upload is incomplete
      */
-    async assembleWithFFmpeg(sessionId, chunks) {
-        return new Promise((resolve, reject) => {
-            try {
-                const outputPath = path.join(this.tempDir, `${sessionId}_final.mp4`);
-                const command = ffmpeg();
-
-                // Add input chunks
-                chunks.forEach(chunk => {
-                    // Note: In production, you'd download chunks from S3 first
-                    command.input(chunk.localPath || chunk.s3Key);
-                });
+    async mergeVideoChunks(sessionId, questionId, options = {}) {
+        try {
+            const { outputFormat = VIDEO_ASSEMBLY.OUTPUT_FORMAT } = options;
+            if (outputFormat !== VIDEO_ASSEMBLY.OUTPUT_FORMAT) {
+                return {
+                    success: false,
+                    code: 400,
+                    error: `Unsupported output format ${outputFormat}, only ${VIDEO_ASSEMBLY.OUTPUT_FORMAT} is produced`
+                };
+            }
 
-                // Set output options
-                command
-                    .outputOptions([
-                        '-c copy', // Copy streams without re-encoding
-                        '-y' // Overwrite output file
-                    ])
-                    .output(outputPath)
-                    .on('end', async () => {
-                        try {
-                            // Upload final video to S3
-                            const finalVideoBuffer = fs.readFileSync(outputPath);
-                            const uploadResult = await this.s3Service.uploadFile({
-                                buffer: finalVideoBuffer,
-                                originalname: `${sessionId}_interview.mp4`,
-                                mimetype: 'video/mp4'
-                            }, 'interviews');
-
-                            // Clean up temp file
-                            fs.unlinkSync(outputPath);
-
-                            resolve({
-                                success: true,
-                                data: {
-                                    videoUrl: uploadResult.data.location,
-                                    s3Key: uploadResult.data.key,
-                                    sessionId: sessionId,
-                                    size: finalVideoBuffer.length
-                                }
-                            });
-                        } catch (uploadError) {
-                            reject({
-                                success: false,
-                                error: uploadError.message
-                            });
-                        }
-                    })
-                    .on('error', (err) => {
-                        reject({
-                            success: false,
-                            error: err.message
-                        });
-                    })
-                    .run();
-            } catch (error) {
-                reject({
+            const chunkStatus = await this.getChunkStatus(sessionId, questionId);
+            if (!chunkStatus.success) {
+                return chunkStatus;
+            }
+            if (!chunkStatus.data.receivedChunks) {
+                return {
                     success: false,
-                    error: error.message
+                    code: 404,
+                    error: 'No video chunks found for this question'
+                };
+            }
+            if (chunkStatus.data.missingChunks.length) {
+                return {
+                    success: false,
+                    code: 400,
+                    error: `Missing video chunks ${chunkStatus.data.missingChunks.join(', ')}`,
+                    data: { missingChunks: chunkStatus.data.missingChunks }
+                };
+            }
+
+            const jobId = this.getAssemblyJobId(sessionId, questionId);
+            const queued = await enqueueOnce(mediaQueue, MEDIA_QUEUE_JOBS.ASSEMBLE_VIDEO, {
+                sessionId,
+                questionId
+            }, jobId);
+            if (queued) {
+                await this.updateSessionVideoStatus(sessionId, questionId, {
+                    status: MEDIA_PROCESSING_STATUS.QUEUED,
+                    error: null
                 });
             }
-        });
+
+            return {
+                success: true,
+                data: {
+                    sessionId,
+                    questionId,
+                    jobId,
+                    queued,
+                    status: queued ? MEDIA_PROCESSING_STATUS.QUEUED : chunkStatus.data.status
+                }
+            };
+        } catch (error) {
+            console.error('Video merge queue error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    getAssemblyJobId(sessionId, questionId) {
+        return `${MEDIA_QUEUE_JOBS.ASSEMBLE_VIDEO}:${sessionId}:${questionId}`;
+    }
+
+    getAssembledVideoKey(sessionId, questionId) {
+        return `interviews/videos/${sessionId}/${questionId}/interview.${VIDEO_ASSEMBLY.OUTPUT_FORMAT}`;
     }
 
     /**
-     * Create video manifest for streaming
-     * @param {string} sessionId - Session ID
-     * @param {Array} chunks - Video chunks
-     * @returns {Promise<Object>} Manifest result
+     * Assemble the chunks of a question recording into one MP4, run by the media worker.
+     * Chunks are downloaded to a temp workspace, concatenated, transcoded and the result
+     * is uploaded and linked to the candidate response.
+     * @param {string} sessionId - Interview session ID
+     * @param {string} questionId - Question ID
+     * @returns {Promise<Object>} Assembly result, retryable is false when retrying cannot help
      */
-    async createVideoManifest(sessionId, chunks) {
-        try {
-            const chunkKeys = chunks.map(chunk => chunk.s3Key);
+    async assembleVideoChunks(sessionId, questionId) {
+        const chunkStatus = await this.getChunkStatus(sessionId, questionId);
+        if (!chunkStatus.success) {
+            return chunkStatus;
+        }
 
-            const manifestResult = await this.s3Service.assembleVideoChunks(
-                sessionId,
-                chunkKeys
-            );
+        const { chunks, missingChunks, totalChunks } = chunkStatus.data;
+        if (!chunks.length || missingChunks.length) {
+            const error = chunks.length
+                ? `Missing video chunks ${missingChunks.join(', ')} of ${totalChunks}`
+                : 'No video chunks found for this question';
+            await this.updateSessionVideoStatus(sessionId, questionId, {
+                status: MEDIA_PROCESSING_STATUS.FAILED,
+                error
+            });
+            return {
+                success: false,
+                retryable: false,
+                error
+            };
+        }
+
+        await this.updateSessionVideoStatus(sessionId, questionId, {
+            status: MEDIA_PROCESSING_STATUS.ASSEMBLING,
+            error: null
+        });
 
-            if (!manifestResult.success) {
-                return manifestResult;
+        const workDir = await fs.promises.mkdtemp(path.join(this.tempDir, `assembly-${sessionId}-${questionId}-`));
+        try {
+            const chunkPaths = await this.downloadChunks(chunks, workDir);
+            const input = await this.prepareConcatInput(chunkPaths, workDir);
+            const outputPath = path.join(workDir, `interview.${VIDEO_ASSEMBLY.OUTPUT_FORMAT}`);
+            await this.transcodeToMp4(input, outputPath);
+
+            const videoKey = this.getAssembledVideoKey(sessionId, questionId);
+            const uploadResult = await this.s3Service.uploadLocalFile(outputPath, videoKey, {
+                contentType: VIDEO_ASSEMBLY.CONTENT_TYPE,
+                metadata: {
+                    sessionId: sessionId.toString(),
+                    questionId: questionId.toString(),
+                    totalChunks: chunks.length.toString()
+                }
+            });
+            if (!uploadResult.success) {
+                throw new Error(`Failed to upload assembled video: ${uploadResult.error}`);
             }
 
-            // Update session with video status
-            await this.updateSessionVideoStatus(sessionId, {
-                status: 'assembled',
-                manifestKey: manifestResult.data.manifestKey,
-                totalChunks: chunks.length,
-                assembledAt: new Date().toISOString()
+            const responseId = await this.linkVideoToResponse(sessionId, questionId, videoKey);
+            await this.updateSessionVideoStatus(sessionId, questionId, {
+                status: MEDIA_PROCESSING_STATUS.ASSEMBLED,
+                videoKey,
+                videoUrl: uploadResult.data.location,
+                response: responseId,
+                assembledAt: new Date(),
+                error: null
             });
 
             return {
                 success: true,
                 data: {
-                    sessionId: sessionId,
-                    manifestKey: manifestResult.data.manifestKey,
-                    videoUrl: manifestResult.data.videoUrl,
-                    totalChunks: chunks.length,
-                    playbackType: 'chunked'
+                    sessionId,
+                    questionId,
+                    videoKey,
+                    responseId,
+                    size: uploadResult.data.size,
+                    totalChunks: chunks.length
                 }
             };
         } catch (error) {
-            console.error('Manifest creation error:', error);
+            console.error('Video assembly error:', error);
+            await this.updateSessionVideoStatus(sessionId, questionId, {
+                status: MEDIA_PROCESSING_STATUS.FAILED,
+                error: error.message
+            });
             return {
                 success: false,
+                retryable: true,
                 error: error.message
             };
+        } finally {
+            await fs.promises.rm(workDir, {
+                recursive: true,
+                force: true
+            });
         }
     }
 
     /**
-     * Get all chunks for a session
+     * Download ordered chunks into the assembly workspace
+     * @param {Array} chunks - Chunks sorted by index
+     * @param {string} workDir - Temp workspace
+     * @returns {Promise<Array>} Local chunk paths, in order
+     */
+    async downloadChunks(chunks, workDir) {
+        const chunkPaths = [];
+        for (const chunk of chunks) {
+            const chunkPath = path.join(workDir, `chunk-${chunk.chunkIndex.toString().padStart(4, '0')}.webm`);
+            const result = await this.s3Service.downloadToFile(chunk.s3Key, chunkPath);
+            if (!result.success) {
+                throw new Error(`Failed to download chunk ${chunk.chunkIndex}: ${result.error}`);
+            }
+            chunkPaths.push(chunkPath);
+        }
+        return chunkPaths;
+    }
+
+    /**
+     * Build the ffmpeg input for the chunks. MediaRecorder timeslices only carry the WebM
+     * header in the first chunk, so they are joined byte by byte. Chunks recorded as
+     * standalone files are joined with the concat demuxer instead.
+     * @param {Array} chunkPaths - Local chunk paths, in order
+     * @param {string} workDir - Temp workspace
+     * @returns {Promise<Object>} ffmpeg input path and input options
+     */
+    async prepareConcatInput(chunkPaths, workDir) {
+        const standalone = chunkPaths.length > 1 && await this.allStartWithHeader(chunkPaths.slice(1));
+
+        if (standalone) {
+            const listPath = path.join(workDir, 'chunks.txt');
+            // the concat demuxer resolves relative entries against the list file, not the working directory
+            const list = chunkPaths.map(chunkPath => `file '${path.resolve(chunkPath).replace(/'/g, '\'\\\'\'')}'`).join('\n');
+            await fs.promises.writeFile(listPath, list);
+            return {
+                path: listPath,
+                options: ['-f concat', '-safe 0']
+            };
+        }
+
+        const combinedPath = path.join(workDir, 'combined.webm');
+        const writeStream = fs.createWriteStream(combinedPath);
+        for (const chunkPath of chunkPaths) {
+            await pipeline(fs.createReadStream(chunkPath), writeStream, { end: false });
+        }
+        await new Promise((resolve, reject) => {
+            writeStream.on('error', reject);
+            writeStream.end(resolve);
+        });
+        return {
+            path: combinedPath,
+            // slices joined byte by byte can carry broken timestamps
+            options: ['-fflags +genpts']
+        };
+    }
+
+    async allStartWithHeader(chunkPaths) {
+        for (const chunkPath of chunkPaths) {
+            const handle = await fs.promises.open(chunkPath, 'r');
+            try {
+                const header = Buffer.alloc(WEBM_HEADER.length);
+                await handle.read(header, 0, header.length, 0);
+                if (!header.equals(WEBM_HEADER)) {
+                    return false;
+                }
+            } finally {
+                await handle.close();
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Transcode to H.264/AAC MP4, with the index up front so playback starts before the download ends
+     * @param {Object} input - ffmpeg input path and input options
+     * @param {string} outputPath - MP4 path
+     * @returns {Promise<void>}
+     */
+    transcodeToMp4(input, outputPath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(input.path)
+                .inputOptions(input.options)
+                .outputOptions([
+                    '-c:v libx264',
+                    `-preset ${VIDEO_ASSEMBLY.PRESET}`,
+                    `-crf ${VIDEO_ASSEMBLY.CRF}`,
+                    '-pix_fmt yuv420p',
+                    '-c:a aac',
+                    `-b:a ${VIDEO_ASSEMBLY.AUDIO_BITRATE}`,
+                    '-movflags +faststart',
+                    '-y'
+                ])
+                .output(outputPath)
+                .on('end', () => resolve())
+                .on('error', (error, stdout, stderr) => {
+                    console.error('FFmpeg output:', stderr);
+                    reject(new Error(`FFmpeg failed: ${error.message}`));
+                })
+                .run();
+        });
+    }
+
+    /**
+     * Point the candidate response of the question to the assembled video
+     * @param {string} sessionId - Interview session ID
+     * @param {string} questionId - Question ID
+     * @param {string} videoKey - S3 key of the assembled video
+     * @returns {Promise<Object|null>} Linked response ID, null when the answer is not saved yet
+     */
+    async linkVideoToResponse(sessionId, questionId, videoKey) {
+        const response = await Response.findOneAndUpdate(
+            {
+                sessionId,
+                question: questionId,
+                isDeleted: false
+            },
+            { responseVideoUrl: videoKey },
+            { new: true }
+        );
+        return response ? response._id : null;
+    }
+
+    /**
+     * Get the stored chunks of a session, ordered by chunk index
      * @param {string} sessionId - Session ID
+     * @param {string} questionId - Question ID, all questions when omitted
      * @returns {Promise<Array>} Array of chunks
      */
-    async getSessionChunks(sessionId) {
+    async getSessionChunks(sessionId, questionId) {
         try {
-            // In production, this would query your database
-            // For now, we'll list from S3
-            const listResult = await this.s3Service.listObjects(`video-chunks/${sessionId}/`);
-
-            if (!listResult.success) {
-                return [];
+            const query = {
+                application: sessionId,
+                isDeleted: false
+            };
+            if (questionId) {
+                query.question = questionId;
             }
 
-            const chunks = listResult.data.objects.map(obj => {
-                const chunkMatch = obj.Key.match(/chunk-(\d+)\.webm$/);
-                const chunkIndex = chunkMatch ? parseInt(chunkMatch[1]) : 0;
-
-                return {
-                    s3Key: obj.Key,
-                    chunkIndex: chunkIndex,
-                    size: obj.Size,
-                    lastModified: obj.LastModified
-                };
-            });
+            const chunks = await VideoChunk.find(query)
+                .sort({ chunkIndex: 1 })
+                .lean();
 
-            return chunks;
+            return chunks.map(chunk => ({
+                s3Key: chunk.key,
+                chunkIndex: chunk.chunkIndex,
+                size: chunk.size,
+                lastModified: chunk.uploadedAt || chunk.updatedAt
+            }));
         } catch (error) {
             console.error('Error getting session chunks:', error);
             return [];
@@ -250,52 +443,138 @@ class VideoChunkService {
     }
 
     /**
-     * Store chunk metadata
+     * Get the chunk status of a question recording
      * @param {string} sessionId - Session ID
-     * @param {Object} metadata - Chunk metadata
-     * @returns {Promise<void>}
+     * @param {string} questionId - Question ID
+     * @returns {Promise<Object>} Processing status, received chunks and missing chunk indexes
      */
-    async storeChunkMetadata(sessionId, metadata) {
+    async getChunkStatus(sessionId, questionId) {
         try {
-            // In production, this would store in your database
-            // For now, we'll store in S3 as JSON
-            const metadataKey = `video-chunks/${sessionId}/metadata/${metadata.chunkIndex}.json`;
-
-            const uploadParams = {
-                Bucket: this.s3Service.bucketName,
-                Key: metadataKey,
-                Body: JSON.stringify(metadata, null, 2),
-                ContentType: 'application/json'
+            const processingStatus = await MediaProcessingStatus.findOne({
+                application: sessionId,
+                question: questionId,
+                mediaType: MEDIA_TYPES.VIDEO,
+                isDeleted: false
+            }).lean();
+            const chunks = await this.getSessionChunks(sessionId, questionId);
+
+            const totalChunks = processingStatus ? processingStatus.totalChunks : null;
+            const received = new Set(chunks.map(chunk => chunk.chunkIndex));
+            const missingChunks = [];
+            for (let index = 0; index < (totalChunks || 0); index++) {
+                if (!received.has(index)) {
+                    missingChunks.push(index);
+                }
+            }
+
+            return {
+                success: true,
+                data: {
+                    sessionId,
+                    questionId,
+                    status: processingStatus ? processingStatus.status : null,
+                    totalChunks,
+                    receivedChunks: chunks.length,
+                    missingChunks,
+                    isComplete: Boolean(totalChunks) && missingChunks.length === 0,
+                    videoUrl: processingStatus ? processingStatus.videoUrl : null,
+                    error: processingStatus ? processingStatus.error : null,
+                    job: await getJobState(mediaQueue, this.getAssemblyJobId(sessionId, questionId)),
+                    chunks,
+                    updatedAt: processingStatus ? processingStatus.updatedAt : null
+                }
+            };
+        } catch (error) {
+            console.error('Error getting chunk status:', error);
+            return {
+                success: false,
+                error: error.message
             };
+        }
+    }
+
+    /**
+     * Store chunk metadata, a re-uploaded chunk replaces the previous one
+     * @param {string} sessionId - Session ID
+     * @param {Object} metadata - Chunk metadata, with the questionId of the recording
+     * @returns {Promise<void>} Rejects when the chunk could not be recorded
+     */
+    async storeChunkMetadata(sessionId, metadata) {
+        try {
+            const { questionId, chunkIndex, totalChunks } = metadata;
+
+            await VideoChunk.findOneAndUpdate(
+                {
+                    application: sessionId,
+                    question: questionId,
+                    chunkIndex
+                },
+                {
+                    $set: {
+                        key: metadata.s3Key,
+                        size: metadata.size,
+                        contentType: metadata.contentType,
+                        totalChunks,
+                        uploadedAt: metadata.uploadedAt,
+                        isDeleted: false,
+                        isActive: true
+                    }
+                },
+                { upsert: true }
+            );
 
-            await this.s3Service.s3.upload(uploadParams).promise();
+            const receivedChunks = await VideoChunk.countDocuments({
+                application: sessionId,
+                question: questionId,
+                isDeleted: false
+            });
+
+            const status = { receivedChunks };
+            if (totalChunks) {
+                status.totalChunks = totalChunks;
+                status.status = receivedChunks >= totalChunks
+                    ? MEDIA_PROCESSING_STATUS.UPLOADED
+                    : MEDIA_PROCESSING_STATUS.UPLOADING;
+            }
+            await this.updateSessionVideoStatus(sessionId, questionId, status);
         } catch (error) {
             console.error('Error storing chunk metadata:', error);
+            // the upload fails so the client sends the chunk again instead of it missing from the recording
+            throw error;
         }
     }
 
     /**
-     * Update session video status
+     * Update the processing status of a question recording, creating it on the first chunk
      * @param {string} sessionId - Session ID
-     * @param {Object} status - Video status
-     * @returns {Promise<void>}
+     * @param {string} questionId - Question ID
+     * @param {Object} status - mediaProcessingStatus fields to set
+     * @returns {Promise<Object|null>} Updated processing status
      */
-    async updateSessionVideoStatus(sessionId, status) {
+    async updateSessionVideoStatus(sessionId, questionId, status) {
         try {
-            // In production, this would update your database
-            // For now, we'll store status in S3
-            const statusKey = `videos/${sessionId}/status.json`;
-
-            const uploadParams = {
-                Bucket: this.s3Service.bucketName,
-                Key: statusKey,
-                Body: JSON.stringify(status, null, 2),
-                ContentType: 'application/json'
-            };
-
-            await this.s3Service.s3.upload(uploadParams).promise();
+            return await MediaProcessingStatus.findOneAndUpdate(
+                {
+                    application: sessionId,
+                    question: questionId,
+                    mediaType: MEDIA_TYPES.VIDEO
+                },
+                {
+                    $set: status,
+                    $setOnInsert: {
+                        isDeleted: false,
+                        isActive: true
+                    }
+                },
+                {
+                    upsert: true,
+                    new: true,
+                    setDefaultsOnInsert: true
+                }
+            );
         } catch (error) {
             console.error('Error updating video status:', error);
+            return null;
         }
     }
 
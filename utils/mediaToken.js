@@ -0,0 +1,65 @@
+/**
+ * mediaToken.js
+ * @description :: short-lived HMAC signed tokens granting access to media without a login, used in playback links
+ */
+
+const crypto = require('crypto');
+const { JWT } = require('../constants/authConstant');
+
+// the built-in JWT secret is published with the code, playback links signed with it could be forged
+if (process.env.NODE_ENV === 'production' && !process.env.MEDIA_URL_SECRET) {
+  throw new Error('MEDIA_URL_SECRET must be set in production');
+}
+
+const getSecret = () => process.env.MEDIA_URL_SECRET || JWT.CLIENT_SECRET;
+
+const signPayload = (encodedPayload) => crypto
+  .createHmac('sha256', getSecret())
+  .update(encodedPayload)
+  .digest('base64url');
+
+/**
+ * @description : sign a payload for expiresIn seconds.
+ * @param {Object} payload : data carried by the token.
+ * @param {Number} expiresIn : lifetime in seconds.
+ * @return {Object} : {token, expiresAt}
+ */
+const createMediaToken = (payload, expiresIn) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+  const encodedPayload = Buffer.from(JSON.stringify({
+    ...payload,
+    exp: expiresAt
+  })).toString('base64url');
+  return {
+    token: `${encodedPayload}.${signPayload(encodedPayload)}`,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+};
+
+/**
+ * @description : check the signature and expiry of a token.
+ * @param {String} token : token created by createMediaToken.
+ * @return {Object|null} : payload with exp, null when the token is invalid or expired.
+ */
+const verifyMediaToken = (token) => {
+  const [encodedPayload, signature] = (token || '').split('.');
+  if (!encodedPayload || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(signPayload(encodedPayload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+    return payload.exp > Date.now() / 1000 ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createMediaToken,
+  verifyMediaToken
+};
@@ -0,0 +1,54 @@
+/**
+ * queueUtils.js
+ * @description :: helpers shared by the services adding jobs to the Bull queues
+ */
+
+const QUEUED_STATES = ['waiting', 'active', 'delayed', 'paused'];
+
+/**
+ * @description : add a job unless a job with the same id is still queued, finished ones are replaced.
+ * @param {Object} queue : Bull queue.
+ * @return {Boolean} : true when a new job was added.
+ */
+const enqueueOnce = async (queue, name, data, jobId, options = {}) => {
+  const existing = await queue.getJob(jobId);
+  if (existing) {
+    if (QUEUED_STATES.includes(await existing.getState())) {
+      return false;
+    }
+    await existing.remove();
+  }
+  await queue.add(name, data, {
+    ...options,
+    jobId
+  });
+  return true;
+};
+
+/**
+ * @description : state of a job, null when it does not exist or the queue is unreachable.
+ * @param {Object} queue : Bull queue.
+ * @return {Object|null} : {state, attemptsMade, progress, failedReason}
+ */
+const getJobState = async (queue, jobId) => {
+  try {
+    const job = await queue.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+    return {
+      state: await job.getState(),
+      attemptsMade: job.attemptsMade,
+      progress: job.progress(),
+      failedReason: job.failedReason
+    };
+  } catch (error) {
+    console.warn(`⚠️ Unable to read the state of job ${jobId}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  enqueueOnce,
+  getJobState
+};
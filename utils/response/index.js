@@ -7,6 +7,12 @@ module.exports = {
     data: data.data && Object.keys(data.data).length ? data.data : null,
   }),
 
+  accepted: (data = {}) => ({
+    status: responseStatus.accepted,
+    message: data.message || 'Your request is accepted and will be processed',
+    data: data.data && Object.keys(data.data).length ? data.data : null,
+  }),
+
   failure: (data = {}) => ({
     status: responseStatus.failure,
     message: data.message || 'Some error occurred while performing action.',
@@ -42,4 +48,10 @@ module.exports = {
     message: data.message || 'You are not authorized to access the request',
     data: data.data && Object.keys(data.data).length ? data.data : null,
   }),
+
+  forbidden: (data = {}) => ({
+    status: responseStatus.forbidden,
+    message: data.message || 'You do not have access to this resource',
+    data: data.data && Object.keys(data.data).length ? data.data : null,
+  }),
 };
@@ -1,7 +1,9 @@
 module.exports = {
   success: 200,
+  accepted: 202,
   badRequest: 400,
   internalServerError: 500,
   unAuthorized: 401,
+  forbidden: 403,
   validationError: 422,
 };
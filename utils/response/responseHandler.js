@@ -15,6 +15,9 @@ const responseHandler = (req, res, next) => {
   res.success = (data = {}) => {
     res.status(responseCode.success).json(responseBody.success(data));
   };
+  res.accepted = (data = {}) => {
+    res.status(responseCode.accepted).json(responseBody.accepted(data));
+  };
   res.failure = (data = {}) => {
     res.status(responseCode.success).json(responseBody.failure(data));
   };
@@ -33,6 +36,9 @@ const responseHandler = (req, res, next) => {
   res.unAuthorized = (data = {}) => {
     res.status(responseCode.unAuthorized).json(responseBody.unAuthorized(data));
   };
+  res.forbidden = (data = {}) => {
+    res.status(responseCode.forbidden).json(responseBody.forbidden(data));
+  };
   next();
 };
 
@@ -1,9 +1,11 @@
 module.exports = {
   success: 'SUCCESS',
+  accepted: 'ACCEPTED',
   failure: 'FAILURE',
   serverError: 'SERVER_ERROR',
   badRequest: 'BAD_REQUEST',
   recordNotFound: 'RECORD_NOT_FOUND',
   validationError: 'VALIDATION_ERROR',
   unauthorized: 'UNAUTHORIZED',
+  forbidden: 'FORBIDDEN',
 };
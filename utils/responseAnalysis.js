@@ -0,0 +1,118 @@
+/**
+ * responseAnalysis.js
+ * @description :: standard structure of response analyses, shared by the analysis service and the audit re-runs
+ */
+
+const {
+  ratingForScore, levelToPercent, scoreRubric
+} = require('./rubric');
+
+// overall score given by the model, null when it left it out rather than a made-up one
+function readOverallScore (aiAnalysis) {
+  const score = aiAnalysis.overall_assessment?.score;
+  if (score === null || score === undefined || score === '') {
+    return null;
+  }
+  const value = Number(score);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Standardize analysis structure for consistent output, a missing overall score stays null
+ */
+function standardizeAnalysisStructure (aiAnalysis) {
+  const overallScore = readOverallScore(aiAnalysis);
+  return {
+    overall_assessment: {
+      rating: aiAnalysis.overall_assessment?.rating || 'Average',
+      score: overallScore,
+      reasoning: aiAnalysis.overall_assessment?.reasoning || 'Standard evaluation completed'
+    },
+    question_analysis: {
+      type: aiAnalysis.question_analysis?.type || 'General',
+      primary_focus: aiAnalysis.question_analysis?.primary_focus || 'Overall competency assessment',
+      secondary_aspects: aiAnalysis.question_analysis?.secondary_aspects || 'Communication and professionalism'
+    },
+    detailed_analysis: aiAnalysis.detailed_analysis || {},
+    strengths: Array.isArray(aiAnalysis.strengths) ? aiAnalysis.strengths : ['Response provided'],
+    areas_for_improvement: Array.isArray(aiAnalysis.areas_for_improvement) ? aiAnalysis.areas_for_improvement : ['Could be more detailed'],
+    red_flags: Array.isArray(aiAnalysis.red_flags) ? aiAnalysis.red_flags : [],
+    key_insights: aiAnalysis.key_insights || 'Analysis completed successfully',
+    recommendation: {
+      decision: aiAnalysis.recommendation?.decision || 'Maybe',
+      reasoning: aiAnalysis.recommendation?.reasoning || 'Standard evaluation criteria applied',
+      confidence_level: aiAnalysis.recommendation?.confidence_level || 'Medium'
+    },
+    follow_up_questions: Array.isArray(aiAnalysis.follow_up_questions) ? aiAnalysis.follow_up_questions : [],
+    interview_insights: aiAnalysis.interview_insights || {
+      candidate_preparation: 'Standard preparation level observed',
+      communication_style: 'Standard communication approach',
+      engagement_level: 'Standard engagement level'
+    },
+    analyzed_at: new Date().toISOString(),
+    analysis_version: '4.0-ai-intelligent',
+    // Add overallScore for backward compatibility
+    overallScore
+  };
+}
+
+/**
+ * Merge validated criterion scores into the standard analysis structure
+ */
+function buildRubricAnalysis (aiAnalysis, rubricCriteria, result) {
+  const reasoningByCriterion = new Map(aiAnalysis.criteria_scores.map((item) => [item.criterion, item.reasoning]));
+  const detailedAnalysis = {};
+  result.scores.forEach((item) => {
+    const criterion = rubricCriteria.find((rubricCriterion) => rubricCriterion.key === item.criterion);
+    const criterionScore = levelToPercent(item.score);
+    detailedAnalysis[item.criterion] = {
+      name: criterion.name,
+      weight: item.weight,
+      level: item.score,
+      level_label: criterion.levels?.find((level) => level.score === item.score)?.label,
+      rating: ratingForScore(criterionScore),
+      score: criterionScore,
+      reasoning: reasoningByCriterion.get(item.criterion) || ''
+    };
+  });
+
+  const analysis = standardizeAnalysisStructure({
+    ...aiAnalysis,
+    overall_assessment: {
+      ...aiAnalysis.overall_assessment,
+      rating: ratingForScore(result.overallScore)
+    },
+    detailed_analysis: detailedAnalysis
+  });
+
+  // the score of the model is replaced by the one computed from the rubric weights
+  analysis.overall_assessment.score = result.overallScore;
+  analysis.overallScore = result.overallScore;
+  analysis.rubric_scores = result.scores;
+  analysis.scoring_method = 'rubric_weighted';
+  analysis.analysis_version = '5.0-rubric';
+  return analysis;
+}
+
+/**
+ * @description : analysis stored for a parsed model answer, rubric answers get their computed score.
+ * @param {Object} aiAnalysis : parsed model answer.
+ * @param {Array|null} rubricCriteria : criteria of the question rubric.
+ * @return {Object|null} : analysis, null when the answer is not an analysis or its criterion scores do not match the rubric.
+ */
+function scoreAnalysis (aiAnalysis, rubricCriteria) {
+  if (!aiAnalysis || typeof aiAnalysis !== 'object' || Array.isArray(aiAnalysis)) {
+    return null;
+  }
+  if (!rubricCriteria) {
+    return standardizeAnalysisStructure(aiAnalysis);
+  }
+  const result = scoreRubric(rubricCriteria, aiAnalysis.criteria_scores);
+  return result.isValid ? buildRubricAnalysis(aiAnalysis, rubricCriteria, result) : null;
+}
+
+module.exports = {
+  standardizeAnalysisStructure,
+  buildRubricAnalysis,
+  scoreAnalysis,
+};
@@ -0,0 +1,104 @@
+/**
+ * rubric.js
+ * @description :: deterministic scoring of structured evaluation rubrics
+ */
+
+const {
+  RUBRIC_SCORE_LEVELS, RATING_BANDS
+} = require('../constants/rubricConstant');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * @description : criteria of a question rubric, or null when the question has none.
+ * @param {Object} question : question document.
+ * @return {Array|null} : criteria.
+ */
+const getRubricCriteria = (question) => {
+  const criteria = question?.rubric?.criteria;
+  return criteria && criteria.length ? criteria.map((criterion) => (criterion.toObject ? criterion.toObject() : criterion)) : null;
+};
+
+/**
+ * @description : rating label of an overall score on 0-100.
+ * @param {number} score : overall score.
+ * @return {string} : rating.
+ */
+const ratingForScore = (score) => RATING_BANDS.find((band) => score >= band.min).rating;
+
+/**
+ * @description : convert a criterion level to 0-100.
+ * @param {number} level : score on the rubric level scale.
+ * @return {number} : score on 0-100.
+ */
+const levelToPercent = (level) => round((level - RUBRIC_SCORE_LEVELS.MIN) / (RUBRIC_SCORE_LEVELS.MAX - RUBRIC_SCORE_LEVELS.MIN) * 100);
+
+/**
+ * @description : check criterion scores against a rubric and compute the weighted overall score on 0-100.
+ * every criterion must be scored exactly once with an integer level of the scale.
+ * @param {Array} criteria : criteria of the rubric. [{key, weight}]
+ * @param {Array} scores : given scores. [{criterion, score}]
+ * @return {Object} : {isValid, message} or {isValid, scores:[{criterion, score, weight}], overallScore}
+ */
+const scoreRubric = (criteria, scores) => {
+  if (!Array.isArray(scores)) {
+    return {
+      isValid: false,
+      message: 'Criterion scores must be an array'
+    };
+  }
+  const scoreByCriterion = new Map();
+  for (const item of scores) {
+    const criterion = item?.criterion;
+    if (!criteria.some((rubricCriterion) => rubricCriterion.key === criterion)) {
+      return {
+        isValid: false,
+        message: `Unknown criterion: ${criterion}`
+      };
+    }
+    if (scoreByCriterion.has(criterion)) {
+      return {
+        isValid: false,
+        message: `Criterion scored more than once: ${criterion}`
+      };
+    }
+    const score = Number(item.score);
+    if (!Number.isInteger(score) || score < RUBRIC_SCORE_LEVELS.MIN || score > RUBRIC_SCORE_LEVELS.MAX) {
+      return {
+        isValid: false,
+        message: `Score of ${criterion} must be an integer from ${RUBRIC_SCORE_LEVELS.MIN} to ${RUBRIC_SCORE_LEVELS.MAX}`
+      };
+    }
+    scoreByCriterion.set(criterion, score);
+  }
+  const missingCriteria = criteria.filter((criterion) => !scoreByCriterion.has(criterion.key)).map((criterion) => criterion.key);
+  if (missingCriteria.length) {
+    return {
+      isValid: false,
+      message: `Missing scores for criteria: ${missingCriteria.join(', ')}`
+    };
+  }
+
+  const totalWeight = criteria.reduce((acc, criterion) => acc + criterion.weight, 0);
+  const weightedScores = criteria.map((criterion) => ({
+    criterion: criterion.key,
+    score: scoreByCriterion.get(criterion.key),
+    weight: criterion.weight
+  }));
+  const overallScore = totalWeight > 0
+    ? weightedScores.reduce((acc, item) => acc + item.weight * levelToPercent(item.score), 0) / totalWeight
+    : 0;
+
+  return {
+    isValid: true,
+    scores: weightedScores,
+    overallScore: round(overallScore)
+  };
+};
+
+module.exports = {
+  getRubricCriteria,
+  ratingForScore,
+  levelToPercent,
+  scoreRubric,
+};
@@ -0,0 +1,175 @@
+/**
+ * totp.js
+ * @description :: RFC 6238 time-based one-time passwords of authenticator apps (HMAC-SHA1, base32 secrets)
+ * and encryption of the stored secrets
+ */
+
+const crypto = require('crypto');
+const {
+  JWT, TOTP
+} = require('../constants/authConstant');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// anyone with a database dump could decrypt the secrets with the built-in JWT secret, it is for development only
+if (process.env.NODE_ENV === 'production' && !process.env.TOTP_ENCRYPTION_KEY) {
+  throw new Error('TOTP_ENCRYPTION_KEY must be set in production');
+}
+
+/**
+ * @description : RFC 4648 base32 without padding, the secret format of otpauth URIs.
+ * @param {Buffer} buffer : bytes to encode.
+ * @return {string} : base32 string.
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * @description : decode a base32 secret, spaces, padding and case are ignored.
+ * @param {string} input : base32 string.
+ * @return {Buffer} : decoded bytes.
+ */
+const base32Decode = (input) => {
+  const cleaned = input.replace(/[\s=]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * @description : new random secret, base32 encoded.
+ * @return {string} : secret.
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(TOTP.SECRET_BYTES));
+
+// time step of a moment, counted in periods since the epoch
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP.PERIOD);
+
+/**
+ * @description : code of a secret at a time step (RFC 4226 dynamic truncation).
+ * @param {string} secret : base32 secret.
+ * @param {number} step : time step.
+ * @return {string} : zero padded code of TOTP.DIGITS digits.
+ */
+const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % (10 ** TOTP.DIGITS)).padStart(TOTP.DIGITS, '0');
+};
+
+/**
+ * @description : check a code against the current time step and TOTP.WINDOW steps around it.
+ * @param {string} secret : base32 secret.
+ * @param {string} code : code typed by the user.
+ * @param {Object} options : {time, afterStep}, steps up to afterStep were already used and are refused.
+ * @return {number|null} : matched time step, null when the code does not match.
+ */
+const verifyCode = (secret, code, {
+  time, afterStep
+} = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP.DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+  const current = timeStep(time);
+  for (let step = current - TOTP.WINDOW; step <= current + TOTP.WINDOW; step++) {
+    if (afterStep !== undefined && afterStep !== null && step <= afterStep) {
+      continue;
+    }
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * @description : otpauth:// provisioning URI scanned by authenticator apps.
+ * @param {Object} params : {secret, accountName, issuer}
+ * @return {string} : provisioning URI.
+ */
+const buildOtpauthUri = ({
+  secret, accountName, issuer = TOTP.ISSUER
+}) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP.DIGITS),
+    period: String(TOTP.PERIOD)
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || JWT.CLIENT_SECRET)
+  .digest();
+
+/**
+ * @description : encrypt a secret before it is stored (AES-256-GCM).
+ * @param {string} secret : base32 secret.
+ * @return {string} : iv, auth tag and cipher text, base64url encoded and dot separated.
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+};
+
+/**
+ * @description : decrypt a stored secret.
+ * @param {string} value : value returned by encryptSecret.
+ * @return {string} : base32 secret.
+ */
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+};
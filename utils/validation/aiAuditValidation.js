@@ -0,0 +1,9 @@
+/**
+ * aiAuditValidation.js
+ * @description :: validate re-runs of audited AI analyses
+ */
+
+const joi = require('joi');
+
+/** validation keys and properties of an audit log re-run */
+exports.rerunKeys = joi.object({ model: joi.string().trim().min(1).max(200).required() }).unknown(true);
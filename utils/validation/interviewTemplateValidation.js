@@ -0,0 +1,46 @@
+/**
+ * interviewTemplateValidation.js
+ * @description :: validate each post and put request as per interviewTemplate model
+ */
+
+const joi = require('joi');
+const { rubricKeys } = require('./questionValidation');
+
+const questionKeys = joi.object({
+  title: joi.string().required(),
+  question_type: joi.string().valid('video', 'audio', 'text', 'multiple_choice'),
+  evaluation_instructions: joi.string().allow(null).allow(''),
+  timeLimit: joi.number().integer().min(1),
+  allowRetry: joi.boolean(),
+  tags: joi.array().items(joi.string().valid('Introduction', 'Background', 'Technical', 'Problem Solving', 'Behavioral')),
+  order: joi.number().integer(),
+  rubric: rubricKeys
+}).unknown(true);
+
+/** validation keys and properties of interviewTemplate */
+exports.schemaKeys = joi.object({
+  title: joi.string().required(),
+  description: joi.string().allow(null).allow(''),
+  jobRole: joi.string().allow(null).allow(''),
+  tags: joi.array().items(joi.string()),
+  questions: joi.array().items(questionKeys).min(1).required(),
+  isPublic: joi.boolean(),
+  workspace: joi.string().regex(/^[0-9a-fA-F]{24}$/).allow(null).allow('')
+}).unknown(true);
+
+/** validation keys and properties of interviewTemplate for updation */
+exports.updateSchemaKeys = joi.object({
+  title: joi.string(),
+  description: joi.string().allow(null).allow(''),
+  jobRole: joi.string().allow(null).allow(''),
+  tags: joi.array().items(joi.string()),
+  questions: joi.array().items(questionKeys).min(1),
+  isPublic: joi.boolean(),
+  _id: joi.string().regex(/^[0-9a-fA-F]{24}$/)
+}).unknown(true);
+
+/** validation keys and properties for creating job questions from an interviewTemplate */
+exports.applyToJobKeys = joi.object({
+  jobId: joi.string().regex(/^[0-9a-fA-F]{24}$/).required(),
+  replace: joi.boolean()
+}).unknown(true);
@@ -0,0 +1,22 @@
+/**
+ * mediaRetentionValidation.js
+ * @description :: validate requests of the candidate media retention policy
+ */
+
+const joi = require('joi');
+
+/** validation keys and properties of the media retention settings of a workspace */
+exports.settingsKeys = joi.object({
+  enabled: joi.boolean(),
+  rejectedAfterDays: joi.number().integer().min(1).allow(null),
+  allAfterMonths: joi.number().integer().min(1).allow(null)
+}).unknown(true);
+
+/** validation keys and properties of the legal hold of an application */
+exports.legalHoldKeys = joi.object({
+  active: joi.boolean().required(),
+  reason: joi.string().allow(null).allow('')
+}).unknown(true);
+
+/** validation keys and properties of a retention run */
+exports.purgeKeys = joi.object({ dryRun: joi.boolean() }).unknown(true);
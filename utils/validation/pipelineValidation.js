@@ -0,0 +1,36 @@
+/**
+ * pipelineValidation.js
+ * @description :: validate requests of the hiring pipeline
+ */
+
+const joi = require('joi');
+const { MAX_BATCH_STAGE_MOVE } = require('../../constants/pipelineConstant');
+
+const objectId = joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+/** validation keys and properties of pipeline stages of a workspace */
+exports.stagesKeys = joi.object({
+  stages: joi.array().items(joi.object({
+    key: joi.string().regex(/^[a-zA-Z0-9_-]+$/).required(),
+    name: joi.string().required(),
+    order: joi.number().integer(),
+    reasons: joi.array().items(joi.string()),
+    requireReason: joi.boolean(),
+    isTerminal: joi.boolean()
+  })).min(1).required()
+}).unknown(true);
+
+/** validation keys and properties for moving one application */
+exports.moveStageKeys = joi.object({
+  stage: joi.string().required(),
+  reason: joi.string().allow(null).allow(''),
+  note: joi.string().allow(null).allow('')
+}).unknown(true);
+
+/** validation keys and properties for moving a batch of applications */
+exports.moveStageBatchKeys = joi.object({
+  applicationIds: joi.array().items(objectId).min(1).max(MAX_BATCH_STAGE_MOVE).required(),
+  stage: joi.string().required(),
+  reason: joi.string().allow(null).allow(''),
+  note: joi.string().allow(null).allow('')
+}).unknown(true);
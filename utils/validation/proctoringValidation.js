@@ -0,0 +1,28 @@
+/**
+ * proctoringValidation.js
+ * @description :: validate requests of the interview proctoring events
+ */
+
+const joi = require('joi');
+const {
+  PROCTORING_EVENT_TYPES, PROCTORING
+} = require('../../constants/proctoringConstant');
+
+/** validation keys and properties of a batch of proctoring events */
+exports.eventsKeys = joi.object({
+  events: joi.array().items(joi.object({
+    type: joi.string().valid(...Object.values(PROCTORING_EVENT_TYPES)).required(),
+    occurredAt: joi.string().isoDate(),
+    questionId: joi.string().regex(/^[0-9a-fA-F]{24}$/).allow(null),
+    questionNumber: joi.number().integer().min(0).allow(null),
+    durationMs: joi.number().integer().min(0),
+    clientEventId: joi.string().max(100),
+    details: joi.object()
+  })).min(1).max(PROCTORING.MAX_EVENTS_PER_BATCH).required()
+}).unknown(true);
+
+/** validation keys and properties for listing the proctoring events of an application */
+exports.listKeys = joi.object({
+  type: joi.string().valid(...Object.values(PROCTORING_EVENT_TYPES)),
+  questionNumber: joi.string().regex(/^\d+$/)
+}).unknown(true);
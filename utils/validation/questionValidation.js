@@ -7,10 +7,27 @@ const joi = require('joi');
 const {
   options, isCountOnly, populate, select 
 } = require('./commonFilterValidation');
+const { RUBRIC_SCORE_LEVELS } = require('../../constants/rubricConstant');
+
+/** validation keys and properties of a structured evaluation rubric */
+exports.rubricKeys = joi.object({
+  criteria: joi.array().items(joi.object({
+    key: joi.string().regex(/^[a-zA-Z0-9_-]+$/).required(),
+    name: joi.string().required(),
+    description: joi.string().allow(null).allow(''),
+    weight: joi.number().greater(0).required(),
+    levels: joi.array().items(joi.object({
+      score: joi.number().integer().min(RUBRIC_SCORE_LEVELS.MIN).max(RUBRIC_SCORE_LEVELS.MAX).required(),
+      label: joi.string().allow(null).allow(''),
+      description: joi.string().allow(null).allow('')
+    })).unique('score')
+  })).unique('key').min(1).required()
+}).allow(null);
 
 /** validation keys and properties of question */
 exports.schemaKeys = joi.object({
   title: joi.string().allow(null).allow(''),
+  rubric: exports.rubricKeys,
   isDeleted: joi.boolean(),
   isActive: joi.boolean()
 }).unknown(true);
@@ -18,6 +35,7 @@ exports.schemaKeys = joi.object({
 /** validation keys and properties of question for updation */
 exports.updateSchemaKeys = joi.object({
   title: joi.string().allow(null).allow(''),
+  rubric: exports.rubricKeys,
   isDeleted: joi.boolean(),
   isActive: joi.boolean(),
   _id: joi.string().regex(/^[0-9a-fA-F]{24}$/)
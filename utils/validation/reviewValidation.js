@@ -0,0 +1,30 @@
+/**
+ * reviewValidation.js
+ * @description :: validate recruiter comments and rubric scores of responses
+ */
+
+const joi = require('joi');
+const { REVIEW_RECOMMENDATION } = require('../../constants/reviewConstant');
+const { RUBRIC_SCORE_LEVELS } = require('../../constants/rubricConstant');
+
+/** validation keys and properties of responseComment */
+exports.commentKeys = joi.object({
+  text: joi.string().trim().min(1).max(5000).required(),
+  videoTimestamp: joi.number().min(0).allow(null)
+}).unknown(true);
+
+/** validation keys and properties of responseComment for updation */
+exports.updateCommentKeys = joi.object({
+  text: joi.string().trim().min(1).max(5000),
+  videoTimestamp: joi.number().min(0).allow(null)
+}).unknown(true);
+
+/** validation keys and properties of responseReview */
+exports.reviewKeys = joi.object({
+  scores: joi.array().items(joi.object({
+    criterion: joi.string().required(),
+    score: joi.number().integer().min(RUBRIC_SCORE_LEVELS.MIN).max(RUBRIC_SCORE_LEVELS.MAX).required()
+  })).min(1).required(),
+  recommendation: joi.string().valid(...Object.values(REVIEW_RECOMMENDATION)).allow(null),
+  summary: joi.string().allow(null).allow('')
+}).unknown(true);
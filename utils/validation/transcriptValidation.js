@@ -0,0 +1,20 @@
+/**
+ * transcriptValidation.js
+ * @description :: validate requests of the transcript search
+ */
+
+const joi = require('joi');
+const { TRANSCRIPT_SEARCH } = require('../../constants/transcriptionConstant');
+
+/** validation keys and properties of a transcript search */
+exports.searchKeys = joi.object({
+  q: joi.string().trim()
+    .min(2)
+    .max(200)
+    .required(),
+  page: joi.number().integer()
+    .min(1),
+  limit: joi.number().integer()
+    .min(1)
+    .max(TRANSCRIPT_SEARCH.MAX_LIMIT)
+}).unknown(true);
@@ -0,0 +1,20 @@
+/**
+ * transcriptionValidation.js
+ * @description :: validate requests of the transcription settings
+ */
+
+const joi = require('joi');
+const { TRANSCRIPTION_PROVIDERS } = require('../../constants/transcriptionConstant');
+
+/** validation keys and properties of the transcription settings of a workspace */
+exports.settingsKeys = joi.object({
+  provider: joi.string().valid(...Object.values(TRANSCRIPTION_PROVIDERS)).allow(null),
+  // whisper.cpp models are named, a path would be handed to the binary as is
+  model: joi.string().allow(null).allow('')
+    .when('provider', {
+      is: TRANSCRIPTION_PROVIDERS.WHISPER_CPP,
+      then: joi.string().pattern(/^[^\\/]*$/, 'model name without path separators').invalid('.', '..')
+    }),
+  language: joi.string().max(10).allow(null).allow(''),
+  translate: joi.boolean().allow(null)
+}).unknown(true);
@@ -0,0 +1,10 @@
+/**
+ * uploadSessionValidation.js
+ * @description :: validate requests of the recorded upload sessions
+ */
+
+const joi = require('joi');
+const { UPLOAD_SESSION_STATUS } = require('../../constants/mediaConstant');
+
+/** validation keys and properties for listing the uploads of an application */
+exports.listKeys = joi.object({ status: joi.string().valid(...Object.values(UPLOAD_SESSION_STATUS)) }).unknown(true);
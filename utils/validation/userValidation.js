@@ -69,3 +69,12 @@ exports.findFilterKeys = joi.object({
   select: select
     
 }).unknown(true);
+
+/** validation keys of a code of the authenticator app */
+exports.totpCodeKeys = joi.object({ code: joi.string().pattern(/^\d{6}$/).required() });
+
+/** validation keys of removing the authenticator app, with a code of the app or a recovery code */
+exports.disableTotpKeys = joi.object({
+  code: joi.string().pattern(/^\d{6}$/),
+  recoveryCode: joi.string().max(20)
+}).xor('code', 'recoveryCode');